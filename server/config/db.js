@@ -202,7 +202,21 @@ const initializePool = async () => {
   }
 };
 
-// Execute SQL query with parameters and enhanced error handling
+/**
+ * Describe query parameters for the debug log: their types and sizes, never
+ * their values, which can hold password hashes, session IDs or customer data
+ */
+const describeParams = (params) => params.map((param, index) => ({
+  index,
+  type: param === null || param === undefined ? String(param) : param?.constructor?.name || typeof param,
+  ...(typeof param === 'string' ? { length: param.length } : {})
+}));
+
+// Execute SQL query with parameters and enhanced error handling.
+// options.sensitive marks credential and session queries: their parameters
+// are left out of the log entirely. Errors are logged and an empty result is
+// returned, unless options.throwOnError is set for callers that must tell a
+// failed query from one that found nothing.
 export const executeQuery = async (query, params = [], options = {}) => {
   const queryId = options.queryId || `query_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
   const label = options.label || 'Unnamed Query';
@@ -216,12 +230,7 @@ export const executeQuery = async (query, params = [], options = {}) => {
   logger.debug(`Executing SQL query: ${label}`, { 
     queryId,
     query,
-    params: params.map((p, i) => ({ 
-      index: i, 
-      value: typeof p === 'object' ? 
-        safeStringify(p) : 
-        String(p) 
-    })),
+    params: options.sensitive ? `[${params.length} sensitive parameters]` : describeParams(params),
     options 
   });
   
@@ -234,6 +243,9 @@ export const executeQuery = async (query, params = [], options = {}) => {
       
       // If pool initialization failed, return empty result
       if (!pool) {
+        if (options.throwOnError) {
+          throw new Error(`No connection pool available for query "${label}"`);
+        }
         logger.warn(`Failed to initialize connection pool for query ${queryId}. Returning empty result.`);
         return [];
       }
@@ -256,14 +268,13 @@ export const executeQuery = async (query, params = [], options = {}) => {
         logger.debug(`Added parameter ${paramName}`, { 
           queryId, 
           paramName, 
-          paramType: typeof param,
-          paramValue: typeof param === 'object' ? safeStringify(param) : String(param)
+          paramType: typeof param
         });
       } catch (paramError) {
         logger.error(`Error adding parameter at index ${index}:`, {
           queryId,
           error: paramError.message,
-          paramValue: typeof param === 'object' ? safeStringify(param) : String(param)
+          paramType: typeof param
         });
         // Continue with other parameters
       }
@@ -323,6 +334,10 @@ export const executeQuery = async (query, params = [], options = {}) => {
       isConnecting = false;
     }
     
+    if (options.throwOnError) {
+      throw err;
+    }
+    
     // Return empty array instead of throwing to prevent application crash
     return [];
   }
@@ -352,6 +367,95 @@ function safeStringify(obj) {
   }
 }
 
+/**
+ * Run a set of statements in one transaction. The callback receives a query
+ * function with the same parameters as executeQuery, run on the transaction's
+ * connection; unlike executeQuery it throws on errors, so any failure rolls
+ * back everything written so far.
+ * @param {Function} callback - async (query) => result
+ * @param {Object} options - { label, timeout } where timeout applies per statement
+ * @returns {Promise<*>} Result of the callback once committed
+ */
+export const withTransaction = async (callback, options = {}) => {
+  const label = options.label || 'Unnamed Transaction';
+  const timeout = options.timeout || 60000;
+  
+  if (!dbEnabled) {
+    throw new Error(`Database is disabled. Transaction "${label}" not executed.`);
+  }
+  
+  if (!pool) {
+    pool = await initializePool();
+    if (!pool) {
+      throw new Error(`No connection pool available for transaction "${label}"`);
+    }
+  }
+  
+  const startTime = Date.now();
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+  logger.debug(`Began transaction: ${label}`);
+  
+  // Statements of a transaction share one connection, so they run one at a time
+  const query = async (text, params = [], queryOptions = {}) => {
+    const request = new sql.Request(transaction);
+    params.forEach((param, index) => {
+      if (param !== null && param !== undefined) {
+        request.input(`param${index}`, param);
+      }
+    });
+    request.timeout = queryOptions.timeout || timeout;
+    
+    const queryStart = Date.now();
+    const result = await request.query(text);
+    logger.debug(`Transaction query executed: ${queryOptions.label || 'Unnamed Query'}`, {
+      transaction: label,
+      duration: `${Date.now() - queryStart}ms`,
+      rowCount: result.recordset ? result.recordset.length : 0
+    });
+    return result.recordset || [];
+  };
+  
+  try {
+    const result = await callback(query);
+    await transaction.commit();
+    logger.debug(`Committed transaction: ${label}`, { duration: `${Date.now() - startTime}ms` });
+    return result;
+  } catch (err) {
+    logger.error(`Transaction failed, rolling back: ${label}`, {
+      duration: `${Date.now() - startTime}ms`,
+      error: err.message,
+      code: err.code,
+      sqlErrorNumber: err.number
+    });
+    try {
+      await transaction.rollback();
+    } catch (rollbackError) {
+      // SQL Server may already have rolled back, e.g. after a deadlock
+      logger.warn(`Rollback of ${label} failed: ${rollbackError.message}`);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Build a table-valued parameter for a user-defined table type
+ * @param {string} typeName - Table type, e.g. 'dbo.SensorReadingRows'
+ * @param {Array} columns - [name, mssql type] pairs in the order of the type
+ * @param {Array<Array>} rows - Row values in column order
+ * @returns {sql.Table} Parameter value for executeQuery or withTransaction
+ */
+export const createTableParam = (typeName, columns, rows) => {
+  const table = new sql.Table(typeName);
+  for (const [name, type] of columns) {
+    table.columns.add(name, type, { nullable: true });
+  }
+  for (const row of rows) {
+    table.rows.add(...row);
+  }
+  return table;
+};
+
 // Ping database to check connection status (with shorter timeout)
 export const pingDatabase = async () => {
   // If database is disabled, return false immediately
@@ -452,9 +556,13 @@ export const getRacks = async () => {
       max_units AS MAXU,
       free_units AS FREEU,
       phase,
+      power_fail AS POWER_FAIL,
+      device_status AS RSTATUS,
+      capacity_amps AS CAPACITY_AMPS,
       created_at,
       updated_at
     FROM racks
+    WHERE decommissioned_at IS NULL
   `;
   
   try {
@@ -482,6 +590,214 @@ export const getRacks = async () => {
   }
 };
 
+/**
+ * Get a single rack by ID or name, with its most recent sensor reading
+ * @param {string} idOrName - Rack GUID or rack name
+ * @returns {Promise<Object|null>} Rack or null if not found
+ */
+export const getRackDetail = async (idOrName) => {
+  if (!dbEnabled) {
+    logger.warn('Database is disabled. Cannot fetch rack detail.');
+    return null;
+  }
+  
+  const queryId = `getRackDetail_${Date.now()}`;
+  logger.info(`Fetching rack detail for ${idOrName}`, { queryId });
+  
+  const query = `
+    SELECT TOP 1
+      r.id,
+      r.name AS NAME,
+      r.site AS SITE,
+      r.datacenter AS DC,
+      r.maintenance AS MAINTENANCE,
+      r.max_power AS MAXPOWER,
+      r.max_units AS MAXU,
+      r.free_units AS FREEU,
+      r.phase,
+      r.capacity_amps,
+      r.power_fail,
+      r.device_status,
+      r.origin,
+      r.manual_fields,
+      r.updated_by,
+      r.decommissioned_at,
+      r.created_at,
+      r.updated_at,
+      sr.temperature AS TEMPERATURE,
+      sr.humidity AS HUMIDITY,
+      sr.total_current AS TOTAL_AMPS,
+      sr.total_voltage AS TOTAL_VOLTS,
+      sr.total_power AS TOTAL_KW,
+      sr.l1_current AS L1_AMPS,
+      sr.l2_current AS L2_AMPS,
+      sr.l3_current AS L3_AMPS,
+      sr.created_at AS last_reading_at
+    FROM racks r
+    OUTER APPLY (
+      SELECT TOP 1
+        temperature, humidity, total_current, total_voltage, total_power,
+        l1_current, l2_current, l3_current, created_at
+      FROM sensor_readings
+      WHERE rack_id = r.id
+      ORDER BY created_at DESC
+    ) sr
+    WHERE r.name = @param0
+    OR r.id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER)
+  `;
+  
+  try {
+    const result = await executeQuery(query, [idOrName], {
+      queryId,
+      label: 'Get Rack Detail',
+      timeout: 8000
+    });
+    
+    return result.length > 0 ? result[0] : null;
+  } catch (error) {
+    logger.error(`Failed to fetch rack detail`, {
+      queryId,
+      error: error.message
+    });
+    return null;
+  }
+};
+
+/**
+ * Get the open and past problems of a single rack, newest first
+ * @param {string} rackId - Rack ID
+ * @param {number} limit - Maximum number of problems
+ * @returns {Promise<Array>} Problems
+ */
+export const getRackProblems = async (rackId, limit = 100) => {
+  if (!dbEnabled) {
+    return [];
+  }
+  
+  const queryId = `getRackProblems_${Date.now()}`;
+  
+  const query = `
+    SELECT TOP (@param1)
+      p.id,
+      r.name AS rack,
+      r.site,
+      r.datacenter AS dc,
+      p.type,
+      p.value,
+      p.threshold,
+      p.alert_type,
+      p.severity,
+      p.phase,
+      p.maintenance_window_id,
+      p.rule_id,
+      ar.name AS rule_name,
+      p.status,
+      p.created_at AS time,
+      p.resolved_at AS resolved,
+      p.resolved_value,
+      p.acknowledged_by,
+      p.acknowledged_at
+    FROM problems p
+    JOIN racks r ON p.rack_id = r.id
+    LEFT JOIN alert_rules ar ON ar.id = p.rule_id
+    WHERE p.rack_id = @param0
+    ORDER BY
+      CASE WHEN p.status IN ('active', 'acknowledged') THEN 0 ELSE 1 END,
+      p.created_at DESC
+  `;
+  
+  try {
+    return await executeQuery(query, [rackId, limit], {
+      queryId,
+      label: 'Get Rack Problems',
+      timeout: 8000
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch rack problems`, {
+      queryId,
+      error: error.message
+    });
+    return [];
+  }
+};
+
+/**
+ * Get the latest reading of every rack: for each metric, the values from the
+ * most recent cycle that reported it. Several sensors of a rack report in the
+ * same cycle, so the lowest and highest of their values are returned.
+ * The PDU status last stored on the rack comes along as power_fail and
+ * device_status.
+ * @returns {Promise<Array>} One row per rack name with <column>_min and <column>_max
+ */
+export const getLatestRackReadings = async () => {
+  if (!dbEnabled) {
+    return [];
+  }
+  
+  const queryId = `getLatestRackReadings_${Date.now()}`;
+  
+  const query = `
+    SELECT
+      r.name AS rack,
+      r.power_fail,
+      r.device_status,
+      t.temperature_min, t.temperature_max,
+      h.humidity_min, h.humidity_max,
+      pw.total_current_min, pw.total_current_max,
+      pw.l1_current_min, pw.l1_current_max,
+      pw.l2_current_min, pw.l2_current_max,
+      pw.l3_current_min, pw.l3_current_max
+    FROM racks r
+    OUTER APPLY (
+      SELECT MIN(temperature) AS temperature_min, MAX(temperature) AS temperature_max
+      FROM (
+        SELECT TOP 1 WITH TIES temperature
+        FROM sensor_readings
+        WHERE rack_id = r.id AND temperature IS NOT NULL
+        ORDER BY created_at DESC
+      ) latest
+    ) t
+    OUTER APPLY (
+      SELECT MIN(humidity) AS humidity_min, MAX(humidity) AS humidity_max
+      FROM (
+        SELECT TOP 1 WITH TIES humidity
+        FROM sensor_readings
+        WHERE rack_id = r.id AND humidity IS NOT NULL
+        ORDER BY created_at DESC
+      ) latest
+    ) h
+    OUTER APPLY (
+      SELECT
+        MIN(total_current) AS total_current_min, MAX(total_current) AS total_current_max,
+        MIN(l1_current) AS l1_current_min, MAX(l1_current) AS l1_current_max,
+        MIN(l2_current) AS l2_current_min, MAX(l2_current) AS l2_current_max,
+        MIN(l3_current) AS l3_current_min, MAX(l3_current) AS l3_current_max
+      FROM (
+        SELECT TOP 1 WITH TIES total_current, l1_current, l2_current, l3_current
+        FROM sensor_readings
+        WHERE rack_id = r.id
+          AND (total_current IS NOT NULL OR l1_current IS NOT NULL OR l2_current IS NOT NULL OR l3_current IS NOT NULL)
+        ORDER BY created_at DESC
+      ) latest
+    ) pw
+    WHERE r.decommissioned_at IS NULL
+  `;
+  
+  try {
+    return await executeQuery(query, [], {
+      queryId,
+      label: 'Get Latest Rack Readings',
+      timeout: 8000
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch latest rack readings`, {
+      queryId,
+      error: error.message
+    });
+    return [];
+  }
+};
+
 export const getSensorReadings = async () => {
   if (!dbEnabled) {
     logger.warn('Database is disabled. Returning empty sensor readings array.');
@@ -506,6 +822,7 @@ export const getSensorReadings = async () => {
     FROM sensor_readings sr
     JOIN racks r ON r.id = sr.rack_id
     WHERE sr.created_at >= DATEADD(MINUTE, -5, GETDATE())
+    AND r.decommissioned_at IS NULL
   `;
   
   try {
@@ -535,6 +852,169 @@ export const getSensorReadings = async () => {
   }
 };
 
+// SQL expressions that truncate a timestamp column to the start of its bucket
+const HISTORY_BUCKETS = {
+  raw: (column) => column,
+  '5m': (column) => `DATEADD(MINUTE, (DATEDIFF(MINUTE, 0, ${column}) / 5) * 5, 0)`,
+  '1h': (column) => `DATEADD(HOUR, DATEDIFF(HOUR, 0, ${column}), 0)`,
+  '1d': (column) => `DATEADD(DAY, DATEDIFF(DAY, 0, ${column}), 0)`
+};
+
+// Buckets coarse enough to be answered from the hourly and daily rollups
+const ROLLUP_BUCKETS = ['1h', '1d'];
+
+// Metric columns of sensor_readings and the aliases used in history rows and rollups
+const HISTORY_METRICS = [
+  ['temperature', 'temperature'],
+  ['humidity', 'humidity'],
+  ['total_current', 'current'],
+  ['total_voltage', 'voltage'],
+  ['total_power', 'kw']
+];
+
+// Upper bound on returned points so a wide raw query can't exhaust memory.
+// One more row is read to tell whether the range was cut short; the newest
+// points are the ones kept.
+const HISTORY_MAX_POINTS = 20000;
+
+/**
+ * Build the history query for raw and 5m buckets, aggregating raw readings
+ */
+const buildRawHistoryQuery = (bucketExpr, rackColumn, rackGroup) => `
+    SELECT TOP (${HISTORY_MAX_POINTS + 1})
+      ${rackColumn}
+      ${bucketExpr} AS bucket_start,
+      COUNT(*) AS samples,
+      ${HISTORY_METRICS.map(([column, alias]) => `
+      MIN(sr.${column}) AS ${alias}_min,
+      AVG(sr.${column}) AS ${alias}_avg,
+      MAX(sr.${column}) AS ${alias}_max`).join(',')}
+    FROM sensor_readings sr
+    JOIN racks r ON r.id = sr.rack_id
+    WHERE sr.created_at >= @param3
+    AND sr.created_at < @param4
+    AND (@param0 = '' OR r.name = @param0)
+    AND (@param1 = '' OR r.site = @param1)
+    AND (@param2 = '' OR r.datacenter = @param2)
+    GROUP BY ${bucketExpr}${rackGroup}
+    ORDER BY bucket_start DESC${rackGroup ? `${rackGroup} DESC` : ''}
+  `;
+
+/**
+ * Build the history query for 1h and 1d buckets. Raw readings that were
+ * rolled up may already be purged, so hours below the hourly watermark are
+ * read from sensor_readings_hourly and, for daily buckets, days below the
+ * daily watermark from sensor_readings_daily; only newer hours come from
+ * the raw readings. Averages are weighted by the samples behind each row.
+ */
+const buildRollupHistoryQuery = (bucket, rackColumn, rackGroup) => {
+  const rollupColumns = HISTORY_METRICS
+    .map(([, alias]) => `${alias}_min, ${alias}_avg, ${alias}_max`)
+    .join(', ');
+  const rawColumns = HISTORY_METRICS
+    .map(([column]) => `MIN(sr.${column}), AVG(sr.${column}), MAX(sr.${column})`)
+    .join(', ');
+  const bucketExpr = HISTORY_BUCKETS[bucket]('p.bucket_start');
+  
+  const dailyTier = bucket === '1d' ? `
+      SELECT rack_id, bucket_start, samples, ${rollupColumns}
+      FROM sensor_readings_daily
+      WHERE bucket_start < @dailyTo
+      AND bucket_start >= @param3
+      AND bucket_start < @param4
+      UNION ALL` : '';
+  const hourlyFloor = bucket === '1d' ? 'AND bucket_start >= @dailyTo' : '';
+  
+  return `
+    DECLARE @hourlyTo DATETIME2 = ISNULL((SELECT hourly_rolled_to FROM retention_settings WHERE id = 1), '19000101');
+    DECLARE @dailyTo DATETIME2 = ISNULL((SELECT daily_rolled_to FROM retention_settings WHERE id = 1), '19000101');
+    
+    WITH points (rack_id, bucket_start, samples, ${rollupColumns}) AS (${dailyTier}
+      SELECT rack_id, bucket_start, samples, ${rollupColumns}
+      FROM sensor_readings_hourly
+      WHERE bucket_start < @hourlyTo
+      ${hourlyFloor}
+      AND bucket_start >= @param3
+      AND bucket_start < @param4
+      UNION ALL
+      SELECT sr.rack_id, ${HISTORY_BUCKETS['1h']('sr.created_at')}, COUNT(*), ${rawColumns}
+      FROM sensor_readings sr
+      WHERE sr.created_at >= @hourlyTo
+      AND sr.created_at >= @param3
+      AND sr.created_at < @param4
+      GROUP BY sr.rack_id, ${HISTORY_BUCKETS['1h']('sr.created_at')}
+    )
+    SELECT TOP (${HISTORY_MAX_POINTS + 1})
+      ${rackColumn}
+      ${bucketExpr} AS bucket_start,
+      SUM(p.samples) AS samples,
+      ${HISTORY_METRICS.map(([, alias]) => `
+      MIN(p.${alias}_min) AS ${alias}_min,
+      SUM(p.${alias}_avg * p.samples) / NULLIF(SUM(CASE WHEN p.${alias}_avg IS NOT NULL THEN p.samples END), 0) AS ${alias}_avg,
+      MAX(p.${alias}_max) AS ${alias}_max`).join(',')}
+    FROM points p
+    JOIN racks r ON r.id = p.rack_id
+    WHERE (@param0 = '' OR r.name = @param0)
+    AND (@param1 = '' OR r.site = @param1)
+    AND (@param2 = '' OR r.datacenter = @param2)
+    GROUP BY ${bucketExpr}${rackGroup}
+    ORDER BY bucket_start DESC${rackGroup ? `${rackGroup} DESC` : ''}
+  `;
+};
+
+/**
+ * Get aggregated sensor and power history for a rack, site or datacenter
+ * @param {Object} options
+ * @param {string} options.rack - Rack name (optional)
+ * @param {string} options.site - Site (optional)
+ * @param {string} options.dc - Datacenter (optional)
+ * @param {Date} options.from - Start of the range (inclusive)
+ * @param {Date} options.to - End of the range (exclusive)
+ * @param {string} options.bucket - raw, 5m, 1h or 1d
+ * @param {boolean} options.perRack - Return one series per rack instead of one for the whole scope
+ * @returns {Promise<Object>} { rows, truncated }: rows in time order with bucket_start,
+ *   samples and min/avg/max columns per metric; truncated when the oldest points
+ *   were dropped to stay within HISTORY_MAX_POINTS
+ * @throws {Error} When the query fails, so callers can tell it from an empty range
+ */
+export const getSensorHistory = async ({ rack = '', site = '', dc = '', from, to, bucket = '1h', perRack = false }) => {
+  if (!dbEnabled) {
+    logger.warn('Database is disabled. Returning empty sensor history.');
+    return { rows: [], truncated: false };
+  }
+  
+  if (!HISTORY_BUCKETS[bucket]) {
+    throw new Error(`Unknown history bucket: ${bucket}`);
+  }
+  
+  const queryId = `getSensorHistory_${Date.now()}`;
+  logger.info(`Fetching sensor history`, { queryId, rack, site, dc, from, to, bucket, perRack });
+  
+  const rackColumn = perRack ? 'r.name AS rack,' : '';
+  const rackGroup = perRack ? ', r.name' : '';
+  
+  const query = ROLLUP_BUCKETS.includes(bucket)
+    ? buildRollupHistoryQuery(bucket, rackColumn, rackGroup)
+    : buildRawHistoryQuery(HISTORY_BUCKETS[bucket]('sr.created_at'), rackColumn, rackGroup);
+  
+  const result = await executeQuery(query, [rack, site, dc, from, to], {
+    queryId,
+    label: 'Get Sensor History',
+    timeout: 30000,
+    throwOnError: true
+  });
+  
+  const truncated = result.length > HISTORY_MAX_POINTS;
+  const rows = result.slice(0, HISTORY_MAX_POINTS).reverse();
+  
+  logger.info(`Retrieved ${rows.length} sensor history points`, { queryId });
+  if (truncated) {
+    logger.warn(`Sensor history truncated at ${HISTORY_MAX_POINTS} points; use a coarser bucket or shorter range`, { queryId });
+  }
+  
+  return { rows, truncated };
+};
+
 export const getProblems = async (isHistorical = false) => {
   if (!dbEnabled) {
     logger.warn('Database is disabled. Returning empty problems array.');
@@ -580,12 +1060,23 @@ export const getProblems = async (isHistorical = false) => {
         p.value,
         p.threshold,
         p.alert_type,
+        p.severity,
+        p.phase,
+        p.maintenance_window_id,
+        p.rule_id,
+        ar.name AS rule_name,
+        p.source_id,
+        p.source_name,
         p.created_at AS time,
         p.resolved_at AS resolved,
-        p.status
+        p.resolved_value,
+        p.status,
+        p.acknowledged_by,
+        p.acknowledged_at
       FROM problems p
-      JOIN racks r ON r.id = p.rack_id
-      WHERE p.status = ${isHistorical ? "'resolved'" : "'active'"}
+      LEFT JOIN racks r ON r.id = p.rack_id
+      LEFT JOIN alert_rules ar ON ar.id = p.rule_id
+      WHERE p.status ${isHistorical ? "= 'resolved'" : "IN ('active', 'acknowledged')"}
       ORDER BY p.created_at DESC
     `;
     
@@ -615,6 +1106,177 @@ export const getProblems = async (isHistorical = false) => {
   }
 };
 
+// Status transitions allowed for each problem lifecycle action
+const PROBLEM_TRANSITIONS = {
+  acknowledged: { from: ['active'], to: 'acknowledged' },
+  unacknowledged: { from: ['acknowledged'], to: 'active' },
+  resolved: { from: ['active', 'acknowledged'], to: 'resolved' }
+};
+
+// Get a single problem with its rack details
+export const getProblemById = async (problemId) => {
+  if (!dbEnabled) {
+    logger.warn('Database is disabled. Returning null problem.');
+    return null;
+  }
+  
+  const queryId = `getProblemById_${Date.now()}`;
+  logger.info(`Fetching problem ${problemId}`, { queryId });
+  
+  const query = `
+    SELECT 
+      p.id,
+      r.name AS rack,
+      r.site,
+      r.datacenter AS dc,
+      p.type,
+      p.value,
+      p.threshold,
+      p.alert_type,
+      p.severity,
+      p.phase,
+      p.maintenance_window_id,
+      p.rule_id,
+      ar.name AS rule_name,
+      p.source_id,
+      p.source_name,
+      p.created_at AS time,
+      p.resolved_at AS resolved,
+      p.resolved_value,
+      p.status,
+      p.acknowledged_by,
+      p.acknowledged_at
+    FROM problems p
+    LEFT JOIN racks r ON r.id = p.rack_id
+    LEFT JOIN alert_rules ar ON ar.id = p.rule_id
+    WHERE p.id = @param0
+  `;
+  
+  const result = await executeQuery(query, [problemId], {
+    queryId,
+    label: 'Get Problem By ID',
+    timeout: 5000
+  });
+  
+  return result.length > 0 ? result[0] : null;
+};
+
+// Get the timestamped state change history of a problem
+export const getProblemHistory = async (problemId) => {
+  if (!dbEnabled) {
+    logger.warn('Database is disabled. Returning empty problem history.');
+    return [];
+  }
+  
+  const query = `
+    SELECT 
+      id,
+      action,
+      from_status,
+      to_status,
+      actor,
+      note,
+      created_at
+    FROM problem_history
+    WHERE problem_id = @param0
+    ORDER BY created_at ASC
+  `;
+  
+  return executeQuery(query, [problemId], {
+    queryId: `getProblemHistory_${Date.now()}`,
+    label: 'Get Problem History',
+    timeout: 5000
+  });
+};
+
+// Append an entry to a problem's history
+export const addProblemHistory = async (problemId, action, { fromStatus = '', toStatus = '', actor = 'system', note = '' } = {}) => {
+  if (!dbEnabled) {
+    logger.warn('Database is disabled. Problem history entry not recorded.');
+    return false;
+  }
+  
+  const query = `
+    INSERT INTO problem_history (problem_id, action, from_status, to_status, actor, note)
+    OUTPUT inserted.id
+    VALUES (@param0, @param1, NULLIF(@param2, ''), NULLIF(@param3, ''), @param4, NULLIF(@param5, ''))
+  `;
+  
+  const result = await executeQuery(query, [problemId, action, fromStatus, toStatus, actor, note], {
+    queryId: `addProblemHistory_${Date.now()}`,
+    label: 'Add Problem History',
+    timeout: 5000
+  });
+  
+  return result.length > 0;
+};
+
+/**
+ * Move a problem through its lifecycle and record the change in its history
+ * @param {string} problemId - Problem ID
+ * @param {string} action - One of 'acknowledged', 'unacknowledged' or 'resolved'
+ * @param {string} actor - User (or 'system') performing the change
+ * @param {string} note - Optional note stored with the history entry
+ * @returns {Promise<Object|null>} The previous and new status, or null if the transition was not allowed
+ */
+export const changeProblemStatus = async (problemId, action, actor, note = '') => {
+  const transition = PROBLEM_TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown problem action: ${action}`);
+  }
+  
+  if (!dbEnabled) {
+    logger.warn(`Database is disabled. Problem ${action} request ignored.`);
+    return null;
+  }
+  
+  const queryId = `changeProblemStatus_${Date.now()}`;
+  logger.info(`Changing problem ${problemId} status (${action}) by ${actor}`, { queryId });
+  
+  let setClause;
+  if (action === 'acknowledged') {
+    setClause = 'acknowledged_by = @param1, acknowledged_at = GETDATE()';
+  } else if (action === 'unacknowledged') {
+    setClause = 'acknowledged_by = NULL, acknowledged_at = NULL';
+  } else {
+    setClause = 'resolved_at = GETDATE()';
+  }
+  
+  // problems has an update trigger, so OUTPUT must go through a table variable
+  const fromList = transition.from.map(status => `'${status}'`).join(', ');
+  const query = `
+    DECLARE @changed TABLE (from_status NVARCHAR(20), to_status NVARCHAR(20));
+    
+    UPDATE problems
+    SET 
+      status = '${transition.to}',
+      ${setClause},
+      updated_at = GETDATE()
+    OUTPUT deleted.status, inserted.status INTO @changed
+    WHERE id = @param0
+    AND status IN (${fromList});
+    
+    SELECT from_status, to_status FROM @changed;
+  `;
+  
+  const result = await executeQuery(query, [problemId, actor], {
+    queryId,
+    label: `Problem Status Change (${action})`,
+    timeout: 5000
+  });
+  
+  if (result.length === 0) {
+    logger.warn(`Problem ${problemId} could not be ${action}: not found or not in an allowed status`, { queryId });
+    return null;
+  }
+  
+  const { from_status: fromStatus, to_status: toStatus } = result[0];
+  await addProblemHistory(problemId, action, { fromStatus, toStatus, actor, note });
+  
+  logger.info(`Problem ${problemId} moved from ${fromStatus} to ${toStatus}`, { queryId });
+  return { fromStatus, toStatus };
+};
+
 // Function to get threshold values
 export const getThresholds = async () => {
   // Default thresholds to return if database is disabled or error occurs
@@ -627,6 +1289,16 @@ export const getThresholds = async () => {
     max_humidity: 70.0,
     max_power_single_phase: 16.0,
     max_power_three_phase: 48.0,
+    max_power_per_phase: 16.0,
+    max_phase_imbalance: 20.0,
+    critical_min_temp: 15.0,
+    critical_max_temp: 35.0,
+    critical_min_humidity: 35.0,
+    critical_max_humidity: 75.0,
+    critical_max_power_single_phase: 20.0,
+    critical_max_power_three_phase: 60.0,
+    critical_max_power_per_phase: 20.0,
+    critical_max_phase_imbalance: 40.0,
     created_at: new Date(),
     updated_at: new Date()
   }];
@@ -694,6 +1366,16 @@ export const getThresholds = async () => {
         max_humidity,
         max_power_single_phase,
         max_power_three_phase,
+        max_power_per_phase,
+        max_phase_imbalance,
+        critical_min_temp,
+        critical_max_temp,
+        critical_min_humidity,
+        critical_max_humidity,
+        critical_max_power_single_phase,
+        critical_max_power_three_phase,
+        critical_max_power_per_phase,
+        critical_max_phase_imbalance,
         created_at,
         updated_at
       FROM thresholds
@@ -738,11 +1420,36 @@ export const updateThresholds = async (thresholds) => {
   
   try {
     // Create a new threshold record (for versioning)
+    // Per-phase and critical limits are optional and carried over from the current version
     const query = `
       INSERT INTO thresholds 
-        (name, min_temp, max_temp, min_humidity, max_humidity, max_power_single_phase, max_power_three_phase)
-      VALUES
-        ('global', @param0, @param1, @param2, @param3, @param4, @param5)
+        (name, min_temp, max_temp, min_humidity, max_humidity, max_power_single_phase, max_power_three_phase,
+         max_power_per_phase, max_phase_imbalance,
+         critical_min_temp, critical_max_temp, critical_min_humidity, critical_max_humidity,
+         critical_max_power_single_phase, critical_max_power_three_phase,
+         critical_max_power_per_phase, critical_max_phase_imbalance)
+      SELECT
+        'global', @param0, @param1, @param2, @param3, @param4, @param5,
+        COALESCE(CAST(NULLIF(@param6, '') AS DECIMAL(5,2)), latest.max_power_per_phase, 16.0),
+        COALESCE(CAST(NULLIF(@param7, '') AS DECIMAL(5,2)), latest.max_phase_imbalance, 20.0),
+        COALESCE(CAST(NULLIF(@param8, '') AS DECIMAL(5,2)), latest.critical_min_temp, 15.0),
+        COALESCE(CAST(NULLIF(@param9, '') AS DECIMAL(5,2)), latest.critical_max_temp, 35.0),
+        COALESCE(CAST(NULLIF(@param10, '') AS DECIMAL(5,2)), latest.critical_min_humidity, 35.0),
+        COALESCE(CAST(NULLIF(@param11, '') AS DECIMAL(5,2)), latest.critical_max_humidity, 75.0),
+        COALESCE(CAST(NULLIF(@param12, '') AS DECIMAL(5,2)), latest.critical_max_power_single_phase, 20.0),
+        COALESCE(CAST(NULLIF(@param13, '') AS DECIMAL(5,2)), latest.critical_max_power_three_phase, 60.0),
+        COALESCE(CAST(NULLIF(@param14, '') AS DECIMAL(5,2)), latest.critical_max_power_per_phase, 20.0),
+        COALESCE(CAST(NULLIF(@param15, '') AS DECIMAL(5,2)), latest.critical_max_phase_imbalance, 40.0)
+      FROM (SELECT 1 AS one) base
+      OUTER APPLY (
+        SELECT TOP 1 max_power_per_phase, max_phase_imbalance,
+          critical_min_temp, critical_max_temp, critical_min_humidity, critical_max_humidity,
+          critical_max_power_single_phase, critical_max_power_three_phase,
+          critical_max_power_per_phase, critical_max_phase_imbalance
+        FROM thresholds
+        WHERE name = 'global'
+        ORDER BY created_at DESC
+      ) latest
     `;
     
     const params = [
@@ -751,8 +1458,18 @@ export const updateThresholds = async (thresholds) => {
       thresholds.min_humidity,
       thresholds.max_humidity,
       thresholds.max_power_single_phase,
-      thresholds.max_power_three_phase
-    ];
+      thresholds.max_power_three_phase,
+      thresholds.max_power_per_phase ?? '',
+      thresholds.max_phase_imbalance ?? '',
+      thresholds.critical_min_temp ?? '',
+      thresholds.critical_max_temp ?? '',
+      thresholds.critical_min_humidity ?? '',
+      thresholds.critical_max_humidity ?? '',
+      thresholds.critical_max_power_single_phase ?? '',
+      thresholds.critical_max_power_three_phase ?? '',
+      thresholds.critical_max_power_per_phase ?? '',
+      thresholds.critical_max_phase_imbalance ?? ''
+    ].map((value, index) => index >= 6 ? String(value) : value);
     
     await executeQuery(query, params, { 
       queryId, 
@@ -773,9 +1490,19 @@ export const updateThresholds = async (thresholds) => {
 
 export default {
   executeQuery,
+  withTransaction,
+  createTableParam,
   getRacks,
+  getRackDetail,
+  getRackProblems,
+  getLatestRackReadings,
   getSensorReadings,
+  getSensorHistory,
   getProblems,
+  getProblemById,
+  getProblemHistory,
+  addProblemHistory,
+  changeProblemStatus,
   getThresholds,
   updateThresholds,
   initializePool,
@@ -783,4 +1510,4 @@ export default {
 };
 
 // Explicitly export the initializePool function
-export { initializePool, dbEnabled };
\ No newline at end of file
+export { initializePool, dbEnabled, sql };
\ No newline at end of file
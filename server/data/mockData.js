@@ -214,7 +214,7 @@ export const mockProblemsData = {
       currentValue: '32.8°C', 
       threshold: '32°C', 
       time: '2025-03-15 14:23:45', 
-      severity: 'High', 
+      severity: 'Critical', 
       status: 'active',
       alert_type: 'high'
     },
@@ -228,7 +228,7 @@ export const mockProblemsData = {
       currentValue: '68%', 
       threshold: '70%', 
       time: '2025-03-15 13:45:12', 
-      severity: 'Medium', 
+      severity: 'Warning', 
       status: 'active',
       alert_type: 'high'
     },
@@ -242,7 +242,7 @@ export const mockProblemsData = {
       currentValue: '16.8A', 
       threshold: '16A', 
       time: '2025-03-15 12:30:01', 
-      severity: 'Low', 
+      severity: 'Warning', 
       status: 'active',
       alert_type: 'high'
     },
@@ -256,7 +256,7 @@ export const mockProblemsData = {
       currentValue: '17.1°C', 
       threshold: '18°C', 
       time: '2025-03-15 11:15:30', 
-      severity: 'Medium', 
+      severity: 'Warning', 
       status: 'active',
       alert_type: 'low'
     },
@@ -270,7 +270,7 @@ export const mockProblemsData = {
       currentValue: '38.5%', 
       threshold: '40%', 
       time: '2025-03-15 10:05:22', 
-      severity: 'Low', 
+      severity: 'Warning', 
       status: 'active',
       alert_type: 'low'
     }
@@ -287,7 +287,7 @@ export const mockProblemsData = {
       threshold: '32°C', 
       time: '2025-03-14 10:13:22', 
       resolved: '2025-03-14 11:45:17', 
-      severity: 'Medium', 
+      severity: 'Warning', 
       status: 'resolved',
       alert_type: 'high'
     },
@@ -302,7 +302,7 @@ export const mockProblemsData = {
       threshold: '16A', 
       time: '2025-03-13 08:22:45', 
       resolved: '2025-03-13 09:30:12', 
-      severity: 'High', 
+      severity: 'Critical', 
       status: 'resolved',
       alert_type: 'high'
     },
@@ -317,7 +317,7 @@ export const mockProblemsData = {
       threshold: '40%', 
       time: '2025-03-12 14:18:30', 
       resolved: '2025-03-12 16:22:40', 
-      severity: 'Low', 
+      severity: 'Warning', 
       status: 'resolved',
       alert_type: 'low'
     }
@@ -188,6 +188,9 @@ function transformPowerData(data) {
     L1_VA: null,
     L2_VA: null,
     L3_VA: null,
+    POWER_FAIL: item.powerFail?.toString() || null,
+    RSTATUS: item.rstatus?.toString() || null,
+    CAPACITY_AMPS: item.capacityAmps?.toString() || null,
     phase: item.phase || 'Single Phase'
   }));
 }
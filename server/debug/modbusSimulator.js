@@ -0,0 +1,63 @@
+import ModbusRTU from 'modbus-serial';
+import { setupLogger } from '../utils/logger.js';
+
+/**
+ * Local Modbus TCP slave for trying the Modbus collector without hardware.
+ * Serves the registers of the `modbus-simulator` source in
+ * config/dataSources.example.json, with readings that drift a little on
+ * every request:
+ *   unit 1 (CRAC): input 100 supply temp int16 x0.1 °C, input 101 humidity uint16 x0.1 %
+ *   unit 2 (branch meter): holding 0-5 L1-L3 current float32 (low word first), holding 10 kW uint16 x0.01
+ *
+ * Usage: node server/debug/modbusSimulator.js [port]   (default 5020)
+ */
+
+const logger = setupLogger();
+const port = Number(process.argv[2] || 5020);
+
+const drift = (base, spread) => base + (Math.random() - 0.5) * spread;
+
+// float32 as two registers, low word first
+const floatWords = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeFloatBE(value, 0);
+  return [buffer.readUInt16BE(2), buffer.readUInt16BE(0)];
+};
+
+const inputRegisters = (unitId) => (unitId === 1
+  ? { 100: Math.round(drift(23.5, 2) * 10), 101: Math.round(drift(45, 6) * 10) }
+  : {});
+
+const holdingRegisters = (unitId) => {
+  if (unitId !== 2) {
+    return {};
+  }
+  const currents = [drift(9.5, 1), drift(11, 1), drift(8, 1)];
+  const registers = {};
+  currents.forEach((current, index) => {
+    const [low, high] = floatWords(current);
+    registers[index * 2] = low;
+    registers[index * 2 + 1] = high;
+  });
+  registers[10] = Math.round(((currents[0] + currents[1] + currents[2]) * 230 / 1000) * 100);
+  return registers;
+};
+
+const vector = {
+  getInputRegister: (address, unitId) => inputRegisters(unitId)[address] ?? 0,
+  getHoldingRegister: (address, unitId) => holdingRegisters(unitId)[address] ?? 0
+};
+
+const server = new ModbusRTU.ServerTCP(vector, { host: '127.0.0.1', port, unitID: 255 });
+
+server.on('initialized', () => {
+  logger.info(`Modbus simulator listening on 127.0.0.1:${port} (unit 1: CRAC, unit 2: branch meter)`);
+});
+
+server.on('socketError', (error) => {
+  logger.error(`Modbus simulator socket error: ${error.message}`);
+});
+
+process.on('SIGINT', () => {
+  server.close(() => process.exit(0));
+});
@@ -0,0 +1,147 @@
+import net from 'net';
+import http from 'http';
+import crypto from 'crypto';
+import { setupLogger } from '../utils/logger.js';
+
+/**
+ * Local SMTP and webhook receiver for trying problem notifications without a
+ * mail server or a public endpoint. Every message and webhook call it gets is
+ * printed; nothing is forwarded.
+ *   SMTP on 127.0.0.1:2525 (plain, no TLS and no authentication)
+ *   Webhook on http://127.0.0.1:8025/ (any path, POST)
+ *
+ * Usage: node server/debug/notificationReceiver.js [smtpPort] [webhookPort]
+ *   NOTIFY_SIM_SECRET=<secret> also checks the X-DCOps-Signature header
+ *
+ * Walkthrough, with the API running and an Admin or Manager session token:
+ *   1. npm run notify:sim
+ *   2. Point the channels at the receiver:
+ *      curl -X PUT http://localhost:3000/api/notifications/settings/email \
+ *        -H "Authorization: Bearer $TOKEN" -H "Content-Type: application/json" \
+ *        -d '{"enabled":true,"severities":["Warning","Critical"],"events":["opened","escalated","resolved"],
+ *             "config":{"host":"127.0.0.1","port":2525,"from":"dcops@localhost","to":"oncall@localhost"}}'
+ *      curl -X PUT http://localhost:3000/api/notifications/settings/webhook \
+ *        -H "Authorization: Bearer $TOKEN" -H "Content-Type: application/json" \
+ *        -d '{"enabled":true,"severities":["Warning","Critical"],"events":["opened","escalated","resolved"],
+ *             "config":{"url":"http://127.0.0.1:8025/dcops","secret":"dev-secret"}}'
+ *   3. Send a test on each channel; the receiver prints the message:
+ *      curl -X POST http://localhost:3000/api/notifications/test \
+ *        -H "Authorization: Bearer $TOKEN" -H "Content-Type: application/json" -d '{"channel":"email"}'
+ *      (and the same with "webhook")
+ *   4. Deliveries, test ones included, are listed by GET /api/notifications/log
+ *      and on the Configuration page. Problems opened, escalated or resolved
+ *      by the monitoring cycle arrive here the same way.
+ */
+
+const logger = setupLogger();
+const smtpPort = Number(process.argv[2] || 2525);
+const webhookPort = Number(process.argv[3] || 8025);
+const secret = process.env.NOTIFY_SIM_SECRET || '';
+
+/**
+ * Minimal SMTP dialogue: enough for nodemailer to deliver one or more
+ * messages per connection
+ */
+const smtpServer = net.createServer((socket) => {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let readingData = false;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const handleCommand = (line) => {
+    const command = line.slice(0, 4).toUpperCase();
+
+    if (command === 'EHLO' || command === 'HELO') {
+      reply('250 localhost');
+    } else if (command === 'MAIL') {
+      envelope = { from: line.slice(10).trim(), to: [] };
+      reply('250 OK');
+    } else if (command === 'RCPT') {
+      envelope.to.push(line.slice(8).trim());
+      reply('250 OK');
+    } else if (command === 'DATA') {
+      readingData = true;
+      reply('354 End data with <CR><LF>.<CR><LF>');
+    } else if (command === 'RSET' || command === 'NOOP') {
+      reply('250 OK');
+    } else if (command === 'QUIT') {
+      reply('221 Bye');
+      socket.end();
+    } else {
+      reply('502 Command not implemented');
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+
+    while (buffer.length > 0) {
+      if (readingData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) {
+          return;
+        }
+        // Lines starting with a dot are dot-stuffed by the client
+        const message = buffer.slice(0, end).replace(/^\.\./gm, '.');
+        buffer = buffer.slice(end + 5);
+        readingData = false;
+        logger.info(`Email from ${envelope.from} to ${envelope.to.join(', ')}\n${message}\n`);
+        reply('250 OK: message received');
+        continue;
+      }
+
+      const end = buffer.indexOf('\r\n');
+      if (end === -1) {
+        return;
+      }
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      handleCommand(line);
+    }
+  });
+
+  socket.on('error', (error) => {
+    logger.warn(`SMTP connection error: ${error.message}`);
+  });
+
+  reply('220 localhost DCOps notification receiver');
+});
+
+const webhookServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    let signature = 'not checked (NOTIFY_SIM_SECRET not set)';
+    if (secret) {
+      const expected = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+      signature = req.headers['x-dcops-signature'] === expected ? 'valid' : 'INVALID';
+    }
+
+    let payload = body;
+    try {
+      payload = JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      // Not JSON, printed as received
+    }
+
+    logger.info(`Webhook ${req.method} ${req.url}, signature ${signature}\n${payload}\n`);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+smtpServer.listen(smtpPort, '127.0.0.1', () => {
+  logger.info(`Notification receiver: SMTP listening on 127.0.0.1:${smtpPort}`);
+});
+
+webhookServer.listen(webhookPort, '127.0.0.1', () => {
+  logger.info(`Notification receiver: webhook listening on http://127.0.0.1:${webhookPort}/`);
+});
+
+process.on('SIGINT', () => {
+  smtpServer.close();
+  webhookServer.close(() => process.exit(0));
+});
@@ -11,14 +11,28 @@ import problemsRoutes from './routes/problems.js';
 import thresholdsRoutes from './routes/thresholds.js';
 import debugRoutes from './routes/debug.js';
 import systemRoutes from './routes/system.js';
+import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
+import notificationRoutes from './routes/notifications.js';
+import maintenanceRoutes from './routes/maintenance.js';
+import eventRoutes from './routes/events.js';
+import retentionRoutes from './routes/retention.js';
+import healthRoutes from './routes/health.js';
 import { setupLogger } from './utils/logger.js';
 import debugMiddleware from './middleware/debugMiddleware.js';
 import { loggingMiddleware, errorLoggingMiddleware } from './middleware/loggingMiddleware.js';
 import { httpLoggingMiddleware } from './middleware/httpLoggingMiddleware.js';
+import { authenticate, requireRole } from './middleware/authMiddleware.js';
 import { isApiReachable, getCircuitBreakerStatus } from './utils/api.js';
 import { pingDatabase, initializePool, dbEnabled } from './config/db.js';
 import { checkDatabaseEnv } from './utils/dbInit.js';
 import monitoringService from './services/monitoringService.js';
+import { initializeRetention } from './services/retentionService.js';
+import { startWatchdog, getWatchdogStatus } from './services/watchdogService.js';
+import { RUN_STATUSES, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, listRuns, getRun } from './services/runHistoryService.js';
+import { validateSchedule } from './services/scheduleService.js';
+import { describeCadence } from './utils/scheduler.js';
+import { ensureBootstrapAdmin } from './services/authService.js';
 
 // Setup file paths
 const __filename = fileURLToPath(import.meta.url);
@@ -101,10 +115,15 @@ try {
   app.use(morgan(':request-id :method :url :status :response-time ms'));
 }
 
-// Express built-in middleware
+// Express built-in middleware; inventory imports carry a whole file, so
+// they get a larger limit than other requests
+app.use('/api/racks/import', express.json({ limit: process.env.RACK_IMPORT_MAX_BODY || '10mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Resolve the session user (if any) for every request
+app.use(authenticate);
+
 // Error handling middleware
 app.use(errorLoggingMiddleware);
 
@@ -115,6 +134,7 @@ if (dbConfigEnabled) {
     .then(async (pool) => {
       if (pool) {
         logger.info('Database connection pool initialized successfully');
+        await ensureBootstrapAdmin();
       } else {
         logger.warn('Database connection pool initialization returned null. Some features may be unavailable.');
       }
@@ -140,51 +160,135 @@ app.use((req, res, next) => {
 });
 
 // Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/notifications', notificationRoutes);
 app.use('/api/racks', rackRoutes);
 app.use('/api/sensors', sensorRoutes);
 app.use('/api/problems', problemsRoutes);
 app.use('/api/thresholds', thresholdsRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/retention', retentionRoutes);
 app.use('/api/debug', debugRoutes);
 app.use('/api/system', systemRoutes);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'OK', 
-    timestamp: new Date(),
-    uptime: process.uptime()
-  });
-});
+// Health, liveness and readiness endpoints
+app.use('/health', healthRoutes);
 
 // Monitoring service endpoints
 app.get('/api/monitoring/status', (req, res) => {
   const status = monitoringService.getMonitoringStatus();
   res.status(200).json({
     status: 'Success',
-    data: status
+    data: {
+      ...status,
+      watchdog: getWatchdogStatus()
+    }
   });
 });
 
-app.post('/api/monitoring/start', (req, res) => {
-  const interval = req.body.interval || 300000; // Default to 5 minutes
-  monitoringService.startMonitoring(interval);
+// Schedule that sets every cadence to the same interval, as sent by older clients
+const intervalSchedule = (interval) => ({
+  inventory: { mode: 'interval', intervalMs: Number(interval), cron: null },
+  sensors: { mode: 'interval', intervalMs: Number(interval), cron: null }
+});
+
+app.post('/api/monitoring/start', requireRole('Admin', 'Manager'), async (req, res) => {
+  // Without an interval the stored cadences are kept
+  const schedule = {
+    ...monitoringService.getMonitoringSchedule(),
+    ...(req.body.interval ? intervalSchedule(req.body.interval) : {}),
+    enabled: true
+  };
+  const error = validateSchedule(schedule);
+  if (error) {
+    return res.status(400).json({
+      status: 'Error',
+      message: error
+    });
+  }
+
+  logger.info(`Monitoring service start requested by ${req.user.username}`);
+  const saved = await monitoringService.updateSchedule(schedule, req.user.username);
+  if (!saved) {
+    return res.status(500).json({
+      status: 'Error',
+      message: 'Error saving the monitoring schedule'
+    });
+  }
+
   res.status(200).json({
     status: 'Success',
-    message: `Monitoring service started with interval of ${interval}ms`
+    message: `Monitoring service started: inventory ${describeCadence(saved.inventory)}, sensors ${describeCadence(saved.sensors)}`
   });
 });
 
-app.post('/api/monitoring/stop', (req, res) => {
-  monitoringService.stopMonitoring();
+app.post('/api/monitoring/stop', requireRole('Admin', 'Manager'), async (req, res) => {
+  logger.info(`Monitoring service stop requested by ${req.user.username}`);
+  const saved = await monitoringService.updateSchedule({
+    ...monitoringService.getMonitoringSchedule(),
+    enabled: false
+  }, req.user.username);
+  if (!saved) {
+    return res.status(500).json({
+      status: 'Error',
+      message: 'Error saving the monitoring schedule'
+    });
+  }
+
   res.status(200).json({
     status: 'Success',
     message: 'Monitoring service stopped'
   });
 });
 
-app.post('/api/monitoring/run-now', async (req, res) => {
+app.get('/api/monitoring/schedule', (req, res) => {
+  res.status(200).json({
+    status: 'Success',
+    data: monitoringService.getMonitoringSchedule()
+  });
+});
+
+app.put('/api/monitoring/schedule', requireRole('Admin', 'Manager'), async (req, res) => {
+  const current = monitoringService.getMonitoringSchedule();
+  const schedule = {
+    enabled: req.body.enabled ?? current.enabled,
+    inventory: req.body.inventory ?? current.inventory,
+    sensors: req.body.sensors ?? current.sensors
+  };
+  const error = validateSchedule(schedule);
+  if (error) {
+    return res.status(400).json({
+      status: 'Error',
+      message: error
+    });
+  }
+
+  const saved = await monitoringService.updateSchedule(schedule, req.user.username);
+  if (!saved) {
+    return res.status(500).json({
+      status: 'Error',
+      message: 'Error saving the monitoring schedule'
+    });
+  }
+
+  res.status(200).json({
+    status: 'Success',
+    data: saved
+  });
+});
+
+app.post('/api/monitoring/run-now', requireRole('Admin', 'Manager'), async (req, res) => {
+  if (monitoringService.isCycleRunning()) {
+    return res.status(409).json({
+      status: 'Error',
+      message: 'A monitoring cycle is already running'
+    });
+  }
+
   try {
-    await monitoringService.runMonitoringCycle();
+    await monitoringService.runMonitoringCycle({ trigger: 'manual', requestedBy: req.user.username });
     res.status(200).json({
       status: 'Success',
       message: 'Monitoring cycle triggered'
@@ -197,6 +301,54 @@ app.post('/api/monitoring/run-now', async (req, res) => {
   }
 });
 
+app.get('/api/monitoring/runs', async (req, res) => {
+  const status = typeof req.query.status === 'string' ? req.query.status : '';
+  if (status && !RUN_STATUSES.includes(status)) {
+    return res.status(400).json({
+      status: 'Error',
+      message: `status must be one of: ${RUN_STATUSES.join(', ')}`
+    });
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  try {
+    const runs = await listRuns({ page, pageSize, status });
+    res.status(200).json({
+      status: 'Success',
+      data: runs
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'Error',
+      message: `Error fetching monitoring runs: ${error.message}`
+    });
+  }
+});
+
+app.get('/api/monitoring/runs/:cycleId', async (req, res) => {
+  try {
+    const run = await getRun(req.params.cycleId);
+    if (!run) {
+      return res.status(404).json({
+        status: 'Error',
+        message: 'Monitoring run not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'Success',
+      data: run
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'Error',
+      message: `Error fetching monitoring run: ${error.message}`
+    });
+  }
+});
+
 // Debug info endpoint
 app.get('/api/debug/info', async (req, res) => {
   // Check API reachability
@@ -256,8 +408,8 @@ app.get('/api/debug/info', async (req, res) => {
   res.status(200).json(info);
 });
 
-// API connection test endpoint
-app.get('/api/test-connection', async (req, res) => {
+// API connection test endpoint; it fetches any URL, so Admins only
+app.get('/api/test-connection', requireRole('Admin'), async (req, res) => {
   const { url } = req.query;
   
   if (!url) {
@@ -350,10 +502,12 @@ const server = app.listen(PORT, process.env.BIND_ADDRESS || '0.0.0.0', () => {
   // Check database connection on startup
   checkDatabaseConnection();
   
-  // Start the monitoring service with default interval after short delay
-  setTimeout(() => {
-    monitoringService.startMonitoring();
-    logger.info('Automatic data monitoring service started');
+  // Start the monitoring service with the stored schedule after short delay
+  setTimeout(async () => {
+    await monitoringService.initializeMonitoring();
+    logger.info('Automatic data monitoring service initialized');
+    startWatchdog();
+    await initializeRetention();
   }, 10000); // 10 seconds delay to allow server to fully initialize
 });
 
@@ -0,0 +1,82 @@
+import { setupLogger } from '../utils/logger.js';
+import { getSessionUser } from '../services/authService.js';
+
+const logger = setupLogger();
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Middleware that resolves the session user, if any, into req.user.
+ * It never rejects a request; use requireAuth / requireRole for that.
+ */
+export const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const user = await getSessionUser(token);
+    if (user) {
+      req.user = user;
+    }
+  } catch (error) {
+    logger.error(`Error resolving session user: ${error.message}`, {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware that rejects requests without a valid session
+ */
+export const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    logger.warn(`Unauthenticated request rejected: ${req.method} ${req.originalUrl}`, {
+      requestId: req.requestId
+    });
+    return res.status(401).json({
+      status: 'Error',
+      message: 'Authentication required'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory that only allows users with one of the given roles
+ * @param {...string} roles - Allowed roles ('Admin', 'Manager', 'Operator')
+ * @returns {Function} Express middleware
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return requireAuth(req, res, next);
+  }
+
+  if (!roles.includes(req.user.role)) {
+    logger.warn(`Forbidden: ${req.user.username} (${req.user.role}) attempted ${req.method} ${req.originalUrl}`, {
+      requestId: req.requestId,
+      allowedRoles: roles
+    });
+    return res.status(403).json({
+      status: 'Error',
+      message: `This action requires one of the following roles: ${roles.join(', ')}`
+    });
+  }
+
+  next();
+};
+
+export default authenticate;
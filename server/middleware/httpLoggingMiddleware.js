@@ -1,5 +1,5 @@
 import { v4 as uuidv4 } from 'uuid';
-import { setupLogger } from '../utils/logger.js';
+import { setupLogger, redactSensitive } from '../utils/logger.js';
 import fs from 'fs';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
@@ -26,7 +26,7 @@ const MAX_BODY_SIZE = 32 * 1024;
 const safeWriteFile = (filePath, data) => {
   try {
     // Convert data to string if it's an object
-    const content = typeof data === 'object' ? JSON.stringify(data, null, 2) : String(data);
+    const content = typeof data === 'object' ? JSON.stringify(data, redactSensitive, 2) : String(data);
     
     // Use asynchronous file write to avoid blocking
     fs.writeFile(filePath, content, (err) => {
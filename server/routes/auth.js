@@ -0,0 +1,106 @@
+import express from 'express';
+import { setupLogger } from '../utils/logger.js';
+import { dbEnabled } from '../config/db.js';
+import { login, logout } from '../services/authService.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+const logger = setupLogger();
+
+/**
+ * @route POST /api/auth/login
+ * @desc Authenticate with username and password and receive a session token
+ * @access Public
+ */
+router.post('/login', async (req, res) => {
+  const requestId = req.requestId;
+  const { username, password } = req.body || {};
+
+  if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({
+      status: 'Error',
+      message: 'Username and password are required'
+    });
+  }
+
+  if (!dbEnabled) {
+    logger.error(`Login unavailable: database is disabled`, { requestId });
+    return res.status(503).json({
+      status: 'Error',
+      message: 'Authentication is unavailable because the database is not connected'
+    });
+  }
+
+  try {
+    const session = await login(username.trim(), password, {
+      ip: req.ip || '',
+      userAgent: req.headers['user-agent'] || ''
+    });
+
+    if (!session) {
+      return res.status(401).json({
+        status: 'Error',
+        message: 'Invalid username or password'
+      });
+    }
+
+    res.status(200).json({
+      status: 'Success',
+      data: session
+    });
+  } catch (error) {
+    logger.error(`Error during login:`, {
+      requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: 'Error',
+      message: `Error during login: ${error.message}`
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/logout
+ * @desc Revoke the current session
+ * @access Authenticated
+ */
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await logout(req.user.sessionId);
+
+    res.status(200).json({
+      status: 'Success',
+      message: 'Logged out'
+    });
+  } catch (error) {
+    logger.error(`Error during logout:`, {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: 'Error',
+      message: `Error during logout: ${error.message}`
+    });
+  }
+});
+
+/**
+ * @route GET /api/auth/me
+ * @desc Get the user behind the current session
+ * @access Authenticated
+ */
+router.get('/me', requireAuth, (req, res) => {
+  const { id, username, role } = req.user;
+
+  res.status(200).json({
+    status: 'Success',
+    data: { id, username, role }
+  });
+});
+
+export default router;
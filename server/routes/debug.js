@@ -1,6 +1,7 @@
 import express from 'express';
 import { diagnoseApiEndpoint, isApiReachable } from '../utils/api.js';
 import { setupLogger } from '../utils/logger.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 import fs from 'fs';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
@@ -14,10 +15,14 @@ const logger = setupLogger();
 // Path to HTTP logs
 const httpLogDir = join(dirname(dirname(__dirname)), 'logs', 'http');
 
+// These routes call arbitrary URLs, replay logged requests and expose the
+// environment and HTTP logs, so they are restricted to Admins
+router.use(requireRole('Admin'));
+
 /**
  * @route GET /api/debug/api-diagnosis
  * @desc Diagnose an API endpoint for troubleshooting
- * @access Public
+ * @access Admin
  */
 router.get('/api-diagnosis', async (req, res) => {
   const startTime = Date.now();
@@ -69,7 +74,7 @@ router.get('/api-diagnosis', async (req, res) => {
 /**
  * @route GET /api/debug/call-external
  * @desc Test calling an external API with full error details
- * @access Public
+ * @access Admin
  */
 router.get('/call-external', async (req, res) => {
   const startTime = Date.now();
@@ -258,7 +263,7 @@ router.get('/call-external', async (req, res) => {
 /**
  * @route GET /api/debug/http-logs
  * @desc Get HTTP request/response logs
- * @access Public
+ * @access Admin
  */
 router.get('/http-logs', async (req, res) => {
   const { requestId, limit = 20 } = req.query;
@@ -361,7 +366,7 @@ router.get('/http-logs', async (req, res) => {
 /**
  * @route GET /api/debug/env-check
  * @desc Check environment variables (redacted for security)
- * @access Public
+ * @access Admin
  */
 router.get('/env-check', (req, res) => {
   const envVars = {
@@ -397,7 +402,7 @@ router.get('/env-check', (req, res) => {
 /**
  * @route GET /api/debug/log-test
  * @desc Test logging at different levels
- * @access Public
+ * @access Admin
  */
 router.get('/log-test', (req, res) => {
   const { level = 'info', message = 'Test log message' } = req.query;
@@ -435,7 +440,7 @@ router.get('/log-test', (req, res) => {
 /**
  * @route GET /api/debug/api-connectivity
  * @desc Check connectivity to configured APIs
- * @access Public
+ * @access Admin
  */
 router.get('/api-connectivity', async (req, res) => {
   const startTime = Date.now();
@@ -493,7 +498,7 @@ router.get('/api-connectivity', async (req, res) => {
 /**
  * @route GET /api/debug/request-replay/:requestId
  * @desc Replay a previous request
- * @access Public
+ * @access Admin
  */
 router.get('/request-replay/:requestId', async (req, res) => {
   const { requestId } = req.params;
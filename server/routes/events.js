@@ -0,0 +1,16 @@
+import express from 'express';
+import { subscribe } from '../services/eventService.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/events
+ * @desc Server-Sent Events stream of rack snapshots, problem changes and
+ *       monitoring cycle completions
+ * @access Public
+ */
+router.get('/', (req, res) => {
+  subscribe(req, res);
+});
+
+export default router;
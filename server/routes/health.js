@@ -0,0 +1,137 @@
+import express from 'express';
+import { setupLogger } from '../utils/logger.js';
+import { pingDatabase, dbEnabled } from '../config/db.js';
+import { getSourceStatus } from '../sources/index.js';
+import { getWatchdogStatus, RESTART_CONDITIONS } from '../services/watchdogService.js';
+
+const router = express.Router();
+const logger = setupLogger();
+
+/**
+ * Run the readiness checks: the database answers, at least one enabled data
+ * source answered its last poll, and monitoring cycles are running on
+ * schedule. Sources not polled yet don't count against readiness.
+ * @returns {Promise<Object>} { ready, checks: { database, sources, monitoring } }
+ */
+const checkReadiness = async () => {
+  const dbConnected = dbEnabled ? await pingDatabase() : false;
+
+  const sources = getSourceStatus().filter(source => source.enabled);
+  const polled = sources.filter(source => source.lastFetchAt);
+  const sourcesOk = polled.length === 0 || polled.some(source => source.reachable);
+
+  const watchdog = getWatchdogStatus();
+  const monitoringOk = ['ok', 'stopped'].includes(watchdog.condition);
+
+  return {
+    ready: dbConnected && sourcesOk && monitoringOk,
+    checks: {
+      database: {
+        ok: dbConnected,
+        message: dbEnabled ? (dbConnected ? 'Connected' : 'Not reachable') : 'Disabled'
+      },
+      sources: {
+        ok: sourcesOk,
+        message: `${polled.filter(source => source.reachable).length} of ${sources.length} reachable`,
+        sources: sources.map(source => ({
+          id: source.id,
+          name: source.name,
+          reachable: source.reachable,
+          lastFetchAt: source.lastFetchAt,
+          lastError: source.lastError
+        }))
+      },
+      monitoring: {
+        ok: monitoringOk,
+        condition: watchdog.condition,
+        message: watchdog.summary,
+        expectedRunBy: watchdog.expectedRunBy,
+        lastCheckAt: watchdog.lastCheckAt
+      }
+    }
+  };
+};
+
+/**
+ * @route GET /health/live
+ * @desc Liveness probe: fails only when monitoring is overdue or stuck,
+ *       which a process restart would clear
+ * @access Public
+ */
+router.get('/live', (req, res) => {
+  const watchdog = getWatchdogStatus();
+  const alive = !RESTART_CONDITIONS.includes(watchdog.condition);
+
+  if (!alive) {
+    logger.warn(`Liveness check failed: ${watchdog.summary}`, { requestId: req.requestId });
+  }
+
+  res.status(alive ? 200 : 503).json({
+    status: alive ? 'OK' : 'Unavailable',
+    timestamp: new Date(),
+    uptime: process.uptime(),
+    monitoring: {
+      condition: watchdog.condition,
+      message: watchdog.summary,
+      expectedRunBy: watchdog.expectedRunBy
+    }
+  });
+});
+
+/**
+ * @route GET /health/ready
+ * @desc Readiness probe: fails while the database, every data source or the
+ *       monitoring cycles are down
+ * @access Public
+ */
+router.get('/ready', async (req, res) => {
+  try {
+    const { ready, checks } = await checkReadiness();
+
+    if (!ready) {
+      const failed = Object.keys(checks).filter(name => !checks[name].ok);
+      logger.warn(`Readiness check failed: ${failed.join(', ')}`, { requestId: req.requestId });
+    }
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'OK' : 'Unavailable',
+      timestamp: new Date(),
+      checks
+    });
+  } catch (error) {
+    logger.error(`Readiness check error: ${error.message}`, { requestId: req.requestId, stack: error.stack });
+    res.status(503).json({
+      status: 'Unavailable',
+      timestamp: new Date(),
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /health
+ * @desc Overall health, the same as readiness with the process uptime
+ * @access Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { ready, checks } = await checkReadiness();
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'OK' : 'Unavailable',
+      timestamp: new Date(),
+      uptime: process.uptime(),
+      checks
+    });
+  } catch (error) {
+    logger.error(`Health check error: ${error.message}`, { requestId: req.requestId, stack: error.stack });
+    res.status(503).json({
+      status: 'Unavailable',
+      timestamp: new Date(),
+      uptime: process.uptime(),
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,266 @@
+import express from 'express';
+import { setupLogger } from '../utils/logger.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+import {
+  MAINTENANCE_SCOPES,
+  MAINTENANCE_STATES,
+  listMaintenanceWindows,
+  getMaintenanceWindow,
+  createMaintenanceWindow,
+  updateMaintenanceWindow,
+  cancelMaintenanceWindow
+} from '../services/maintenanceService.js';
+
+const router = express.Router();
+const logger = setupLogger();
+
+/**
+ * Validate a maintenance window, returning an error message or null
+ * @param {Object} body - Request body
+ * @param {boolean} checkTarget - Also validate scope, site, dc and rack_name (on create)
+ */
+const validateWindow = (body, checkTarget) => {
+  if (checkTarget) {
+    const { scope, site, dc, rack_name } = body;
+    if (!MAINTENANCE_SCOPES.includes(scope)) {
+      return `scope must be one of: ${MAINTENANCE_SCOPES.join(', ')}`;
+    }
+    if (scope === 'rack' && !rack_name) {
+      return 'rack_name is required for a rack maintenance window';
+    }
+    if (scope === 'dc' && (!site || !dc)) {
+      return 'site and dc are required for a datacenter maintenance window';
+    }
+  }
+
+  const startsAt = new Date(body.starts_at);
+  const endsAt = new Date(body.ends_at);
+  if (!body.starts_at || Number.isNaN(startsAt.getTime())) {
+    return 'starts_at must be a valid date';
+  }
+  if (!body.ends_at || Number.isNaN(endsAt.getTime())) {
+    return 'ends_at must be a valid date';
+  }
+  if (endsAt <= startsAt) {
+    return 'ends_at must be after starts_at';
+  }
+  if (endsAt <= new Date()) {
+    return 'ends_at must be in the future';
+  }
+  if (!body.reason || !String(body.reason).trim()) {
+    return 'reason is required';
+  }
+  if (String(body.reason).trim().length > 255) {
+    return 'reason must be 255 characters or fewer';
+  }
+  if (body.suppress_alerts !== undefined && typeof body.suppress_alerts !== 'boolean') {
+    return 'suppress_alerts must be a boolean';
+  }
+
+  return null;
+};
+
+/**
+ * @route GET /api/maintenance
+ * @desc Get maintenance windows, optionally filtered by state (active, upcoming, past)
+ * @access Public
+ */
+router.get('/', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const state = req.query.state || '';
+
+  try {
+    if (state && !MAINTENANCE_STATES.includes(state)) {
+      return res.status(400).json({
+        status: "Error",
+        message: `state must be one of: ${MAINTENANCE_STATES.join(', ')}`
+      });
+    }
+
+    const windows = await listMaintenanceWindows(state);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: windows
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error fetching maintenance windows:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/maintenance
+ * @desc Schedule a maintenance window for a rack or a datacenter
+ * @access Admin, Manager
+ */
+router.post('/', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const body = req.body || {};
+
+  try {
+    const validationError = validateWindow(body, true);
+    if (validationError) {
+      return res.status(400).json({
+        status: "Error",
+        message: validationError
+      });
+    }
+
+    // Only keep the target fields that belong to the scope
+    const created = await createMaintenanceWindow({
+      scope: body.scope,
+      site: body.scope === 'dc' ? String(body.site).trim() : '',
+      dc: body.scope === 'dc' ? String(body.dc).trim() : '',
+      rack_name: body.scope === 'rack' ? String(body.rack_name).trim() : '',
+      starts_at: body.starts_at,
+      ends_at: body.ends_at,
+      reason: String(body.reason).trim(),
+      suppress_alerts: body.suppress_alerts
+    }, req.user.username);
+    if (!created) {
+      throw new Error('Maintenance window could not be created');
+    }
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(201).json({
+      status: "Success",
+      data: created
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error creating maintenance window:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/maintenance/:id
+ * @desc Update the period, reason or alert handling of a maintenance window
+ * @access Admin, Manager
+ */
+router.put('/:id', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { id } = req.params;
+  const body = req.body || {};
+
+  try {
+    const existing = await getMaintenanceWindow(id);
+    if (!existing) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Maintenance window ${id} not found`
+      });
+    }
+    if (existing.state === 'past') {
+      return res.status(409).json({
+        status: "Error",
+        message: 'Finished maintenance windows cannot be changed'
+      });
+    }
+
+    const validationError = validateWindow(body, false);
+    if (validationError) {
+      return res.status(400).json({
+        status: "Error",
+        message: validationError
+      });
+    }
+
+    const updated = await updateMaintenanceWindow(id, {
+      starts_at: body.starts_at,
+      ends_at: body.ends_at,
+      reason: String(body.reason).trim(),
+      suppress_alerts: body.suppress_alerts ?? existing.suppress_alerts
+    }, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: updated
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error updating maintenance window ${id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/maintenance/:id
+ * @desc Cancel a maintenance window: upcoming windows are deleted, windows in
+ *       progress end now
+ * @access Admin, Manager
+ */
+router.delete('/:id', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { id } = req.params;
+
+  try {
+    const existing = await getMaintenanceWindow(id);
+    if (!existing) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Maintenance window ${id} not found`
+      });
+    }
+    if (existing.state === 'past') {
+      return res.status(409).json({
+        status: "Error",
+        message: 'Maintenance window has already finished'
+      });
+    }
+
+    await cancelMaintenanceWindow(existing, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      message: existing.state === 'upcoming' ? 'Maintenance window deleted' : 'Maintenance window ended'
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error cancelling maintenance window ${id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,231 @@
+import express from 'express';
+import { setupLogger } from '../utils/logger.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+import {
+  CHANNELS,
+  EVENTS,
+  SEVERITIES,
+  getPublicChannelSettings,
+  saveChannelSettings,
+  sendTestNotification,
+  getNotificationLog
+} from '../services/notificationService.js';
+
+const router = express.Router();
+const logger = setupLogger();
+
+// Notification settings are managed by Admins and Managers
+router.use(requireRole('Admin', 'Manager'));
+
+/**
+ * Validate a channel settings update, returning an error message or null
+ */
+const validateSettings = (channel, { enabled, severities, events, config }) => {
+  if (typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  if (!Array.isArray(severities) || severities.some(severity => !SEVERITIES.includes(severity))) {
+    return `severities must be a list of: ${SEVERITIES.join(', ')}`;
+  }
+  if (!Array.isArray(events) || events.some(event => !EVENTS.includes(event))) {
+    return `events must be a list of: ${EVENTS.join(', ')}`;
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'config must be an object';
+  }
+
+  if (channel === 'email') {
+    if (config.port !== undefined && !(Number(config.port) > 0 && Number(config.port) < 65536)) {
+      return 'SMTP port must be between 1 and 65535';
+    }
+    if (enabled && (!config.host || !config.from || !config.to)) {
+      return 'SMTP host, sender and recipients are required to enable email notifications';
+    }
+  }
+
+  if (channel === 'webhook') {
+    if (config.headers !== undefined && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+      return 'Webhook headers must be an object';
+    }
+    if (config.url) {
+      try {
+        const url = new URL(config.url);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          return 'Webhook URL must use http or https';
+        }
+      } catch {
+        return 'Webhook URL is not valid';
+      }
+    }
+    if (enabled && !config.url) {
+      return 'A webhook URL is required to enable webhook notifications';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @route GET /api/notifications/settings
+ * @desc Get the settings of every notification channel (secrets masked)
+ * @access Admin, Manager
+ */
+router.get('/settings', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  try {
+    const settings = await getPublicChannelSettings();
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: settings
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error fetching notification settings:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/notifications/settings/:channel
+ * @desc Update a notification channel
+ * @access Admin, Manager
+ */
+router.put('/settings/:channel', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { channel } = req.params;
+
+  try {
+    if (!CHANNELS.includes(channel)) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Unknown notification channel ${channel}`
+      });
+    }
+
+    const validationError = validateSettings(channel, req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        status: "Error",
+        message: validationError
+      });
+    }
+
+    const { enabled, severities, events, config } = req.body;
+    const saved = await saveChannelSettings(channel, { enabled, severities, events, config }, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: saved
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error saving notification channel ${channel}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/notifications/test
+ * @desc Send a test notification on a channel using its saved settings
+ * @access Admin, Manager
+ */
+router.post('/test', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { channel } = req.body || {};
+
+  try {
+    if (!CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        status: "Error",
+        message: `channel must be one of: ${CHANNELS.join(', ')}`
+      });
+    }
+
+    logger.info(`[${requestId}] Test ${channel} notification requested by ${req.user.username}`);
+    const result = await sendTestNotification(channel);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    if (result.status !== 'sent') {
+      return res.status(502).json({
+        status: "Error",
+        message: `Test notification failed: ${result.error}`,
+        data: result
+      });
+    }
+
+    res.status(200).json({
+      status: "Success",
+      data: result
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error sending test notification:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/notifications/log
+ * @desc Get recent notification deliveries
+ * @access Admin, Manager
+ */
+router.get('/log', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const entries = await getNotificationLog(limit);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: entries
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error fetching notification log:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+export default router;
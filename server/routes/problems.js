@@ -1,57 +1,90 @@
 import express from 'express';
-import { getProblems } from '../config/db.js';
+import { getProblems, getProblemById, getProblemHistory, addProblemHistory, changeProblemStatus, getLatestRackReadings } from '../config/db.js';
 import { setupLogger } from '../utils/logger.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { PHASES, getPhaseImbalance } from '../utils/power.js';
+import { dispatchProblemEvent } from '../services/notificationService.js';
+import { publishEvent } from '../services/eventService.js';
 
 const router = express.Router();
 const logger = setupLogger();
 
+// Same minimum load the monitoring service uses for phase imbalance problems
+const PHASE_IMBALANCE_MIN_AMPS = Number(process.env.PHASE_IMBALANCE_MIN_AMPS ?? 2.0);
+
+const UNITS = {
+  Temperature: '°C',
+  Humidity: '%',
+  Power: 'A',
+  PhaseImbalance: '%'
+};
+
 /**
- * Helper function to enhance problem data with severity and current value
+ * Format the latest reading of a problem's rack for the metric the problem
+ * is about. Low and falling problems show the lowest value of the rack's
+ * sensors, the rest the highest; PDU problems show the rack's PDU status.
+ * @param {Object} problem - Problem row
+ * @param {Object|undefined} reading - Latest readings of the rack
+ * @returns {string|null} Reading with unit, or null when the rack has none
  */
-const enhanceProblemsData = (problems) => {
-  return problems.map(problem => {
-    // Add severity based on problem type and value
-    let severity;
-    const valueStr = problem.value.replace(/[^0-9.]/g, ''); // Extract numeric part
-    const value = parseFloat(valueStr);
-    
-    if (problem.type === 'Temperature') {
-      severity = value > 35 ? 'High' : value > 32 ? 'Medium' : 'Low';
-    } else if (problem.type === 'Humidity') {
-      severity = value > 75 ? 'High' : value > 70 ? 'Medium' : 'Low';
-    } else if (problem.type === 'Power') {
-      severity = value > 20 ? 'High' : value > 16 ? 'Medium' : 'Low';
-    } else {
-      severity = 'Medium';
-    }
-    
-    // Format current value (slightly lower than problem value for UI display)
-    let currentValue;
-    if (problem.alert_type === 'high') {
-      if (problem.type === 'Temperature') {
-        currentValue = `${(value * 0.98).toFixed(1)}°C`;
-      } else if (problem.type === 'Humidity') {
-        currentValue = `${(value * 0.95).toFixed(0)}%`;
-      } else {
-        currentValue = `${(value * 0.97).toFixed(1)}A`;
-      }
-    } else {
-      // For low alerts, current value is slightly higher than the alert value
-      if (problem.type === 'Temperature') {
-        currentValue = `${(value * 1.05).toFixed(1)}°C`;
-      } else if (problem.type === 'Humidity') {
-        currentValue = `${(value * 1.05).toFixed(0)}%`;
-      } else {
-        currentValue = `${(value * 1.05).toFixed(1)}A`;
-      }
-    }
-    
-    return {
-      ...problem,
-      severity,
-      currentValue
-    };
-  });
+const formatCurrentValue = (problem, reading) => {
+  if (!reading) {
+    return null;
+  }
+
+  // PDU problems show the status last stored on the rack
+  if (problem.type === 'PowerFail') {
+    return reading.power_fail === null || reading.power_fail === undefined
+      ? null
+      : (reading.power_fail === true || reading.power_fail === 1 ? 'Power failure' : 'Power OK');
+  }
+  if (problem.type === 'DeviceStatus') {
+    return reading.device_status || null;
+  }
+
+  const suffix = problem.alert_type === 'low' || problem.alert_type === 'fall' ? 'min' : 'max';
+  const pick = (column) => {
+    const value = reading[`${column}_${suffix}`];
+    return value === null || value === undefined ? null : Number(value);
+  };
+  const phaseCurrents = Object.fromEntries(PHASES.map(phase => [phase, pick(`${phase.toLowerCase()}_current`)]));
+
+  let value = null;
+  if (problem.type === 'Temperature') {
+    value = pick('temperature');
+  } else if (problem.type === 'Humidity') {
+    value = pick('humidity');
+  } else if (problem.type === 'Power' && problem.phase) {
+    value = phaseCurrents[problem.phase] ?? null;
+  } else if (problem.type === 'Power') {
+    const phases = Object.values(phaseCurrents);
+    value = pick('total_current') ??
+      (phases.every(current => current !== null) ? phases.reduce((sum, current) => sum + current, 0) : null);
+  } else if (problem.type === 'PhaseImbalance') {
+    value = getPhaseImbalance(phaseCurrents, PHASE_IMBALANCE_MIN_AMPS);
+  }
+
+  return value === null || !UNITS[problem.type]
+    ? null
+    : `${Math.round(value * 100) / 100}${UNITS[problem.type]}`;
+};
+
+/**
+ * Add the latest reading of each problem's rack as `currentValue`; severity
+ * is stored on the problem by the monitoring service
+ * @param {Array} problems - Problem rows
+ * @returns {Promise<Array>} Problems with currentValue
+ */
+const withCurrentValues = async (problems) => {
+  if (problems.length === 0) {
+    return problems;
+  }
+
+  const readings = new Map((await getLatestRackReadings()).map(row => [row.rack, row]));
+  return problems.map(problem => ({
+    ...problem,
+    currentValue: formatCurrentValue(problem, readings.get(problem.rack))
+  }));
 };
 
 /**
@@ -84,8 +117,8 @@ router.get('/', async (req, res) => {
         first: data.length > 0 ? data[0] : null
       });
       
-      // Enhance data with severity and current values
-      const enhancedData = enhanceProblemsData(data);
+      // Add the latest reading of each rack
+      const enhancedData = await withCurrentValues(data);
       
       logger.info(`[${requestId}] Retrieved ${enhancedData.length} ${isHistorical ? 'historical' : 'current'} problems from database`);
       
@@ -162,7 +195,7 @@ router.get('/', async (req, res) => {
 
 /**
  * @route GET /api/problems/:id
- * @desc Get a specific problem by ID
+ * @desc Get a specific problem by ID, including its state change history
  * @access Public
  */
 router.get('/:id', async (req, res) => {
@@ -178,30 +211,32 @@ router.get('/:id', async (req, res) => {
     const { id } = req.params;
     logger.info(`[${requestId}] Fetching problem data for ID: ${id}`);
     
-    // Implementation for specific problem data
-    // This would need to be implemented with a specific SQL query
+    const problem = await getProblemById(id);
     
     // Calculate response time
     const responseTime = Date.now() - startTime;
     
-    // Log for debug panel
-    const debugLog = {
-      id: requestId,
-      timestamp: new Date().toISOString(),
-      endpoint: `/api/problems/${id}`,
-      method: 'GET',
-      status: 501,
-      responseTime
-    };
-    
     // Include debug information in response headers
     res.set('X-Debug-Id', requestId);
     res.set('X-Debug-Time', `${responseTime}ms`);
     
-    res.status(501).json({
-      status: "Not Implemented",
-      message: "This endpoint is planned for future implementation",
-      debug: debugLog
+    if (!problem) {
+      logger.warn(`[${requestId}] Problem ${id} not found`);
+      return res.status(404).json({
+        status: "Error",
+        message: `Problem ${id} not found`
+      });
+    }
+    
+    const history = await getProblemHistory(id);
+    const [enhancedProblem] = await withCurrentValues([problem]);
+    
+    res.status(200).json({
+      status: "Success",
+      data: {
+        ...enhancedProblem,
+        history
+      }
     });
   } catch (error) {
     logger.error(`[${requestId}] Error fetching problem data for ID ${req.params.id}:`, error);
@@ -232,4 +267,168 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Longest note the problem history accepts
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Build a route handler that moves a problem through its lifecycle
+ * @param {string} action - 'acknowledged', 'unacknowledged' or 'resolved'
+ * @returns {Function} Express route handler
+ */
+const lifecycleHandler = (action) => async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { id } = req.params;
+  const { note } = req.body || {};
+  const user = req.user.username;
+  
+  try {
+    if (typeof note === 'string' && note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({
+        status: "Error",
+        message: `Note must be ${MAX_NOTE_LENGTH} characters or fewer`
+      });
+    }
+    
+    logger.info(`[${requestId}] Problem ${id} ${action} requested by ${user}`);
+    
+    const result = await changeProblemStatus(id, action, user, typeof note === 'string' ? note : '');
+    
+    const responseTime = Date.now() - startTime;
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${responseTime}ms`);
+    
+    if (!result) {
+      return res.status(409).json({
+        status: "Error",
+        message: `Problem ${id} was not found or cannot be ${action} from its current status`
+      });
+    }
+    
+    if (action === 'resolved') {
+      dispatchProblemEvent('resolved', id);
+    } else {
+      publishEvent('problem', { event: action, problemId: id });
+    }
+    
+    res.status(200).json({
+      status: "Success",
+      message: `Problem ${action}`,
+      data: {
+        id,
+        previousStatus: result.fromStatus,
+        status: result.toStatus
+      }
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error processing problem ${action} for ID ${id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+    
+    const responseTime = Date.now() - startTime;
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${responseTime}ms`);
+    
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @route POST /api/problems/:id/acknowledge
+ * @desc Acknowledge an active problem
+ * @access Authenticated
+ */
+router.post('/:id/acknowledge', requireAuth, lifecycleHandler('acknowledged'));
+
+/**
+ * @route POST /api/problems/:id/unacknowledge
+ * @desc Return an acknowledged problem to active
+ * @access Authenticated
+ */
+router.post('/:id/unacknowledge', requireAuth, lifecycleHandler('unacknowledged'));
+
+/**
+ * @route POST /api/problems/:id/resolve
+ * @desc Manually resolve an active or acknowledged problem
+ * @access Authenticated
+ */
+router.post('/:id/resolve', requireAuth, lifecycleHandler('resolved'));
+
+/**
+ * @route POST /api/problems/:id/notes
+ * @desc Add a note to a problem's history
+ * @access Authenticated
+ */
+router.post('/:id/notes', requireAuth, async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { id } = req.params;
+  const { note } = req.body || {};
+  const user = req.user.username;
+  
+  try {
+    if (!note || typeof note !== 'string' || !note.trim()) {
+      logger.warn(`[${requestId}] Problem note request for ${id} is missing the note`);
+      return res.status(400).json({
+        status: "Error",
+        message: "A note is required"
+      });
+    }
+    
+    if (note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({
+        status: "Error",
+        message: `Note must be ${MAX_NOTE_LENGTH} characters or fewer`
+      });
+    }
+    
+    const problem = await getProblemById(id);
+    if (!problem) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Problem ${id} not found`
+      });
+    }
+    
+    const added = await addProblemHistory(id, 'note', {
+      fromStatus: problem.status,
+      toStatus: problem.status,
+      actor: user,
+      note: note.trim()
+    });
+    
+    const responseTime = Date.now() - startTime;
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${responseTime}ms`);
+    
+    if (!added) {
+      return res.status(500).json({
+        status: "Error",
+        message: "Note could not be saved"
+      });
+    }
+    
+    logger.info(`[${requestId}] Note added to problem ${id} by ${user}`);
+    
+    res.status(201).json({
+      status: "Success",
+      message: "Note added"
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error adding note to problem ${id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+    
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,65 +1,38 @@
 import express from 'express';
-import { getRacks } from '../config/db.js';
+import { getRacks, getRackDetail, getRackProblems, changeProblemStatus } from '../config/db.js';
 import { setupLogger } from '../utils/logger.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 import { getDataWithFallback } from '../utils/api.js';
+import { findRestSource } from '../sources/index.js';
+import { buildAuthOptions } from '../sources/rest.js';
+import { getActiveMaintenanceWindows, findMaintenanceWindow } from '../services/maintenanceService.js';
+import { mapRackRecords } from '../services/dashboardService.js';
+import { dispatchProblemEvent } from '../services/notificationService.js';
+import {
+  normalizeRackInput,
+  validateRack,
+  validateManualFields,
+  getChangedFields,
+  listRacks,
+  getRack,
+  createRack,
+  updateRack,
+  decommissionRack,
+  restoreRack
+} from '../services/rackService.js';
+import {
+  IMPORT_FORMATS,
+  readRackFile,
+  previewRackImport,
+  applyRackImport,
+  describeImportPlan,
+  exportRacks
+} from '../services/rackImportService.js';
 import axios from 'axios';
 
 const router = express.Router();
 const logger = setupLogger();
 
-/**
- * Transform power API data to the internal format
- * @param {Array} powerData - Data from power API
- * @returns {Array} Transformed data
- */
-const transformPowerData = (powerData, requestId) => {
-  logger.info(`[${requestId}] Transforming power data: ${powerData.length} items`);
-  
-  try {
-    return powerData.map(item => ({
-      id: item.id?.toString() || '',
-      rackId: item.rackId?.toString() || '',
-      NAME: item.rackName || item.name || '',
-      SITE: item.site || '',
-      DC: item.dc || '',
-      MAINTENANCE: item.maintenance?.toString() || "0",
-      MAXPOWER: item.capacityKw?.toString() || "7",
-      MAXU: "42", // Default value, could be updated if available
-      FREEU: "10", // Default value, could be updated if available
-      TOTAL_VOLTS: item.totalVolts?.toString() || null,
-      TOTAL_AMPS: item.totalAmps?.toString() || null,
-      TOTAL_WATTS: item.totalWatts?.toString() || null,
-      TOTAL_KW: item.totalKw?.toString() || null,
-      TOTAL_KWH: item.totalKwh?.toString() || null,
-      TOTAL_VA: item.totalVa?.toString() || null,
-      TOTAL_PF: item.totalPf?.toString() || null,
-      L1_VOLTS: null, // These details are not in the new API
-      L2_VOLTS: null,
-      L3_VOLTS: null,
-      L1_WATTS: null,
-      L2_WATTS: null,
-      L3_WATTS: null,
-      L1_KW: null,
-      L2_KW: null,
-      L3_KW: null,
-      L1_KWH: null,
-      L2_KWH: null,
-      L3_KWH: null,
-      L1_PF: null,
-      L2_PF: null,
-      L3_PF: null,
-      L1_VA: null,
-      L2_VA: null,
-      L3_VA: null,
-      phase: item.phase || 'Single Phase' // Default to Single Phase if not specified
-    }));
-  } catch (error) {
-    logger.error(`[${requestId}] Error transforming power data: ${error.message}`, error);
-    // Return empty array in case of error to avoid crashing the application
-    return [];
-  }
-};
-
 /**
  * @route GET /api/racks
  * @desc Get all racks data
@@ -78,55 +51,21 @@ router.get('/', async (req, res) => {
     logger.info(`[${requestId}] Fetching racks data`);
     
     try {
-      // Get data from database with fallback to external API
-      const data = await getDataWithFallback(
+      // Get data from database with fallback to the inventory source
+      const source = findRestSource('inventory');
+      const records = await getDataWithFallback(
         getRacks,
-        process.env.API1_URL,
+        source?.endpoint,
         'racks',
         {
           retries: 3,
           retryDelay: 1000,
           useMockOnFail: false, // Don't use mock data on failure
-          debug: true // Enable debugging for API calls
+          debug: true, // Enable debugging for API calls
+          ...buildAuthOptions(source?.auth)
         }
       );
-
-      // New API response is a direct array, not wrapped in data property
-      if (data && Array.isArray(data) && !('status' in data)) {
-        // This is likely the new API format - transform it
-        logger.info(`[${requestId}] Detected new API format, transforming data`);
-        const transformedData = transformPowerData(data, requestId);
-        
-        // Format response
-        const response = {
-          status: "Success",
-          data: transformedData
-        };
-        
-        // Calculate response time
-        const responseTime = Date.now() - startTime;
-        
-        // Log for debug panel
-        const debugLog = {
-          id: requestId,
-          timestamp: new Date().toISOString(),
-          endpoint: '/api/racks',
-          method: 'GET',
-          status: 200,
-          responseTime,
-          responseBody: response
-        };
-        
-        // Include debug information in response headers
-        res.set('X-Debug-Id', requestId);
-        res.set('X-Debug-Time', `${responseTime}ms`);
-        
-        if (req.headers['x-debug'] === 'true') {
-          response.debug = debugLog;
-        }
-        
-        return res.status(200).json(response);
-      }
+      const data = mapRackRecords(records, source, requestId);
       
       // Log successful data retrieval and first item for debugging
       logger.info(`[${requestId}] Successfully retrieved ${data.length} racks`);
@@ -217,9 +156,374 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/racks/inventory
+ * @desc Get the stored rack inventory with the fields set by hand; pass
+ *       include_decommissioned=true to list decommissioned racks as well
+ * @access Public
+ */
+router.get('/inventory', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  try {
+    const racks = await listRacks({ includeDecommissioned: req.query.include_decommissioned === 'true' });
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: racks
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error fetching rack inventory:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/racks/export
+ * @desc Download the rack inventory as CSV or XLSX (format=csv|xlsx), in the
+ *       layout the import reads; include_decommissioned=true adds
+ *       decommissioned racks
+ * @access Public
+ */
+router.get('/export', async (req, res) => {
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const format = req.query.format || 'csv';
+
+  try {
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: "Error",
+        message: `format must be one of: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const content = await exportRacks(format, { includeDecommissioned: req.query.include_decommissioned === 'true' });
+    const filename = `racks-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set('Content-Type', format === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(content);
+  } catch (error) {
+    logger.error(`[${requestId}] Error exporting rack inventory:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/racks/import
+ * @desc Import racks from a CSV or XLSX file ({ filename, content } with the
+ *       content in base64). With dry_run (the default) only the differences
+ *       are returned: new, changed, unchanged and error rows. With
+ *       dry_run=false the file is applied in one transaction, and nothing is
+ *       written if any row has an error.
+ * @access Admin, Manager
+ */
+router.post('/import', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { filename, content } = req.body || {};
+  const dryRun = req.body?.dry_run !== false;
+
+  try {
+    if (!filename || typeof content !== 'string' || !content) {
+      return res.status(400).json({
+        status: "Error",
+        message: 'filename and content (the file in base64) are required'
+      });
+    }
+
+    const file = await readRackFile(filename, Buffer.from(content, 'base64'));
+    if (file.error) {
+      return res.status(400).json({
+        status: "Error",
+        message: file.error
+      });
+    }
+
+    logger.info(`[${requestId}] Rack import of ${filename} (${file.rows.length} rows, columns: ${file.columns.join(', ')}) ${dryRun ? 'previewed' : 'requested'} by ${req.user.username}`);
+
+    const result = dryRun
+      ? { applied: false, plan: await previewRackImport(file.rows) }
+      : await applyRackImport(file.rows, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    if (!dryRun && !result.applied) {
+      return res.status(422).json({
+        status: "Error",
+        message: `Nothing was imported: ${result.plan.summary.error} rows have errors`,
+        data: { applied: false, columns: file.columns, ...describeImportPlan(result.plan) }
+      });
+    }
+
+    res.status(200).json({
+      status: "Success",
+      data: { applied: result.applied, columns: file.columns, ...describeImportPlan(result.plan) }
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error importing racks from ${filename}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/racks
+ * @desc Add a rack the inventory source doesn't report
+ * @access Admin, Manager
+ */
+router.post('/', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const rack = normalizeRackInput(req.body || {});
+
+  try {
+    const validationError = validateRack(rack);
+    if (validationError) {
+      return res.status(400).json({
+        status: "Error",
+        message: validationError
+      });
+    }
+
+    const existing = await getRack(rack.name);
+    if (existing) {
+      return res.status(409).json({
+        status: "Error",
+        message: existing.decommissioned_at
+          ? `Rack ${rack.name} exists but is decommissioned; restore it instead`
+          : `Rack ${rack.name} already exists`
+      });
+    }
+
+    const created = await createRack(rack, req.user.username);
+    if (!created) {
+      throw new Error('Rack could not be created');
+    }
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(201).json({
+      status: "Success",
+      data: created
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error creating rack ${rack.name}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/racks/:id
+ * @desc Update a rack. Changed fields are marked as set by hand, so the
+ *       monitoring cycle keeps them; send manual_fields to choose the list
+ *       instead (leaving a field out hands it back to the inventory source)
+ * @access Admin, Manager
+ */
+router.put('/:id', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { id } = req.params;
+  const body = req.body || {};
+
+  try {
+    const existing = await getRack(id);
+    if (!existing) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Rack ${id} not found`
+      });
+    }
+    if (existing.decommissioned_at) {
+      return res.status(409).json({
+        status: "Error",
+        message: `Rack ${existing.name} is decommissioned`
+      });
+    }
+    if (body.name !== undefined && body.name !== existing.name) {
+      return res.status(400).json({
+        status: "Error",
+        message: 'name cannot be changed, it links the rack to the data sources'
+      });
+    }
+
+    const rack = normalizeRackInput(body, existing);
+    const validationError = validateRack(rack)
+      || (body.manual_fields !== undefined ? validateManualFields(body.manual_fields) : null);
+    if (validationError) {
+      return res.status(400).json({
+        status: "Error",
+        message: validationError
+      });
+    }
+
+    const manualFields = body.manual_fields !== undefined
+      ? [...new Set(body.manual_fields)]
+      : [...new Set([...existing.manual_fields, ...getChangedFields(existing, rack)])];
+    const updated = await updateRack(existing.id, rack, manualFields, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: updated
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error updating rack ${id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/racks/:id
+ * @desc Decommission a rack: it leaves the dashboard and the monitoring
+ *       cycle, and its open problems are resolved. Readings and problem
+ *       history are kept.
+ * @access Admin, Manager
+ */
+router.delete('/:id', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { id } = req.params;
+  const user = req.user.username;
+
+  try {
+    const existing = await getRack(id);
+    if (!existing) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Rack ${id} not found`
+      });
+    }
+    if (existing.decommissioned_at) {
+      return res.status(409).json({
+        status: "Error",
+        message: `Rack ${existing.name} is already decommissioned`
+      });
+    }
+
+    const openProblems = await decommissionRack(existing, user);
+    let resolvedCount = 0;
+    for (const problemId of openProblems) {
+      if (await changeProblemStatus(problemId, 'resolved', user, 'Rack decommissioned')) {
+        dispatchProblemEvent('resolved', problemId);
+        resolvedCount++;
+      }
+    }
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      message: `Rack ${existing.name} decommissioned${resolvedCount > 0 ? `, ${resolvedCount} open problems resolved` : ''}`
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error decommissioning rack ${id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/racks/:id/restore
+ * @desc Put a decommissioned rack back in service
+ * @access Admin, Manager
+ */
+router.post('/:id/restore', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { id } = req.params;
+
+  try {
+    const existing = await getRack(id);
+    if (!existing) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Rack ${id} not found`
+      });
+    }
+    if (!existing.decommissioned_at) {
+      return res.status(409).json({
+        status: "Error",
+        message: `Rack ${existing.name} is in service`
+      });
+    }
+
+    const restored = await restoreRack(existing, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: restored
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error restoring rack ${id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/racks/:id
- * @desc Get a specific rack by ID
+ * @desc Get a specific rack by ID or name, with its latest reading and problems
  * @access Public
  */
 router.get('/:id', async (req, res) => {
@@ -233,35 +537,41 @@ router.get('/:id', async (req, res) => {
   
   try {
     const { id } = req.params;
-    logger.info(`[${requestId}] Fetching rack data for ID: ${id}`);
+    logger.info(`[${requestId}] Fetching rack data for ${id}`);
     
-    // Implementation for specific rack data
-    // This would need to be implemented with a specific SQL query
+    const rack = await getRackDetail(id);
     
     // Calculate response time
     const responseTime = Date.now() - startTime;
     
-    // Log for debug panel
-    const debugLog = {
-      id: requestId,
-      timestamp: new Date().toISOString(),
-      endpoint: `/api/racks/${id}`,
-      method: 'GET',
-      status: 501,
-      responseTime
-    };
-    
     // Include debug information in response headers
     res.set('X-Debug-Id', requestId);
     res.set('X-Debug-Time', `${responseTime}ms`);
     
-    res.status(501).json({
-      status: "Not Implemented",
-      message: "This endpoint is planned for future implementation",
-      debug: debugLog
+    if (!rack) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Rack ${id} not found`
+      });
+    }
+    
+    const [problems, maintenanceWindows] = await Promise.all([
+      getRackProblems(rack.id),
+      getActiveMaintenanceWindows()
+    ]);
+    
+    logger.info(`[${requestId}] Retrieved rack ${rack.NAME} with ${problems.length} problems`);
+    
+    res.status(200).json({
+      status: "Success",
+      data: {
+        ...rack,
+        maintenance_window: findMaintenanceWindow(maintenanceWindows, { site: rack.SITE, dc: rack.DC, rack: rack.NAME }),
+        problems
+      }
     });
   } catch (error) {
-    logger.error(`[${requestId}] Error fetching rack data for ID ${req.params.id}:`, error);
+    logger.error(`[${requestId}] Error fetching rack data for ${req.params.id}:`, error);
     
     // Calculate response time
     const responseTime = Date.now() - startTime;
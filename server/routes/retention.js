@@ -0,0 +1,134 @@
+import express from 'express';
+import { setupLogger } from '../utils/logger.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+import { dbEnabled } from '../config/db.js';
+import {
+  validateSettings,
+  getRetentionStatus,
+  runRetention,
+  updateRetentionSettings,
+  isRetentionRunning
+} from '../services/retentionService.js';
+
+const router = express.Router();
+const logger = setupLogger();
+
+/**
+ * @route GET /api/retention
+ * @desc Get retention settings, row counts of the retained tables and the last run
+ * @access Public
+ */
+router.get('/', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  try {
+    const status = await getRetentionStatus();
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: status
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error fetching retention status:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/retention/settings
+ * @desc Update retention settings and re-schedule the retention job
+ * @access Admin, Manager
+ */
+router.put('/settings', requireRole('Admin', 'Manager'), async (req, res) => {
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const body = req.body || {};
+
+  try {
+    const candidate = {
+      enabled: body.enabled,
+      rawRetentionDays: body.rawRetentionDays,
+      hourlyRetentionDays: body.hourlyRetentionDays,
+      dailyRetentionDays: body.dailyRetentionDays,
+      problemArchiveMonths: body.problemArchiveMonths,
+      purgeBatchSize: body.purgeBatchSize,
+      jobCron: typeof body.jobCron === 'string' ? body.jobCron.trim() : body.jobCron
+    };
+    const validationError = validateSettings(candidate);
+    if (validationError) {
+      return res.status(400).json({
+        status: "Error",
+        message: validationError
+      });
+    }
+
+    const saved = await updateRetentionSettings(candidate, req.user.username);
+    if (!saved) {
+      return res.status(500).json({
+        status: "Error",
+        message: 'Error saving the retention settings'
+      });
+    }
+
+    res.status(200).json({
+      status: "Success",
+      data: saved
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error updating retention settings:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/retention/run
+ * @desc Start a retention run now; it continues in the background
+ * @access Admin, Manager
+ */
+router.post('/run', requireRole('Admin', 'Manager'), (req, res) => {
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  if (!dbEnabled) {
+    return res.status(503).json({
+      status: "Error",
+      message: 'Database is disabled'
+    });
+  }
+  if (isRetentionRunning()) {
+    return res.status(409).json({
+      status: "Error",
+      message: 'A retention run is already in progress'
+    });
+  }
+
+  runRetention({ trigger: 'manual', requestedBy: req.user.username }).catch(error => {
+    logger.error(`[${requestId}] Manual retention run failed:`, {
+      error: error.message,
+      stack: error.stack
+    });
+  });
+
+  res.status(202).json({
+    status: "Success",
+    message: 'Retention run started'
+  });
+});
+
+export default router;
@@ -1,103 +1,14 @@
 import express from 'express';
-import { getSensorReadings } from '../config/db.js';
+import { getSensorReadings, getSensorHistory } from '../config/db.js';
 import { setupLogger } from '../utils/logger.js';
 import { getDataWithFallback } from '../utils/api.js';
+import { findRestSource } from '../sources/index.js';
+import { buildAuthOptions } from '../sources/rest.js';
+import { mapSensorRecords } from '../services/dashboardService.js';
 
 const router = express.Router();
 const logger = setupLogger();
 
-/**
- * Transform the new sensor API data to our internal format
- * @param {Array} sensorData - Data from sensor API
- * @returns {Array} Transformed sensor data
- */
-const transformNewSensorData = (sensorData, requestId) => {
-  logger.info(`[${requestId}] Transforming sensor data with ${sensorData.length} items using new API format`);
-  
-  try {
-    return sensorData.map(item => ({
-      id: item.id?.toString() || '',
-      nodeId: item.nodeId?.toString() || '',
-      sensorIndex: item.sensorIndex?.toString() || '',
-      sensorType: item.sensorType || '',
-      rackId: item.rackId?.toString() || '',
-      RACK_NAME: item.rackName || item.name || '',
-      SITE: item.site || '',
-      DC: item.dc || '',
-      TEMPERATURE: item.temperature?.toString() || '',
-      HUMIDITY: item.humidity?.toString() || '',
-      lastUpdate: item.lastUpdate || '',
-      status: item.status || ''
-    }));
-  } catch (error) {
-    logger.error(`[${requestId}] Error transforming sensor data: ${error.message}`, error);
-    return []; // Return empty array on error
-  }
-};
-
-/**
- * Transform raw sensor data into a standardized format
- * @param {Array|Object} rawData - The raw data from API or database
- * @returns {Array} Standardized sensor data array
- */
-const transformSensorData = (rawData, requestId) => {
-  // If already array, check if it's in the expected format
-  if (Array.isArray(rawData)) {
-    // Check first item to see if it has the structure of the new API format
-    if (rawData.length > 0 && 
-        rawData[0].hasOwnProperty('temperature') && 
-        rawData[0].hasOwnProperty('humidity') && 
-        typeof rawData[0].temperature === 'number') {
-      // This appears to be the new API format
-      logger.debug(`[${requestId}] Detected new sensor API format`);
-      return transformNewSensorData(rawData, requestId);
-    }
-    
-    // Check if it's in our current expected format
-    if (rawData.length > 0 && rawData[0].RACK_NAME) {
-      logger.debug(`[${requestId}] Sensor data already in correct format`);
-      return rawData;
-    }
-    
-    // If it doesn't, try to transform each item
-    logger.debug(`[${requestId}] Transforming sensor data array with ${rawData.length} items`);
-    return rawData.map(item => {
-      return {
-        RACK_NAME: item.NAME || item.name || item.rack_name || item.rackName || 'Unknown',
-        TEMPERATURE: item.TEMPERATURE || (item.temperature !== undefined ? item.temperature.toString() : null),
-        HUMIDITY: item.HUMIDITY || (item.humidity !== undefined ? item.humidity.toString() : null),
-        SITE: item.SITE || item.site || 'Unknown',
-        DC: item.DC || item.dc || item.datacenter || 'Unknown'
-      };
-    });
-  }
-  
-  // If object with nested data, try to extract
-  if (rawData && typeof rawData === 'object') {
-    if (rawData.sensors && Array.isArray(rawData.sensors)) {
-      logger.debug(`[${requestId}] Extracting sensor data from 'sensors' property`);
-      return transformSensorData(rawData.sensors, requestId);
-    }
-    if (rawData.readings && Array.isArray(rawData.readings)) {
-      logger.debug(`[${requestId}] Extracting sensor data from 'readings' property`);
-      return transformSensorData(rawData.readings, requestId);
-    }
-    if (rawData.results && Array.isArray(rawData.results)) {
-      logger.debug(`[${requestId}] Extracting sensor data from 'results' property`);
-      return transformSensorData(rawData.results, requestId);
-    }
-    if (rawData.data && Array.isArray(rawData.data)) {
-      logger.debug(`[${requestId}] Extracting sensor data from 'data' property`);
-      return transformSensorData(rawData.data, requestId);
-    }
-  }
-  
-  // If nothing worked, log error and return empty array
-  logger.error(`[${requestId}] Could not transform sensor data, invalid format:`, 
-    typeof rawData === 'object' ? Object.keys(rawData) : typeof rawData);
-  return [];
-};
-
 /**
  * @route GET /api/sensors
  * @desc Get all sensor readings
@@ -116,104 +27,37 @@ router.get('/', async (req, res) => {
     logger.info(`[${requestId}] Fetching sensor readings`);
     
     try {
-      // Get data from database with fallback to external API
-      let rawData = await getDataWithFallback(
+      // Get data from database with fallback to the environmental source
+      const source = findRestSource('environmental');
+      const rawData = await getDataWithFallback(
         getSensorReadings,
-        process.env.API2_URL,
+        source?.endpoint,
         'sensor readings',
         {
           retries: 3,
           retryDelay: 1000,
           useMockOnFail: false, // Don't use mock data
-          debug: true // Enable debugging for API calls
+          debug: true, // Enable debugging for API calls
+          ...buildAuthOptions(source?.auth)
         }
       );
       
-      // Check if we got the new API format (direct array)
-      if (rawData && Array.isArray(rawData) && rawData.length > 0 && 
-          rawData[0].hasOwnProperty('temperature') && typeof rawData[0].temperature === 'number') {
-        // Transform data from the new API format
-        const data = transformNewSensorData(rawData, requestId);
-        logger.info(`[${requestId}] Processed data from new sensor API format`);
-        
-        // Format response
-        const response = {
-          status: "Success",
-          data: data
-        };
-        
-        // Calculate response time
-        const responseTime = Date.now() - startTime;
-        
-        // Log for debug panel
-        const debugLog = {
-          id: requestId,
-          timestamp: new Date().toISOString(),
-          endpoint: '/api/sensors',
-          method: 'GET',
-          status: 200,
-          responseTime,
-          responseBody: response
-        };
-        
-        // Include debug information in response headers
-        res.set('X-Debug-Id', requestId);
-        res.set('X-Debug-Time', `${responseTime}ms`);
-        
-        if (req.headers['x-debug'] === 'true') {
-          response.debug = debugLog;
-        }
-        
-        return res.status(200).json(response);
-      } else {
-        // Transform the data to ensure consistent format with legacy API
-        const data = transformSensorData(rawData, requestId);
-        
-        // Log the transformation results
-        logger.info(`[${requestId}] Transformed sensor data, got ${data.length} readings`);
-        if (data.length > 0) {
-          logger.debug(`[${requestId}] First sensor data item:`, data[0]);
-        }
-        
-        // If no data was returned or transformation failed, return empty array
-        if (!data || data.length === 0) {
-          logger.warn(`[${requestId}] No sensor data after transformation, returning empty array`);
-          
-          // Format response with empty array
-          const response = {
-            status: "Success",
-            data: []
-          };
-          
-          // Calculate response time
-          const responseTime = Date.now() - startTime;
-          
-          // Log for debug panel
-          const debugLog = {
-            id: requestId,
-            timestamp: new Date().toISOString(),
-            endpoint: '/api/sensors',
-            method: 'GET',
-            status: 200,
-            responseTime,
-            responseBody: response
-          };
-          
-          // Include debug information in response headers
-          res.set('X-Debug-Id', requestId);
-          res.set('X-Debug-Time', `${responseTime}ms`);
-          
-          if (req.headers['x-debug'] === 'true') {
-            response.debug = debugLog;
-          }
-          
-          return res.status(200).json(response);
-        }
+      const data = mapSensorRecords(rawData, source, requestId);
+      
+      // Log the mapping results
+      logger.info(`[${requestId}] Mapped sensor data, got ${data.length} readings`);
+      if (data.length > 0) {
+        logger.debug(`[${requestId}] First sensor data item:`, data[0]);
+      }
+      
+      // If no data was returned or mapping failed, return empty array
+      if (!data || data.length === 0) {
+        logger.warn(`[${requestId}] No sensor data after mapping, returning empty array`);
         
-        // Format response
+        // Format response with empty array
         const response = {
           status: "Success",
-          data: data
+          data: []
         };
         
         // Calculate response time
@@ -240,6 +84,36 @@ router.get('/', async (req, res) => {
         
         return res.status(200).json(response);
       }
+      
+      // Format response
+      const response = {
+        status: "Success",
+        data: data
+      };
+      
+      // Calculate response time
+      const responseTime = Date.now() - startTime;
+      
+      // Log for debug panel
+      const debugLog = {
+        id: requestId,
+        timestamp: new Date().toISOString(),
+        endpoint: '/api/sensors',
+        method: 'GET',
+        status: 200,
+        responseTime,
+        responseBody: response
+      };
+      
+      // Include debug information in response headers
+      res.set('X-Debug-Id', requestId);
+      res.set('X-Debug-Time', `${responseTime}ms`);
+      
+      if (req.headers['x-debug'] === 'true') {
+        response.debug = debugLog;
+      }
+      
+      return res.status(200).json(response);
     } catch (error) {
       logger.error(`[${requestId}] Failed to retrieve sensor data:`, error);
       
@@ -296,6 +170,136 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Longest range allowed for each history bucket, in days
+const HISTORY_MAX_RANGE_DAYS = {
+  raw: 7,
+  '5m': 31,
+  '1h': 366,
+  '1d': 1830
+};
+
+const HISTORY_METRICS = ['temperature', 'humidity', 'current', 'voltage', 'kw'];
+
+const toNumber = (value) => value === null || value === undefined ? null : Number(value);
+
+/**
+ * Nest the flat <metric>_min/_avg/_max columns into { metric: { min, avg, max } }
+ */
+const formatHistoryPoint = (row) => {
+  const point = {
+    time: row.bucket_start,
+    samples: row.samples
+  };
+  if (row.rack !== undefined) {
+    point.rack = row.rack;
+  }
+  for (const metric of HISTORY_METRICS) {
+    point[metric] = {
+      min: toNumber(row[`${metric}_min`]),
+      avg: toNumber(row[`${metric}_avg`]),
+      max: toNumber(row[`${metric}_max`])
+    };
+  }
+  return point;
+};
+
+/**
+ * @route GET /api/sensors/history
+ * @desc Get min/avg/max temperature, humidity, current, voltage and kW over time
+ *       for a rack, site or datacenter.
+ *       Query: rack, site, dc, from, to (ISO dates, default last 24h),
+ *       bucket (raw, 5m, 1h, 1d; default 1h), groupBy=rack for one series per rack.
+ *       At most 20000 points are returned, the newest ones; truncated is true
+ *       when older points were left out
+ * @access Public
+ */
+router.get('/history', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  
+  // Apply CORS headers specifically for this route
+  res.header("Access-Control-Allow-Origin", "*");
+  res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Debug, X-Request-ID");
+  
+  try {
+    const rack = typeof req.query.rack === 'string' ? req.query.rack.trim() : '';
+    const site = typeof req.query.site === 'string' ? req.query.site.trim() : '';
+    const dc = typeof req.query.dc === 'string' ? req.query.dc.trim() : '';
+    const bucket = typeof req.query.bucket === 'string' ? req.query.bucket : '1h';
+    const perRack = req.query.groupBy === 'rack';
+    
+    if (!HISTORY_MAX_RANGE_DAYS[bucket]) {
+      return res.status(400).json({
+        status: "Error",
+        message: `bucket must be one of: ${Object.keys(HISTORY_MAX_RANGE_DAYS).join(', ')}`
+      });
+    }
+    
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        status: "Error",
+        message: "from and to must be valid ISO dates"
+      });
+    }
+    
+    if (from >= to) {
+      return res.status(400).json({
+        status: "Error",
+        message: "from must be before to"
+      });
+    }
+    
+    const rangeDays = (to - from) / (24 * 60 * 60 * 1000);
+    if (rangeDays > HISTORY_MAX_RANGE_DAYS[bucket]) {
+      return res.status(400).json({
+        status: "Error",
+        message: `The ${bucket} bucket supports ranges of up to ${HISTORY_MAX_RANGE_DAYS[bucket]} days; use a coarser bucket`
+      });
+    }
+    
+    logger.info(`[${requestId}] Fetching sensor history`, { rack, site, dc, from, to, bucket, perRack });
+    
+    const { rows, truncated } = await getSensorHistory({ rack, site, dc, from, to, bucket, perRack });
+    const points = rows.map(formatHistoryPoint);
+    
+    const responseTime = Date.now() - startTime;
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${responseTime}ms`);
+    
+    res.status(200).json({
+      status: "Success",
+      data: {
+        scope: { rack: rack || null, site: site || null, dc: dc || null },
+        from: from.toISOString(),
+        to: to.toISOString(),
+        bucket,
+        groupBy: perRack ? 'rack' : 'scope',
+        // The oldest points were left out to keep the response bounded
+        truncated,
+        points
+      }
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error fetching sensor history:`, {
+      error: error.message,
+      stack: error.stack
+    });
+    
+    const responseTime = Date.now() - startTime;
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${responseTime}ms`);
+    
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/sensors/rack/:rackId
  * @desc Get sensor readings for a specific rack
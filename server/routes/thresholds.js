@@ -1,6 +1,29 @@
 import express from 'express';
 import { setupLogger } from '../utils/logger.js';
 import { executeQuery, getThresholds, updateThresholds } from '../config/db.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+import {
+  OVERRIDE_SCOPES,
+  CRITICAL_FIELDS,
+  THRESHOLD_FIELDS,
+  findTierConflict,
+  listThresholdOverrides,
+  getThresholdOverride,
+  overrideTargetExists,
+  createThresholdOverride,
+  updateThresholdOverride,
+  deleteThresholdOverride
+} from '../services/thresholdService.js';
+import {
+  normalizeRuleInput,
+  validateRule,
+  listAlertRules,
+  getAlertRule,
+  findRuleConflict,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule
+} from '../services/ruleService.js';
 
 const router = express.Router();
 const logger = setupLogger();
@@ -190,6 +213,16 @@ router.get('/', async (req, res) => {
           max_humidity,
           max_power_single_phase,
           max_power_three_phase,
+          max_power_per_phase,
+          max_phase_imbalance,
+          critical_min_temp,
+          critical_max_temp,
+          critical_min_humidity,
+          critical_max_humidity,
+          critical_max_power_single_phase,
+          critical_max_power_three_phase,
+          critical_max_power_per_phase,
+          critical_max_phase_imbalance,
           created_at,
           updated_at
         FROM thresholds WITH (NOLOCK)
@@ -237,6 +270,16 @@ router.get('/', async (req, res) => {
         max_humidity: 70.0,
         max_power_single_phase: 16.0,
         max_power_three_phase: 48.0,
+        max_power_per_phase: 16.0,
+        max_phase_imbalance: 20.0,
+        critical_min_temp: 15.0,
+        critical_max_temp: 35.0,
+        critical_min_humidity: 35.0,
+        critical_max_humidity: 75.0,
+        critical_max_power_single_phase: 20.0,
+        critical_max_power_three_phase: 60.0,
+        critical_max_power_per_phase: 20.0,
+        critical_max_phase_imbalance: 40.0,
         created_at: new Date(),
         updated_at: new Date()
       }];
@@ -284,9 +327,9 @@ router.get('/', async (req, res) => {
 /**
  * @route PUT /api/thresholds
  * @desc Update threshold settings
- * @access Public
+ * @access Admin, Manager
  */
-router.put('/', async (req, res) => {
+router.put('/', requireRole('Admin', 'Manager'), async (req, res) => {
   const startTime = Date.now();
   const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
   
@@ -309,9 +352,17 @@ router.put('/', async (req, res) => {
       min_humidity, 
       max_humidity, 
       max_power_single_phase, 
-      max_power_three_phase 
+      max_power_three_phase,
+      max_power_per_phase,
+      max_phase_imbalance
     } = req.body;
     
+    // Per-phase and critical limits are optional; when omitted the current values are kept
+    const hasValue = value => value !== undefined && value !== null && value !== '';
+    const criticalLimits = Object.fromEntries(
+      CRITICAL_FIELDS.filter(field => hasValue(req.body[field])).map(field => [field, req.body[field]])
+    );
+    
     // Validate inputs
     if (min_temp === undefined || max_temp === undefined || 
         min_humidity === undefined || max_humidity === undefined || 
@@ -354,6 +405,45 @@ router.put('/', async (req, res) => {
       });
     }
     
+    const invalidPhaseLimit = [['max_power_per_phase', max_power_per_phase], ['max_phase_imbalance', max_phase_imbalance]]
+      .find(([, value]) => hasValue(value) && !(Number(value) > 0));
+    if (invalidPhaseLimit) {
+      return res.status(400).json({
+        status: "Error",
+        message: `${invalidPhaseLimit[0]} must be a positive number`
+      });
+    }
+    
+    const invalidCriticalLimit = Object.keys(criticalLimits).find(field => !Number.isFinite(Number(criticalLimits[field])));
+    if (invalidCriticalLimit) {
+      return res.status(400).json({
+        status: "Error",
+        message: `${invalidCriticalLimit} must be a number`
+      });
+    }
+    
+    // Critical limits are checked against the warning limits they will apply
+    // with, taking omitted values from the current version
+    const [currentThresholds] = await getThresholds();
+    const tierConflict = findTierConflict({
+      ...currentThresholds,
+      min_temp,
+      max_temp,
+      min_humidity,
+      max_humidity,
+      max_power_single_phase,
+      max_power_three_phase,
+      ...(hasValue(max_power_per_phase) ? { max_power_per_phase } : {}),
+      ...(hasValue(max_phase_imbalance) ? { max_phase_imbalance } : {}),
+      ...criticalLimits
+    });
+    if (tierConflict) {
+      return res.status(400).json({
+        status: "Error",
+        message: tierConflict
+      });
+    }
+    
     logger.info(`[${requestId}] Validated thresholds, proceeding with update`, {
       requestId,
       thresholds: { 
@@ -362,7 +452,10 @@ router.put('/', async (req, res) => {
         min_humidity, 
         max_humidity, 
         max_power_single_phase, 
-        max_power_three_phase 
+        max_power_three_phase,
+        max_power_per_phase,
+        max_phase_imbalance,
+        ...criticalLimits
       }
     });
     
@@ -372,10 +465,25 @@ router.put('/', async (req, res) => {
         requestId
       });
       
+      // Optional per-phase and critical limits are passed by name so omitted ones keep their value
+      const spParams = [min_temp, max_temp, min_humidity, max_humidity, max_power_single_phase, max_power_three_phase];
+      const namedArgs = [];
+      const optionalLimits = [
+        ['max_power_per_phase', max_power_per_phase],
+        ['max_phase_imbalance', max_phase_imbalance],
+        ...CRITICAL_FIELDS.map(field => [field, criticalLimits[field]])
+      ];
+      for (const [name, value] of optionalLimits) {
+        if (hasValue(value)) {
+          namedArgs.push(`@${name} = @param${spParams.length}`);
+          spParams.push(value);
+        }
+      }
+      
       const spStartTime = Date.now();
       await executeQuery(
-        "EXEC sp_update_thresholds @param0, @param1, @param2, @param3, @param4, @param5", 
-        [min_temp, max_temp, min_humidity, max_humidity, max_power_single_phase, max_power_three_phase], 
+        `EXEC sp_update_thresholds @param0, @param1, @param2, @param3, @param4, @param5${namedArgs.map(arg => `, ${arg}`).join('')}`, 
+        spParams, 
         { 
           queryId: requestId, 
           label: 'Update Thresholds SP',
@@ -410,9 +518,33 @@ router.put('/', async (req, res) => {
     // Always create a new record for versioning
     const query = `
       INSERT INTO thresholds 
-        (name, min_temp, max_temp, min_humidity, max_humidity, max_power_single_phase, max_power_three_phase)
-      VALUES
-        ('global', @param0, @param1, @param2, @param3, @param4, @param5)
+        (name, min_temp, max_temp, min_humidity, max_humidity, max_power_single_phase, max_power_three_phase,
+         max_power_per_phase, max_phase_imbalance,
+         critical_min_temp, critical_max_temp, critical_min_humidity, critical_max_humidity,
+         critical_max_power_single_phase, critical_max_power_three_phase,
+         critical_max_power_per_phase, critical_max_phase_imbalance)
+      SELECT
+        'global', @param0, @param1, @param2, @param3, @param4, @param5,
+        COALESCE(CAST(NULLIF(@param6, '') AS DECIMAL(5,2)), latest.max_power_per_phase, 16.0),
+        COALESCE(CAST(NULLIF(@param7, '') AS DECIMAL(5,2)), latest.max_phase_imbalance, 20.0),
+        COALESCE(CAST(NULLIF(@param8, '') AS DECIMAL(5,2)), latest.critical_min_temp, 15.0),
+        COALESCE(CAST(NULLIF(@param9, '') AS DECIMAL(5,2)), latest.critical_max_temp, 35.0),
+        COALESCE(CAST(NULLIF(@param10, '') AS DECIMAL(5,2)), latest.critical_min_humidity, 35.0),
+        COALESCE(CAST(NULLIF(@param11, '') AS DECIMAL(5,2)), latest.critical_max_humidity, 75.0),
+        COALESCE(CAST(NULLIF(@param12, '') AS DECIMAL(5,2)), latest.critical_max_power_single_phase, 20.0),
+        COALESCE(CAST(NULLIF(@param13, '') AS DECIMAL(5,2)), latest.critical_max_power_three_phase, 60.0),
+        COALESCE(CAST(NULLIF(@param14, '') AS DECIMAL(5,2)), latest.critical_max_power_per_phase, 20.0),
+        COALESCE(CAST(NULLIF(@param15, '') AS DECIMAL(5,2)), latest.critical_max_phase_imbalance, 40.0)
+      FROM (SELECT 1 AS one) base
+      OUTER APPLY (
+        SELECT TOP 1 max_power_per_phase, max_phase_imbalance,
+          critical_min_temp, critical_max_temp, critical_min_humidity, critical_max_humidity,
+          critical_max_power_single_phase, critical_max_power_three_phase,
+          critical_max_power_per_phase, critical_max_phase_imbalance
+        FROM thresholds
+        WHERE name = 'global'
+        ORDER BY created_at DESC
+      ) latest
     `;
     
     const params = [
@@ -421,7 +553,10 @@ router.put('/', async (req, res) => {
       min_humidity,
       max_humidity,
       max_power_single_phase,
-      max_power_three_phase
+      max_power_three_phase,
+      hasValue(max_power_per_phase) ? String(max_power_per_phase) : '',
+      hasValue(max_phase_imbalance) ? String(max_phase_imbalance) : '',
+      ...CRITICAL_FIELDS.map(field => hasValue(criticalLimits[field]) ? String(criticalLimits[field]) : '')
     ];
     
     logger.info(`[${requestId}] Executing direct insert query for thresholds`, {
@@ -498,6 +633,417 @@ router.put('/', async (req, res) => {
   }
 });
 
+/**
+ * Validate a threshold override, returning an error message or null
+ * @param {Object} body - Request body
+ * @param {boolean} checkTarget - Whether to validate scope and target (create only)
+ */
+const validateOverride = (body, checkTarget) => {
+  if (checkTarget) {
+    const { scope, site, dc, rack_name } = body;
+    if (!OVERRIDE_SCOPES.includes(scope)) {
+      return `scope must be one of: ${OVERRIDE_SCOPES.join(', ')}`;
+    }
+    if (scope === 'rack' && !rack_name) {
+      return 'rack_name is required for a rack override';
+    }
+    if ((scope === 'site' || scope === 'dc') && !site) {
+      return 'site is required for a site or datacenter override';
+    }
+    if (scope === 'dc' && !dc) {
+      return 'dc is required for a datacenter override';
+    }
+  }
+
+  const limits = THRESHOLD_FIELDS.filter(field => body[field] !== null && body[field] !== undefined && body[field] !== '');
+  if (limits.length === 0) {
+    return 'At least one threshold value is required';
+  }
+  const invalid = limits.find(field => !Number.isFinite(Number(body[field])));
+  if (invalid) {
+    return `${invalid} must be a number`;
+  }
+
+  // Only compare pairs set on this override; inherited values are checked at resolution
+  const isSet = field => limits.includes(field);
+  if (isSet('min_temp') && isSet('max_temp') && Number(body.min_temp) >= Number(body.max_temp)) {
+    return 'Minimum temperature must be less than maximum temperature';
+  }
+  if (isSet('min_humidity') && isSet('max_humidity') && Number(body.min_humidity) >= Number(body.max_humidity)) {
+    return 'Minimum humidity must be less than maximum humidity';
+  }
+  const tierConflict = findTierConflict(Object.fromEntries(limits.map(field => [field, body[field]])));
+  if (tierConflict) {
+    return tierConflict;
+  }
+
+  return null;
+};
+
+/**
+ * @route GET /api/thresholds/overrides
+ * @desc Get all site, datacenter and rack threshold overrides
+ * @access Public
+ */
+router.get('/overrides', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  try {
+    const overrides = await listThresholdOverrides();
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: overrides
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error fetching threshold overrides:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/thresholds/overrides
+ * @desc Create a threshold override for a site, datacenter or rack
+ * @access Admin, Manager
+ */
+router.post('/overrides', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const body = req.body || {};
+
+  try {
+    const validationError = validateOverride(body, true);
+    if (validationError) {
+      return res.status(400).json({
+        status: "Error",
+        message: validationError
+      });
+    }
+
+    // Only keep the target fields that belong to the scope
+    const target = {
+      scope: body.scope,
+      site: body.scope === 'rack' ? '' : String(body.site).trim(),
+      dc: body.scope === 'dc' ? String(body.dc).trim() : '',
+      rack_name: body.scope === 'rack' ? String(body.rack_name).trim() : ''
+    };
+
+    if (await overrideTargetExists(target)) {
+      return res.status(409).json({
+        status: "Error",
+        message: 'An override already exists for this target'
+      });
+    }
+
+    const created = await createThresholdOverride({ ...body, ...target }, req.user.username);
+    if (!created) {
+      throw new Error('Threshold override could not be created');
+    }
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(201).json({
+      status: "Success",
+      data: created
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error creating threshold override:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/thresholds/overrides/:id
+ * @desc Update the limits of a threshold override
+ * @access Admin, Manager
+ */
+router.put('/overrides/:id', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { id } = req.params;
+
+  try {
+    const existing = await getThresholdOverride(id);
+    if (!existing) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Threshold override ${id} not found`
+      });
+    }
+
+    const validationError = validateOverride(req.body || {}, false);
+    if (validationError) {
+      return res.status(400).json({
+        status: "Error",
+        message: validationError
+      });
+    }
+
+    const updated = await updateThresholdOverride(id, req.body, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: updated
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error updating threshold override ${id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/thresholds/overrides/:id
+ * @desc Delete a threshold override
+ * @access Admin, Manager
+ */
+router.delete('/overrides/:id', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { id } = req.params;
+
+  try {
+    const existing = await getThresholdOverride(id);
+    if (!existing) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Threshold override ${id} not found`
+      });
+    }
+
+    await deleteThresholdOverride(id, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      message: "Threshold override deleted"
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error deleting threshold override ${id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/thresholds/rules
+ * @desc Get all alert rules (sustained, rate-of-change and stale data)
+ * @access Public
+ */
+router.get('/rules', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  try {
+    const rules = await listAlertRules();
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: rules
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error fetching alert rules:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/thresholds/rules
+ * @desc Create an alert rule
+ * @access Admin, Manager
+ */
+router.post('/rules', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  try {
+    const rule = normalizeRuleInput(req.body || {});
+    const validationError = validateRule(rule);
+    if (validationError) {
+      return res.status(400).json({
+        status: "Error",
+        message: validationError
+      });
+    }
+
+    const conflict = await findRuleConflict(rule);
+    if (conflict) {
+      return res.status(409).json({
+        status: "Error",
+        message: conflict
+      });
+    }
+
+    const created = await createAlertRule(rule, req.user.username);
+    if (!created) {
+      throw new Error('Alert rule could not be created');
+    }
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(201).json({
+      status: "Success",
+      data: created
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error creating alert rule:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/thresholds/rules/:id
+ * @desc Update an alert rule
+ * @access Admin, Manager
+ */
+router.put('/rules/:id', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { id } = req.params;
+
+  try {
+    const existing = await getAlertRule(id);
+    if (!existing) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Alert rule ${id} not found`
+      });
+    }
+
+    const rule = normalizeRuleInput(req.body || {});
+    const validationError = validateRule(rule);
+    if (validationError) {
+      return res.status(400).json({
+        status: "Error",
+        message: validationError
+      });
+    }
+
+    const conflict = await findRuleConflict(rule, id);
+    if (conflict) {
+      return res.status(409).json({
+        status: "Error",
+        message: conflict
+      });
+    }
+
+    const updated = await updateAlertRule(id, rule, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: updated
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error updating alert rule ${id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/thresholds/rules/:id
+ * @desc Delete an alert rule; problems it opened are kept
+ * @access Admin, Manager
+ */
+router.delete('/rules/:id', requireRole('Admin', 'Manager'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { id } = req.params;
+
+  try {
+    const existing = await getAlertRule(id);
+    if (!existing) {
+      return res.status(404).json({
+        status: "Error",
+        message: `Alert rule ${id} not found`
+      });
+    }
+
+    await deleteAlertRule(id, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      message: "Alert rule deleted"
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error deleting alert rule ${id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: "Error",
+      message: error.message
+    });
+  }
+});
+
 // Explicit OPTIONS handler for this route
 router.options('/', (req, res) => {
   res.header("Access-Control-Allow-Origin", "*");
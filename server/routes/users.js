@@ -0,0 +1,331 @@
+import express from 'express';
+import { setupLogger } from '../utils/logger.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+import {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  listUsers,
+  getUserById,
+  usernameExists,
+  createUser,
+  changeUserRole,
+  setUserActive,
+  resetUserPassword,
+  getUserAuditLog,
+  countActiveAdmins
+} from '../services/userService.js';
+
+const router = express.Router();
+const logger = setupLogger();
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,50}$/;
+
+// User management is restricted to Admins
+router.use(requireRole('Admin'));
+
+/**
+ * Validate a new password, returning an error message or null
+ */
+const validatePassword = (password) => {
+  if (!password || typeof password !== 'string') {
+    return 'A password is required';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Send a JSON error response with debug headers
+ */
+const sendError = (res, status, message, requestId, startTime) => {
+  res.set('X-Debug-Id', requestId);
+  res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+  return res.status(status).json({
+    status: "Error",
+    message
+  });
+};
+
+/**
+ * @route GET /api/users
+ * @desc Get all user accounts
+ * @access Admin
+ */
+router.get('/', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  try {
+    const users = await listUsers();
+
+    logger.info(`[${requestId}] Retrieved ${users.length} users`);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: users
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error fetching users:`, {
+      error: error.message,
+      stack: error.stack
+    });
+    sendError(res, 500, error.message, requestId, startTime);
+  }
+});
+
+/**
+ * @route GET /api/users/audit
+ * @desc Get the user management audit trail, optionally for one user (?userId=)
+ * @access Admin
+ */
+router.get('/audit', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    const entries = await getUserAuditLog({
+      userId: typeof req.query.userId === 'string' ? req.query.userId : '',
+      limit
+    });
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: entries
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error fetching user audit log:`, {
+      error: error.message,
+      stack: error.stack
+    });
+    sendError(res, 500, error.message, requestId, startTime);
+  }
+});
+
+/**
+ * @route GET /api/users/:id
+ * @desc Get a single user account
+ * @access Admin
+ */
+router.get('/:id', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      return sendError(res, 404, `User ${req.params.id} not found`, requestId, startTime);
+    }
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: user
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error fetching user ${req.params.id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+    sendError(res, 500, error.message, requestId, startTime);
+  }
+});
+
+/**
+ * @route POST /api/users
+ * @desc Create a user account
+ * @access Admin
+ */
+router.post('/', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { username, password, role } = req.body || {};
+
+  try {
+    if (!username || typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) {
+      return sendError(res, 400, 'Username must be 3-50 characters of letters, digits, dots, dashes or underscores', requestId, startTime);
+    }
+
+    if (!ROLES.includes(role)) {
+      return sendError(res, 400, `Role must be one of: ${ROLES.join(', ')}`, requestId, startTime);
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return sendError(res, 400, passwordError, requestId, startTime);
+    }
+
+    if (await usernameExists(username.trim())) {
+      return sendError(res, 409, `User ${username.trim()} already exists`, requestId, startTime);
+    }
+
+    const created = await createUser({ username: username.trim(), password, role }, req.user.username);
+    if (!created) {
+      return sendError(res, 500, 'User could not be created', requestId, startTime);
+    }
+
+    logger.info(`[${requestId}] User ${created.username} created by ${req.user.username}`);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(201).json({
+      status: "Success",
+      data: created
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error creating user:`, {
+      error: error.message,
+      stack: error.stack
+    });
+    sendError(res, 500, error.message, requestId, startTime);
+  }
+});
+
+/**
+ * @route PATCH /api/users/:id
+ * @desc Change a user's role and/or enable or disable the account
+ * @access Admin
+ */
+router.patch('/:id', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { role, isActive } = req.body || {};
+
+  try {
+    if (role === undefined && isActive === undefined) {
+      return sendError(res, 400, 'Nothing to update: provide role and/or isActive', requestId, startTime);
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return sendError(res, 400, `Role must be one of: ${ROLES.join(', ')}`, requestId, startTime);
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return sendError(res, 400, 'isActive must be a boolean', requestId, startTime);
+    }
+
+    let user = await getUserById(req.params.id);
+    if (!user) {
+      return sendError(res, 404, `User ${req.params.id} not found`, requestId, startTime);
+    }
+
+    // Do not allow the last enabled Admin to be demoted or disabled
+    const losesAdmin = user.role === 'Admin' && user.is_active &&
+      ((role !== undefined && role !== 'Admin') || isActive === false);
+    if (losesAdmin && await countActiveAdmins() <= 1) {
+      return sendError(res, 409, 'At least one enabled Admin account is required', requestId, startTime);
+    }
+
+    if (role !== undefined) {
+      user = await changeUserRole(user, role, req.user.username);
+    }
+
+    if (isActive !== undefined) {
+      user = await setUserActive(user, isActive, req.user.username);
+    }
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: user
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error updating user ${req.params.id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+    sendError(res, 500, error.message, requestId, startTime);
+  }
+});
+
+/**
+ * @route POST /api/users/:id/reset-password
+ * @desc Set a new password for a user and sign them out everywhere
+ * @access Admin
+ */
+router.post('/:id/reset-password', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  const { password } = req.body || {};
+
+  try {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return sendError(res, 400, passwordError, requestId, startTime);
+    }
+
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      return sendError(res, 404, `User ${req.params.id} not found`, requestId, startTime);
+    }
+
+    await resetUserPassword(user, password, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      message: `Password reset for ${user.username}`
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error resetting password for user ${req.params.id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+    sendError(res, 500, error.message, requestId, startTime);
+  }
+});
+
+/**
+ * @route DELETE /api/users/:id
+ * @desc Disable a user account. Accounts are never hard-deleted so the audit
+ *       trail and problem history keep pointing at a real user.
+ * @access Admin
+ */
+router.delete('/:id', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      return sendError(res, 404, `User ${req.params.id} not found`, requestId, startTime);
+    }
+
+    if (user.role === 'Admin' && user.is_active && await countActiveAdmins() <= 1) {
+      return sendError(res, 409, 'At least one enabled Admin account is required', requestId, startTime);
+    }
+
+    const updated = await setUserActive(user, false, req.user.username);
+
+    res.set('X-Debug-Id', requestId);
+    res.set('X-Debug-Time', `${Date.now() - startTime}ms`);
+
+    res.status(200).json({
+      status: "Success",
+      data: updated
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] Error disabling user ${req.params.id}:`, {
+      error: error.message,
+      stack: error.stack
+    });
+    sendError(res, 500, error.message, requestId, startTime);
+  }
+});
+
+export default router;
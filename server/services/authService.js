@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import { executeQuery, dbEnabled } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+
+const logger = setupLogger();
+
+export const ROLES = ['Admin', 'Manager', 'Operator'];
+
+// Session lifetime, 12 hours by default
+const SESSION_TTL_MS = (Number(process.env.AUTH_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// scrypt parameters for password hashing
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_SALT_BYTES = 16;
+
+// Secret used to sign session tokens. Without a configured secret, tokens are
+// signed with a per-process random key and become invalid on restart.
+let tokenSecret = process.env.AUTH_TOKEN_SECRET;
+if (!tokenSecret) {
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+  logger.warn('AUTH_TOKEN_SECRET is not set. Using a random secret; sessions will not survive a server restart.');
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', tokenSecret).update(data).digest('base64url');
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Clear text password
+ * @returns {Promise<string>} Encoded hash in the form scrypt:<salt>:<hash>
+ */
+export const hashPassword = (password) => {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(SCRYPT_SALT_BYTES).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(`scrypt:${salt}:${derivedKey.toString('hex')}`);
+    });
+  });
+};
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Clear text password
+ * @param {string} storedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export const verifyPassword = (password, storedHash) => {
+  return new Promise((resolve) => {
+    const [scheme, salt, hash] = (storedHash || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return resolve(false);
+    }
+
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+      if (err) return resolve(false);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+};
+
+/**
+ * Create a signed session token
+ * @param {Object} payload - Token claims (sid, sub, username, role, exp)
+ * @returns {string} Token in the form <payload>.<signature>
+ */
+const createToken = (payload) => {
+  const encoded = base64url(JSON.stringify(payload));
+  return `${encoded}.${sign(encoded)}`;
+};
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token - Session token
+ * @returns {Object|null} Token claims, or null if invalid or expired
+ */
+export const verifyToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Date.now()) {
+      return null;
+    }
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Authenticate a user and open a new session
+ * @param {string} username - Username
+ * @param {string} password - Clear text password
+ * @param {Object} context - Request context (ip, userAgent)
+ * @returns {Promise<Object|null>} Token and user, or null if the credentials are invalid
+ */
+export const login = async (username, password, { ip = '', userAgent = '' } = {}) => {
+  const users = await executeQuery(`
+    SELECT id, username, password_hash, role, is_active
+    FROM users
+    WHERE username = @param0
+  `, [username], {
+    queryId: `login_${Date.now()}`,
+    label: 'Get User For Login',
+    sensitive: true,
+    timeout: 5000
+  });
+
+  const user = users[0];
+
+  // Always run a hash comparison so unknown usernames take as long as wrong passwords
+  const passwordValid = await verifyPassword(password, user ? user.password_hash : 'scrypt:00:00');
+
+  if (!user || !passwordValid || !user.is_active) {
+    logger.warn(`Failed login attempt for user ${username}`, {
+      reason: !user ? 'unknown user' : !passwordValid ? 'invalid password' : 'account disabled'
+    });
+    return null;
+  }
+
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  const sessionId = crypto.randomUUID();
+
+  await executeQuery(`
+    INSERT INTO user_sessions (id, user_id, expires_at, ip_address, user_agent)
+    VALUES (@param0, @param1, @param2, NULLIF(@param3, ''), NULLIF(@param4, ''));
+
+    UPDATE users SET last_login_at = GETDATE() WHERE id = @param1;
+  `, [sessionId, user.id, expiresAt, ip.substring(0, 64), userAgent.substring(0, 255)], {
+    queryId: `createSession_${Date.now()}`,
+    label: 'Create User Session',
+    sensitive: true,
+    timeout: 5000
+  });
+
+  const token = createToken({
+    sid: sessionId,
+    sub: user.id,
+    username: user.username,
+    role: user.role,
+    exp: expiresAt.getTime()
+  });
+
+  logger.info(`User ${user.username} logged in`, { role: user.role, sessionId });
+
+  return {
+    token,
+    expiresAt,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role
+    }
+  };
+};
+
+/**
+ * Revoke a session
+ * @param {string} sessionId - Session ID from the token
+ */
+export const logout = async (sessionId) => {
+  await executeQuery(`
+    UPDATE user_sessions
+    SET revoked_at = GETDATE()
+    WHERE id = @param0 AND revoked_at IS NULL
+  `, [sessionId], {
+    queryId: `revokeSession_${Date.now()}`,
+    label: 'Revoke User Session',
+    sensitive: true,
+    timeout: 5000
+  });
+
+  logger.info(`Session ${sessionId} revoked`);
+};
+
+/**
+ * Resolve the user behind a session token, checking that the session is
+ * still open and the account still active
+ * @param {string} token - Session token
+ * @returns {Promise<Object|null>} User with sessionId, or null
+ */
+export const getSessionUser = async (token) => {
+  const payload = verifyToken(token);
+  if (!payload) {
+    return null;
+  }
+
+  const result = await executeQuery(`
+    SELECT u.id, u.username, u.role
+    FROM user_sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id = @param0
+    AND s.revoked_at IS NULL
+    AND s.expires_at > GETDATE()
+    AND u.is_active = 1
+  `, [payload.sid], {
+    queryId: `getSessionUser_${Date.now()}`,
+    label: 'Get Session User',
+    sensitive: true,
+    timeout: 5000
+  });
+
+  if (result.length === 0) {
+    return null;
+  }
+
+  return {
+    ...result[0],
+    sessionId: payload.sid
+  };
+};
+
+/**
+ * Create the first Admin account from environment variables when no users exist
+ */
+export const ensureBootstrapAdmin = async () => {
+  const username = process.env.AUTH_BOOTSTRAP_ADMIN_USERNAME;
+  const password = process.env.AUTH_BOOTSTRAP_ADMIN_PASSWORD;
+
+  if (!dbEnabled || !username || !password) {
+    return;
+  }
+
+  try {
+    const result = await executeQuery('SELECT COUNT(*) AS count FROM users', [], {
+      queryId: `countUsers_${Date.now()}`,
+      label: 'Count Users',
+      timeout: 5000
+    });
+
+    if (result.length === 0 || result[0].count > 0) {
+      return;
+    }
+
+    const passwordHash = await hashPassword(password);
+    await executeQuery(`
+      INSERT INTO users (username, password_hash, role)
+      VALUES (@param0, @param1, 'Admin')
+    `, [username, passwordHash], {
+      queryId: `bootstrapAdmin_${Date.now()}`,
+      label: 'Create Bootstrap Admin',
+      sensitive: true,
+      timeout: 5000
+    });
+
+    logger.info(`Created bootstrap Admin account ${username}`);
+  } catch (error) {
+    logger.error(`Failed to create bootstrap Admin account: ${error.message}`, {
+      error: error.message,
+      stack: error.stack
+    });
+  }
+};
+
+export default {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  verifyToken,
+  login,
+  logout,
+  getSessionUser,
+  ensureBootstrapAdmin
+};
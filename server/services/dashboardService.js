@@ -0,0 +1,84 @@
+import { getRacks, getSensorReadings } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+import { findRestSource, mapSourceRecords } from '../sources/index.js';
+import { getActiveMaintenanceWindows } from './maintenanceService.js';
+
+const logger = setupLogger();
+
+// Display values for fields the rack source doesn't report
+export const RACK_DISPLAY_DEFAULTS = {
+  MAINTENANCE: '0',
+  MAXPOWER: '7',
+  MAXU: '42',
+  FREEU: '10',
+  phase: 'Single Phase'
+};
+
+/**
+ * Map rack records from the database or the inventory source to the
+ * internal format, with the inventory and power fields of the source mapping
+ * @param {Array} data - Rack records
+ * @param {Object|null} source - Inventory source the records may come from
+ * @param {string} requestId - Request or cycle ID for logging
+ * @returns {Array} Mapped racks
+ */
+export const mapRackRecords = (data, source, requestId) => {
+  logger.info(`[${requestId}] Mapping rack data: ${data.length} items`);
+
+  try {
+    return mapSourceRecords(data, { ...(source || {}), types: ['inventory', 'power'] }, RACK_DISPLAY_DEFAULTS);
+  } catch (error) {
+    logger.error(`[${requestId}] Error mapping rack data: ${error.message}`, error);
+    // Return empty array in case of error to avoid crashing the application
+    return [];
+  }
+};
+
+/**
+ * Map sensor records from the database or the environmental source to the
+ * internal format. Readings stored by the monitoring cycle also carry the
+ * rack power totals, so the power fields are mapped as well.
+ * @param {Array} rawData - Sensor records
+ * @param {Object|null} source - Environmental source the records may come from
+ * @param {string} requestId - Request or cycle ID for logging
+ * @returns {Array} Mapped sensor data
+ */
+export const mapSensorRecords = (rawData, source, requestId) => {
+  logger.info(`[${requestId}] Mapping sensor data: ${rawData.length} items`);
+
+  try {
+    return mapSourceRecords(rawData, { ...(source || {}), types: ['environmental', 'power'] })
+      .filter(reading => reading.RACK_NAME);
+  } catch (error) {
+    logger.error(`[${requestId}] Error mapping sensor data: ${error.message}`, error);
+    return []; // Return empty array on error
+  }
+};
+
+/**
+ * Build the data the dashboard shows from what the monitoring cycle stored:
+ * racks and sensors in the same shape as GET /api/racks and GET
+ * /api/sensors, plus the maintenance windows in progress
+ * @param {string} cycleId - Monitoring cycle ID for logging
+ * @returns {Promise<{racks: Array, sensors: Array, maintenanceWindows: Array}>}
+ */
+export const getDashboardSnapshot = async (cycleId) => {
+  const [rackRecords, sensorRecords, maintenanceWindows] = await Promise.all([
+    getRacks(),
+    getSensorReadings(),
+    getActiveMaintenanceWindows()
+  ]);
+
+  return {
+    racks: mapRackRecords(rackRecords, findRestSource('inventory'), cycleId),
+    sensors: mapSensorRecords(sensorRecords, findRestSource('environmental'), cycleId),
+    maintenanceWindows
+  };
+};
+
+export default {
+  RACK_DISPLAY_DEFAULTS,
+  mapRackRecords,
+  mapSensorRecords,
+  getDashboardSnapshot
+};
@@ -0,0 +1,104 @@
+import { setupLogger } from '../utils/logger.js';
+
+const logger = setupLogger();
+
+// Event types pushed to the dashboard
+export const EVENT_TYPES = ['racks', 'problem', 'cycle'];
+
+// Comment lines sent while idle, so proxies don't close the stream
+const HEARTBEAT_INTERVAL = 25000;
+// How long browsers wait before reconnecting after the stream drops
+const RECONNECT_DELAY = 5000;
+
+const clients = new Map();
+let nextClientId = 1;
+let nextEventId = 1;
+let heartbeatTimer = null;
+
+const writeFrame = (res, type, data, id = null) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const startHeartbeat = () => {
+  if (heartbeatTimer) {
+    return;
+  }
+  heartbeatTimer = setInterval(() => {
+    for (const res of clients.values()) {
+      res.write(': heartbeat\n\n');
+    }
+  }, HEARTBEAT_INTERVAL);
+  heartbeatTimer.unref();
+};
+
+const stopHeartbeat = () => {
+  if (heartbeatTimer && clients.size === 0) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+};
+
+/**
+ * Open a Server-Sent Events stream on a request. The client stays
+ * subscribed until the connection closes.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const subscribe = (req, res) => {
+  const clientId = nextClientId++;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+  writeFrame(res, 'hello', { clientId, types: EVENT_TYPES });
+
+  clients.set(clientId, res);
+  startHeartbeat();
+  logger.info(`Event stream client ${clientId} connected (${clients.size} connected)`);
+
+  req.on('close', () => {
+    clients.delete(clientId);
+    stopHeartbeat();
+    logger.info(`Event stream client ${clientId} disconnected (${clients.size} connected)`);
+  });
+};
+
+/**
+ * Push an event to every connected client
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload, sent as JSON
+ */
+export const publishEvent = (type, data) => {
+  if (clients.size === 0) {
+    return;
+  }
+
+  const eventId = nextEventId++;
+  for (const [clientId, res] of clients) {
+    try {
+      writeFrame(res, type, data, eventId);
+    } catch (error) {
+      logger.warn(`Error writing ${type} event to client ${clientId}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Number of connected clients, so callers can skip building payloads no one
+ * would receive
+ * @returns {number} Connected clients
+ */
+export const getClientCount = () => clients.size;
+
+export default {
+  EVENT_TYPES,
+  subscribe,
+  publishEvent,
+  getClientCount
+};
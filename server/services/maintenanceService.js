@@ -0,0 +1,219 @@
+import { executeQuery } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+
+const logger = setupLogger();
+
+export const MAINTENANCE_SCOPES = ['rack', 'dc'];
+export const MAINTENANCE_STATES = ['active', 'upcoming', 'past'];
+
+// Window times are stored in UTC, so they are compared with GETUTCDATE()
+const WINDOW_COLUMNS = `
+  id, scope, site, dc, rack_name, starts_at, ends_at, reason, suppress_alerts,
+  CASE
+    WHEN ends_at <= GETUTCDATE() THEN 'past'
+    WHEN starts_at > GETUTCDATE() THEN 'upcoming'
+    ELSE 'active'
+  END AS state,
+  created_by, created_at, updated_at
+`;
+
+const STATE_FILTERS = {
+  active: 'starts_at <= GETUTCDATE() AND ends_at > GETUTCDATE()',
+  upcoming: 'starts_at > GETUTCDATE()',
+  past: 'ends_at <= GETUTCDATE()'
+};
+
+const normalizeWindow = (row) => ({
+  ...row,
+  suppress_alerts: row.suppress_alerts === true || row.suppress_alerts === 1
+});
+
+/**
+ * Get maintenance windows, newest first
+ * @param {string} state - 'active', 'upcoming', 'past' or '' for all
+ * @returns {Promise<Array>} Maintenance windows
+ */
+export const listMaintenanceWindows = async (state = '') => {
+  const rows = await executeQuery(`
+    SELECT ${WINDOW_COLUMNS}
+    FROM maintenance_windows
+    ${STATE_FILTERS[state] ? `WHERE ${STATE_FILTERS[state]}` : ''}
+    ORDER BY starts_at DESC
+  `, [], {
+    queryId: `listMaintenanceWindows_${Date.now()}`,
+    label: 'List Maintenance Windows',
+    timeout: 5000
+  });
+
+  return rows.map(normalizeWindow);
+};
+
+/**
+ * Get the windows in progress right now
+ * @returns {Promise<Array>} Active maintenance windows
+ */
+export const getActiveMaintenanceWindows = () => listMaintenanceWindows('active');
+
+/**
+ * Get a single maintenance window
+ * @param {string} id - Window ID
+ * @returns {Promise<Object|null>} Window or null if not found
+ */
+export const getMaintenanceWindow = async (id) => {
+  const rows = await executeQuery(`
+    SELECT ${WINDOW_COLUMNS}
+    FROM maintenance_windows
+    WHERE id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER)
+  `, [id], {
+    queryId: `getMaintenanceWindow_${Date.now()}`,
+    label: 'Get Maintenance Window',
+    timeout: 5000
+  });
+
+  return rows.length > 0 ? normalizeWindow(rows[0]) : null;
+};
+
+/**
+ * Schedule a maintenance window
+ * @param {Object} window - scope, site, dc, rack_name, starts_at, ends_at, reason, suppress_alerts
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Created window
+ */
+export const createMaintenanceWindow = async (window, actor) => {
+  const rows = await executeQuery(`
+    INSERT INTO maintenance_windows
+      (scope, site, dc, rack_name, starts_at, ends_at, reason, suppress_alerts, created_by)
+    OUTPUT INSERTED.id
+    VALUES (
+      @param0,
+      NULLIF(@param1, ''),
+      NULLIF(@param2, ''),
+      NULLIF(@param3, ''),
+      @param4,
+      @param5,
+      @param6,
+      @param7,
+      @param8
+    )
+  `, [
+    window.scope,
+    window.site || '',
+    window.dc || '',
+    window.rack_name || '',
+    new Date(window.starts_at),
+    new Date(window.ends_at),
+    window.reason,
+    window.suppress_alerts === false ? 0 : 1,
+    actor
+  ], {
+    queryId: `createMaintenanceWindow_${Date.now()}`,
+    label: 'Create Maintenance Window',
+    timeout: 5000
+  });
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  logger.info(`Maintenance window scheduled for ${window.scope} ${window.rack_name || `${window.site}/${window.dc}`} from ${window.starts_at} to ${window.ends_at} by ${actor}`);
+  return getMaintenanceWindow(rows[0].id);
+};
+
+/**
+ * Update the period, reason and alert handling of a window; the target
+ * (scope, site, DC, rack) is fixed once created
+ * @param {string} id - Window ID
+ * @param {Object} window - starts_at, ends_at, reason, suppress_alerts
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Updated window
+ */
+export const updateMaintenanceWindow = async (id, window, actor) => {
+  await executeQuery(`
+    UPDATE maintenance_windows
+    SET
+      starts_at = @param1,
+      ends_at = @param2,
+      reason = @param3,
+      suppress_alerts = @param4,
+      updated_at = GETDATE()
+    WHERE id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER)
+  `, [
+    id,
+    new Date(window.starts_at),
+    new Date(window.ends_at),
+    window.reason,
+    window.suppress_alerts === false ? 0 : 1
+  ], {
+    queryId: `updateMaintenanceWindow_${Date.now()}`,
+    label: 'Update Maintenance Window',
+    timeout: 5000
+  });
+
+  logger.info(`Maintenance window ${id} updated by ${actor}`);
+  return getMaintenanceWindow(id);
+};
+
+/**
+ * End a window now if it is in progress, or delete it if it has not started.
+ * Past windows are kept because problems may reference them.
+ * @param {Object} window - Existing window
+ * @param {string} actor - Username making the change
+ */
+export const cancelMaintenanceWindow = async (window, actor) => {
+  if (window.state === 'upcoming') {
+    await executeQuery(`
+      DELETE FROM maintenance_windows
+      WHERE id = @param0
+    `, [window.id], {
+      queryId: `deleteMaintenanceWindow_${Date.now()}`,
+      label: 'Delete Maintenance Window',
+      timeout: 5000
+    });
+    logger.info(`Maintenance window ${window.id} deleted by ${actor}`);
+    return;
+  }
+
+  await executeQuery(`
+    UPDATE maintenance_windows
+    SET ends_at = GETUTCDATE(), updated_at = GETDATE()
+    WHERE id = @param0
+    AND ends_at > GETUTCDATE()
+  `, [window.id], {
+    queryId: `endMaintenanceWindow_${Date.now()}`,
+    label: 'End Maintenance Window',
+    timeout: 5000
+  });
+  logger.info(`Maintenance window ${window.id} ended early by ${actor}`);
+};
+
+/**
+ * Find the window that covers a rack. A rack window wins over a DC window,
+ * and a window that suppresses alerts wins over one that only tags them.
+ * @param {Array} windows - Active maintenance windows
+ * @param {Object} target - site, dc and rack name of the rack
+ * @returns {Object|null} Covering window, or null
+ */
+export const findMaintenanceWindow = (windows, { site, dc, rack }) => {
+  const matching = (windows || []).filter(window =>
+    (window.scope === 'rack' && window.rack_name === rack) ||
+    (window.scope === 'dc' && window.site === site && window.dc === dc)
+  );
+  if (matching.length === 0) {
+    return null;
+  }
+
+  const rank = window => (window.scope === 'rack' ? 2 : 0) + (window.suppress_alerts ? 1 : 0);
+  return matching.reduce((best, window) => (rank(window) > rank(best) ? window : best));
+};
+
+export default {
+  MAINTENANCE_SCOPES,
+  MAINTENANCE_STATES,
+  listMaintenanceWindows,
+  getActiveMaintenanceWindows,
+  getMaintenanceWindow,
+  createMaintenanceWindow,
+  updateMaintenanceWindow,
+  cancelMaintenanceWindow,
+  findMaintenanceWindow
+};
@@ -1,43 +1,164 @@
-import { fetchExternalAPI, isApiReachable } from '../utils/api.js';
-import { executeQuery, dbEnabled } from '../config/db.js';
+import { executeQuery, withTransaction, createTableParam, dbEnabled, sql } from '../config/db.js';
 import { setupLogger } from '../utils/logger.js';
+import { SEVERITY_RANK, getThresholdSeverity } from '../utils/severity.js';
+import { dispatchProblemEvent } from './notificationService.js';
+import { listThresholdOverrides, resolveThresholds } from './thresholdService.js';
+import { listAlertRules, describeAlertRule, METRIC_UNITS } from './ruleService.js';
+import { getActiveMaintenanceWindows, findMaintenanceWindow } from './maintenanceService.js';
+import { parseManualFields } from './rackService.js';
+import { PHASES, getPhaseCurrents, getPhaseVoltage, getPhaseImbalance, isPowerFailure } from '../utils/power.js';
+import { collectSourceData, getSourceStatus } from '../sources/index.js';
+import { publishEvent, getClientCount } from './eventService.js';
+import { getDashboardSnapshot } from './dashboardService.js';
+import { recordRunStart, recordRunEnd } from './runHistoryService.js';
+import { getSchedule, saveSchedule, validateSchedule, CADENCES, DEFAULT_SCHEDULE } from './scheduleService.js';
+import { scheduleJob, describeCadence } from '../utils/scheduler.js';
 import { v4 as uuidv4 } from 'uuid';
 
 const logger = setupLogger();
 let monitoringActive = false;
-let monitoringInterval = null;
+let schedule = DEFAULT_SCHEDULE;
+const jobs = { inventory: null, sensors: null };
+// Scope of the cycle in progress, null when none is running
+let runningScope = null;
+let fullCycleQueued = false;
 let lastRunTimestamp = null;
 let lastRunDuration = null;
+let lastRunPhases = {};
+let lastRunStatus = null;
+let lastRunError = null;
+let lastSuccessAt = null;
+// Schedule load at startup in progress, and its pending retry when the
+// database couldn't be read; both are dropped once an Admin starts
+// monitoring or saves a schedule
+let scheduleLoad = null;
+let scheduleRetryTimer = null;
+
+// Delay between attempts to load the stored schedule at startup
+const SCHEDULE_RETRY_MS = 30000;
+// Cycles in a row that were skipped or failed, read by the watchdog
+let consecutiveFailures = 0;
 let api1Reachable = false;
 let api2Reachable = false;
 
 // Tracking stats
 let cyclesCompleted = 0;
 let problemsDetected = 0;
+let problemsResolved = 0;
 let racksStored = 0;
 let sensorReadingsStored = 0;
+let overlapsSkipped = 0;
+
+// Data types polled by sensor cycles; inventory cycles poll every source
+const SENSOR_CYCLE_TYPES = ['environmental', 'power'];
+
+// Hysteresis bands used when auto-resolving problems. A reading must be back
+// inside the threshold by at least this margin before the problem is closed,
+// so values hovering at the limit don't flap between open and resolved.
+const RESOLUTION_HYSTERESIS = {
+  temperature: Number(process.env.PROBLEM_HYSTERESIS_TEMP ?? 1.0),
+  humidity: Number(process.env.PROBLEM_HYSTERESIS_HUMIDITY ?? 2.0),
+  power: Number(process.env.PROBLEM_HYSTERESIS_POWER ?? 0.5),
+  imbalance: Number(process.env.PROBLEM_HYSTERESIS_IMBALANCE ?? 2.0)
+};
+
+// Phase imbalance is not checked below this average phase current: on lightly
+// loaded racks a single server makes the percentage spread meaningless.
+const PHASE_IMBALANCE_MIN_AMPS = Number(process.env.PHASE_IMBALANCE_MIN_AMPS ?? 2.0);
+
+// PDU statuses (RSTATUS) treated as healthy; any other reported status opens
+// a DeviceStatus problem, which is Critical for the statuses in the second
+// list and Warning otherwise. Both are compared case-insensitively.
+const parseStatusList = (value) =>
+  value.split(',').map(status => status.trim().toLowerCase()).filter(Boolean);
+const PDU_OK_STATUSES = parseStatusList(process.env.PDU_OK_STATUSES ?? 'OK,Normal,Online,Up');
+const PDU_CRITICAL_STATUSES = parseStatusList(process.env.PDU_CRITICAL_STATUSES ?? 'Critical,Alarm,Fault,Failed,Offline,Down');
+
+// Communication problems: a rack whose newest reading, or a sensor whose
+// lastUpdate, is older than SENSOR_MAX_AGE_MINUTES is stale, and a sensor
+// reporting a status outside SENSOR_OK_STATUSES is faulty. A data source
+// unreachable for SOURCE_OUTAGE_CYCLES consecutive polls opens a system
+// problem of its own.
+const SENSOR_MAX_AGE_MINUTES = Number(process.env.SENSOR_MAX_AGE_MINUTES ?? 15);
+const SENSOR_OK_STATUSES = parseStatusList(process.env.SENSOR_OK_STATUSES ?? 'OK,Normal,Online,Active');
+const SOURCE_OUTAGE_CYCLES = Number(process.env.SOURCE_OUTAGE_CYCLES ?? 3);
+
+// A rack flagged MAINTENANCE by the rack API is treated like a window that
+// suppresses alerts, so racks marked at the source are still left alone
+const RACK_FLAG_MAINTENANCE = {
+  id: '',
+  reason: 'Rack MAINTENANCE flag',
+  suppress_alerts: true
+};
+
+const isRackFlaggedForMaintenance = (rack) =>
+  rack.MAINTENANCE === '1' || rack.maintenance === 1 || rack.MAINTENANCE === true || rack.maintenance === true;
+
+// Alert types of the problems opened by rate-of-change and stale data rules;
+// 'high' and 'low' are threshold violations, which sustained rules can delay
+const RULE_ALERT_TYPES = ['rise', 'fall', 'stale'];
+
+// sensor_readings column of each metric rate and stale rules apply to
+const RULE_READING_COLUMNS = {
+  Temperature: 'temperature',
+  Humidity: 'humidity',
+  Power: 'total_current'
+};
+
+// Stale rules only look this far back before their own window: a rack that
+// hasn't reported the metric in that time (no such sensor, or long gone) is
+// not flagged, and an open stale problem for it stays open
+const STALE_LOOKBACK_MINUTES = Number(process.env.STALE_LOOKBACK_MINUTES ?? 1440);
+
+// Consecutive polls each data source was unreachable, by source ID. Kept in
+// memory only, so a restart starts counting again.
+const sourceFailures = new Map();
+
+// Threshold violations waiting on a sustained rule, by problem key:
+// { type, since, cycles, lastCycleId }. Kept in memory only, so pending
+// streaks start over when the server restarts.
+const pendingViolations = new Map();
 
-// Default interval is 5 minutes (300000 ms)
-const DEFAULT_INTERVAL = 300000;
+// (Re)create the inventory and sensor jobs from the current schedule
+const armJobs = () => {
+  cancelJobs();
+  jobs.inventory = scheduleJob('monitoring-inventory', schedule.inventory, () => runMonitoringCycle({ scope: 'full' }));
+  jobs.sensors = scheduleJob('monitoring-sensors', schedule.sensors, () => runMonitoringCycle({ scope: 'sensors' }));
+};
+
+const cancelScheduleRetry = () => {
+  clearTimeout(scheduleRetryTimer);
+  scheduleRetryTimer = null;
+  scheduleLoad = null;
+};
+
+const cancelJobs = () => {
+  for (const cadence of CADENCES) {
+    jobs[cadence]?.cancel();
+    jobs[cadence] = null;
+  }
+};
 
 /**
- * Start the background monitoring service
- * @param {number} interval - Polling interval in milliseconds
+ * Start the background monitoring service with the stored schedule: a full
+ * cycle right away, then inventory and sensor cycles on their own cadences
+ * @param {Object} newSchedule - Schedule to use, defaults to the current one
  */
-export const startMonitoring = (interval = DEFAULT_INTERVAL) => {
+export const startMonitoring = (newSchedule = schedule) => {
+  cancelScheduleRetry();
   if (monitoringActive) {
     logger.warn('Monitoring service is already running');
     return;
   }
 
-  logger.info(`Starting monitoring service with interval of ${interval}ms`);
+  schedule = newSchedule;
+  logger.info(`Starting monitoring service: inventory ${describeCadence(schedule.inventory)}, sensors ${describeCadence(schedule.sensors)}`);
   monitoringActive = true;
 
   // Initial run immediately
   runMonitoringCycle();
 
-  // Set up recurring interval
-  monitoringInterval = setInterval(runMonitoringCycle, interval);
+  armJobs();
 };
 
 /**
@@ -50,11 +171,102 @@ export const stopMonitoring = () => {
   }
 
   logger.info('Stopping monitoring service');
-  clearInterval(monitoringInterval);
-  monitoringInterval = null;
+  cancelJobs();
   monitoringActive = false;
 };
 
+/**
+ * Load the stored schedule and start monitoring if it is enabled. Called
+ * once when the server starts. While the schedule can't be read monitoring
+ * stays stopped and the load is retried, unless an Admin starts monitoring
+ * or saves a schedule in the meantime.
+ */
+export const initializeMonitoring = async () => {
+  const load = {};
+  scheduleLoad = load;
+  scheduleRetryTimer = null;
+  
+  let stored = DEFAULT_SCHEDULE;
+  if (dbEnabled) {
+    try {
+      stored = await getSchedule();
+    } catch (loadError) {
+      if (scheduleLoad === load) {
+        logger.error(`Could not load the monitoring schedule (${loadError.message}), monitoring stays stopped; retrying in ${SCHEDULE_RETRY_MS / 1000}s`);
+        scheduleRetryTimer = setTimeout(initializeMonitoring, SCHEDULE_RETRY_MS);
+      }
+      return;
+    }
+  }
+  if (scheduleLoad !== load) {
+    logger.info('Monitoring was started or rescheduled while the stored schedule was loading, keeping that');
+    return;
+  }
+  scheduleLoad = null;
+
+  const error = validateSchedule(stored);
+  if (error) {
+    logger.error(`Stored monitoring schedule is invalid (${error}), using the default schedule`);
+    schedule = DEFAULT_SCHEDULE;
+  } else {
+    schedule = stored;
+  }
+
+  if (schedule.enabled) {
+    startMonitoring(schedule);
+  } else {
+    logger.info('Monitoring is disabled in the stored schedule, not starting it');
+  }
+};
+
+/**
+ * Store a new schedule and apply it without a restart: monitoring is
+ * started or stopped to match `enabled`, and a running service switches to
+ * the new cadences from now on
+ * @param {Object} newSchedule - Validated { enabled, inventory, sensors }
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Stored schedule, or null if it couldn't be saved
+ */
+export const updateSchedule = async (newSchedule, actor) => {
+  cancelScheduleRetry();
+  let saved;
+  if (dbEnabled) {
+    saved = await saveSchedule(newSchedule, actor);
+    if (!saved) {
+      return null;
+    }
+  } else {
+    logger.warn('Database is disabled, the monitoring schedule is applied but not stored');
+    saved = { ...newSchedule, updatedBy: actor, updatedAt: new Date() };
+  }
+
+  if (!saved.enabled) {
+    schedule = saved;
+    if (monitoringActive) {
+      stopMonitoring();
+    }
+  } else if (!monitoringActive) {
+    startMonitoring(saved);
+  } else {
+    schedule = saved;
+    armJobs();
+    logger.info(`Monitoring schedule applied: inventory ${describeCadence(schedule.inventory)}, sensors ${describeCadence(schedule.sensors)}`);
+  }
+  return saved;
+};
+
+/**
+ * Current monitoring schedule
+ * @returns {Object} { enabled, inventory, sensors, updatedBy, updatedAt }
+ */
+export const getMonitoringSchedule = () => schedule;
+
+/**
+ * Whether a monitoring cycle is running right now
+ * @returns {boolean}
+ */
+export const isCycleRunning = () => runningScope !== null;
+
 /**
  * Get the current status of the monitoring service
  * @returns {Object} The monitoring service status
@@ -62,144 +274,325 @@ export const stopMonitoring = () => {
 export const getMonitoringStatus = () => {
   return {
     active: monitoringActive,
-    interval: monitoringActive ? monitoringInterval?._idleTimeout : null,
+    // Sensor polling interval, kept for clients that only know one interval
+    interval: monitoringActive && schedule.sensors.mode === 'interval' ? schedule.sensors.intervalMs : null,
+    schedule,
+    nextRuns: {
+      inventory: jobs.inventory?.getNextRunAt() || null,
+      sensors: jobs.sensors?.getNextRunAt() || null
+    },
+    cycleRunning: runningScope !== null,
     lastRun: lastRunTimestamp,
     lastRunTime: lastRunDuration,
+    lastRunPhases,
+    lastRunStatus,
+    lastRunError,
+    lastSuccessAt,
+    consecutiveFailures,
     api1Reachable,
     api2Reachable,
+    sources: getSourceStatus(),
     cyclesCompleted,
     problemsDetected,
+    problemsResolved,
     racksStored,
-    sensorReadingsStored
+    sensorReadingsStored,
+    overlapsSkipped
   };
 };
 
+/**
+ * Time one phase of a monitoring cycle, recording its duration in ms
+ * @param {Object} phases - Phase durations of the cycle
+ * @param {string} phase - Phase name
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
+ */
+async function timePhase(phases, phase, fn) {
+  const startTime = Date.now();
+  try {
+    return await fn();
+  } finally {
+    phases[phase] = Date.now() - startTime;
+  }
+}
+
 /**
  * Run a complete monitoring cycle:
- * 1. Fetch data from APIs
- * 2. Store in database
+ * 1. Collect data from the configured sources
+ * 2. Store racks and readings in the database
  * 3. Check for threshold violations
- * 4. Create problem records for violations
+ * 4. Open, escalate and resolve problems
+ * Steps 2-4 run in one transaction with set-based statements, so the number
+ * of queries doesn't grow with the number of racks. Every cycle is recorded
+ * in monitoring_runs.
+ * Only one cycle runs at a time. A sensor cycle due while a full cycle runs
+ * is covered by it; a full cycle due while a sensor cycle runs starts as
+ * soon as that one ends; any other cycle that comes due while one is still
+ * running is skipped.
+ * @param {Object} options - scope ('full' polls every source, 'sensors' only
+ *   the environmental and power ones), trigger ('scheduled' or 'manual') and
+ *   requestedBy
  */
-export async function runMonitoringCycle() {
+export async function runMonitoringCycle({ scope = 'full', trigger = 'scheduled', requestedBy = null } = {}) {
+  if (runningScope) {
+    if (scope === 'sensors' && runningScope === 'full') {
+      logger.debug('Sensor cycle covered by the full monitoring cycle in progress');
+    } else if (scope === 'full' && runningScope === 'sensors') {
+      fullCycleQueued = true;
+      logger.info('Full monitoring cycle queued until the sensor cycle in progress ends');
+    } else {
+      overlapsSkipped++;
+      logger.warn(`Skipping ${scope} monitoring cycle: the previous cycle is still running`);
+    }
+    return;
+  }
+
+  runningScope = scope;
+
   const cycleId = `cycle_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
   const startTime = Date.now();
+  const phases = {};
+  const run = { cycleId, startTime, phases, details: { phases } };
   lastRunTimestamp = new Date();
+  lastRunPhases = phases;
   
-  logger.info(`Starting monitoring cycle [${cycleId}]`);
+  logger.info(`Starting ${scope} monitoring cycle [${cycleId}]`);
   
   try {
-    // 1. Check API availability first
-    [api1Reachable, api2Reachable] = await Promise.all([
-      isApiReachable(process.env.API1_URL),
-      isApiReachable(process.env.API2_URL)
-    ]);
-    
-    logger.info(`API reachability check: API1=${api1Reachable}, API2=${api2Reachable} [${cycleId}]`);
-    
-    // Skip further processing if both APIs are unreachable
-    if (!api1Reachable && !api2Reachable) {
-      logger.error(`Both APIs are unreachable, skipping monitoring cycle [${cycleId}]`);
-      lastRunDuration = Date.now() - startTime;
-      return;
-    }
-
-    // 2. Check if database is enabled
+    // 1. Check the database before collecting anything
     if (!dbEnabled) {
       logger.error(`Database is disabled, skipping monitoring cycle [${cycleId}]`);
-      lastRunDuration = Date.now() - startTime;
+      await finishRun(run, 'skipped', 'Database is disabled');
       return;
     }
-    
-    // 3. Fetch data from external APIs
-    logger.info(`Fetching data from external APIs [${cycleId}]`);
 
-    // Fetch from API1 (racks)
-    let rackData = [];
-    if (api1Reachable) {
-      try {
-        const api1Response = await fetchExternalAPI(process.env.API1_URL, 'racks', {
-          retries: 2,
-          retryDelay: 1000,
-          debug: true
-        });
-        
-        if (Array.isArray(api1Response)) {
-          // New API format (direct array)
-          rackData = api1Response;
-          logger.info(`Retrieved ${rackData.length} racks from API1 (new format) [${cycleId}]`);
-        } else if (api1Response && api1Response.status === "Success" && Array.isArray(api1Response.data)) {
-          // Old API format (wrapped in status/data)
-          rackData = api1Response.data;
-          logger.info(`Retrieved ${rackData.length} racks from API1 (old format) [${cycleId}]`);
-        } else {
-          logger.error(`Unexpected response format from API1 [${cycleId}]`);
-        }
-      } catch (api1Error) {
-        logger.error(`Error fetching data from API1: ${api1Error.message} [${cycleId}]`);
-      }
-    }
+    await recordRunStart(cycleId, scope, trigger, requestedBy);
 
-    // Fetch from API2 (sensors)
-    let sensorData = [];
-    if (api2Reachable) {
-      try {
-        const api2Response = await fetchExternalAPI(process.env.API2_URL, 'sensors', {
-          retries: 2,
-          retryDelay: 1000,
-          debug: true
-        });
-        
-        if (Array.isArray(api2Response)) {
-          // New API format (direct array)
-          sensorData = api2Response;
-          logger.info(`Retrieved ${sensorData.length} sensor readings from API2 (new format) [${cycleId}]`);
-        } else if (api2Response && api2Response.status === "Success" && Array.isArray(api2Response.data)) {
-          // Old API format (wrapped in status/data)
-          sensorData = api2Response.data;
-          logger.info(`Retrieved ${sensorData.length} sensor readings from API2 (old format) [${cycleId}]`);
-        } else {
-          logger.error(`Unexpected response format from API2 [${cycleId}]`);
-        }
-      } catch (api2Error) {
-        logger.error(`Error fetching data from API2: ${api2Error.message} [${cycleId}]`);
-      }
+    // 2. Collect rack, power and environmental data from every configured source
+    logger.info(`Collecting data from configured sources [${cycleId}]`);
+    const { rackData, sensorData, results } = await timePhase(phases, 'collect', () =>
+      collectSourceData(cycleId, { types: scope === 'sensors' ? SENSOR_CYCLE_TYPES : null }));
+
+    // The API1/API2 flags are kept for the status page: API1 covers the
+    // rack and power sources, API2 the environmental ones. Sources not
+    // polled in this cycle keep their last state.
+    const isReachable = (...types) => {
+      const polled = results.filter(result => result.source.types.some(type => types.includes(type)));
+      return polled.length > 0 ? polled.some(result => result.reachable) : null;
+    };
+    api1Reachable = isReachable('inventory', 'power') ?? api1Reachable;
+    api2Reachable = isReachable('environmental') ?? api2Reachable;
+
+    Object.assign(run, {
+      api1Reachable,
+      api2Reachable,
+      racksFetched: rackData.length,
+      readingsFetched: sensorData.length
+    });
+    run.details.sources = results.map(result => ({
+      id: result.source.id,
+      name: result.source.name,
+      driver: result.source.driver,
+      types: result.source.types,
+      reachable: result.reachable,
+      records: result.records.length,
+      error: result.error,
+      duration: result.duration
+    }));
+
+    logger.info(`Source reachability: ${results.map(result => `${result.source.id}=${result.reachable}`).join(', ') || 'no sources'} [${cycleId}]`);
+
+    // Outages are tracked before the skip below, so a cycle where nothing
+    // answers still counts towards them
+    run.details.problems = await checkSourceOutages(results, cycleId);
+
+    // 3. Skip further processing if every source is unreachable
+    if (!results.some(result => result.reachable)) {
+      logger.error(`No data source is reachable, skipping monitoring cycle [${cycleId}]`);
+      await finishRun(run, 'skipped', 'No data source is reachable');
+      return;
     }
 
-    // 4. Retrieve current threshold settings from the database
+    logger.info(`Collected ${rackData.length} racks and ${sensorData.length} sensor readings [${cycleId}]`);
+
+    // 4. Load the limits before the transaction, so it only holds locks for the writes
     logger.info(`Retrieving threshold settings [${cycleId}]`);
-    let thresholds = await getThresholds();
-    
-    // 5. Store rack data in database (upsert)
-    if (rackData.length > 0) {
-      await storeRackData(rackData, cycleId);
-    }
+    const limits = await timePhase(phases, 'prepare', async () => {
+      const [globalThresholds, thresholdOverrides, maintenanceWindows, rules] = await Promise.all([
+        getThresholds(),
+        listThresholdOverrides(),
+        getActiveMaintenanceWindows(),
+        listAlertRules({ enabledOnly: true })
+      ]);
+      logger.info(`Loaded ${thresholdOverrides.length} threshold overrides, ${maintenanceWindows.length} active maintenance windows and ${rules.length} alert rules [${cycleId}]`);
+      return { globalThresholds, thresholdOverrides, maintenanceWindows, rules };
+    });
     
-    // 6. Store sensor data in database
-    if (sensorData.length > 0) {
-      await storeSensorData(sensorData, cycleId);
-    }
+    // 5. Store racks and readings and apply the problem changes in one transaction
+    let writesEndedAt = null;
+    const { storedRacks, storedReadings, rackIds, applied } = await withTransaction(async (query) => {
+      const racks = await timePhase(phases, 'racks', () => storeRackData(query, rackData, cycleId));
+      const ids = await timePhase(phases, 'rackIds', () => loadRackIds(query));
+      const readings = await timePhase(phases, 'readings', () => storeSensorData(query, sensorData, rackData, ids, cycleId));
+      const changes = await timePhase(phases, 'evaluate', () => checkThresholdViolations(query, sensorData, rackData, ids, limits, cycleId));
+      const problemChanges = await timePhase(phases, 'problems', () => applyProblemChanges(query, changes));
+      writesEndedAt = Date.now();
+      return { storedRacks: racks, storedReadings: readings, rackIds: ids, applied: problemChanges };
+    }, { label: `Monitoring Cycle ${cycleId}` });
+    phases.commit = Date.now() - writesEndedAt;
     
-    // 7. Check for threshold violations and create problems
-    if (sensorData.length > 0 && thresholds) {
-      await checkThresholdViolations(sensorData, rackData, thresholds, cycleId);
-    }
+    racksStored += storedRacks;
+    sensorReadingsStored += storedReadings;
+    announceProblemChanges(applied, cycleId);
+
+    Object.assign(run, {
+      racksStored: storedRacks,
+      readingsStored: storedReadings,
+      problemsOpened: applied.opened.length,
+      problemsEscalated: applied.escalated.length,
+      problemsResolved: applied.resolved.length
+    });
+    run.details.problems = [...run.details.problems, ...describeProblemChanges(applied, rackIds)];
 
     // Increment completed cycles counter
     cyclesCompleted++;
     
-    lastRunDuration = Date.now() - startTime;
-    logger.info(`Monitoring cycle completed in ${lastRunDuration}ms [${cycleId}]`);
+    logger.info(`Monitoring cycle completed in ${Date.now() - startTime}ms (${Object.entries(phases).map(([phase, duration]) => `${phase}=${duration}ms`).join(', ')}) [${cycleId}]`);
+
+    // 6. Push the fresh data to connected dashboards
+    await timePhase(phases, 'publish', () => publishRackSnapshot(cycleId));
+    await finishRun(run, 'completed');
   } catch (error) {
     logger.error(`Error in monitoring cycle: ${error.message} [${cycleId}]`, {
       cycleId,
       error: error.message,
       stack: error.stack
     });
-    lastRunDuration = Date.now() - startTime;
+    await finishRun(run, 'failed', error.message);
+  } finally {
+    runningScope = null;
+    if (fullCycleQueued) {
+      fullCycleQueued = false;
+      if (monitoringActive) {
+        setImmediate(() => runMonitoringCycle({ scope: 'full' }));
+      }
+    }
   }
 }
 
+/**
+ * End a monitoring cycle: record its outcome in monitoring_runs and tell
+ * connected dashboards it finished
+ * @param {Object} run - Cycle ID, start time, counts and details of the cycle
+ * @param {string} status - 'completed', 'skipped' or 'failed'
+ * @param {string|null} reason - Why the cycle was skipped or failed
+ */
+async function finishRun(run, status, reason = null) {
+  lastRunDuration = Date.now() - run.startTime;
+  lastRunStatus = status;
+  lastRunError = reason;
+  if (status === 'completed') {
+    lastSuccessAt = new Date();
+    consecutiveFailures = 0;
+  } else {
+    consecutiveFailures++;
+  }
+
+  if (dbEnabled) {
+    await recordRunEnd(run.cycleId, {
+      ...run,
+      status,
+      durationMs: lastRunDuration,
+      error: reason
+    });
+  }
+
+  publishCycleEvent(run.cycleId, status, reason);
+}
+
+/**
+ * List the problems a cycle changed, for the run history drill-down
+ * @param {Object} applied - Applied changes from applyProblemChanges
+ * @param {Map} rackIds - Rack name to ID
+ * @returns {Array} { id, change, rack, type, alertType, phase, value }
+ */
+function describeProblemChanges(applied, rackIds) {
+  const rackNames = new Map([...rackIds].map(([name, id]) => [String(id).toLowerCase(), name]));
+  const rackName = (rackId) => rackNames.get(String(rackId).toLowerCase()) || null;
+
+  return [
+    ...applied.opened.map(problem => ({
+      id: problem.id,
+      change: 'opened',
+      rack: problem.rackName,
+      type: problem.type,
+      alertType: problem.alertType,
+      phase: problem.phase || null,
+      value: problem.value
+    })),
+    ...applied.escalated.map(({ problem, value }) => ({
+      id: problem.id,
+      change: 'escalated',
+      rack: rackName(problem.rack_id),
+      type: problem.type,
+      alertType: problem.alert_type,
+      phase: problem.phase || null,
+      value
+    })),
+    ...applied.resolved.map(({ problem, value }) => ({
+      id: problem.id,
+      change: 'resolved',
+      rack: rackName(problem.rack_id),
+      type: problem.type,
+      alertType: problem.alert_type,
+      phase: problem.phase || null,
+      value
+    }))
+  ];
+}
+
+/**
+ * Push the racks and sensors stored by a cycle to connected dashboards, so
+ * they don't have to poll for them
+ * @param {string} cycleId - Current monitoring cycle ID
+ */
+async function publishRackSnapshot(cycleId) {
+  if (getClientCount() === 0) {
+    return;
+  }
+
+  try {
+    const snapshot = await getDashboardSnapshot(cycleId);
+    publishEvent('racks', { cycleId, ...snapshot });
+  } catch (error) {
+    logger.error(`Error publishing rack snapshot: ${error.message} [${cycleId}]`, {
+      cycleId,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+}
+
+/**
+ * Tell connected dashboards that a cycle finished
+ * @param {string} cycleId - Monitoring cycle ID
+ * @param {string} status - 'completed', 'skipped' or 'failed'
+ * @param {string|null} reason - Why the cycle was skipped or failed
+ */
+function publishCycleEvent(cycleId, status, reason = null) {
+  publishEvent('cycle', {
+    cycleId,
+    status,
+    reason,
+    finishedAt: new Date().toISOString(),
+    duration: lastRunDuration,
+    cyclesCompleted,
+    problemsDetected,
+    problemsResolved
+  });
+}
+
 /**
  * Get current threshold settings from database
  * @returns {Object} Threshold settings
@@ -232,6 +625,16 @@ async function getThresholds() {
         max_humidity,
         max_power_single_phase,
         max_power_three_phase,
+        max_power_per_phase,
+        max_phase_imbalance,
+        critical_min_temp,
+        critical_max_temp,
+        critical_min_humidity,
+        critical_max_humidity,
+        critical_max_power_single_phase,
+        critical_max_power_three_phase,
+        critical_max_power_per_phase,
+        critical_max_phase_imbalance,
         created_at,
         updated_at
       FROM thresholds
@@ -255,6 +658,16 @@ async function getThresholds() {
         max_humidity: 70.0,
         max_power_single_phase: 16.0,
         max_power_three_phase: 48.0,
+        max_power_per_phase: 16.0,
+        max_phase_imbalance: 20.0,
+        critical_min_temp: 15.0,
+        critical_max_temp: 35.0,
+        critical_min_humidity: 35.0,
+        critical_max_humidity: 75.0,
+        critical_max_power_single_phase: 20.0,
+        critical_max_power_three_phase: 60.0,
+        critical_max_power_per_phase: 20.0,
+        critical_max_phase_imbalance: 40.0,
         created_at: new Date(),
         updated_at: new Date()
       };
@@ -275,237 +688,332 @@ async function getThresholds() {
       max_humidity: 70.0,
       max_power_single_phase: 16.0,
       max_power_three_phase: 48.0,
+      max_power_per_phase: 16.0,
+      max_phase_imbalance: 20.0,
+      critical_min_temp: 15.0,
+      critical_max_temp: 35.0,
+      critical_min_humidity: 35.0,
+      critical_max_humidity: 75.0,
+      critical_max_power_single_phase: 20.0,
+      critical_max_power_three_phase: 60.0,
+      critical_max_power_per_phase: 20.0,
+      critical_max_phase_imbalance: 40.0,
       created_at: new Date(),
       updated_at: new Date()
     };
   }
 }
 
+// Table-valued parameter columns, in the order of the table types
+const RACK_ROW_COLUMNS = [
+  ['name', sql.NVarChar(50)],
+  ['site', sql.NVarChar(50)],
+  ['datacenter', sql.NVarChar(50)],
+  ['maintenance', sql.Bit],
+  ['max_power', sql.Decimal(10, 2)],
+  ['max_units', sql.Int],
+  ['free_units', sql.Int],
+  ['phase', sql.NVarChar(20)],
+  ['power_fail', sql.Bit],
+  ['device_status', sql.NVarChar(50)],
+  ['capacity_amps', sql.Decimal(10, 2)]
+];
+
+const READING_ROW_COLUMNS = [
+  ['rack_id', sql.UniqueIdentifier],
+  ['temperature', sql.Decimal(5, 2)],
+  ['humidity', sql.Decimal(5, 2)],
+  ...['total_power', 'total_current', 'total_voltage',
+    'l1_current', 'l2_current', 'l3_current',
+    'l1_voltage', 'l2_voltage', 'l3_voltage'].map(name => [name, sql.Decimal(10, 2)])
+];
+
+const PROBLEM_ROW_COLUMNS = [
+  ['id', sql.UniqueIdentifier],
+  ['rack_id', sql.UniqueIdentifier],
+  ['type', sql.NVarChar(20)],
+  ['value', sql.NVarChar(50)],
+  ['threshold', sql.NVarChar(50)],
+  ['alert_type', sql.VarChar(10)],
+  ['phase', sql.NVarChar(2)],
+  ['maintenance_window_id', sql.UniqueIdentifier],
+  ['rule_id', sql.UniqueIdentifier],
+  ['severity', sql.NVarChar(10)],
+  ['note', sql.NVarChar(1000)]
+];
+
+// Rack feed field carrying each column that can be set by hand
+const MANUAL_FEED_FIELDS = {
+  site: 'SITE',
+  datacenter: 'DC',
+  max_power: 'MAXPOWER',
+  max_units: 'MAXU',
+  free_units: 'FREEU',
+  phase: 'phase',
+  capacity_amps: 'CAPACITY_AMPS'
+};
+
+/**
+ * Value a MERGE sets on a rack column: the source's value, unless the column
+ * was set by hand (listed in the rack's manual_fields)
+ * @param {string} column - racks column
+ * @param {string} value - SQL expression of the source's value
+ * @returns {string} SQL expression
+ */
+const unlessManual = (column, value) =>
+  `CASE WHEN ',' + ISNULL(target.manual_fields, '') + ',' LIKE '%,${column},%' THEN target.${column} ELSE ${value} END`;
+
 /**
- * Store rack data in the database
- * @param {Array} rackData - Array of rack objects from API
+ * First of the values that is a finite number, or null
+ */
+const firstNumber = (...values) => {
+  for (const value of values) {
+    if (value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value))) {
+      return Number(value);
+    }
+  }
+  return null;
+};
+
+/**
+ * Upsert the racks reported by the sources with a single MERGE. Columns set
+ * by hand and decommissioned racks are left as they are, and the values set
+ * by hand replace the reported ones in rackData, so the checks use them.
+ * @param {Function} query - Query function of the cycle's transaction
+ * @param {Array} rackData - Array of rack objects from the sources
  * @param {string} cycleId - Current monitoring cycle ID for logging
+ * @returns {Promise<number>} Number of racks inserted or updated
  */
-async function storeRackData(rackData, cycleId) {
-  try {
-    logger.info(`Storing ${rackData.length} racks in database [${cycleId}]`);
-    
-    // Process each rack individually for better error handling
-    let successCount = 0;
-    let errorCount = 0;
-    let updateCount = 0;
-    let insertCount = 0;
+async function storeRackData(query, rackData, cycleId) {
+  logger.info(`Storing ${rackData.length} racks in database [${cycleId}]`);
+  
+  const rows = new Map();
+  let skippedCount = 0;
+  
+  for (const rack of rackData) {
+    const name = rack.NAME || rack.name;
+    const site = rack.SITE || rack.site;
+    const datacenter = rack.DC || rack.datacenter || rack.dc;
     
-    for (const rack of rackData) {
-      try {
-        // Transform API data to database schema
-        // First, check if rack exists using the provided name
-        const checkQuery = `
-          SELECT id FROM racks 
-          WHERE name = @param0
-        `;
-        
-        const existingRacks = await executeQuery(checkQuery, [rack.NAME || rack.name], {
-          queryId: `checkRack_${Date.now()}`,
-          label: 'Check Rack Exists'
-        });
-        
-        if (existingRacks && existingRacks.length > 0) {
-          // Update existing rack
-          const updateQuery = `
-            UPDATE racks
-            SET 
-              site = @param1,
-              datacenter = @param2,
-              maintenance = @param3,
-              max_power = @param4,
-              phase = @param5,
-              free_units = @param6,
-              updated_at = GETDATE()
-            WHERE id = @param7
-          `;
-          
-          // FIX: Correctly preserve the FREEU value during updates
-          const freeUnits = rack.FREEU || rack.free_units || '0';
-          
-          logger.debug(`Updating rack ${rack.NAME || rack.name} with free_units = ${freeUnits} [${cycleId}]`);
-          
-          await executeQuery(updateQuery, [
-            rack.SITE || rack.site,
-            rack.DC || rack.datacenter || rack.dc,
-            rack.MAINTENANCE === '1' || rack.maintenance === 1 || rack.MAINTENANCE === true || rack.maintenance === true ? 1 : 0,
-            rack.MAXPOWER || rack.max_power || rack.capacityKw || '7',
-            rack.phase || ((rack.L2_VOLTS === null && rack.L3_VOLTS === null) ? 'Single Phase' : '3-Phase'),
-            freeUnits,
-            existingRacks[0].id
-          ], {
-            queryId: `updateRack_${Date.now()}`,
-            label: 'Update Rack'
-          });
-          
-          logger.debug(`Updated rack ${rack.NAME || rack.name} in database [${cycleId}]`);
-          updateCount++;
-          successCount++;
-        } else {
-          // Insert new rack
-          const insertQuery = `
-            INSERT INTO racks (
-              name, site, datacenter, maintenance, max_power, max_units, free_units, phase
-            )
-            VALUES (
-              @param0, @param1, @param2, @param3, @param4, @param5, @param6, @param7
-            )
-          `;
-          
-          // FIX: Correctly handle the FREEU value for new inserts too
-          const freeUnits = rack.FREEU || rack.free_units || '10'; // Default to 10 if not specified
-          const maxUnits = rack.MAXU || rack.max_units || '42'; // Default to 42 if not specified
-          
-          logger.debug(`Inserting new rack ${rack.NAME || rack.name} with free_units = ${freeUnits} and max_units = ${maxUnits} [${cycleId}]`);
-          
-          await executeQuery(insertQuery, [
-            rack.NAME || rack.name,
-            rack.SITE || rack.site,
-            rack.DC || rack.datacenter || rack.dc,
-            rack.MAINTENANCE === '1' || rack.maintenance === 1 || rack.MAINTENANCE === true || rack.maintenance === true ? 1 : 0,
-            rack.MAXPOWER || rack.max_power || rack.capacityKw || '7',
-            maxUnits,
-            freeUnits,
-            rack.phase || ((rack.L2_VOLTS === null && rack.L3_VOLTS === null) ? 'Single Phase' : '3-Phase')
-          ], {
-            queryId: `insertRack_${Date.now()}`,
-            label: 'Insert Rack'
-          });
-          
-          logger.info(`Inserted new rack ${rack.NAME || rack.name} into database [${cycleId}]`);
-          insertCount++;
-          successCount++;
-        }
-      } catch (rackError) {
-        logger.error(`Error storing rack ${rack.NAME || rack.name}: ${rackError.message} [${cycleId}]`, {
-          error: rackError.message,
-          stack: rackError.stack,
-          rack: rack.NAME || rack.name
-        });
-        errorCount++;
-      }
+    // One bad row would fail the whole statement, so invalid racks are left out
+    if (!name || !site || !datacenter || name.length > 50) {
+      logger.warn(`Rack ${name || '(no name)'} has no site or datacenter or its name is too long, skipping [${cycleId}]`);
+      skippedCount++;
+      continue;
     }
     
-    // Update global counter
-    racksStored += successCount;
+    // Units the source doesn't report are NULL: updates keep 0 free units
+    // and inserts default to 42 units with 10 free, as before. PDU status
+    // fields the feed doesn't report keep their last stored value.
+    rows.set(name, [
+      name,
+      site,
+      datacenter,
+      isRackFlaggedForMaintenance(rack),
+      firstNumber(rack.MAXPOWER, rack.max_power, rack.capacityKw) ?? 7,
+      firstNumber(rack.MAXU, rack.max_units),
+      firstNumber(rack.FREEU, rack.free_units),
+      rack.phase || ((rack.L2_VOLTS === null && rack.L3_VOLTS === null) ? 'Single Phase' : '3-Phase'),
+      isPowerFailure(rack.POWER_FAIL),
+      rack.RSTATUS ? String(rack.RSTATUS).trim().substring(0, 50) : null,
+      firstNumber(rack.CAPACITY_AMPS, rack.capacity_amps)
+    ]);
+  }
+  
+  if (rows.size === 0) {
+    return 0;
+  }
+  
+  // racks has an update trigger, so OUTPUT must go through a table variable
+  const result = await query(`
+    DECLARE @merged TABLE (merge_action NVARCHAR(10));
     
-    logger.info(`Rack storage complete: ${successCount} successful (${updateCount} updated, ${insertCount} inserted), ${errorCount} failed [${cycleId}]`);
-  } catch (error) {
-    logger.error(`Error storing rack data: ${error.message} [${cycleId}]`, {
-      error: error.message,
-      stack: error.stack
-    });
+    MERGE racks AS target
+    USING @param0 AS source
+    ON target.name = source.name
+    WHEN MATCHED AND target.decommissioned_at IS NULL THEN
+      UPDATE SET
+        site = ${unlessManual('site', 'source.site')},
+        datacenter = ${unlessManual('datacenter', 'source.datacenter')},
+        maintenance = source.maintenance,
+        max_power = ${unlessManual('max_power', 'source.max_power')},
+        phase = ${unlessManual('phase', 'source.phase')},
+        free_units = ${unlessManual('free_units', 'ISNULL(source.free_units, 0)')},
+        power_fail = ISNULL(source.power_fail, target.power_fail),
+        device_status = ISNULL(source.device_status, target.device_status),
+        capacity_amps = ${unlessManual('capacity_amps', 'ISNULL(source.capacity_amps, target.capacity_amps)')},
+        updated_at = GETDATE()
+    WHEN NOT MATCHED BY TARGET THEN
+      INSERT (name, site, datacenter, maintenance, max_power, max_units, free_units, phase, power_fail, device_status, capacity_amps)
+      VALUES (
+        source.name, source.site, source.datacenter, source.maintenance, source.max_power,
+        ISNULL(source.max_units, 42), ISNULL(source.free_units, 10), source.phase,
+        source.power_fail, source.device_status, source.capacity_amps
+      )
+    OUTPUT $action INTO @merged;
+    
+    SELECT
+      SUM(CASE WHEN merge_action = 'UPDATE' THEN 1 ELSE 0 END) AS updated,
+      SUM(CASE WHEN merge_action = 'INSERT' THEN 1 ELSE 0 END) AS inserted
+    FROM @merged;
+  `, [createTableParam('dbo.RackSnapshotRows', RACK_ROW_COLUMNS, [...rows.values()])], {
+    label: 'Merge Racks'
+  });
+  
+  const updated = result[0]?.updated || 0;
+  const inserted = result[0]?.inserted || 0;
+  logger.info(`Rack storage complete: ${updated + inserted} successful (${updated} updated, ${inserted} inserted), ${skippedCount} skipped [${cycleId}]`);
+  
+  const manualRacks = await query(`
+    SELECT name, manual_fields, site, datacenter, max_power, max_units, free_units, phase, capacity_amps
+    FROM racks
+    WHERE manual_fields IS NOT NULL AND decommissioned_at IS NULL
+  `, [], {
+    label: 'Load Manual Rack Fields'
+  });
+  const racksByName = new Map(rackData.map(rack => [rack.NAME || rack.name, rack]));
+  for (const row of manualRacks) {
+    const rack = racksByName.get(row.name);
+    if (rack) {
+      for (const column of parseManualFields(row.manual_fields)) {
+        rack[MANUAL_FEED_FIELDS[column]] = row[column];
+      }
+    }
   }
+  
+  return updated + inserted;
+}
+
+/**
+ * Get the ID of every rack, once per cycle
+ * @param {Function} query - Query function of the cycle's transaction
+ * @returns {Promise<Map<string, string>>} Rack ID by rack name
+ */
+async function loadRackIds(query) {
+  const racks = await query('SELECT id, name FROM racks WHERE decommissioned_at IS NULL', [], {
+    label: 'Load Rack IDs'
+  });
+  return new Map(racks.map(rack => [rack.name, rack.id]));
 }
 
 /**
- * Store sensor data in the database
- * @param {Array} sensorData - Array of sensor reading objects from API
+ * Insert the sensor readings of a cycle with a single statement
+ * @param {Function} query - Query function of the cycle's transaction
+ * @param {Array} sensorData - Array of sensor reading objects from the sources
+ * @param {Array} rackData - Array of rack objects from the sources, used for the
+ *   per-phase power readings when the sensor feed doesn't carry them
+ * @param {Map<string, string>} rackIds - Rack ID by rack name
  * @param {string} cycleId - Current monitoring cycle ID for logging
+ * @returns {Promise<number>} Number of readings stored
  */
-async function storeSensorData(sensorData, cycleId) {
-  try {
-    logger.info(`Storing ${sensorData.length} sensor readings in database [${cycleId}]`);
+async function storeSensorData(query, sensorData, rackData, rackIds, cycleId) {
+  logger.info(`Storing ${sensorData.length} sensor readings in database [${cycleId}]`);
+  
+  const rackMap = {};
+  for (const rack of rackData) {
+    const rackName = rack.NAME || rack.name;
+    if (rackName) {
+      rackMap[rackName] = rack;
+    }
+  }
+  
+  const rows = [];
+  const unknownRacks = new Set();
+  let noRackCount = 0;
+  let invalidCount = 0;
+  
+  for (const sensor of sensorData) {
+    const rackName = sensor.RACK_NAME || sensor.rackName || sensor.name;
+    const rackId = rackName ? rackIds.get(rackName) : null;
     
-    // Process each sensor reading individually for better error handling
-    let successCount = 0;
-    let errorCount = 0;
-    let noRackCount = 0;
+    if (!rackId) {
+      logger.debug(`No rack found with name ${rackName || '(none)'}, skipping sensor reading [${cycleId}]`);
+      unknownRacks.add(rackName || '(none)');
+      noRackCount++;
+      continue;
+    }
     
-    for (const sensor of sensorData) {
-      try {
-        // First, get the rack_id based on rack name
-        const rackName = sensor.RACK_NAME || sensor.rackName || sensor.name;
-        
-        if (!rackName) {
-          logger.warn(`Sensor reading has no rack name, skipping [${cycleId}]`);
-          noRackCount++;
-          continue;
-        }
-        
-        const rackQuery = `
-          SELECT id FROM racks 
-          WHERE name = @param0
-        `;
-        
-        const racks = await executeQuery(rackQuery, [rackName], {
-          queryId: `getRackId_${Date.now()}`,
-          label: 'Get Rack ID for Sensor'
-        });
-        
-        if (!racks || racks.length === 0) {
-          logger.warn(`No rack found with name ${rackName}, skipping sensor reading [${cycleId}]`);
-          noRackCount++;
-          continue;
-        }
-        
-        const rackId = racks[0].id;
-        
-        // Insert the sensor reading
-        const insertQuery = `
-          INSERT INTO sensor_readings (
-            rack_id, temperature, humidity, total_power, total_current, total_voltage
-          )
-          VALUES (
-            @param0, @param1, @param2, @param3, @param4, @param5
-          )
-        `;
-        
-        const temperature = sensor.TEMPERATURE || sensor.temperature || null;
-        const humidity = sensor.HUMIDITY || sensor.humidity || null;
-        const totalPower = sensor.TOTAL_KW || sensor.totalKw || null;
-        const totalCurrent = sensor.TOTAL_AMPS || sensor.totalAmps || null;
-        const totalVoltage = sensor.TOTAL_VOLTS || sensor.totalVolts || null;
-        
-        await executeQuery(insertQuery, [
-          rackId,
-          temperature,
-          humidity,
-          totalPower,
-          totalCurrent,
-          totalVoltage
-        ], {
-          queryId: `insertSensorReading_${Date.now()}`,
-          label: 'Insert Sensor Reading'
-        });
-        
-        logger.debug(`Stored sensor reading for rack ${rackName}: Temp=${temperature}, Humidity=${humidity}, Power=${totalPower} [${cycleId}]`);
-        successCount++;
-      } catch (sensorError) {
-        logger.error(`Error storing sensor reading: ${sensorError.message} [${cycleId}]`, {
-          error: sensorError.message,
-          stack: sensorError.stack,
-          sensor: sensor
-        });
-        errorCount++;
-      }
+    const temperature = firstNumber(sensor.TEMPERATURE, sensor.temperature);
+    const humidity = firstNumber(sensor.HUMIDITY, sensor.humidity);
+    
+    // Readings outside the table's check constraints would fail the whole insert
+    if ((temperature !== null && (temperature < -50 || temperature > 100)) ||
+        (humidity !== null && (humidity < 0 || humidity > 100))) {
+      logger.warn(`Sensor reading for rack ${rackName} is out of range (Temp=${temperature}, Humidity=${humidity}), skipping [${cycleId}]`);
+      invalidCount++;
+      continue;
     }
     
-    // Update global counter
-    sensorReadingsStored += successCount;
+    // Prefer the sensor feed's per-phase values, falling back to the rack feed
+    const rack = rackMap[rackName] || {};
+    const currents = getPhaseCurrents(sensor, rack);
     
-    logger.info(`Sensor reading storage complete: ${successCount} successful, ${errorCount} failed, ${noRackCount} skipped (no rack found) [${cycleId}]`);
-  } catch (error) {
-    logger.error(`Error storing sensor data: ${error.message} [${cycleId}]`, {
-      error: error.message,
-      stack: error.stack
+    rows.push([
+      rackId,
+      temperature,
+      humidity,
+      firstNumber(sensor.TOTAL_KW, sensor.totalKw),
+      firstNumber(sensor.TOTAL_AMPS, sensor.totalAmps),
+      firstNumber(sensor.TOTAL_VOLTS, sensor.totalVolts),
+      ...PHASES.map(phase => currents[phase]),
+      ...PHASES.map(phase => getPhaseVoltage(sensor, phase) ?? getPhaseVoltage(rack, phase))
+    ]);
+  }
+  
+  if (rows.length > 0) {
+    await query(`
+      INSERT INTO sensor_readings (
+        rack_id, temperature, humidity, total_power, total_current, total_voltage,
+        l1_current, l2_current, l3_current, l1_voltage, l2_voltage, l3_voltage
+      )
+      SELECT
+        rack_id, temperature, humidity, total_power, total_current, total_voltage,
+        l1_current, l2_current, l3_current, l1_voltage, l2_voltage, l3_voltage
+      FROM @param0
+    `, [createTableParam('dbo.SensorReadingRows', READING_ROW_COLUMNS, rows)], {
+      label: 'Insert Sensor Readings'
     });
   }
+  
+  // Readings of racks missing from the inventory can't be stored or checked,
+  // so they are listed rather than dropped quietly
+  if (unknownRacks.size > 0) {
+    const names = [...unknownRacks];
+    logger.warn(`Skipped ${noRackCount} sensor readings for ${names.length} racks missing from the inventory or decommissioned: ${names.slice(0, 10).join(', ')}${names.length > 10 ? ', ...' : ''} [${cycleId}]`);
+  }
+  logger.info(`Sensor reading storage complete: ${rows.length} successful, ${invalidCount} out of range, ${noRackCount} skipped (no rack found) [${cycleId}]`);
+  return rows.length;
 }
 
 /**
- * Check for threshold violations and create problem records
+ * Check for threshold violations and work out which problems to open,
+ * escalate and resolve. Nothing is written here: the changes are applied
+ * together by applyProblemChanges.
+ * @param {Function} query - Query function of the cycle's transaction
  * @param {Array} sensorData - Array of sensor reading objects
  * @param {Array} rackData - Array of rack objects
- * @param {Object} thresholds - Current threshold settings
+ * @param {Map<string, string>} rackIds - Rack ID by rack name
+ * @param {Object} limits - { globalThresholds, thresholdOverrides, maintenanceWindows, rules };
+ *   site, datacenter and rack overrides are applied on top of the global
+ *   thresholds per rack
  * @param {string} cycleId - Current monitoring cycle ID for logging
+ * @returns {Promise<Object>} Problem changes: { created, escalated, resolved }
  */
-async function checkThresholdViolations(sensorData, rackData, thresholds, cycleId) {
+async function checkThresholdViolations(query, sensorData, rackData, rackIds, limits, cycleId) {
+  const { globalThresholds, thresholdOverrides, maintenanceWindows, rules } = limits;
+  const changes = {
+    created: new Map(),
+    escalated: new Map(),
+    resolved: new Map(),
+    // Sustained rules by problem type, applied by createProblem. The API
+    // rejects a second enabled rule for a metric, but rules written before
+    // that check or straight to the table are all kept
+    sustainedRules: new Map()
+  };
+  for (const rule of rules.filter(entry => entry.kind === 'sustained')) {
+    changes.sustainedRules.set(rule.metric, [...(changes.sustainedRules.get(rule.metric) || []), rule]);
+  }
+    
   try {
     logger.info(`Checking for threshold violations against ${sensorData.length} sensor readings [${cycleId}]`);
     
@@ -518,20 +1026,26 @@ async function checkThresholdViolations(sensorData, rackData, thresholds, cycleI
       }
     }
     
-    // Track active problems to avoid creating duplicates
-    const activeProblems = await getActiveProblems();
+    // Track open (active or acknowledged) problems to avoid creating duplicates
+    const activeProblems = await getActiveProblems(query);
     logger.info(`Found ${activeProblems.length} existing active problems [${cycleId}]`);
     
     // Active problems map for quick lookups
     const activeProblemMap = {};
     for (const problem of activeProblems) {
-      const key = `${problem.rack_id}-${problem.type}-${problem.alert_type}`;
+      const key = `${problem.rack_id}-${problem.type}-${problem.alert_type}${problem.phase ? `-${problem.phase}` : ''}`;
       activeProblemMap[key] = problem;
     }
     
     let temperatureProblems = 0;
     let humidityProblems = 0;
     let powerProblems = 0;
+    let imbalanceProblems = 0;
+    let resolvedCount = 0;
+    
+    // Readings that could clear each open problem; resolution is decided
+    // after the loop, once every sensor of the rack has been seen
+    const clearances = new Map();
     
     // Process each sensor reading
     for (const sensor of sensorData) {
@@ -543,25 +1057,34 @@ async function checkThresholdViolations(sensorData, rackData, thresholds, cycleI
           continue;
         }
         
-        // Get the rack ID
-        const rackQuery = `
-          SELECT id FROM racks 
-          WHERE name = @param0
-        `;
-        
-        const racks = await executeQuery(rackQuery, [rackName], {
-          queryId: `getRackId_${Date.now()}`,
-          label: 'Get Rack ID for Threshold Check'
-        });
-        
-        if (!racks || racks.length === 0) {
+        const rackId = rackIds.get(rackName);
+        if (!rackId) {
           logger.warn(`No rack found with name ${rackName}, skipping threshold check [${cycleId}]`);
           continue;
         }
         
-        const rackId = racks[0].id;
         const rack = rackMap[rackName];
         
+        const target = {
+          site: rack?.SITE || rack?.site || sensor.SITE,
+          dc: rack?.DC || rack?.datacenter || rack?.dc || sensor.DC,
+          rack: rackName
+        };
+        
+        // Most specific limits for this rack: rack, then DC, then site, then global
+        const thresholds = resolveThresholds(globalThresholds, thresholdOverrides, target);
+        if (thresholds.scope !== 'global') {
+          logger.debug(`Using ${thresholds.scope} threshold override for rack ${rackName} [${cycleId}]`);
+        }
+        
+        // New problems for racks under maintenance are suppressed or tagged
+        // with the window; open problems still escalate and resolve as usual
+        const maintenanceWindow = findMaintenanceWindow(maintenanceWindows, target)
+          || (rack && isRackFlaggedForMaintenance(rack) ? RACK_FLAG_MAINTENANCE : null);
+        if (maintenanceWindow) {
+          logger.debug(`Rack ${rackName} is under maintenance (${maintenanceWindow.reason}), new problems are ${maintenanceWindow.suppress_alerts ? 'suppressed' : 'tagged'} [${cycleId}]`);
+        }
+        
         // Check temperature against thresholds
         if (sensor.TEMPERATURE || sensor.temperature) {
           const temperature = parseFloat(sensor.TEMPERATURE || sensor.temperature);
@@ -572,50 +1095,84 @@ async function checkThresholdViolations(sensorData, rackData, thresholds, cycleI
           // Check for high temperature
           if (temperature > thresholds.max_temp) {
             const problemKey = `${rackId}-Temperature-high`;
+            const severity = getThresholdSeverity(thresholds, 'max_temp', temperature);
             
             // Only create a problem if one doesn't already exist
             if (!activeProblemMap[problemKey]) {
-              await createProblem(
+              const problemId = createProblem(
+                changes,
+                problemKey,
                 rackId,
+                rackName,
                 'Temperature',
                 `${temperature}°C`,
                 `${thresholds.max_temp}°C`,
                 'high',
-                cycleId
+                severity,
+                cycleId,
+                '',
+                maintenanceWindow
               );
-              temperatureProblems++;
-              problemsDetected++;
-              
-              logger.info(`Created high temperature problem for rack ${rackName}: ${temperature}°C > ${thresholds.max_temp}°C [${cycleId}]`);
+              if (problemId) {
+                temperatureProblems++;
+                
+                logger.info(`Raising high temperature problem for rack ${rackName}: ${temperature}°C > ${thresholds.max_temp}°C [${cycleId}]`);
+              }
             } else {
               logger.debug(`Skipping duplicate high temperature problem for rack ${rackName} [${cycleId}]`);
+              escalateIfWorse(changes, activeProblemMap[problemKey], `${temperature}°C`, severity, cycleId);
             }
           }
           
           // Check for low temperature
           else if (temperature < thresholds.min_temp) {
             const problemKey = `${rackId}-Temperature-low`;
+            const severity = getThresholdSeverity(thresholds, 'min_temp', temperature);
             
             // Only create a problem if one doesn't already exist
             if (!activeProblemMap[problemKey]) {
-              await createProblem(
+              const problemId = createProblem(
+                changes,
+                problemKey,
                 rackId,
+                rackName,
                 'Temperature',
                 `${temperature}°C`,
                 `${thresholds.min_temp}°C`,
                 'low',
-                cycleId
+                severity,
+                cycleId,
+                '',
+                maintenanceWindow
               );
-              temperatureProblems++;
-              problemsDetected++;
-              
-              logger.info(`Created low temperature problem for rack ${rackName}: ${temperature}°C < ${thresholds.min_temp}°C [${cycleId}]`);
+              if (problemId) {
+                temperatureProblems++;
+                
+                logger.info(`Raising low temperature problem for rack ${rackName}: ${temperature}°C < ${thresholds.min_temp}°C [${cycleId}]`);
+              }
             } else {
               logger.debug(`Skipping duplicate low temperature problem for rack ${rackName} [${cycleId}]`);
+              escalateIfWorse(changes, activeProblemMap[problemKey], `${temperature}°C`, severity, cycleId);
             }
           } else {
             logger.debug(`Temperature for rack ${rackName} is within normal range: ${temperature}°C [${cycleId}]`);
           }
+          
+          // Resolve open temperature problems once back inside the hysteresis band
+          noteClearance(
+            clearances,
+            activeProblemMap[`${rackId}-Temperature-high`],
+            temperature <= thresholds.max_temp - RESOLUTION_HYSTERESIS.temperature,
+            `${temperature}°C`,
+            temperature
+          );
+          noteClearance(
+            clearances,
+            activeProblemMap[`${rackId}-Temperature-low`],
+            temperature >= thresholds.min_temp + RESOLUTION_HYSTERESIS.temperature,
+            `${temperature}°C`,
+            -temperature
+          );
         } else {
           logger.debug(`No temperature data available for rack ${rackName} [${cycleId}]`);
         }
@@ -630,50 +1187,84 @@ async function checkThresholdViolations(sensorData, rackData, thresholds, cycleI
           // Check for high humidity
           if (humidity > thresholds.max_humidity) {
             const problemKey = `${rackId}-Humidity-high`;
+            const severity = getThresholdSeverity(thresholds, 'max_humidity', humidity);
             
             // Only create a problem if one doesn't already exist
             if (!activeProblemMap[problemKey]) {
-              await createProblem(
+              const problemId = createProblem(
+                changes,
+                problemKey,
                 rackId,
+                rackName,
                 'Humidity',
                 `${humidity}%`,
                 `${thresholds.max_humidity}%`,
                 'high',
-                cycleId
+                severity,
+                cycleId,
+                '',
+                maintenanceWindow
               );
-              humidityProblems++;
-              problemsDetected++;
-              
-              logger.info(`Created high humidity problem for rack ${rackName}: ${humidity}% > ${thresholds.max_humidity}% [${cycleId}]`);
+              if (problemId) {
+                humidityProblems++;
+                
+                logger.info(`Raising high humidity problem for rack ${rackName}: ${humidity}% > ${thresholds.max_humidity}% [${cycleId}]`);
+              }
             } else {
               logger.debug(`Skipping duplicate high humidity problem for rack ${rackName} [${cycleId}]`);
+              escalateIfWorse(changes, activeProblemMap[problemKey], `${humidity}%`, severity, cycleId);
             }
           }
           
           // Check for low humidity
           else if (humidity < thresholds.min_humidity) {
             const problemKey = `${rackId}-Humidity-low`;
+            const severity = getThresholdSeverity(thresholds, 'min_humidity', humidity);
             
             // Only create a problem if one doesn't already exist
             if (!activeProblemMap[problemKey]) {
-              await createProblem(
+              const problemId = createProblem(
+                changes,
+                problemKey,
                 rackId,
+                rackName,
                 'Humidity',
                 `${humidity}%`,
                 `${thresholds.min_humidity}%`,
                 'low',
-                cycleId
+                severity,
+                cycleId,
+                '',
+                maintenanceWindow
               );
-              humidityProblems++;
-              problemsDetected++;
-              
-              logger.info(`Created low humidity problem for rack ${rackName}: ${humidity}% < ${thresholds.min_humidity}% [${cycleId}]`);
+              if (problemId) {
+                humidityProblems++;
+                
+                logger.info(`Raising low humidity problem for rack ${rackName}: ${humidity}% < ${thresholds.min_humidity}% [${cycleId}]`);
+              }
             } else {
               logger.debug(`Skipping duplicate low humidity problem for rack ${rackName} [${cycleId}]`);
+              escalateIfWorse(changes, activeProblemMap[problemKey], `${humidity}%`, severity, cycleId);
             }
           } else {
             logger.debug(`Humidity for rack ${rackName} is within normal range: ${humidity}% [${cycleId}]`);
           }
+          
+          // Resolve open humidity problems once back inside the hysteresis band
+          noteClearance(
+            clearances,
+            activeProblemMap[`${rackId}-Humidity-high`],
+            humidity <= thresholds.max_humidity - RESOLUTION_HYSTERESIS.humidity,
+            `${humidity}%`,
+            humidity
+          );
+          noteClearance(
+            clearances,
+            activeProblemMap[`${rackId}-Humidity-low`],
+            humidity >= thresholds.min_humidity + RESOLUTION_HYSTERESIS.humidity,
+            `${humidity}%`,
+            -humidity
+          );
         } else {
           logger.debug(`No humidity data available for rack ${rackName} [${cycleId}]`);
         }
@@ -682,40 +1273,154 @@ async function checkThresholdViolations(sensorData, rackData, thresholds, cycleI
         if (rack && (rack.TOTAL_AMPS || rack.totalAmps)) {
           const current = parseFloat(rack.TOTAL_AMPS || rack.totalAmps);
           const isSinglePhase = rack.phase === 'Single Phase';
-          const threshold = isSinglePhase ? 
-                          thresholds.max_power_single_phase : 
-                          thresholds.max_power_three_phase;
+          const limitField = isSinglePhase ? 'max_power_single_phase' : 'max_power_three_phase';
+          const threshold = thresholds[limitField];
           
           // Log the power value and threshold for debugging
           logger.debug(`Checking power for rack ${rackName}: ${current}A, threshold: ${threshold}A (${isSinglePhase ? 'Single Phase' : '3-Phase'}) [${cycleId}]`);
           
           if (current > threshold) {
             const problemKey = `${rackId}-Power-high`;
+            const severity = getThresholdSeverity(thresholds, limitField, current);
             
             // Only create a problem if one doesn't already exist
             if (!activeProblemMap[problemKey]) {
-              await createProblem(
+              const problemId = createProblem(
+                changes,
+                problemKey,
                 rackId,
+                rackName,
                 'Power',
                 `${current}A`,
                 `${threshold}A`,
                 'high',
-                cycleId
+                severity,
+                cycleId,
+                '',
+                maintenanceWindow
               );
-              powerProblems++;
-              problemsDetected++;
-              
-              logger.info(`Created high power problem for rack ${rackName}: ${current}A > ${threshold}A [${cycleId}]`);
+              if (problemId) {
+                powerProblems++;
+                
+                logger.info(`Raising high power problem for rack ${rackName}: ${current}A > ${threshold}A [${cycleId}]`);
+              }
             } else {
               logger.debug(`Skipping duplicate high power problem for rack ${rackName} [${cycleId}]`);
+              escalateIfWorse(changes, activeProblemMap[problemKey], `${current}A`, severity, cycleId);
             }
           } else {
             logger.debug(`Power for rack ${rackName} is within normal range: ${current}A [${cycleId}]`);
           }
+          
+          // Resolve an open power problem once back inside the hysteresis band
+          noteClearance(
+            clearances,
+            activeProblemMap[`${rackId}-Power-high`],
+            current <= threshold - RESOLUTION_HYSTERESIS.power,
+            `${current}A`,
+            current
+          );
         } else {
           logger.debug(`No power data available for rack ${rackName} [${cycleId}]`);
         }
         
+        // Check each phase of 3-phase racks against the per-phase limit, and
+        // the spread between phases against the allowed imbalance
+        if (rack && rack.phase !== 'Single Phase') {
+          const phaseCurrents = getPhaseCurrents(sensor, rack);
+          const phaseLimit = Number(thresholds.max_power_per_phase);
+          
+          for (const phase of PHASES) {
+            const current = phaseCurrents[phase];
+            if (current === null) {
+              continue;
+            }
+            
+            const problemKey = `${rackId}-Power-high-${phase}`;
+            
+            if (current > phaseLimit) {
+              const severity = getThresholdSeverity(thresholds, 'max_power_per_phase', current);
+              if (!activeProblemMap[problemKey]) {
+                const problemId = createProblem(
+                  changes,
+                  problemKey,
+                  rackId,
+                  rackName,
+                  'Power',
+                  `${current}A`,
+                  `${phaseLimit}A`,
+                  'high',
+                  severity,
+                  cycleId,
+                  phase,
+                  maintenanceWindow
+                );
+                if (problemId) {
+                  powerProblems++;
+                  
+                  logger.info(`Raising high power problem for rack ${rackName} phase ${phase}: ${current}A > ${phaseLimit}A [${cycleId}]`);
+                }
+              } else {
+                logger.debug(`Skipping duplicate high power problem for rack ${rackName} phase ${phase} [${cycleId}]`);
+                escalateIfWorse(changes, activeProblemMap[problemKey], `${current}A`, severity, cycleId);
+              }
+            }
+            
+            noteClearance(
+              clearances,
+              activeProblemMap[problemKey],
+              current <= phaseLimit - RESOLUTION_HYSTERESIS.power,
+              `${current}A`,
+              current
+            );
+          }
+          
+          const imbalance = getPhaseImbalance(phaseCurrents, PHASE_IMBALANCE_MIN_AMPS);
+          const imbalanceLimit = Number(thresholds.max_phase_imbalance);
+          const imbalanceKey = `${rackId}-PhaseImbalance-high`;
+          
+          logger.debug(`Checking phase imbalance for rack ${rackName}: ${imbalance ?? 'n/a'}%, threshold: ${imbalanceLimit}% [${cycleId}]`);
+          
+          if (imbalance !== null && imbalance > imbalanceLimit) {
+            const severity = getThresholdSeverity(thresholds, 'max_phase_imbalance', imbalance);
+            if (!activeProblemMap[imbalanceKey]) {
+              const problemId = createProblem(
+                changes,
+                imbalanceKey,
+                rackId,
+                rackName,
+                'PhaseImbalance',
+                `${imbalance}%`,
+                `${imbalanceLimit}%`,
+                'high',
+                severity,
+                cycleId,
+                '',
+                maintenanceWindow
+              );
+              if (problemId) {
+                imbalanceProblems++;
+                
+                logger.info(`Raising phase imbalance problem for rack ${rackName}: ${imbalance}% > ${imbalanceLimit}% (L1=${phaseCurrents.L1}A, L2=${phaseCurrents.L2}A, L3=${phaseCurrents.L3}A) [${cycleId}]`);
+              }
+            } else {
+              logger.debug(`Skipping duplicate phase imbalance problem for rack ${rackName} [${cycleId}]`);
+              escalateIfWorse(changes, activeProblemMap[imbalanceKey], `${imbalance}%`, severity, cycleId);
+            }
+          }
+          
+          // A rack that drops below the minimum load no longer has a meaningful
+          // imbalance, so that also clears the problem
+          const allPhasesReported = PHASES.every(phase => phaseCurrents[phase] !== null);
+          noteClearance(
+            clearances,
+            activeProblemMap[imbalanceKey],
+            allPhasesReported && (imbalance === null || imbalance <= imbalanceLimit - RESOLUTION_HYSTERESIS.imbalance),
+            imbalance === null ? 'below minimum load' : `${imbalance}%`,
+            imbalance ?? -Infinity
+          );
+        }
+        
       } catch (checkError) {
         logger.error(`Error checking threshold violations for sensor: ${checkError.message} [${cycleId}]`, {
           error: checkError.message,
@@ -724,36 +1429,348 @@ async function checkThresholdViolations(sensorData, rackData, thresholds, cycleI
       }
     }
     
-    logger.info(`Threshold violation checks complete: Created ${temperatureProblems} temperature, ${humidityProblems} humidity, and ${powerProblems} power problems [${cycleId}]`);
+    // A rack can have several sensors: a problem is only resolved when every
+    // reading of the cycle cleared it, and is reported with the worst of them
+    for (const { problem, cleared, value } of clearances.values()) {
+      if (resolveIfCleared(changes, problem, cleared, value, cycleId)) {
+        resolvedCount++;
+      }
+    }
+    
+    logger.info(`Threshold violation checks complete: Raising ${temperatureProblems} temperature, ${humidityProblems} humidity, ${powerProblems} power and ${imbalanceProblems} phase imbalance problems; escalating ${changes.escalated.size} and resolving ${resolvedCount} problems [${cycleId}]`);
+    
+    // A sustained streak is broken by a cycle that evaluated its type without
+    // a violation. Sensor cycles poll the power sources too (and reuse the last
+    // inventory records), so they evaluate and can break power streaks as well;
+    // only a cycle with no rack or sensor data at all leaves those types alone
+    const evaluatedTypes = new Set([
+      ...(sensorData.length > 0 ? ['Temperature', 'Humidity'] : []),
+      ...(rackData.length > 0 ? ['Power', 'PhaseImbalance'] : [])
+    ]);
+    for (const [problemKey, pending] of pendingViolations) {
+      if (pending.lastCycleId !== cycleId && evaluatedTypes.has(pending.type)) {
+        pendingViolations.delete(problemKey);
+      }
+    }
+    
+    checkDeviceStatus(rackData, rackIds, maintenanceWindows, activeProblemMap, changes, cycleId);
+    
+    await checkCommunication(query, sensorData, rackData, rackIds, maintenanceWindows, activeProblemMap, changes, cycleId);
+    
+    await checkRuleViolations(query, rules, maintenanceWindows, activeProblemMap, changes, cycleId);
+      
+    return changes;
   } catch (error) {
     logger.error(`Error checking threshold violations: ${error.message} [${cycleId}]`, {
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
 /**
- * Get all active problems from database
- * @returns {Array} List of active problems
+ * Raise and resolve the problems reported by the PDUs themselves: a
+ * PowerFail problem (always Critical) while the feed reports a power failure,
+ * and a DeviceStatus problem while it reports a status other than OK. Racks
+ * whose feed doesn't report a field are left as they are.
+ * @param {Array} rackData - Array of rack objects from the sources
+ * @param {Map<string, string>} rackIds - Rack ID by rack name
+ * @param {Array} maintenanceWindows - Active maintenance windows
+ * @param {Object} activeProblemMap - Open problems by problem key
+ * @param {Object} changes - Problem changes of the cycle
+ * @param {string} cycleId - Current monitoring cycle ID for logging
  */
-async function getActiveProblems() {
-  try {
-    const query = `
-      SELECT 
-        id, rack_id, type, value, threshold, alert_type, status, created_at
-      FROM problems
-      WHERE status = 'active'
-    `;
+function checkDeviceStatus(rackData, rackIds, maintenanceWindows, activeProblemMap, changes, cycleId) {
+  let powerFailProblems = 0;
+  let statusProblems = 0;
+  let resolvedCount = 0;
+  
+  for (const rack of rackData) {
+    const rackName = rack.NAME || rack.name;
+    const rackId = rackName ? rackIds.get(rackName) : null;
+    if (!rackId) {
+      continue;
+    }
+    
+    const maintenanceWindow = findMaintenanceWindow(maintenanceWindows, {
+      site: rack.SITE || rack.site,
+      dc: rack.DC || rack.datacenter || rack.dc,
+      rack: rackName
+    }) || (isRackFlaggedForMaintenance(rack) ? RACK_FLAG_MAINTENANCE : null);
+    
+    const powerFail = isPowerFailure(rack.POWER_FAIL);
+    const powerFailKey = `${rackId}-PowerFail-fail`;
+    if (powerFail) {
+      if (!activeProblemMap[powerFailKey]) {
+        if (createProblem(changes, powerFailKey, rackId, rackName, 'PowerFail', 'Power failure', 'Power OK', 'fail', 'Critical', cycleId, '', maintenanceWindow)) {
+          powerFailProblems++;
+          logger.info(`Raising power failure problem for rack ${rackName}: POWER_FAIL=${rack.POWER_FAIL} [${cycleId}]`);
+        }
+      } else {
+        logger.debug(`Skipping duplicate power failure problem for rack ${rackName} [${cycleId}]`);
+      }
+    } else if (powerFail === false && resolveIfCleared(changes, activeProblemMap[powerFailKey], true, 'Power OK', cycleId, 'Power restored')) {
+      resolvedCount++;
+    }
+    
+    if (rack.RSTATUS === null || rack.RSTATUS === undefined || String(rack.RSTATUS).trim() === '') {
+      continue;
+    }
+    
+    const status = String(rack.RSTATUS).trim().substring(0, 50);
+    const statusKey = `${rackId}-DeviceStatus-status`;
+    if (!PDU_OK_STATUSES.includes(status.toLowerCase())) {
+      const severity = PDU_CRITICAL_STATUSES.includes(status.toLowerCase()) ? 'Critical' : 'Warning';
+      if (!activeProblemMap[statusKey]) {
+        if (createProblem(changes, statusKey, rackId, rackName, 'DeviceStatus', status, 'OK', 'status', severity, cycleId, '', maintenanceWindow)) {
+          statusProblems++;
+          logger.info(`Raising device status problem for rack ${rackName}: PDU reports ${status} [${cycleId}]`);
+        }
+      } else {
+        logger.debug(`Skipping duplicate device status problem for rack ${rackName} [${cycleId}]`);
+        escalateIfWorse(changes, activeProblemMap[statusKey], status, severity, cycleId);
+      }
+    } else if (resolveIfCleared(changes, activeProblemMap[statusKey], true, status, cycleId, `PDU status back to ${status}`)) {
+      resolvedCount++;
+    }
+  }
+  
+  if (powerFailProblems > 0 || statusProblems > 0 || resolvedCount > 0) {
+    logger.info(`PDU status checks complete: Raising ${powerFailProblems} power failure and ${statusProblems} device status problems; resolving ${resolvedCount} problems [${cycleId}]`);
+  }
+}
+
+/**
+ * Raise and resolve Communication problems for racks whose data stopped
+ * flowing: 'stale' when the rack's newest stored reading, or the lastUpdate
+ * of one of its sensors, is older than SENSOR_MAX_AGE_MINUTES, and 'status'
+ * when one of its sensors reports a status other than OK. Racks without a
+ * reading in the stale lookback (no sensors, or long gone) are left alone.
+ * @param {Function} query - Query function of the cycle's transaction
+ * @param {Array} sensorData - Array of sensor reading objects
+ * @param {Array} rackData - Array of rack objects from the sources
+ * @param {Map<string, string>} rackIds - Rack ID by rack name
+ * @param {Array} maintenanceWindows - Active maintenance windows
+ * @param {Object} activeProblemMap - Open problems by problem key
+ * @param {Object} changes - Problem changes of the cycle
+ * @param {string} cycleId - Current monitoring cycle ID for logging
+ */
+async function checkCommunication(query, sensorData, rackData, rackIds, maintenanceWindows, activeProblemMap, changes, cycleId) {
+  const now = Date.now();
+  const racks = new Map();
+  const rackEntry = (rackId, row) => {
+    if (!racks.has(rackId)) {
+      racks.set(rackId, { ...row, age: null, sensors: 0, statuses: [] });
+    }
+    return racks.get(rackId);
+  };
+  
+  const rackMap = new Map(rackData.map(rack => [rack.NAME || rack.name, rack]));
+  for (const sensor of sensorData) {
+    const rackName = sensor.RACK_NAME || sensor.rackName || sensor.name;
+    const rackId = rackName ? rackIds.get(rackName) : null;
+    if (!rackId) {
+      continue;
+    }
     
-    const result = await executeQuery(query, [], {
-      queryId: `getActiveProblems_${Date.now()}`,
-      label: 'Get Active Problems'
+    const rack = rackMap.get(rackName);
+    const entry = rackEntry(rackId, {
+      name: rackName,
+      site: rack?.SITE || sensor.SITE,
+      datacenter: rack?.DC || sensor.DC,
+      maintenance: rack ? isRackFlaggedForMaintenance(rack) : false
     });
+    entry.sensors++;
     
-    return result || [];
+    const lastUpdate = sensor.lastUpdate ? Date.parse(sensor.lastUpdate) : NaN;
+    if (Number.isFinite(lastUpdate)) {
+      entry.age = Math.max(entry.age ?? 0, Math.floor((now - lastUpdate) / 60000));
+    }
+    const status = sensor.status ? String(sensor.status).trim() : '';
+    if (status && !SENSOR_OK_STATUSES.includes(status.toLowerCase())) {
+      entry.statuses.push(status);
+    }
+  }
+  
+  // Readings stored earlier in this cycle count, so racks that reported are fresh
+  const rows = await query(`
+    SELECT
+      r.id AS rack_id, r.name, r.site, r.datacenter, r.maintenance,
+      DATEDIFF(MINUTE, MAX(sr.created_at), GETDATE()) AS age
+    FROM racks r
+    JOIN sensor_readings sr ON sr.rack_id = r.id
+    WHERE sr.created_at >= DATEADD(MINUTE, -@param0, GETDATE())
+    AND r.decommissioned_at IS NULL
+    GROUP BY r.id, r.name, r.site, r.datacenter, r.maintenance
+  `, [SENSOR_MAX_AGE_MINUTES + STALE_LOOKBACK_MINUTES], {
+    label: 'Rack Reading Ages'
+  });
+  for (const row of rows) {
+    const entry = rackEntry(row.rack_id, row);
+    entry.age = Math.max(entry.age ?? 0, Number(row.age));
+  }
+  
+  let staleProblems = 0;
+  let statusProblems = 0;
+  let resolvedCount = 0;
+  
+  for (const [rackId, entry] of racks) {
+    const maintenanceWindow = findMaintenanceWindow(maintenanceWindows, { site: entry.site, dc: entry.datacenter, rack: entry.name })
+      || (isRackFlaggedForMaintenance(entry) ? RACK_FLAG_MAINTENANCE : null);
+    
+    if (entry.age !== null) {
+      const staleKey = `${rackId}-Communication-stale`;
+      const value = `No data for ${entry.age} min`;
+      if (entry.age > SENSOR_MAX_AGE_MINUTES) {
+        if (!activeProblemMap[staleKey] && createProblem(changes, staleKey, rackId, entry.name, 'Communication', value, `${SENSOR_MAX_AGE_MINUTES} min`, 'stale', 'Warning', cycleId, '', maintenanceWindow)) {
+          staleProblems++;
+          logger.info(`Raising stale data problem for rack ${entry.name}: ${value} [${cycleId}]`);
+        }
+      } else if (resolveIfCleared(changes, activeProblemMap[staleKey], true, `${entry.age} min`, cycleId, 'Data is flowing again')) {
+        resolvedCount++;
+      }
+    }
+    
+    // Sensor statuses are only known for racks whose sensors reported this cycle
+    if (entry.sensors > 0) {
+      const statusKey = `${rackId}-Communication-status`;
+      if (entry.statuses.length > 0) {
+        const statuses = [...new Set(entry.statuses)].join(', ');
+        const value = (entry.statuses.length > 1 ? `${entry.statuses.length} sensors: ${statuses}` : statuses).substring(0, 50);
+        if (!activeProblemMap[statusKey] && createProblem(changes, statusKey, rackId, entry.name, 'Communication', value, 'OK', 'status', 'Warning', cycleId, '', maintenanceWindow)) {
+          statusProblems++;
+          logger.info(`Raising sensor status problem for rack ${entry.name}: ${value} [${cycleId}]`);
+        }
+      } else if (resolveIfCleared(changes, activeProblemMap[statusKey], true, 'OK', cycleId, 'Sensors report OK again')) {
+        resolvedCount++;
+      }
+    }
+  }
+  
+  if (staleProblems > 0 || statusProblems > 0 || resolvedCount > 0) {
+    logger.info(`Communication checks complete: Raising ${staleProblems} stale data and ${statusProblems} sensor status problems; resolving ${resolvedCount} problems [${cycleId}]`);
+  }
+}
+
+/**
+ * Open a system problem for every data source that has been unreachable for
+ * SOURCE_OUTAGE_CYCLES consecutive polls, and resolve it once the source
+ * answers again or is no longer configured. Runs in its own transaction, as
+ * it also has to happen on cycles that are skipped because nothing answered.
+ * @param {Array} results - Results of the sources polled in this cycle
+ * @param {string} cycleId - Current monitoring cycle ID for logging
+ * @returns {Promise<Array>} The problems opened or resolved, in the run
+ *   history format of describeProblemChanges
+ */
+async function checkSourceOutages(results, cycleId) {
+  for (const result of results) {
+    sourceFailures.set(result.source.id, result.reachable ? 0 : (sourceFailures.get(result.source.id) || 0) + 1);
+  }
+  
+  try {
+    const applied = await withTransaction(async (query) => {
+      const open = await query(`
+        SELECT id, source_id, status
+        FROM problems
+        WHERE rack_id IS NULL
+        AND type = 'Communication'
+        AND alert_type = 'offline'
+        AND status IN ('active', 'acknowledged')
+      `, [], {
+        label: 'Get Open Source Problems'
+      });
+      const openBySource = new Map(open.map(problem => [problem.source_id, problem]));
+      const configured = new Map(getSourceStatus().filter(source => source.enabled !== false).map(source => [source.id, source]));
+      const changed = [];
+      
+      for (const result of results) {
+        const failures = sourceFailures.get(result.source.id);
+        if (failures < SOURCE_OUTAGE_CYCLES || openBySource.has(result.source.id)) {
+          continue;
+        }
+        
+        const id = uuidv4();
+        const value = `Unreachable for ${failures} cycles`;
+        const inserted = await query(`
+          DECLARE @opened TABLE (id UNIQUEIDENTIFIER);
+          
+          INSERT INTO problems (
+            id, rack_id, type, value, threshold, status, alert_type, severity, source_id, source_name, created_at, updated_at
+          )
+          OUTPUT inserted.id INTO @opened
+          SELECT @param0, NULL, 'Communication', @param1, @param2, 'active', 'offline', 'Critical', @param3, @param4, GETDATE(), GETDATE()
+          WHERE NOT EXISTS (
+            SELECT 1 FROM problems
+            WHERE rack_id IS NULL AND source_id = @param3 AND alert_type = 'offline'
+            AND status IN ('active', 'acknowledged')
+          );
+          
+          INSERT INTO problem_history (problem_id, action, from_status, to_status, actor, note)
+          SELECT id, 'created', NULL, 'active', 'system', @param5
+          FROM @opened;
+          
+          SELECT id FROM @opened;
+        `, [
+          id,
+          value,
+          `${SOURCE_OUTAGE_CYCLES} cycles`,
+          result.source.id,
+          String(result.source.name || result.source.id).substring(0, 100),
+          `Critical Communication offline: ${value} vs threshold ${SOURCE_OUTAGE_CYCLES} cycles, data source ${result.source.name}${result.error ? `, last error: ${result.error}` : ''}`.substring(0, 1000)
+        ], {
+          label: 'Open Source Problem'
+        });
+        if (inserted.length > 0) {
+          changed.push({ id, change: 'opened', rack: null, source: result.source.id, type: 'Communication', alertType: 'offline', phase: null, value });
+        }
+      }
+      
+      for (const problem of open) {
+        const failures = sourceFailures.get(problem.source_id);
+        const source = configured.get(problem.source_id);
+        if (source && failures !== 0) {
+          continue;
+        }
+        
+        const note = source ? 'Data source is reachable again' : 'Data source removed or disabled';
+        const resolved = await query(`
+          DECLARE @changed TABLE (id UNIQUEIDENTIFIER, from_status NVARCHAR(20));
+          
+          UPDATE problems
+          SET status = 'resolved', resolved_at = GETDATE(), resolved_value = @param1, updated_at = GETDATE()
+          OUTPUT deleted.id, deleted.status INTO @changed
+          WHERE id = @param0
+          AND status IN ('active', 'acknowledged');
+          
+          INSERT INTO problem_history (problem_id, action, from_status, to_status, actor, note)
+          SELECT id, 'resolved', from_status, 'resolved', 'system', @param2
+          FROM @changed;
+          
+          SELECT id FROM @changed;
+        `, [problem.id, source ? 'Reachable' : 'Not configured', note], {
+          label: 'Resolve Source Problem'
+        });
+        if (resolved.length > 0) {
+          changed.push({ id: problem.id, change: 'resolved', rack: null, source: problem.source_id, type: 'Communication', alertType: 'offline', phase: null, value: note });
+        }
+      }
+      
+      return changed;
+    }, { label: `Source Outages ${cycleId}` });
+    
+    for (const { id, source, change, value } of applied) {
+      logger.info(`${change === 'opened' ? 'Opened' : 'Resolved'} communication problem ${id} for data source ${source}: ${value} [${cycleId}]`);
+      dispatchProblemEvent(change, id);
+      if (change === 'opened') {
+        problemsDetected++;
+      } else {
+        problemsResolved++;
+      }
+    }
+    return applied;
   } catch (error) {
-    logger.error(`Error getting active problems: ${error.message}`, {
+    logger.error(`Error checking data source outages: ${error.message} [${cycleId}]`, {
       error: error.message,
       stack: error.stack
     });
@@ -762,99 +1779,516 @@ async function getActiveProblems() {
 }
 
 /**
- * Create a new problem record in the database
+ * Evaluate the rate-of-change and stale data rules against the stored
+ * readings, including the ones written earlier in this cycle. Every reading
+ * of a cycle shares one created_at (a single INSERT), so the readings of a
+ * rack are averaged per cycle before they are compared.
+ * @param {Function} query - Query function of the cycle's transaction
+ * @param {Array} rules - Enabled alert rules
+ * @param {Array} maintenanceWindows - Active maintenance windows
+ * @param {Object} activeProblemMap - Open problems by problem key
+ * @param {Object} changes - Problem changes of the cycle
+ * @param {string} cycleId - Current monitoring cycle ID for logging
+ */
+async function checkRuleViolations(query, rules, maintenanceWindows, activeProblemMap, changes, cycleId) {
+  const rateRules = rules.filter(rule => rule.kind === 'rate');
+  const staleRules = rules.filter(rule => rule.kind === 'stale');
+  const enabledRuleIds = new Set(rules.map(rule => String(rule.id).toLowerCase()));
+  const columns = Object.values(RULE_READING_COLUMNS);
+  let rateProblems = 0;
+  let staleProblems = 0;
+  let resolvedCount = 0;
+  
+  // Rate and stale problems only clear through their rule, so they are
+  // closed once the rule is disabled or deleted. Stale Communication
+  // problems are not raised by a rule and clear on their own.
+  for (const problem of Object.values(activeProblemMap)) {
+    if (RULE_ALERT_TYPES.includes(problem.alert_type) && problem.type !== 'Communication' &&
+        !(problem.rule_id && enabledRuleIds.has(String(problem.rule_id).toLowerCase())) &&
+        resolveIfCleared(changes, problem, true, problem.value, cycleId, 'Rule disabled or deleted')) {
+      resolvedCount++;
+    }
+  }
+  
+  const rackMaintenance = (row) =>
+    findMaintenanceWindow(maintenanceWindows, { site: row.site, dc: row.datacenter, rack: row.name })
+      || (isRackFlaggedForMaintenance(row) ? RACK_FLAG_MAINTENANCE : null);
+  const round = (value) => Math.round(value * 100) / 100;
+  
+  for (const minutes of new Set(rateRules.map(rule => rule.minutes))) {
+    const rows = await query(`
+      WITH cycle_readings AS (
+        SELECT
+          rack_id, created_at,
+          ${columns.map(column => `AVG(${column}) AS ${column}`).join(',\n          ')}
+        FROM sensor_readings
+        WHERE created_at >= DATEADD(MINUTE, -@param0, GETDATE())
+        GROUP BY rack_id, created_at
+      ),
+      ranked AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY rack_id ORDER BY created_at DESC) AS rn
+        FROM cycle_readings
+      )
+      SELECT
+        r.id AS rack_id, r.name, r.site, r.datacenter, r.maintenance,
+        ${columns.map(column => `MIN(k.${column}) AS ${column}_min, MAX(k.${column}) AS ${column}_max, MAX(CASE WHEN k.rn = 1 THEN k.${column} END) AS ${column}_last`).join(',\n        ')}
+      FROM ranked k
+      JOIN racks r ON r.id = k.rack_id
+      WHERE r.decommissioned_at IS NULL
+      GROUP BY r.id, r.name, r.site, r.datacenter, r.maintenance
+    `, [minutes], {
+      label: `Reading Changes (${minutes} min)`
+    });
+    
+    for (const row of rows) {
+      for (const rule of rateRules.filter(rule => rule.minutes === minutes)) {
+        const column = RULE_READING_COLUMNS[rule.metric];
+        const last = row[`${column}_last`];
+        if (last === null || last === undefined) {
+          continue;
+        }
+        
+        const change = round(rule.direction === 'rise'
+          ? Number(last) - Number(row[`${column}_min`])
+          : Number(row[`${column}_max`]) - Number(last));
+        const unit = METRIC_UNITS[rule.metric];
+        const value = `${rule.direction === 'rise' ? '+' : '-'}${change}${unit}`;
+        const problemKey = `${row.rack_id}-${rule.metric}-${rule.direction}`;
+        
+        if (change > rule.delta) {
+          if (!activeProblemMap[problemKey] && createProblem(
+            changes,
+            problemKey,
+            row.rack_id,
+            row.name,
+            rule.metric,
+            value,
+            `${rule.delta}${unit} in ${minutes} min`,
+            rule.direction,
+            'Warning',
+            cycleId,
+            '',
+            rackMaintenance(row),
+            rule
+          )) {
+            rateProblems++;
+            logger.info(`Raising ${rule.metric} ${rule.direction} problem for rack ${row.name}: ${value} in ${minutes} min, rule "${rule.name}" [${cycleId}]`);
+          }
+        } else if (resolveIfCleared(changes, activeProblemMap[problemKey], true, value, cycleId)) {
+          resolvedCount++;
+        }
+      }
+    }
+  }
+  
+  if (staleRules.length > 0) {
+    const lookback = Math.max(...staleRules.map(rule => rule.minutes)) + STALE_LOOKBACK_MINUTES;
+    const rows = await query(`
+      SELECT
+        r.id AS rack_id, r.name, r.site, r.datacenter, r.maintenance,
+        ${columns.map(column => `DATEDIFF(MINUTE, MAX(CASE WHEN sr.${column} IS NOT NULL THEN sr.created_at END), GETDATE()) AS ${column}_age`).join(',\n        ')}
+      FROM racks r
+      JOIN sensor_readings sr ON sr.rack_id = r.id
+      WHERE sr.created_at >= DATEADD(MINUTE, -@param0, GETDATE())
+      AND r.decommissioned_at IS NULL
+      GROUP BY r.id, r.name, r.site, r.datacenter, r.maintenance
+    `, [lookback], {
+      label: 'Reading Ages'
+    });
+    
+    for (const row of rows) {
+      for (const rule of staleRules) {
+        const age = row[`${RULE_READING_COLUMNS[rule.metric]}_age`];
+        if (age === null || age === undefined) {
+          continue;
+        }
+        
+        const problemKey = `${row.rack_id}-${rule.metric}-stale`;
+        
+        if (age > rule.minutes) {
+          if (!activeProblemMap[problemKey] && createProblem(
+            changes,
+            problemKey,
+            row.rack_id,
+            row.name,
+            rule.metric,
+            `No data for ${age} min`,
+            `${rule.minutes} min`,
+            'stale',
+            'Warning',
+            cycleId,
+            '',
+            rackMaintenance(row),
+            rule
+          )) {
+            staleProblems++;
+            logger.info(`Raising stale ${rule.metric} problem for rack ${row.name}: last reading ${age} min ago, rule "${rule.name}" [${cycleId}]`);
+          }
+        } else if (resolveIfCleared(changes, activeProblemMap[problemKey], true, `${age} min`, cycleId, `Data received again, last reading ${age} min ago`)) {
+          resolvedCount++;
+        }
+      }
+    }
+  }
+  
+  if (rules.length > 0) {
+    logger.info(`Alert rule checks complete: Raising ${rateProblems} rate-of-change and ${staleProblems} stale data problems; resolving ${resolvedCount} problems [${cycleId}]`);
+  }
+}
+
+/**
+ * Get all open rack problems from database. Acknowledged problems are still
+ * open, so they are included to prevent duplicates being raised for them.
+ * System problems have no rack and are handled by checkSourceOutages.
+ * @param {Function} query - Query function of the cycle's transaction
+ * @returns {Promise<Array>} List of active and acknowledged problems
+ */
+async function getActiveProblems(query) {
+  return query(`
+    SELECT 
+      id, rack_id, type, value, threshold, alert_type, severity, phase, maintenance_window_id, rule_id, status, created_at
+    FROM problems
+    WHERE status IN ('active', 'acknowledged')
+    AND rack_id IS NOT NULL
+  `, [], {
+    label: 'Get Active Problems'
+  });
+}
+
+/**
+ * Queue a new problem to be opened at the end of the cycle
+ * @param {Object} changes - Problem changes of the cycle
+ * @param {string} problemKey - Rack, type, alert type and phase of the problem
  * @param {string} rackId - Rack ID
- * @param {string} type - Problem type (Temperature, Humidity, Power)
+ * @param {string} rackName - Rack name for logging
+ * @param {string} type - Problem type (Temperature, Humidity, Power, PhaseImbalance)
  * @param {string} value - Current value of the measurement
  * @param {string} threshold - Threshold that was violated
- * @param {string} alertType - Type of alert (high or low)
+ * @param {string} alertType - Type of alert (high, low, rise, fall, stale, fail or status)
+ * @param {string} severity - Warning or Critical, from the threshold tier crossed
  * @param {string} cycleId - Current monitoring cycle ID for logging
+ * @param {string} phase - Phase (L1, L2, L3) for single-phase problems, '' for the whole rack
+ * @param {Object|null} maintenanceWindow - Maintenance window covering the rack, if any
+ * @param {Object|null} rule - Rate or stale rule raising the problem; threshold
+ *   violations pick up the sustained rule of their type instead
+ * @returns {string|undefined} ID of the new problem, or undefined when it was
+ *   suppressed, held by a sustained rule or already queued by another reading
+ *   of the rack
  */
-async function createProblem(rackId, type, value, threshold, alertType, cycleId) {
-  try {
-    // First verify we don't already have an active problem for this rack/type/alert combination
-    const checkQuery = `
-      SELECT COUNT(*) as count
-      FROM problems
-      WHERE rack_id = @param0
-      AND type = @param1
-      AND alert_type = @param2
-      AND status = 'active'
-    `;
-    
-    logger.debug(`Checking for existing ${type} problem (${alertType}) for rack ID ${rackId} [${cycleId}]`);
-    
-    const checkResult = await executeQuery(checkQuery, [rackId, type, alertType], {
-      queryId: `checkProblem_${Date.now()}`,
-      label: 'Check Existing Problem'
-    });
+function createProblem(changes, problemKey, rackId, rackName, type, value, threshold, alertType, severity, cycleId, phase = '', maintenanceWindow = null, rule = null) {
+  if (maintenanceWindow?.suppress_alerts) {
+    logger.info(`Suppressed ${type} problem (${alertType}${phase ? `, ${phase}` : ''}) for rack ${rackName} with value ${value}: under maintenance (${maintenanceWindow.reason}) [${cycleId}]`);
+    return;
+  }
+  
+  // Several sensors of a rack can report the same violation; the problem is
+  // opened once, with the most severe of their values
+  const queued = changes.created.get(problemKey);
+  if (queued) {
+    if (SEVERITY_RANK[severity] > SEVERITY_RANK[queued.severity]) {
+      queued.value = value;
+      queued.severity = severity;
+    }
+    logger.debug(`${type} problem (${alertType}${phase ? `, ${phase}` : ''}) for rack ${rackName} is already being raised this cycle [${cycleId}]`);
+    return;
+  }
+  
+  // A threshold violation covered by sustained rules is only raised once it
+  // has lasted the number of cycles or minutes of one of them
+  const sustainedRules = !rule && !RULE_ALERT_TYPES.includes(alertType) ? changes.sustainedRules.get(type) || [] : [];
+  let sustainedRule = null;
+  if (sustainedRules.length > 0) {
+    const now = Date.now();
+    const pending = pendingViolations.get(problemKey) || { type, since: now, cycles: 0, lastCycleId: null };
+    if (pending.lastCycleId !== cycleId) {
+      pending.cycles++;
+      pending.lastCycleId = cycleId;
+    }
+    pendingViolations.set(problemKey, pending);
     
-    // If a problem already exists, don't create a duplicate
-    if (checkResult && checkResult.length > 0 && checkResult[0].count > 0) {
-      logger.info(`Active problem already exists for rack ID ${rackId}, type ${type}, alert type ${alertType} [${cycleId}]`);
+    sustainedRule = sustainedRules.find(entry => entry.cycles !== null
+      ? pending.cycles >= entry.cycles
+      : now - pending.since >= entry.minutes * 60000) || null;
+    if (!sustainedRule) {
+      const required = sustainedRules.map(entry => `"${entry.name}" requires ${describeAlertRule(entry)}`).join(', ');
+      logger.debug(`Holding ${type} problem (${alertType}${phase ? `, ${phase}` : ''}) for rack ${rackName} with value ${value}: ${pending.cycles} cycles over ${Math.floor((now - pending.since) / 60000)} min, ${sustainedRules.length > 1 ? 'rules' : 'rule'} ${required} [${cycleId}]`);
       return;
     }
+  }
+  
+  const problem = {
+    id: uuidv4(),
+    rackId,
+    rackName,
+    type,
+    value,
+    threshold,
+    alertType,
+    severity,
+    phase,
+    maintenanceWindow,
+    rule: rule || sustainedRule
+  };
+  changes.created.set(problemKey, problem);
+  
+  logger.debug(`Queued new problem: ID=${problem.id}, Rack=${rackName}, Type=${type}, Value=${value}, Threshold=${threshold}, AlertType=${alertType}, Severity=${severity} [${cycleId}]`);
+  return problem.id;
+}
+
+/**
+ * Record one reading against an open problem. The problem can only be
+ * resolved if every reading of the cycle cleared it; the worst reading is
+ * kept as the value it is resolved with.
+ * @param {Map} clearances - Problem ID → { problem, cleared, value, rank }
+ * @param {Object|undefined} problem - Open problem record, if any
+ * @param {boolean} cleared - Whether this reading is back within thresholds
+ * @param {string} value - Reading with unit
+ * @param {number} rank - How far the reading is towards the violation; higher is worse
+ */
+function noteClearance(clearances, problem, cleared, value, rank) {
+  if (!problem) {
+    return;
+  }
+  
+  const entry = clearances.get(problem.id);
+  if (!entry) {
+    clearances.set(problem.id, { problem, cleared, value, rank });
+    return;
+  }
+  entry.cleared = entry.cleared && cleared;
+  if (rank > entry.rank) {
+    entry.value = value;
+    entry.rank = rank;
+  }
+}
+
+/**
+ * Queue the resolution of an open problem if its reading has cleared the
+ * hysteresis band
+ * @param {Object} changes - Problem changes of the cycle
+ * @param {Object|undefined} problem - Active problem record, if any
+ * @param {boolean} cleared - Whether the reading is back within thresholds
+ * @param {string} value - Reading that cleared the problem
+ * @param {string} cycleId - Current monitoring cycle ID for logging
+ * @param {string} note - History note, when not the default "returned to normal"
+ * @returns {boolean} True if the problem will be resolved
+ */
+function resolveIfCleared(changes, problem, cleared, value, cycleId, note = undefined) {
+  if (!problem || !cleared || changes.resolved.has(problem.id)) {
+    return false;
+  }
+  
+  changes.resolved.set(problem.id, { problem, value, note });
+  logger.debug(`Queued resolution of problem ${problem.id} with value ${value} [${cycleId}]`);
+  return true;
+}
+
+/**
+ * Queue the escalation of an open problem when a new reading crosses a higher
+ * threshold tier than the one stored on the problem. The problem's value and
+ * severity are updated in place so the same escalation is not reported again
+ * on the next cycle.
+ * @param {Object} changes - Problem changes of the cycle
+ * @param {Object|undefined} problem - Open problem record, if any
+ * @param {string} value - Latest reading with unit
+ * @param {string} severity - Severity of the latest reading
+ * @param {string} cycleId - Current monitoring cycle ID for logging
+ * @returns {boolean} True if the problem will be escalated
+ */
+function escalateIfWorse(changes, problem, value, severity, cycleId) {
+  if (!problem || changes.resolved.has(problem.id)) {
+    return false;
+  }
+  
+  const currentSeverity = problem.severity || 'Warning';
+  if (SEVERITY_RANK[severity] <= SEVERITY_RANK[currentSeverity]) {
+    return false;
+  }
+  
+  // Keep the value and severity the problem had before this cycle for the history note
+  const queued = changes.escalated.get(problem.id);
+  changes.escalated.set(problem.id, {
+    problem,
+    previousValue: queued?.previousValue ?? problem.value,
+    previousSeverity: queued?.previousSeverity ?? currentSeverity,
+    value,
+    severity
+  });
+  
+  // Keep the in-memory record current for the rest of this cycle
+  problem.value = value;
+  problem.severity = severity;
+  
+  logger.debug(`Queued escalation of problem ${problem.id} from ${currentSeverity} to ${severity} with value ${value} [${cycleId}]`);
+  return true;
+}
+
+/**
+ * Write the problem changes of a cycle: new problems, escalations and
+ * resolutions each take one statement, with their history entries. Problems
+ * that were opened or closed by someone else in the meantime are skipped.
+ * @param {Function} query - Query function of the cycle's transaction
+ * @param {Object} changes - Problem changes from checkThresholdViolations
+ * @returns {Promise<Object>} The changes that were applied: { opened, escalated, resolved }
+ */
+async function applyProblemChanges(query, changes) {
+  const applied = { opened: [], escalated: [], resolved: [] };
+  const appliedIds = (rows) => new Set(rows.map(row => String(row.id).toLowerCase()));
+  
+  if (changes.created.size > 0) {
+    const created = [...changes.created.values()];
+    const rows = created.map(problem => [
+      problem.id,
+      problem.rackId,
+      problem.type,
+      problem.value,
+      problem.threshold,
+      problem.alertType,
+      problem.phase || null,
+      problem.maintenanceWindow?.id || null,
+      problem.rule?.id || null,
+      problem.severity,
+      `${problem.severity} ${problem.type} ${problem.alertType}${problem.phase ? ` (${problem.phase})` : ''}: ${problem.value} vs threshold ${problem.threshold}`
+        + (problem.rule ? `, rule "${problem.rule.name}" (${describeAlertRule(problem.rule)})` : '')
+        + (problem.maintenanceWindow ? `, during maintenance: ${problem.maintenanceWindow.reason}` : '')
+    ]);
     
-    // Generate a unique problem ID
-    const problemId = uuidv4();
-    
-    // Create new problem
-    const query = `
+    const opened = await query(`
+      DECLARE @opened TABLE (id UNIQUEIDENTIFIER);
+      
       INSERT INTO problems (
-        id, rack_id, type, value, threshold, status, alert_type, created_at, updated_at
+        id, rack_id, type, value, threshold, status, alert_type, severity, phase, maintenance_window_id, rule_id, created_at, updated_at
       )
-      VALUES (
-        @param0, @param1, @param2, @param3, @param4, 'active', @param5, GETDATE(), GETDATE()
-      )
-    `;
+      OUTPUT inserted.id INTO @opened
+      SELECT
+        c.id, c.rack_id, c.type, c.value, c.threshold, 'active', c.alert_type, c.severity, c.phase,
+        c.maintenance_window_id, c.rule_id, GETDATE(), GETDATE()
+      FROM @param0 c
+      WHERE NOT EXISTS (
+        SELECT 1 FROM problems p
+        WHERE p.rack_id = c.rack_id
+        AND p.type = c.type
+        AND p.alert_type = c.alert_type
+        AND ISNULL(p.phase, '') = ISNULL(c.phase, '')
+        AND p.status IN ('active', 'acknowledged')
+      );
+      
+      INSERT INTO problem_history (problem_id, action, from_status, to_status, actor, note)
+      SELECT c.id, 'created', NULL, 'active', 'system', c.note
+      FROM @param0 c
+      JOIN @opened o ON o.id = c.id;
+      
+      SELECT id FROM @opened;
+    `, [createTableParam('dbo.ProblemChangeRows', PROBLEM_ROW_COLUMNS, rows)], {
+      label: 'Open Problems'
+    });
     
-    logger.debug(`Creating new problem: ID=${problemId}, RackID=${rackId}, Type=${type}, Value=${value}, Threshold=${threshold}, AlertType=${alertType} [${cycleId}]`);
+    const openedIds = appliedIds(opened);
+    applied.opened = created.filter(problem => openedIds.has(problem.id));
+  }
+  
+  if (changes.escalated.size > 0) {
+    const escalated = [...changes.escalated.values()];
+    const rows = escalated.map(({ problem, previousValue, previousSeverity, value, severity }) => [
+      problem.id, null, null, value, null, null, null, null, null, severity,
+      `Severity ${previousSeverity} -> ${severity}: ${previousValue} -> ${value}`
+    ]);
     
-    await executeQuery(query, [
-      problemId,
-      rackId,
-      type,
-      value,
-      threshold,
-      alertType
-    ], {
-      queryId: `createProblem_${Date.now()}`,
-      label: 'Create Problem'
+    // problems has an update trigger, so OUTPUT must go through a table variable
+    const updated = await query(`
+      DECLARE @changed TABLE (id UNIQUEIDENTIFIER, status NVARCHAR(20));
+      
+      UPDATE p
+      SET value = e.value, severity = e.severity, updated_at = GETDATE()
+      OUTPUT inserted.id, inserted.status INTO @changed
+      FROM problems p
+      JOIN @param0 e ON e.id = p.id
+      WHERE p.status IN ('active', 'acknowledged');
+      
+      INSERT INTO problem_history (problem_id, action, from_status, to_status, actor, note)
+      SELECT c.id, 'escalated', c.status, c.status, 'system', e.note
+      FROM @changed c
+      JOIN @param0 e ON e.id = c.id;
+      
+      SELECT id FROM @changed;
+    `, [createTableParam('dbo.ProblemChangeRows', PROBLEM_ROW_COLUMNS, rows)], {
+      label: 'Escalate Problems'
     });
     
-    // Fetch rack name for better logging
-    let rackName = "Unknown Rack";
-    try {
-      const rackQuery = `SELECT name FROM racks WHERE id = @param0`;
-      const rackResult = await executeQuery(rackQuery, [rackId], {
-        queryId: `getRackName_${Date.now()}`,
-        label: 'Get Rack Name'
-      });
-      if (rackResult && rackResult.length > 0) {
-        rackName = rackResult[0].name;
-      }
-    } catch (error) {
-      logger.warn(`Could not fetch rack name for better logging: ${error.message} [${cycleId}]`);
-    }
+    const escalatedIds = appliedIds(updated);
+    applied.escalated = escalated.filter(({ problem }) => escalatedIds.has(String(problem.id).toLowerCase()));
+  }
+  
+  if (changes.resolved.size > 0) {
+    const resolved = [...changes.resolved.values()];
+    const rows = resolved.map(({ problem, value, note }) => [
+      problem.id, null, null, value, null, null, null, null, null, null,
+      note ?? `Reading returned to normal: ${value}`
+    ]);
     
-    logger.info(`Created new problem ${problemId}: ${type} alert (${alertType}) for rack ID ${rackId} (${rackName}) with value ${value} vs threshold ${threshold} [${cycleId}]`);
-    return problemId;
-  } catch (error) {
-    logger.error(`Error creating problem: ${error.message} [${cycleId}]`, {
-      rackId,
-      type,
-      value,
-      threshold,
-      alertType,
-      error: error.message,
-      stack: error.stack
+    const updated = await query(`
+      DECLARE @changed TABLE (id UNIQUEIDENTIFIER, from_status NVARCHAR(20));
+      
+      UPDATE p
+      SET 
+        status = 'resolved',
+        resolved_at = GETDATE(),
+        resolved_value = r.value,
+        updated_at = GETDATE()
+      OUTPUT deleted.id, deleted.status INTO @changed
+      FROM problems p
+      JOIN @param0 r ON r.id = p.id
+      WHERE p.status IN ('active', 'acknowledged');
+      
+      INSERT INTO problem_history (problem_id, action, from_status, to_status, actor, note)
+      SELECT c.id, 'resolved', c.from_status, 'resolved', 'system', r.note
+      FROM @changed c
+      JOIN @param0 r ON r.id = c.id;
+      
+      SELECT id FROM @changed;
+    `, [createTableParam('dbo.ProblemChangeRows', PROBLEM_ROW_COLUMNS, rows)], {
+      label: 'Resolve Problems'
     });
+    
+    const resolvedIds = appliedIds(updated);
+    applied.resolved = resolved.filter(({ problem }) => resolvedIds.has(String(problem.id).toLowerCase()));
   }
+  
+  return applied;
+}
+
+/**
+ * Log, count and notify the problem changes of a committed cycle
+ * @param {Object} applied - Changes returned by applyProblemChanges
+ * @param {string} cycleId - Current monitoring cycle ID for logging
+ */
+function announceProblemChanges(applied, cycleId) {
+  for (const problem of applied.opened) {
+    logger.info(`Created new problem ${problem.id}: ${problem.type} alert (${problem.alertType}${problem.phase ? `, ${problem.phase}` : ''}) for rack ${problem.rackName} with value ${problem.value} vs threshold ${problem.threshold} [${cycleId}]`);
+    dispatchProblemEvent('opened', problem.id);
+  }
+  for (const { problem, previousValue, value } of applied.escalated) {
+    logger.info(`Escalated problem ${problem.id} to ${problem.severity}: ${previousValue} -> ${value} [${cycleId}]`);
+    dispatchProblemEvent('escalated', problem.id);
+  }
+  for (const { problem, value } of applied.resolved) {
+    logger.info(`Resolved problem ${problem.id} with value ${value} [${cycleId}]`);
+    dispatchProblemEvent('resolved', problem.id);
+  }
+  
+  problemsDetected += applied.opened.length;
+  problemsResolved += applied.resolved.length;
+  
+  logger.info(`Problem changes applied: ${applied.opened.length} opened, ${applied.escalated.length} escalated, ${applied.resolved.length} resolved [${cycleId}]`);
 }
 
 export default {
   startMonitoring,
   stopMonitoring,
+  initializeMonitoring,
+  updateSchedule,
+  getMonitoringSchedule,
+  isCycleRunning,
   getMonitoringStatus,
   runMonitoringCycle
 };
\ No newline at end of file
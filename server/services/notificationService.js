@@ -0,0 +1,479 @@
+import crypto from 'crypto';
+import os from 'os';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { executeQuery } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+import { SEVERITIES } from '../utils/severity.js';
+import { publishEvent } from './eventService.js';
+
+const logger = setupLogger();
+
+export const CHANNELS = ['email', 'webhook'];
+export const EVENTS = ['opened', 'escalated', 'resolved'];
+export { SEVERITIES };
+
+// Delivery retries: attempts per notification and the base delay for exponential backoff
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY = Number(process.env.NOTIFY_RETRY_DELAY_MS) || 2000;
+const DELIVERY_TIMEOUT = 10000;
+
+// Secrets are never sent back to the browser; this placeholder means "unchanged"
+const MASKED_SECRET = '********';
+const SECRET_FIELDS = ['password', 'secret'];
+
+// Settings are read on every problem event, so keep them for a short while
+const SETTINGS_CACHE_TTL = 60000;
+let settingsCache = null;
+let settingsLoadedAt = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const parseConfig = (value) => {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Load the settings of every channel, keyed by channel name
+ * @param {Object} options - fresh: bypass the cache
+ * @returns {Promise<Object>} { email: {...}, webhook: {...} }
+ */
+export const getChannelSettings = async ({ fresh = false } = {}) => {
+  if (!fresh && settingsCache && Date.now() - settingsLoadedAt < SETTINGS_CACHE_TTL) {
+    return settingsCache;
+  }
+
+  const rows = await executeQuery(`
+    SELECT channel, enabled, severities, events, config, updated_by, updated_at
+    FROM notification_channels
+  `, [], {
+    queryId: `getNotificationChannels_${Date.now()}`,
+    label: 'Get Notification Channels',
+    timeout: 5000
+  });
+
+  // A failed read returns no rows; the last known settings are kept, so an
+  // alert about a database outage can still be sent
+  if (rows.length === 0 && settingsCache && Object.keys(settingsCache).length > 0) {
+    logger.warn('Could not read notification channels, using the last known settings');
+    settingsLoadedAt = Date.now();
+    return settingsCache;
+  }
+
+  const settings = {};
+  for (const row of rows) {
+    settings[row.channel] = {
+      channel: row.channel,
+      enabled: Boolean(row.enabled),
+      severities: parseList(row.severities),
+      events: parseList(row.events),
+      config: parseConfig(row.config),
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    };
+  }
+
+  settingsCache = settings;
+  settingsLoadedAt = Date.now();
+  return settings;
+};
+
+/**
+ * Channel settings safe to return to the browser, with secrets masked
+ * @returns {Promise<Array>} One entry per channel
+ */
+export const getPublicChannelSettings = async () => {
+  const settings = await getChannelSettings({ fresh: true });
+
+  return CHANNELS.filter(channel => settings[channel]).map(channel => {
+    const config = { ...settings[channel].config };
+    for (const field of SECRET_FIELDS) {
+      if (config[field]) {
+        config[field] = MASKED_SECRET;
+      }
+    }
+    return { ...settings[channel], config };
+  });
+};
+
+/**
+ * Save a channel's settings
+ * @param {string} channel - 'email' or 'webhook'
+ * @param {Object} update - enabled, severities, events, config
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object>} Saved settings (secrets masked)
+ */
+export const saveChannelSettings = async (channel, { enabled, severities, events, config }, actor) => {
+  const current = (await getChannelSettings({ fresh: true }))[channel] || { config: {} };
+
+  // Keep stored secrets when the browser sends back the masked placeholder
+  const mergedConfig = { ...current.config, ...config };
+  for (const field of SECRET_FIELDS) {
+    if (mergedConfig[field] === MASKED_SECRET) {
+      mergedConfig[field] = current.config[field] || '';
+    }
+  }
+
+  await executeQuery(`
+    UPDATE notification_channels
+    SET enabled = @param1,
+        severities = @param2,
+        events = @param3,
+        config = @param4,
+        updated_by = @param5,
+        updated_at = GETDATE()
+    WHERE channel = @param0
+  `, [channel, enabled ? 1 : 0, severities.join(','), events.join(','), JSON.stringify(mergedConfig), actor], {
+    queryId: `saveNotificationChannel_${Date.now()}`,
+    label: 'Save Notification Channel',
+    timeout: 5000
+  });
+
+  settingsCache = null;
+  logger.info(`Notification channel ${channel} updated by ${actor}`, { enabled, severities, events });
+
+  const saved = await getPublicChannelSettings();
+  return saved.find(entry => entry.channel === channel);
+};
+
+/**
+ * Get a problem with its rack details for a notification; system problems
+ * have no rack and carry their data source instead
+ * @param {string} problemId - Problem ID
+ * @returns {Promise<Object|null>} Problem or null if not found
+ */
+const loadProblem = async (problemId) => {
+  const result = await executeQuery(`
+    SELECT
+      p.id, r.name AS rack, r.site, r.datacenter AS dc,
+      p.type, p.value, p.threshold, p.alert_type, p.severity, p.phase, p.maintenance_window_id, p.status,
+      p.created_at, p.resolved_at, p.resolved_value, ar.name AS rule_name, p.source_id, p.source_name,
+      mw.reason AS maintenance_reason, mw.ends_at AS maintenance_ends_at
+    FROM problems p
+    LEFT JOIN racks r ON p.rack_id = r.id
+    LEFT JOIN alert_rules ar ON ar.id = p.rule_id
+    LEFT JOIN maintenance_windows mw ON mw.id = p.maintenance_window_id
+    WHERE p.id = @param0
+  `, [problemId], {
+    queryId: `getNotificationProblem_${Date.now()}`,
+    label: 'Get Problem For Notification',
+    timeout: 5000
+  });
+
+  return result.length > 0 ? result[0] : null;
+};
+
+/**
+ * Build the email text and webhook payload for a problem event
+ */
+const buildMessage = (event, problem, severity) => {
+  const subjectName = problem.rack ?? `data source ${problem.source_name}`;
+  const location = problem.rack ? `${problem.site} / ${problem.dc} / ${problem.rack}` : subjectName;
+  const headline = {
+    opened: `${severity} ${problem.type} problem opened`,
+    escalated: `${problem.type} problem escalated to ${severity}`,
+    resolved: `${problem.type} problem resolved`,
+    test: 'Test notification'
+  }[event] || `${problem.type} problem ${event}`;
+
+  const lines = [
+    `${headline} on ${location}`,
+    '',
+    `Type: ${problem.type} (${problem.alert_type}${problem.phase ? `, phase ${problem.phase}` : ''})`,
+    `Value: ${problem.value}`,
+    `Threshold: ${problem.threshold}`,
+    `Severity: ${severity}`,
+    `Status: ${problem.status}`
+  ];
+  if (problem.rule_name) {
+    lines.push(`Rule: ${problem.rule_name}`);
+  }
+  if (problem.maintenance_window_id) {
+    const endsAt = problem.maintenance_ends_at ? ` until ${new Date(problem.maintenance_ends_at).toISOString()}` : '';
+    lines.push(`In maintenance: ${problem.maintenance_reason ?? 'planned maintenance'}${endsAt}`);
+  }
+  if (event === 'resolved' && problem.resolved_value) {
+    lines.push(`Resolved with: ${problem.resolved_value}`);
+  }
+
+  return {
+    subject: `[DCOps]${problem.maintenance_window_id ? ' [In maintenance]' : ''} ${headline}: ${subjectName}`,
+    text: lines.join('\n'),
+    payload: {
+      event,
+      severity,
+      timestamp: new Date().toISOString(),
+      inMaintenance: Boolean(problem.maintenance_window_id),
+      problem
+    }
+  };
+};
+
+const sendEmail = async (config, message) => {
+  if (!config.host || !config.from || !config.to) {
+    throw new Error('Email channel requires host, from and to');
+  }
+
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: Number(config.port) || 25,
+    secure: Boolean(config.secure),
+    auth: config.user ? { user: config.user, pass: config.password || '' } : undefined,
+    connectionTimeout: DELIVERY_TIMEOUT,
+    greetingTimeout: DELIVERY_TIMEOUT,
+    socketTimeout: DELIVERY_TIMEOUT
+  });
+
+  await transport.sendMail({
+    from: config.from,
+    to: config.to,
+    subject: message.subject,
+    text: message.text
+  });
+};
+
+const sendWebhook = async (config, message) => {
+  if (!config.url) {
+    throw new Error('Webhook channel requires a URL');
+  }
+
+  const body = JSON.stringify(message.payload);
+  const headers = {
+    ...(config.headers || {}),
+    'Content-Type': 'application/json'
+  };
+
+  // Let receivers verify the payload came from us
+  if (config.secret) {
+    headers['X-DCOps-Signature'] = `sha256=${crypto.createHmac('sha256', config.secret).update(body).digest('hex')}`;
+  }
+
+  await axios.post(config.url, body, {
+    headers,
+    timeout: DELIVERY_TIMEOUT
+  });
+};
+
+const SENDERS = {
+  email: sendEmail,
+  webhook: sendWebhook
+};
+
+/**
+ * Deliver a message on one channel, retrying with exponential backoff
+ * @returns {Promise<Object>} { channel, status, attempts, error }
+ */
+const deliverWithRetry = async (channel, config, message, maxAttempts = MAX_ATTEMPTS) => {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) {
+      const delay = RETRY_DELAY * Math.pow(2, attempt - 2);
+      logger.info(`Retry ${attempt}/${maxAttempts} for ${channel} notification after ${delay}ms`);
+      await sleep(delay);
+    }
+
+    try {
+      await SENDERS[channel](config, message);
+      logger.info(`Sent ${channel} notification: ${message.subject}`, { attempts: attempt });
+      return { channel, status: 'sent', attempts: attempt, error: null };
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Attempt ${attempt}/${maxAttempts} to send ${channel} notification failed: ${error.message}`);
+    }
+  }
+
+  logger.error(`Giving up on ${channel} notification after ${maxAttempts} attempts: ${lastError.message}`, {
+    subject: message.subject
+  });
+  return { channel, status: 'failed', attempts: maxAttempts, error: lastError.message };
+};
+
+const logDelivery = async (problemId, event, result) => {
+  await executeQuery(`
+    INSERT INTO notification_log (problem_id, channel, event, status, attempts, error)
+    VALUES (NULLIF(@param0, ''), @param1, @param2, @param3, @param4, NULLIF(@param5, ''))
+  `, [problemId || '', result.channel, event, result.status, result.attempts, (result.error || '').substring(0, 1000)], {
+    queryId: `logNotification_${Date.now()}`,
+    label: 'Log Notification Delivery',
+    timeout: 5000
+  });
+};
+
+/**
+ * Send notifications for a problem event on every enabled channel whose
+ * event and severity filters match
+ * @param {string} event - 'opened', 'escalated' or 'resolved'
+ * @param {string} problemId - Problem ID
+ * @returns {Promise<Array>} Delivery results
+ */
+export const notifyProblemEvent = async (event, problemId) => {
+  const settings = await getChannelSettings();
+  const channels = CHANNELS.filter(channel =>
+    settings[channel] && settings[channel].enabled && settings[channel].events.includes(event)
+  );
+
+  if (channels.length === 0) {
+    return [];
+  }
+
+  const problem = await loadProblem(problemId);
+  if (!problem) {
+    logger.warn(`Cannot notify ${event} for problem ${problemId}: problem not found`);
+    return [];
+  }
+
+  // Windows that suppress alerts raise no problems at all, so a problem
+  // with a window was tagged by one that lets alerts through: it is sent,
+  // marked as in maintenance
+
+  const severity = problem.severity || 'Warning';
+  const message = buildMessage(event, problem, severity);
+  const results = [];
+
+  for (const channel of channels) {
+    if (!settings[channel].severities.includes(severity)) {
+      logger.debug(`Skipping ${channel} notification for ${severity} problem ${problemId}: filtered by severity`);
+      continue;
+    }
+
+    const result = await deliverWithRetry(channel, settings[channel].config, message);
+    await logDelivery(problemId, event, result);
+    results.push(result);
+  }
+
+  return results;
+};
+
+/**
+ * Fire-and-forget wrapper around notifyProblemEvent, so retries never hold up
+ * a monitoring cycle or an API response. Connected dashboards are told about
+ * the change straight away.
+ * @param {string} event - 'opened', 'escalated' or 'resolved'
+ * @param {string} problemId - Problem ID
+ */
+export const dispatchProblemEvent = (event, problemId) => {
+  publishEvent('problem', { event, problemId });
+  notifyProblemEvent(event, problemId).catch(error => {
+    logger.error(`Error dispatching ${event} notification for problem ${problemId}: ${error.message}`, {
+      error: error.message,
+      stack: error.stack
+    });
+  });
+};
+
+/**
+ * Send an alert about the monitoring service itself (raised by the watchdog)
+ * on every enabled channel that takes the event and Critical problems. These
+ * alerts have no problem row, as the database may be what is failing.
+ * @param {string} event - 'opened' when the alert starts, 'resolved' when it clears
+ * @param {Object} alert - { kind, summary, details }
+ * @returns {Promise<Array>} Delivery results
+ */
+export const notifySystemAlert = async (event, alert) => {
+  const settings = await getChannelSettings();
+  const channels = CHANNELS.filter(channel =>
+    settings[channel] && settings[channel].enabled && settings[channel].events.includes(event) &&
+    settings[channel].severities.includes('Critical')
+  );
+
+  if (channels.length === 0) {
+    logger.warn(`No notification channel takes ${event} Critical alerts, monitoring alert not sent: ${alert.summary}`);
+    return [];
+  }
+
+  const headline = event === 'resolved' ? 'Monitoring service recovered' : 'Monitoring service alert';
+  const message = {
+    subject: `[DCOps] ${headline}: ${alert.summary}`,
+    text: [
+      `${headline}: ${alert.summary}`,
+      '',
+      `Condition: ${alert.kind}`,
+      ...(alert.details || []),
+      `Host: ${os.hostname()}`
+    ].join('\n'),
+    payload: {
+      event,
+      severity: 'Critical',
+      timestamp: new Date().toISOString(),
+      alert: { ...alert, host: os.hostname() }
+    }
+  };
+
+  const results = [];
+  for (const channel of channels) {
+    const result = await deliverWithRetry(channel, settings[channel].config, message);
+    await logDelivery(null, event, result);
+    results.push(result);
+  }
+  return results;
+};
+
+/**
+ * Send a single test message on a channel using its saved settings, even if
+ * the channel is disabled
+ * @param {string} channel - 'email' or 'webhook'
+ * @returns {Promise<Object>} Delivery result
+ */
+export const sendTestNotification = async (channel) => {
+  const settings = (await getChannelSettings({ fresh: true }))[channel];
+  if (!settings) {
+    return { channel, status: 'failed', attempts: 0, error: `Channel ${channel} is not configured` };
+  }
+
+  const message = buildMessage('test', {
+    id: null,
+    rack: 'TEST-RACK',
+    site: 'Test Site',
+    dc: 'Test DC',
+    type: 'Temperature',
+    value: '33.0°C',
+    threshold: '32°C',
+    alert_type: 'high',
+    status: 'active'
+  }, 'Warning');
+
+  const result = await deliverWithRetry(channel, settings.config, message, 1);
+  await logDelivery(null, 'test', result);
+  return result;
+};
+
+/**
+ * Get the most recent notification deliveries
+ * @param {number} limit - Maximum number of rows
+ * @returns {Promise<Array>} Deliveries, newest first
+ */
+export const getNotificationLog = async (limit = 100) => {
+  return executeQuery(`
+    SELECT TOP (@param0) l.id, l.problem_id, ISNULL(r.name, p.source_name) AS rack, l.channel, l.event,
+      l.status, l.attempts, l.error, l.created_at
+    FROM notification_log l
+    LEFT JOIN problems p ON l.problem_id = p.id
+    LEFT JOIN racks r ON p.rack_id = r.id
+    ORDER BY l.created_at DESC
+  `, [limit], {
+    queryId: `getNotificationLog_${Date.now()}`,
+    label: 'Get Notification Log',
+    timeout: 10000
+  });
+};
+
+export default {
+  CHANNELS,
+  EVENTS,
+  SEVERITIES,
+  getChannelSettings,
+  getPublicChannelSettings,
+  saveChannelSettings,
+  notifyProblemEvent,
+  dispatchProblemEvent,
+  notifySystemAlert,
+  sendTestNotification,
+  getNotificationLog
+};
@@ -0,0 +1,292 @@
+import ExcelJS from 'exceljs';
+import { withTransaction } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import {
+  MANUAL_FIELDS,
+  normalizeRackInput,
+  validateRack,
+  getChangedFields,
+  listRacks,
+  lockRacks,
+  insertRack,
+  saveRack
+} from './rackService.js';
+
+const logger = setupLogger();
+
+export const IMPORT_FORMATS = ['csv', 'xlsx'];
+
+// Largest number of racks one file may hold
+export const RACK_IMPORT_MAX_ROWS = Number(process.env.RACK_IMPORT_MAX_ROWS ?? 5000);
+
+// Header names accepted for each column, compared case-insensitively, so the
+// inventory source's names (DC, MAXPOWER, MAXU, FREEU) work as well
+const COLUMN_ALIASES = {
+  name: ['name', 'rack', 'rack_name'],
+  site: ['site'],
+  datacenter: ['datacenter', 'dc'],
+  max_power: ['max_power', 'maxpower'],
+  max_units: ['max_units', 'maxu'],
+  free_units: ['free_units', 'freeu'],
+  phase: ['phase'],
+  capacity_amps: ['capacity_amps']
+};
+
+const EXPORT_COLUMNS = [
+  'name', 'site', 'datacenter', 'max_power', 'max_units', 'free_units', 'phase', 'capacity_amps',
+  'origin', 'manual_fields', 'updated_by', 'updated_at', 'decommissioned_at'
+];
+
+const NUMBER_FIELDS = ['max_power', 'max_units', 'free_units', 'capacity_amps'];
+
+/**
+ * Read a number from a cell, accepting a decimal comma ("7,5") as written by
+ * spreadsheets in some locales
+ * @param {*} value - Cell value
+ * @returns {*} Number, or the value as it was when it isn't one
+ */
+const toNumber = (value) => {
+  const text = String(value).trim();
+  return /^-?\d+,\d+$/.test(text) ? Number(text.replace(',', '.')) : value;
+};
+
+/**
+ * Format of an inventory file, from its name
+ * @param {string} filename - File name
+ * @returns {string|null} 'csv', 'xlsx' or null when not supported
+ */
+export const getImportFormat = (filename) => {
+  const extension = String(filename || '').split('.').pop().toLowerCase();
+  return IMPORT_FORMATS.includes(extension) ? extension : null;
+};
+
+/**
+ * Plain value of a worksheet cell: formulas give their result, rich text
+ * and hyperlinks their text
+ * @param {*} value - ExcelJS cell value
+ * @returns {*} String, number, Date or null
+ */
+const cellValue = (value) => {
+  if (value === null || value === undefined || value instanceof Date || typeof value !== 'object') {
+    return value ?? null;
+  }
+  if (value.richText) {
+    return value.richText.map(part => part.text).join('');
+  }
+  if (value.text !== undefined) {
+    return cellValue(value.text);
+  }
+  if (value.result !== undefined) {
+    return cellValue(value.result);
+  }
+  return null;
+};
+
+/**
+ * Read the rows of an inventory file: the first row holds the headers, and
+ * columns with unknown headers are ignored
+ * @param {string} filename - File name, for the format
+ * @param {Buffer} content - File content
+ * @returns {Promise<Object>} { rows: [{ line, values }], columns } or { error }
+ */
+export const readRackFile = async (filename, content) => {
+  const format = getImportFormat(filename);
+  if (!format) {
+    return { error: `Only ${IMPORT_FORMATS.map(name => name.toUpperCase()).join(' and ')} files can be imported` };
+  }
+
+  let table;
+  try {
+    if (format === 'csv') {
+      table = parseCsv(content.toString('utf8'));
+    } else {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(content);
+      const worksheet = workbook.worksheets[0];
+      table = [];
+      worksheet?.eachRow({ includeEmpty: false }, (row) => {
+        // row.values is 1-based
+        table.push(row.values.slice(1).map(cellValue));
+      });
+    }
+  } catch (error) {
+    logger.warn(`Could not read inventory file ${filename}: ${error.message}`);
+    return { error: `The file could not be read as ${format.toUpperCase()}` };
+  }
+
+  if (table.length < 2) {
+    return { error: 'The file has no racks: the first row must hold the column headers' };
+  }
+  if (table.length - 1 > RACK_IMPORT_MAX_ROWS) {
+    return { error: `The file has ${table.length - 1} racks, at most ${RACK_IMPORT_MAX_ROWS} can be imported at once` };
+  }
+
+  const headers = table[0].map(header => String(header ?? '').trim().toLowerCase());
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = headers.findIndex(header => aliases.includes(header));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  }
+  if (columns.name === undefined) {
+    return { error: `The file needs a name column (headers: ${Object.keys(COLUMN_ALIASES).join(', ')})` };
+  }
+
+  const rows = table.slice(1).map((cells, index) => {
+    const values = {};
+    for (const [field, column] of Object.entries(columns)) {
+      values[field] = cells[column] ?? '';
+    }
+    // Line numbers as in the spreadsheet, the header being line 1
+    return { line: index + 2, values };
+  });
+
+  return { rows, columns: Object.keys(columns) };
+};
+
+/**
+ * Compare the rows of a file with the inventory. Racks not in the inventory
+ * are new, with 42 units when the file has none and every unit free when it
+ * doesn't say; for known racks the file's values replace the stored ones and
+ * missing columns or empty cells keep them.
+ * @param {Array} rows - Rows from readRackFile
+ * @param {Array} racks - Every stored rack, decommissioned ones included
+ * @returns {Object} { rows: [{ line, name, status, changes, error, rack, current }], summary }
+ */
+export const buildImportPlan = (rows, racks) => {
+  const byName = new Map(racks.map(rack => [rack.name.toLowerCase(), rack]));
+  const seen = new Map();
+
+  const planned = rows.map(({ line, values }) => {
+    const name = String(values.name ?? '').trim();
+    const current = byName.get(name.toLowerCase()) || null;
+    const entry = { line, name, status: 'error', changes: [], error: null };
+
+    if (!name) {
+      return { ...entry, error: 'name is required' };
+    }
+    if (seen.has(name.toLowerCase())) {
+      return { ...entry, error: `Rack ${name} is also on line ${seen.get(name.toLowerCase())}` };
+    }
+    seen.set(name.toLowerCase(), line);
+
+    if (current?.decommissioned_at) {
+      return { ...entry, error: `Rack ${current.name} is decommissioned; restore it before importing it` };
+    }
+
+    const filled = Object.fromEntries(Object.entries(values)
+      .filter(([, value]) => String(value ?? '').trim() !== '')
+      .map(([field, value]) => [field, NUMBER_FIELDS.includes(field) ? toNumber(value) : value]));
+    if (!current) {
+      filled.max_units = filled.max_units ?? 42;
+      filled.free_units = filled.free_units ?? filled.max_units;
+    }
+    const rack = normalizeRackInput(filled, current || {});
+    const validationError = validateRack(rack);
+    if (validationError) {
+      return { ...entry, error: validationError };
+    }
+
+    if (!current) {
+      return { ...entry, status: 'new', rack };
+    }
+
+    const changes = getChangedFields(current, rack).map(field => ({ field, from: current[field], to: rack[field] }));
+    return { ...entry, name: current.name, status: changes.length > 0 ? 'changed' : 'unchanged', changes, rack, current };
+  });
+
+  const summary = { new: 0, changed: 0, unchanged: 0, error: 0 };
+  for (const row of planned) {
+    summary[row.status]++;
+  }
+
+  return { rows: planned, summary };
+};
+
+/**
+ * Plan as returned to the client, without the stored racks
+ * @param {Object} plan - Output of buildImportPlan
+ * @returns {Object} { rows, summary }
+ */
+export const describeImportPlan = (plan) => ({
+  summary: plan.summary,
+  rows: plan.rows.map(({ line, name, status, changes, error }) => ({ line, name, status, changes, error }))
+});
+
+/**
+ * Work out what importing a file would change, without writing anything
+ * @param {Array} rows - Rows from readRackFile
+ * @returns {Promise<Object>} Plan
+ */
+export const previewRackImport = async (rows) => {
+  const racks = await listRacks({ includeDecommissioned: true });
+  return buildImportPlan(rows, racks);
+};
+
+/**
+ * Import a file in one transaction: the plan is worked out again against the
+ * locked inventory and nothing is written if any row has an error. Imported
+ * values are marked as set by hand, so the monitoring cycle keeps them.
+ * @param {Array} rows - Rows from readRackFile
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object>} { applied, plan }; applied is false when the plan has errors
+ */
+export const applyRackImport = async (rows, actor) => {
+  return withTransaction(async (query) => {
+    const plan = buildImportPlan(rows, await lockRacks(query));
+    if (plan.summary.error > 0) {
+      return { applied: false, plan };
+    }
+
+    for (const row of plan.rows) {
+      if (row.status === 'new') {
+        const manualFields = MANUAL_FIELDS.filter(field => row.rack[field] !== null && row.rack[field] !== undefined);
+        await insertRack(query, row.rack, manualFields, actor);
+      } else if (row.status === 'changed') {
+        const manualFields = [...new Set([...row.current.manual_fields, ...row.changes.map(change => change.field)])];
+        await saveRack(query, row.current.id, row.rack, manualFields, actor);
+      }
+    }
+
+    logger.info(`Rack import by ${actor}: ${plan.summary.new} added, ${plan.summary.changed} updated, ${plan.summary.unchanged} unchanged`);
+    return { applied: true, plan };
+  }, { label: 'Import Racks', timeout: 120000 });
+};
+
+/**
+ * Export the rack inventory in the layout the import reads
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Object} options - includeDecommissioned to export decommissioned racks too
+ * @returns {Promise<Buffer>} File content
+ */
+export const exportRacks = async (format, { includeDecommissioned = false } = {}) => {
+  const racks = await listRacks({ includeDecommissioned });
+  const rows = racks.map(rack => EXPORT_COLUMNS.map(column =>
+    column === 'manual_fields' ? rack.manual_fields.join(',') : rack[column] ?? null));
+
+  if (format === 'csv') {
+    return Buffer.from(`\uFEFF${toCsv([EXPORT_COLUMNS, ...rows])}`, 'utf8');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Racks');
+  worksheet.columns = EXPORT_COLUMNS.map(column => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  worksheet.addRows(rows);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+export default {
+  IMPORT_FORMATS,
+  RACK_IMPORT_MAX_ROWS,
+  getImportFormat,
+  readRackFile,
+  buildImportPlan,
+  describeImportPlan,
+  previewRackImport,
+  applyRackImport,
+  exportRacks
+};
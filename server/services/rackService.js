@@ -0,0 +1,367 @@
+import { executeQuery } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+
+const logger = setupLogger();
+
+export const RACK_PHASES = ['Single Phase', '3-Phase'];
+
+// Fields that can be set by hand; once set, the monitoring cycle keeps them
+export const MANUAL_FIELDS = ['site', 'datacenter', 'max_power', 'max_units', 'free_units', 'phase', 'capacity_amps'];
+
+const RACK_COLUMNS = `
+  id, name, site, datacenter, maintenance, max_power, max_units, free_units,
+  phase, capacity_amps, origin, manual_fields, updated_by, created_at, updated_at,
+  decommissioned_at, decommissioned_by
+`;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Convert an optional number to a query parameter; empty values are stored as
+ * NULL through NULLIF(@paramN, '')
+ * @param {*} value - Number or null
+ * @returns {string} Value as text, or '' when not set
+ */
+const toNumberParam = (value) => (isSet(value) ? String(Number(value)) : '');
+
+/**
+ * Split a stored manual_fields value into the known field names
+ * @param {string|null} value - Comma-separated field names
+ * @returns {Array<string>} Field names
+ */
+export const parseManualFields = (value) =>
+  String(value || '').split(',').map(field => field.trim()).filter(field => MANUAL_FIELDS.includes(field));
+
+/**
+ * Normalize a rack row from the database
+ * @param {Object} row - racks row
+ * @returns {Object} Rack with numeric settings and manual_fields as an array
+ */
+const normalizeRack = (row) => ({
+  ...row,
+  maintenance: row.maintenance === true || row.maintenance === 1,
+  max_power: row.max_power === null ? null : Number(row.max_power),
+  capacity_amps: row.capacity_amps === null ? null : Number(row.capacity_amps),
+  manual_fields: parseManualFields(row.manual_fields)
+});
+
+/**
+ * Build the rack to save from a request body. Fields missing from the body
+ * keep the current value, so an update may send only what it changes.
+ * @param {Object} body - Request body
+ * @param {Object} current - Stored rack when updating, {} when creating
+ * @returns {Object} name, site, datacenter, max_power, max_units, free_units, phase, capacity_amps
+ */
+export const normalizeRackInput = (body, current = {}) => {
+  const pick = (field) => (Object.prototype.hasOwnProperty.call(body, field) ? body[field] : current[field]);
+  const text = (value) => (isSet(value) ? String(value).trim() : null);
+  const number = (value) => (isSet(value) ? Number(value) : null);
+
+  return {
+    name: text(current.name ?? body.name),
+    site: text(pick('site')),
+    datacenter: text(pick('datacenter')),
+    max_power: number(pick('max_power')),
+    max_units: number(pick('max_units')),
+    free_units: number(pick('free_units')),
+    phase: text(pick('phase')) || null,
+    capacity_amps: number(pick('capacity_amps'))
+  };
+};
+
+/**
+ * Validate a normalized rack against the racks schema, returning an error
+ * message or null
+ * @param {Object} rack - Output of normalizeRackInput
+ */
+export const validateRack = (rack) => {
+  for (const field of ['name', 'site', 'datacenter']) {
+    if (!rack[field]) {
+      return `${field} is required`;
+    }
+    if (rack[field].length > 50) {
+      return `${field} must be at most 50 characters`;
+    }
+  }
+  if (!Number.isFinite(rack.max_power) || rack.max_power <= 0 || rack.max_power > 1000) {
+    return 'max_power must be a number of kW greater than 0 and at most 1000';
+  }
+  if (!Number.isInteger(rack.max_units) || rack.max_units < 1 || rack.max_units > 100) {
+    return 'max_units must be a whole number between 1 and 100';
+  }
+  if (!Number.isInteger(rack.free_units) || rack.free_units < 0 || rack.free_units > rack.max_units) {
+    return 'free_units must be a whole number between 0 and max_units';
+  }
+  if (rack.phase !== null && !RACK_PHASES.includes(rack.phase)) {
+    return `phase must be one of: ${RACK_PHASES.join(', ')}`;
+  }
+  if (rack.capacity_amps !== null && (!Number.isFinite(rack.capacity_amps) || rack.capacity_amps <= 0 || rack.capacity_amps > 1000)) {
+    return 'capacity_amps must be a number of amps greater than 0 and at most 1000';
+  }
+
+  return null;
+};
+
+/**
+ * Validate a list of manual fields, returning an error message or null
+ * @param {*} fields - Value from the request body
+ */
+export const validateManualFields = (fields) => {
+  if (!Array.isArray(fields)) {
+    return 'manual_fields must be an array';
+  }
+  const unknown = fields.filter(field => !MANUAL_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return `manual_fields can only contain: ${MANUAL_FIELDS.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Fields whose value differs between two versions of a rack
+ * @param {Object} current - Stored rack
+ * @param {Object} rack - Normalized rack
+ * @returns {Array<string>} Changed fields of MANUAL_FIELDS
+ */
+export const getChangedFields = (current, rack) => MANUAL_FIELDS.filter(field => {
+  const before = current[field] ?? null;
+  const after = rack[field] ?? null;
+  return before === null || after === null ? before !== after : String(before) !== String(after);
+});
+
+/**
+ * Get the rack inventory
+ * @param {Object} options - includeDecommissioned to list decommissioned racks too
+ * @returns {Promise<Array>} Racks ordered by site, datacenter and name
+ */
+export const listRacks = async ({ includeDecommissioned = false } = {}) => {
+  const rows = await executeQuery(`
+    SELECT ${RACK_COLUMNS}
+    FROM racks
+    WHERE (@param0 = 1 OR decommissioned_at IS NULL)
+    ORDER BY site, datacenter, name
+  `, [includeDecommissioned ? 1 : 0], {
+    queryId: `listRacks_${Date.now()}`,
+    label: 'List Rack Inventory',
+    timeout: 8000
+  });
+
+  return rows.map(normalizeRack);
+};
+
+/**
+ * Get every rack, decommissioned ones included, locking them until the
+ * transaction ends so they can't change while it writes
+ * @param {Function} query - Query function of a transaction
+ * @returns {Promise<Array>} Racks
+ */
+export const lockRacks = async (query) => {
+  const rows = await query(`
+    SELECT ${RACK_COLUMNS}
+    FROM racks WITH (UPDLOCK, HOLDLOCK)
+  `, [], {
+    label: 'Lock Rack Inventory'
+  });
+
+  return rows.map(normalizeRack);
+};
+
+/**
+ * Get a single rack by ID or name
+ * @param {string} idOrName - Rack GUID or rack name
+ * @returns {Promise<Object|null>} Rack or null if not found
+ */
+export const getRack = async (idOrName) => {
+  const rows = await executeQuery(`
+    SELECT ${RACK_COLUMNS}
+    FROM racks
+    WHERE name = @param0
+    OR id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER)
+  `, [idOrName], {
+    queryId: `getRack_${Date.now()}`,
+    label: 'Get Rack',
+    timeout: 5000
+  });
+
+  return rows.length > 0 ? normalizeRack(rows[0]) : null;
+};
+
+const rackParams = (rack) => [
+  rack.site,
+  rack.datacenter,
+  toNumberParam(rack.max_power),
+  toNumberParam(rack.max_units),
+  toNumberParam(rack.free_units),
+  rack.phase || '',
+  toNumberParam(rack.capacity_amps)
+];
+
+/**
+ * Insert a rack; racks added by hand or imported have origin 'manual'
+ * @param {Function} query - executeQuery, or the query function of a transaction
+ * @param {Object} rack - Normalized rack
+ * @param {Array<string>} manualFields - Fields set by hand
+ * @param {string} actor - Username making the change
+ * @returns {Promise<string|null>} ID of the new rack
+ */
+export const insertRack = async (query, rack, manualFields, actor) => {
+  // racks has an update trigger, so OUTPUT must go through a table variable
+  const rows = await query(`
+    DECLARE @created TABLE (id UNIQUEIDENTIFIER);
+
+    INSERT INTO racks
+      (name, site, datacenter, maintenance, max_power, max_units, free_units, phase, capacity_amps,
+       origin, manual_fields, updated_by)
+    OUTPUT INSERTED.id INTO @created
+    VALUES (
+      @param0,
+      @param1,
+      @param2,
+      0,
+      CAST(@param3 AS DECIMAL(10,2)),
+      CAST(@param4 AS INT),
+      CAST(@param5 AS INT),
+      NULLIF(@param6, ''),
+      CAST(NULLIF(@param7, '') AS DECIMAL(10,2)),
+      'manual',
+      NULLIF(@param8, ''),
+      @param9
+    );
+
+    SELECT id FROM @created;
+  `, [rack.name, ...rackParams(rack), manualFields.join(','), actor], {
+    queryId: `insertRack_${Date.now()}`,
+    label: 'Insert Rack',
+    timeout: 5000
+  });
+
+  return rows.length > 0 ? rows[0].id : null;
+};
+
+/**
+ * Save the fields of a rack and the list of fields set by hand
+ * @param {Function} query - executeQuery, or the query function of a transaction
+ * @param {string} id - Rack ID
+ * @param {Object} rack - Normalized rack
+ * @param {Array<string>} manualFields - Fields set by hand after the update
+ * @param {string} actor - Username making the change
+ */
+export const saveRack = async (query, id, rack, manualFields, actor) => {
+  await query(`
+    UPDATE racks
+    SET
+      site = @param1,
+      datacenter = @param2,
+      max_power = CAST(@param3 AS DECIMAL(10,2)),
+      max_units = CAST(@param4 AS INT),
+      free_units = CAST(@param5 AS INT),
+      phase = NULLIF(@param6, ''),
+      capacity_amps = CAST(NULLIF(@param7, '') AS DECIMAL(10,2)),
+      manual_fields = NULLIF(@param8, ''),
+      updated_by = @param9,
+      updated_at = GETDATE()
+    WHERE id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER)
+  `, [id, ...rackParams(rack), manualFields.join(','), actor], {
+    queryId: `saveRack_${Date.now()}`,
+    label: 'Save Rack',
+    timeout: 5000
+  });
+};
+
+/**
+ * Create a rack the inventory source doesn't know about. Every field given
+ * is marked as set by hand.
+ * @param {Object} rack - Normalized rack
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Created rack
+ */
+export const createRack = async (rack, actor) => {
+  const id = await insertRack(executeQuery, rack, MANUAL_FIELDS.filter(field => isSet(rack[field])), actor);
+  if (!id) {
+    return null;
+  }
+
+  logger.info(`Rack ${rack.name} (${rack.site}/${rack.datacenter}) created by ${actor}`);
+  return getRack(id);
+};
+
+/**
+ * Update a rack and the fields the monitoring cycle must keep
+ * @param {string} id - Rack ID
+ * @param {Object} rack - Normalized rack
+ * @param {Array<string>} manualFields - Fields set by hand after the update
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Updated rack
+ */
+export const updateRack = async (id, rack, manualFields, actor) => {
+  await saveRack(executeQuery, id, rack, manualFields, actor);
+
+  logger.info(`Rack ${rack.name} updated by ${actor}, manual fields: ${manualFields.join(', ') || 'none'}`);
+  return getRack(id);
+};
+
+/**
+ * Decommission a rack: it leaves the dashboard and the monitoring cycle and
+ * its open problems are returned so they can be resolved
+ * @param {Object} rack - Stored rack
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Array<string>>} IDs of the rack's open problems
+ */
+export const decommissionRack = async (rack, actor) => {
+  const rows = await executeQuery(`
+    UPDATE racks
+    SET decommissioned_at = GETDATE(), decommissioned_by = @param1, updated_by = @param1, updated_at = GETDATE()
+    WHERE id = @param0 AND decommissioned_at IS NULL;
+
+    SELECT id
+    FROM problems
+    WHERE rack_id = @param0 AND status IN ('active', 'acknowledged');
+  `, [rack.id, actor], {
+    queryId: `decommissionRack_${Date.now()}`,
+    label: 'Decommission Rack',
+    timeout: 5000
+  });
+
+  logger.info(`Rack ${rack.name} decommissioned by ${actor}`);
+  return rows.map(row => row.id);
+};
+
+/**
+ * Put a decommissioned rack back in service
+ * @param {Object} rack - Stored rack
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Restored rack
+ */
+export const restoreRack = async (rack, actor) => {
+  await executeQuery(`
+    UPDATE racks
+    SET decommissioned_at = NULL, decommissioned_by = NULL, updated_by = @param1, updated_at = GETDATE()
+    WHERE id = @param0
+  `, [rack.id, actor], {
+    queryId: `restoreRack_${Date.now()}`,
+    label: 'Restore Rack',
+    timeout: 5000
+  });
+
+  logger.info(`Rack ${rack.name} put back in service by ${actor}`);
+  return getRack(rack.id);
+};
+
+export default {
+  RACK_PHASES,
+  MANUAL_FIELDS,
+  parseManualFields,
+  normalizeRackInput,
+  validateRack,
+  validateManualFields,
+  getChangedFields,
+  listRacks,
+  lockRacks,
+  getRack,
+  insertRack,
+  saveRack,
+  createRack,
+  updateRack,
+  decommissionRack,
+  restoreRack
+};
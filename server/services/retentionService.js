@@ -0,0 +1,650 @@
+import { executeQuery, withTransaction, dbEnabled } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+import { validateCadence, scheduleJob, describeCadence } from '../utils/scheduler.js';
+
+const logger = setupLogger();
+
+export const RETENTION_RUN_STATUSES = ['completed', 'partial', 'failed'];
+
+// Used when the database has no stored retention settings
+export const DEFAULT_SETTINGS = {
+  enabled: true,
+  rawRetentionDays: 14,
+  hourlyRetentionDays: 400,
+  dailyRetentionDays: 0,
+  problemArchiveMonths: 12,
+  purgeBatchSize: 5000,
+  jobCron: '15 * * * *',
+  updatedBy: null,
+  updatedAt: null
+};
+
+// Bounds of the settings accepted from the Server page
+const LIMITS = {
+  rawRetentionDays: [1, 3650],
+  hourlyRetentionDays: [0, 3650],
+  dailyRetentionDays: [0, 36500],
+  problemArchiveMonths: [0, 240],
+  purgeBatchSize: [100, 50000]
+};
+
+// Caps on the work of a single run; whatever is left is picked up by the next run
+const MAX_BATCHES_PER_STEP = 200;
+const MAX_HOURLY_WINDOWS = 31;
+const MAX_DAILY_WINDOWS = 12;
+const ARCHIVE_BATCH_SIZE = 500;
+
+// Tables whose row counts are shown on the Server page
+const COUNTED_TABLES = [
+  'sensor_readings',
+  'sensor_readings_hourly',
+  'sensor_readings_daily',
+  'problems',
+  'problem_history',
+  'problems_archive',
+  'problem_history_archive'
+];
+
+// Retention job state
+let job = null;
+let settings = { ...DEFAULT_SETTINGS };
+let running = false;
+// Last run whose outcome couldn't be stored, shown instead of the stored one
+let unrecordedRun = null;
+
+const normalizeSettings = (row) => ({
+  enabled: row.enabled === true || row.enabled === 1,
+  rawRetentionDays: row.raw_retention_days,
+  hourlyRetentionDays: row.hourly_retention_days,
+  dailyRetentionDays: row.daily_retention_days,
+  problemArchiveMonths: row.problem_archive_months,
+  purgeBatchSize: row.purge_batch_size,
+  jobCron: row.job_cron,
+  updatedBy: row.updated_by,
+  updatedAt: row.updated_at
+});
+
+const jobCadence = (current) => ({ mode: 'cron', cron: current.jobCron });
+
+/**
+ * Check retention settings, returning an error message or null
+ * @param {Object} candidate - Settings as sent by the Server page
+ * @returns {string|null} Error message
+ */
+export const validateSettings = (candidate) => {
+  if (typeof candidate.enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  for (const [field, [min, max]] of Object.entries(LIMITS)) {
+    const value = candidate[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return `${field} must be a whole number between ${min} and ${max}`;
+    }
+  }
+  if (candidate.hourlyRetentionDays !== 0 && candidate.hourlyRetentionDays <= candidate.rawRetentionDays) {
+    return 'hourlyRetentionDays must be longer than rawRetentionDays, or 0 to keep hourly rollups forever';
+  }
+  return validateCadence({ mode: 'cron', cron: candidate.jobCron }, 'Retention job');
+};
+
+/**
+ * Get the stored retention settings
+ * @returns {Promise<Object>} Settings, or the defaults if none are stored
+ */
+export const getSettings = async () => {
+  const rows = await executeQuery(`
+    SELECT enabled, raw_retention_days, hourly_retention_days, daily_retention_days,
+      problem_archive_months, purge_batch_size, job_cron, updated_by, updated_at
+    FROM retention_settings
+    WHERE id = 1
+  `, [], {
+    queryId: `getRetentionSettings_${Date.now()}`,
+    label: 'Get Retention Settings',
+    timeout: 5000
+  });
+
+  if (rows.length === 0) {
+    logger.warn('No retention settings stored, using the default settings');
+    return { ...DEFAULT_SETTINGS };
+  }
+
+  return normalizeSettings(rows[0]);
+};
+
+/**
+ * Store the retention settings
+ * @param {Object} candidate - Validated settings
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Stored settings, or null if they couldn't be saved
+ */
+const saveSettings = async (candidate, actor) => {
+  const rows = await executeQuery(`
+    DECLARE @saved TABLE (
+      enabled BIT, raw_retention_days INT, hourly_retention_days INT, daily_retention_days INT,
+      problem_archive_months INT, purge_batch_size INT, job_cron NVARCHAR(100),
+      updated_by NVARCHAR(50), updated_at DATETIME2
+    );
+
+    MERGE retention_settings AS target
+    USING (SELECT 1 AS id) AS source ON target.id = source.id
+    WHEN MATCHED THEN UPDATE SET
+      enabled = @param0,
+      raw_retention_days = @param1,
+      hourly_retention_days = @param2,
+      daily_retention_days = @param3,
+      problem_archive_months = @param4,
+      purge_batch_size = @param5,
+      job_cron = @param6,
+      updated_by = @param7,
+      updated_at = GETDATE()
+    WHEN NOT MATCHED THEN INSERT
+      (id, enabled, raw_retention_days, hourly_retention_days, daily_retention_days,
+       problem_archive_months, purge_batch_size, job_cron, updated_by)
+      VALUES (1, @param0, @param1, @param2, @param3, @param4, @param5, @param6, @param7)
+    OUTPUT inserted.enabled, inserted.raw_retention_days, inserted.hourly_retention_days,
+      inserted.daily_retention_days, inserted.problem_archive_months, inserted.purge_batch_size,
+      inserted.job_cron, inserted.updated_by, inserted.updated_at
+    INTO @saved;
+
+    SELECT * FROM @saved;
+  `, [
+    candidate.enabled ? 1 : 0,
+    candidate.rawRetentionDays,
+    candidate.hourlyRetentionDays,
+    candidate.dailyRetentionDays,
+    candidate.problemArchiveMonths,
+    candidate.purgeBatchSize,
+    candidate.jobCron.trim(),
+    actor
+  ], {
+    queryId: `saveRetentionSettings_${Date.now()}`,
+    label: 'Save Retention Settings',
+    timeout: 5000
+  });
+
+  return rows.length > 0 ? normalizeSettings(rows[0]) : null;
+};
+
+/**
+ * Roll up completed hours of raw readings into sensor_readings_hourly, one
+ * day per transaction, moving the hourly watermark forward as it goes.
+ * Readings of the last few minutes are left alone in case a cycle that
+ * started before the hour is still writing.
+ */
+const rollupHourly = async () => {
+  const rollupColumns = `
+    temperature_min, temperature_avg, temperature_max, humidity_min, humidity_avg, humidity_max,
+    current_min, current_avg, current_max, voltage_min, voltage_avg, voltage_max,
+    kw_min, kw_avg, kw_max`;
+  const result = { windows: 0, rows: 0, rolledTo: null, complete: false };
+
+  while (!result.complete && result.windows < MAX_HOURLY_WINDOWS) {
+    const [window] = await withTransaction(query => query(`
+      DECLARE @from DATETIME2 = (SELECT hourly_rolled_to FROM retention_settings WITH (UPDLOCK) WHERE id = 1);
+      DECLARE @limit DATETIME2 = DATEADD(HOUR, DATEDIFF(HOUR, 0, DATEADD(MINUTE, -10, GETDATE())), 0);
+      DECLARE @to DATETIME2;
+      DECLARE @rows INT = 0;
+
+      IF @from IS NULL
+        SELECT @from = DATEADD(HOUR, DATEDIFF(HOUR, 0, MIN(created_at)), 0) FROM sensor_readings;
+
+      IF @from IS NOT NULL AND @from < @limit
+      BEGIN
+        SET @to = CASE WHEN DATEADD(DAY, 1, @from) < @limit THEN DATEADD(DAY, 1, @from) ELSE @limit END;
+
+        MERGE sensor_readings_hourly AS target
+        USING (
+          SELECT rack_id,
+            DATEADD(HOUR, DATEDIFF(HOUR, 0, created_at), 0) AS bucket_start,
+            COUNT(*) AS samples,
+            MIN(temperature) AS temperature_min, AVG(temperature) AS temperature_avg, MAX(temperature) AS temperature_max,
+            MIN(humidity) AS humidity_min, AVG(humidity) AS humidity_avg, MAX(humidity) AS humidity_max,
+            MIN(total_current) AS current_min, AVG(total_current) AS current_avg, MAX(total_current) AS current_max,
+            MIN(total_voltage) AS voltage_min, AVG(total_voltage) AS voltage_avg, MAX(total_voltage) AS voltage_max,
+            MIN(total_power) AS kw_min, AVG(total_power) AS kw_avg, MAX(total_power) AS kw_max
+          FROM sensor_readings
+          WHERE created_at >= @from AND created_at < @to
+          GROUP BY rack_id, DATEADD(HOUR, DATEDIFF(HOUR, 0, created_at), 0)
+        ) AS source ON target.rack_id = source.rack_id AND target.bucket_start = source.bucket_start
+        WHEN MATCHED THEN UPDATE SET
+          samples = source.samples,
+          temperature_min = source.temperature_min, temperature_avg = source.temperature_avg, temperature_max = source.temperature_max,
+          humidity_min = source.humidity_min, humidity_avg = source.humidity_avg, humidity_max = source.humidity_max,
+          current_min = source.current_min, current_avg = source.current_avg, current_max = source.current_max,
+          voltage_min = source.voltage_min, voltage_avg = source.voltage_avg, voltage_max = source.voltage_max,
+          kw_min = source.kw_min, kw_avg = source.kw_avg, kw_max = source.kw_max
+        WHEN NOT MATCHED THEN INSERT (rack_id, bucket_start, samples, ${rollupColumns})
+          VALUES (source.rack_id, source.bucket_start, source.samples,
+            source.temperature_min, source.temperature_avg, source.temperature_max,
+            source.humidity_min, source.humidity_avg, source.humidity_max,
+            source.current_min, source.current_avg, source.current_max,
+            source.voltage_min, source.voltage_avg, source.voltage_max,
+            source.kw_min, source.kw_avg, source.kw_max);
+
+        SET @rows = @@ROWCOUNT;
+
+        UPDATE retention_settings SET hourly_rolled_to = @to WHERE id = 1;
+      END
+
+      SELECT @rows AS rows_merged, ISNULL(@to, @from) AS rolled_to,
+        CASE WHEN @to IS NULL OR @to >= @limit THEN 1 ELSE 0 END AS done;
+    `, [], { label: 'Roll Up Hourly Readings' }), { label: 'Hourly Rollup', timeout: 120000 });
+
+    if (!window) {
+      throw new Error('Hourly rollup returned no result');
+    }
+    result.windows++;
+    result.rows += window.rows_merged;
+    result.rolledTo = window.rolled_to;
+    result.complete = window.done === 1;
+  }
+
+  return result;
+};
+
+/**
+ * Roll up completed days of hourly rows into sensor_readings_daily, up to
+ * the day of the hourly watermark. Averages are weighted by sample count.
+ */
+const rollupDaily = async () => {
+  const metrics = ['temperature', 'humidity', 'current', 'voltage', 'kw'];
+  const aggregates = metrics.map(metric => `
+            MIN(${metric}_min) AS ${metric}_min,
+            SUM(${metric}_avg * samples) / NULLIF(SUM(CASE WHEN ${metric}_avg IS NOT NULL THEN samples END), 0) AS ${metric}_avg,
+            MAX(${metric}_max) AS ${metric}_max`).join(',');
+  const columns = metrics.map(metric => `${metric}_min, ${metric}_avg, ${metric}_max`).join(', ');
+  const updates = metrics.map(metric =>
+    `${metric}_min = source.${metric}_min, ${metric}_avg = source.${metric}_avg, ${metric}_max = source.${metric}_max`
+  ).join(',\n          ');
+  const values = metrics.map(metric => `source.${metric}_min, source.${metric}_avg, source.${metric}_max`).join(', ');
+  const result = { windows: 0, rows: 0, rolledTo: null, complete: false };
+
+  while (!result.complete && result.windows < MAX_DAILY_WINDOWS) {
+    const [window] = await withTransaction(query => query(`
+      DECLARE @from DATETIME2;
+      DECLARE @limit DATETIME2;
+      DECLARE @to DATETIME2;
+      DECLARE @rows INT = 0;
+
+      SELECT @from = daily_rolled_to,
+        @limit = DATEADD(DAY, DATEDIFF(DAY, 0, hourly_rolled_to), 0)
+      FROM retention_settings WITH (UPDLOCK)
+      WHERE id = 1;
+
+      IF @from IS NULL
+        SELECT @from = DATEADD(DAY, DATEDIFF(DAY, 0, MIN(bucket_start)), 0) FROM sensor_readings_hourly;
+
+      IF @from IS NOT NULL AND @from < @limit
+      BEGIN
+        SET @to = CASE WHEN DATEADD(DAY, 31, @from) < @limit THEN DATEADD(DAY, 31, @from) ELSE @limit END;
+
+        MERGE sensor_readings_daily AS target
+        USING (
+          SELECT rack_id,
+            DATEADD(DAY, DATEDIFF(DAY, 0, bucket_start), 0) AS bucket_start,
+            SUM(samples) AS samples,${aggregates}
+          FROM sensor_readings_hourly
+          WHERE bucket_start >= @from AND bucket_start < @to
+          GROUP BY rack_id, DATEADD(DAY, DATEDIFF(DAY, 0, bucket_start), 0)
+        ) AS source ON target.rack_id = source.rack_id AND target.bucket_start = source.bucket_start
+        WHEN MATCHED THEN UPDATE SET
+          samples = source.samples,
+          ${updates}
+        WHEN NOT MATCHED THEN INSERT (rack_id, bucket_start, samples, ${columns})
+          VALUES (source.rack_id, source.bucket_start, source.samples, ${values});
+
+        SET @rows = @@ROWCOUNT;
+
+        UPDATE retention_settings SET daily_rolled_to = @to WHERE id = 1;
+      END
+
+      SELECT @rows AS rows_merged, ISNULL(@to, @from) AS rolled_to,
+        CASE WHEN @to IS NULL OR @to >= @limit THEN 1 ELSE 0 END AS done;
+    `, [], { label: 'Roll Up Daily Readings' }), { label: 'Daily Rollup', timeout: 120000 });
+
+    if (!window) {
+      throw new Error('Daily rollup returned no result');
+    }
+    result.windows++;
+    result.rows += window.rows_merged;
+    result.rolledTo = window.rolled_to;
+    result.complete = window.done === 1;
+  }
+
+  return result;
+};
+
+/**
+ * Run a DELETE TOP (@param0) statement until it deletes less than a full
+ * batch. Each batch commits on its own so locks are held only briefly.
+ * @param {string} label - Step name for logs
+ * @param {string} statement - Batch statement ending in SELECT @@ROWCOUNT AS deleted
+ * @param {Array} params - Parameters after the batch size
+ * @param {number} batchSize - Rows per batch
+ */
+const purgeInBatches = async (label, statement, params, batchSize) => {
+  const result = { batches: 0, deleted: 0, complete: false };
+
+  while (!result.complete && result.batches < MAX_BATCHES_PER_STEP) {
+    const rows = await executeQuery(statement, [batchSize, ...params], {
+      queryId: `retention_${label.replace(/\s+/g, '')}_${Date.now()}`,
+      label,
+      timeout: 60000
+    });
+    // executeQuery returns no rows when the statement fails
+    if (rows.length === 0) {
+      throw new Error(`${label} failed after deleting ${result.deleted} rows`);
+    }
+    result.batches++;
+    result.deleted += rows[0].deleted;
+    result.complete = rows[0].deleted < batchSize;
+  }
+
+  return result;
+};
+
+// Raw readings past retention, never above the hourly watermark
+const purgeRawReadings = (current) => purgeInBatches('Purge Raw Readings', `
+  DECLARE @cutoff DATETIME2 = DATEADD(DAY, -@param1, GETDATE());
+  DECLARE @rolled DATETIME2 = (SELECT hourly_rolled_to FROM retention_settings WHERE id = 1);
+  IF @rolled IS NULL OR @rolled < @cutoff SET @cutoff = @rolled;
+
+  DELETE TOP (@param0) FROM sensor_readings WHERE created_at < @cutoff;
+  SELECT @@ROWCOUNT AS deleted;
+`, [current.rawRetentionDays], current.purgeBatchSize);
+
+// Hourly rollups past retention, never above the daily watermark
+const purgeHourlyRollups = (current) => purgeInBatches('Purge Hourly Rollups', `
+  DECLARE @cutoff DATETIME2 = DATEADD(DAY, -@param1, GETDATE());
+  DECLARE @rolled DATETIME2 = (SELECT daily_rolled_to FROM retention_settings WHERE id = 1);
+  IF @rolled IS NULL OR @rolled < @cutoff SET @cutoff = @rolled;
+
+  DELETE TOP (@param0) FROM sensor_readings_hourly WHERE bucket_start < @cutoff;
+  SELECT @@ROWCOUNT AS deleted;
+`, [current.hourlyRetentionDays], current.purgeBatchSize);
+
+const purgeDailyRollups = (current) => purgeInBatches('Purge Daily Rollups', `
+  DELETE TOP (@param0) FROM sensor_readings_daily WHERE bucket_start < DATEADD(DAY, -@param1, GETDATE());
+  SELECT @@ROWCOUNT AS deleted;
+`, [current.dailyRetentionDays], current.purgeBatchSize);
+
+/**
+ * Move resolved problems older than the archive age, with their history,
+ * into the archive tables. Each batch is copied and deleted in one
+ * transaction; problem_history rows go with the problem by cascade.
+ */
+const archiveResolvedProblems = async (current) => {
+  const result = { batches: 0, archived: 0, complete: false };
+
+  while (!result.complete && result.batches < MAX_BATCHES_PER_STEP) {
+    const [batch] = await withTransaction(query => query(`
+      DECLARE @batch TABLE (id UNIQUEIDENTIFIER PRIMARY KEY);
+
+      INSERT INTO @batch (id)
+      SELECT TOP (@param0) id
+      FROM problems
+      WHERE status = 'resolved'
+      AND resolved_at < DATEADD(MONTH, -@param1, GETDATE());
+
+      INSERT INTO problems_archive (
+        id, rack_id, rack_name, site, datacenter, type, alert_type, severity, phase, value, threshold,
+        resolved_value, status, acknowledged_by, acknowledged_at, maintenance_window_id,
+        rule_id, rule_name, source_id, source_name, resolved_at, created_at, updated_at
+      )
+      SELECT p.id, p.rack_id, r.name, r.site, r.datacenter, p.type, p.alert_type, p.severity, p.phase, p.value, p.threshold,
+        p.resolved_value, p.status, p.acknowledged_by, p.acknowledged_at, p.maintenance_window_id,
+        p.rule_id, ar.name, p.source_id, p.source_name, p.resolved_at, p.created_at, p.updated_at
+      FROM problems p
+      JOIN @batch b ON b.id = p.id
+      LEFT JOIN racks r ON r.id = p.rack_id
+      LEFT JOIN alert_rules ar ON ar.id = p.rule_id;
+
+      INSERT INTO problem_history_archive (id, problem_id, action, from_status, to_status, actor, note, created_at)
+      SELECT h.id, h.problem_id, h.action, h.from_status, h.to_status, h.actor, h.note, h.created_at
+      FROM problem_history h
+      JOIN @batch b ON b.id = h.problem_id;
+
+      DELETE p FROM problems p JOIN @batch b ON b.id = p.id;
+
+      SELECT COUNT(*) AS archived FROM @batch;
+    `, [ARCHIVE_BATCH_SIZE, current.problemArchiveMonths], { label: 'Archive Problem Batch' }),
+    { label: 'Archive Resolved Problems', timeout: 60000 });
+
+    result.batches++;
+    result.archived += batch?.archived || 0;
+    result.complete = (batch?.archived || 0) < ARCHIVE_BATCH_SIZE;
+  }
+
+  return result;
+};
+
+/**
+ * Run one retention step, recording its outcome without stopping the run
+ */
+const runStep = async (steps, name, work) => {
+  const startTime = Date.now();
+  try {
+    steps[name] = { ...(await work()), duration: Date.now() - startTime };
+  } catch (error) {
+    logger.error(`Retention step ${name} failed: ${error.message}`, { stack: error.stack });
+    steps[name] = { complete: false, error: error.message, duration: Date.now() - startTime };
+  }
+};
+
+/**
+ * Run the retention job: roll up, purge and archive
+ * @param {Object} options - trigger ('scheduled' or 'manual') and requestedBy
+ * @returns {Promise<Object|null>} Run summary, or null if a run is already going
+ */
+export const runRetention = async ({ trigger = 'scheduled', requestedBy = null } = {}) => {
+  if (running) {
+    logger.warn(`Retention run (${trigger}) skipped, a run is already in progress`);
+    return null;
+  }
+  if (!dbEnabled) {
+    throw new Error('Database is disabled, retention can not run');
+  }
+
+  running = true;
+  const startTime = Date.now();
+  const current = settings;
+  const steps = {};
+  logger.info(`Retention run started (${trigger})`, { requestedBy });
+
+  try {
+    // Rollups first: the purges never go past the rollup watermarks
+    await runStep(steps, 'hourlyRollup', rollupHourly);
+    await runStep(steps, 'dailyRollup', rollupDaily);
+    await runStep(steps, 'rawPurge', () => purgeRawReadings(current));
+    if (current.hourlyRetentionDays > 0) {
+      await runStep(steps, 'hourlyPurge', () => purgeHourlyRollups(current));
+    }
+    if (current.dailyRetentionDays > 0) {
+      await runStep(steps, 'dailyPurge', () => purgeDailyRollups(current));
+    }
+    if (current.problemArchiveMonths > 0) {
+      await runStep(steps, 'problemArchive', () => archiveResolvedProblems(current));
+    }
+
+    const outcomes = Object.values(steps);
+    let status = outcomes.some(step => step.error)
+      ? 'failed'
+      : outcomes.some(step => !step.complete) ? 'partial' : 'completed';
+    const summary = {
+      trigger,
+      requestedBy,
+      startedAt: new Date(startTime).toISOString(),
+      duration: Date.now() - startTime,
+      steps
+    };
+
+    // A run whose outcome isn't stored would leave the previous run showing
+    // as the last one, so it counts as failed and is kept in memory instead
+    try {
+      const recorded = await executeQuery(`
+        UPDATE retention_settings
+        SET last_run_at = GETDATE(), last_run_status = @param0, last_run_summary = @param1
+        WHERE id = 1;
+        
+        SELECT @@ROWCOUNT AS updated;
+      `, [status, JSON.stringify(summary)], {
+        queryId: `recordRetentionRun_${Date.now()}`,
+        label: 'Record Retention Run',
+        timeout: 5000,
+        throwOnError: true
+      });
+      if (!recorded[0]?.updated) {
+        throw new Error('retention_settings has no row to record the run in');
+      }
+      unrecordedRun = null;
+    } catch (error) {
+      logger.error(`Retention run outcome (${status}) could not be recorded: ${error.message}`);
+      status = 'failed';
+      summary.recordError = error.message;
+      unrecordedRun = { at: new Date(), status, summary };
+    }
+
+    logger[status === 'failed' ? 'error' : 'info'](`Retention run ${status} in ${summary.duration}ms`, { steps });
+    return { status, ...summary };
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Get retention settings, table row counts and the last run for the Server page
+ * @returns {Promise<Object>} Status
+ */
+export const getRetentionStatus = async () => {
+  const tableList = COUNTED_TABLES.map(table => `'${table}'`).join(', ');
+  const [counts, state] = await Promise.all([
+    // Row counts from the partition metadata, so large tables aren't scanned
+    executeQuery(`
+      SELECT t.name AS table_name, SUM(p.rows) AS row_count
+      FROM sys.tables t
+      JOIN sys.partitions p ON p.object_id = t.object_id AND p.index_id IN (0, 1)
+      WHERE t.name IN (${tableList})
+      GROUP BY t.name
+    `, [], {
+      queryId: `retentionRowCounts_${Date.now()}`,
+      label: 'Retention Row Counts',
+      timeout: 10000
+    }),
+    executeQuery(`
+      SELECT hourly_rolled_to, daily_rolled_to, last_run_at, last_run_status, last_run_summary,
+        (SELECT MIN(created_at) FROM sensor_readings) AS raw_oldest,
+        (SELECT MIN(bucket_start) FROM sensor_readings_hourly) AS hourly_oldest,
+        (SELECT MIN(bucket_start) FROM sensor_readings_daily) AS daily_oldest,
+        (SELECT MIN(resolved_at) FROM problems WHERE status = 'resolved') AS resolved_oldest
+      FROM retention_settings
+      WHERE id = 1
+    `, [], {
+      queryId: `retentionState_${Date.now()}`,
+      label: 'Retention State',
+      timeout: 10000
+    })
+  ]);
+
+  const row = state[0] || {};
+  let lastSummary = null;
+  try {
+    lastSummary = row.last_run_summary ? JSON.parse(row.last_run_summary) : null;
+  } catch (error) {
+    logger.warn(`Invalid retention run summary stored: ${error.message}`);
+  }
+
+  return {
+    settings,
+    running,
+    nextRunAt: job ? job.getNextRunAt() : null,
+    tables: COUNTED_TABLES.map(table => ({
+      table,
+      rows: Number(counts.find(count => count.table_name === table)?.row_count || 0)
+    })),
+    oldest: {
+      raw: row.raw_oldest || null,
+      hourly: row.hourly_oldest || null,
+      daily: row.daily_oldest || null,
+      resolvedProblem: row.resolved_oldest || null
+    },
+    watermarks: {
+      hourly: row.hourly_rolled_to || null,
+      daily: row.daily_rolled_to || null
+    },
+    lastRun: unrecordedRun || (row.last_run_at
+      ? { at: row.last_run_at, status: row.last_run_status, summary: lastSummary }
+      : null)
+  };
+};
+
+const armJob = () => {
+  if (job) {
+    job.cancel();
+    job = null;
+  }
+  if (settings.enabled) {
+    job = scheduleJob('retention', jobCadence(settings), () => runRetention({ trigger: 'scheduled' }));
+  } else {
+    logger.info('Retention job is disabled');
+  }
+};
+
+/**
+ * Load the stored retention settings and schedule the retention job
+ */
+export const initializeRetention = async () => {
+  if (!dbEnabled) {
+    logger.warn('Database is disabled, retention job not scheduled');
+    return;
+  }
+
+  const stored = await getSettings();
+  const error = validateSettings(stored);
+  if (error) {
+    logger.error(`Stored retention settings are invalid (${error}), using the defaults`);
+    settings = { ...DEFAULT_SETTINGS };
+  } else {
+    settings = stored;
+  }
+  armJob();
+};
+
+/**
+ * Store new retention settings and re-schedule the job without a restart
+ * @param {Object} candidate - Validated settings
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Applied settings, or null if they couldn't be saved
+ */
+export const updateRetentionSettings = async (candidate, actor) => {
+  const saved = await saveSettings(candidate, actor);
+  if (!saved) {
+    return null;
+  }
+
+  settings = saved;
+  logger.info(`Retention settings updated by ${actor}, job ${saved.enabled ? describeCadence(jobCadence(saved)) : 'disabled'}`, {
+    rawRetentionDays: saved.rawRetentionDays,
+    hourlyRetentionDays: saved.hourlyRetentionDays,
+    dailyRetentionDays: saved.dailyRetentionDays,
+    problemArchiveMonths: saved.problemArchiveMonths
+  });
+  armJob();
+  return saved;
+};
+
+/**
+ * Whether a retention run is in progress
+ */
+export const isRetentionRunning = () => running;
+
+export default {
+  RETENTION_RUN_STATUSES,
+  DEFAULT_SETTINGS,
+  validateSettings,
+  getSettings,
+  runRetention,
+  getRetentionStatus,
+  initializeRetention,
+  updateRetentionSettings,
+  isRetentionRunning
+};
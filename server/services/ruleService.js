@@ -0,0 +1,345 @@
+import { executeQuery } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+
+const logger = setupLogger();
+
+export const RULE_KINDS = ['sustained', 'rate', 'stale'];
+
+export const RULE_METRICS = ['Temperature', 'Humidity', 'Power', 'PhaseImbalance'];
+
+// Rate and stale rules read sensor_readings, which has no phase imbalance column
+export const READING_METRICS = ['Temperature', 'Humidity', 'Power'];
+
+export const RULE_DIRECTIONS = ['rise', 'fall'];
+
+export const METRIC_UNITS = {
+  Temperature: '°C',
+  Humidity: '%',
+  Power: 'A',
+  PhaseImbalance: '%'
+};
+
+const RULE_COLUMNS = `
+  id, name, kind, metric, enabled, cycles, minutes, delta, direction,
+  description, updated_by, created_at, updated_at
+`;
+
+/**
+ * Convert an optional number to a query parameter; empty values are stored as
+ * NULL through NULLIF(@paramN, '')
+ * @param {*} value - Value from the request body
+ * @returns {string} Value as text, or '' when not set
+ */
+const toNumberParam = (value) =>
+  value === null || value === undefined || value === '' ? '' : String(Number(value));
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Normalize a rule row from the database
+ * @param {Object} row - alert_rules row
+ * @returns {Object} Rule with numeric or null settings
+ */
+const normalizeRule = (row) => ({
+  ...row,
+  enabled: row.enabled === true || row.enabled === 1,
+  cycles: row.cycles === null || row.cycles === undefined ? null : Number(row.cycles),
+  minutes: row.minutes === null || row.minutes === undefined ? null : Number(row.minutes),
+  delta: row.delta === null || row.delta === undefined ? null : Number(row.delta)
+});
+
+/**
+ * Keep only the settings that belong to the rule kind, so a rule switched
+ * from one kind to another doesn't carry stale values
+ * @param {Object} body - Request body
+ * @returns {Object} name, kind, metric, enabled, cycles, minutes, delta, direction, description
+ */
+export const normalizeRuleInput = (body) => {
+  const kind = body.kind;
+  const rule = {
+    name: typeof body.name === 'string' ? body.name.trim() : body.name,
+    kind,
+    metric: body.metric,
+    enabled: body.enabled !== false && body.enabled !== 'false',
+    cycles: null,
+    minutes: null,
+    delta: null,
+    direction: null,
+    description: typeof body.description === 'string' ? body.description.trim() : ''
+  };
+
+  if (kind === 'sustained') {
+    rule.cycles = isSet(body.cycles) ? Number(body.cycles) : null;
+    rule.minutes = isSet(body.cycles) ? null : (isSet(body.minutes) ? Number(body.minutes) : null);
+  } else if (kind === 'rate') {
+    rule.minutes = isSet(body.minutes) ? Number(body.minutes) : null;
+    rule.delta = isSet(body.delta) ? Number(body.delta) : null;
+    rule.direction = body.direction || null;
+  } else if (kind === 'stale') {
+    rule.minutes = isSet(body.minutes) ? Number(body.minutes) : null;
+  }
+
+  return rule;
+};
+
+/**
+ * Validate a normalized rule, returning an error message or null
+ * @param {Object} rule - Output of normalizeRuleInput
+ */
+export const validateRule = (rule) => {
+  if (!rule.name) {
+    return 'name is required';
+  }
+  if (rule.name.length > 100) {
+    return 'name must be at most 100 characters';
+  }
+  if (!RULE_KINDS.includes(rule.kind)) {
+    return `kind must be one of: ${RULE_KINDS.join(', ')}`;
+  }
+  if (!RULE_METRICS.includes(rule.metric)) {
+    return `metric must be one of: ${RULE_METRICS.join(', ')}`;
+  }
+  if (rule.kind !== 'sustained' && !READING_METRICS.includes(rule.metric)) {
+    return `${rule.kind} rules support only: ${READING_METRICS.join(', ')}`;
+  }
+  if (rule.description && rule.description.length > 255) {
+    return 'description must be at most 255 characters';
+  }
+
+  const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+  if (rule.kind === 'sustained') {
+    if (rule.cycles === null && rule.minutes === null) {
+      return 'A sustained rule needs either cycles or minutes';
+    }
+    if (rule.cycles !== null && (!isPositiveInteger(rule.cycles) || rule.cycles > 1000)) {
+      return 'cycles must be a whole number between 1 and 1000';
+    }
+  }
+  if (rule.kind === 'rate') {
+    if (!Number.isFinite(rule.delta) || rule.delta <= 0) {
+      return 'delta must be a number greater than 0';
+    }
+    if (!RULE_DIRECTIONS.includes(rule.direction)) {
+      return `direction must be one of: ${RULE_DIRECTIONS.join(', ')}`;
+    }
+  }
+  if (rule.minutes !== null || rule.kind !== 'sustained') {
+    if (!isPositiveInteger(rule.minutes) || rule.minutes > 10080) {
+      return 'minutes must be a whole number between 1 and 10080';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Describe the condition of a rule, for problem notes and log lines
+ * @param {Object} rule - Alert rule
+ * @returns {string} e.g. "3 cycles", "rise > 3°C in 10 min", "no data for 15 min"
+ */
+export const describeAlertRule = (rule) => {
+  if (rule.kind === 'sustained') {
+    return rule.cycles !== null ? `${rule.cycles} cycles` : `${rule.minutes} min`;
+  }
+  if (rule.kind === 'rate') {
+    return `${rule.direction} > ${rule.delta}${METRIC_UNITS[rule.metric]} in ${rule.minutes} min`;
+  }
+  return `no data for ${rule.minutes} min`;
+};
+
+/**
+ * Get every alert rule
+ * @param {Object} options - enabledOnly to skip disabled rules
+ * @returns {Promise<Array>} Rules ordered by kind, metric and name
+ */
+export const listAlertRules = async ({ enabledOnly = false } = {}) => {
+  const rows = await executeQuery(`
+    SELECT ${RULE_COLUMNS}
+    FROM alert_rules
+    WHERE (@param0 = 0 OR enabled = 1)
+    ORDER BY
+      CASE kind WHEN 'sustained' THEN 1 WHEN 'rate' THEN 2 ELSE 3 END,
+      metric, name
+  `, [enabledOnly ? 1 : 0], {
+    queryId: `listAlertRules_${Date.now()}`,
+    label: 'List Alert Rules',
+    timeout: 5000
+  });
+
+  return rows.map(normalizeRule);
+};
+
+/**
+ * Get a single alert rule
+ * @param {string} id - Rule ID
+ * @returns {Promise<Object|null>} Rule or null if not found
+ */
+export const getAlertRule = async (id) => {
+  const rows = await executeQuery(`
+    SELECT ${RULE_COLUMNS}
+    FROM alert_rules
+    WHERE id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER)
+  `, [id], {
+    queryId: `getAlertRule_${Date.now()}`,
+    label: 'Get Alert Rule',
+    timeout: 5000
+  });
+
+  return rows.length > 0 ? normalizeRule(rows[0]) : null;
+};
+
+/**
+ * Find a rule that conflicts with the given one: another rule with the same
+ * name, or another enabled rule raising the same problems (same kind and
+ * metric, and for rate rules the same direction)
+ * @param {Object} rule - Normalized rule
+ * @param {string} excludeId - Rule being updated, if any
+ * @returns {Promise<string|null>} Conflict message or null
+ */
+export const findRuleConflict = async (rule, excludeId = '') => {
+  const rows = await executeQuery(`
+    SELECT name, kind, metric, direction, enabled
+    FROM alert_rules
+    WHERE (@param3 = '' OR id <> TRY_CAST(@param3 AS UNIQUEIDENTIFIER))
+      AND (
+        name = @param0
+        OR (enabled = 1 AND kind = @param1 AND metric = @param2)
+      )
+  `, [rule.name, rule.kind, rule.metric, excludeId], {
+    queryId: `findRuleConflict_${Date.now()}`,
+    label: 'Check Alert Rule Conflicts',
+    timeout: 5000
+  });
+
+  if (rows.some(row => row.name.toLowerCase() === rule.name.toLowerCase())) {
+    return `A rule named "${rule.name}" already exists`;
+  }
+  if (rule.enabled) {
+    const overlapping = rows.find(row =>
+      row.enabled && row.kind === rule.kind && row.metric === rule.metric &&
+      (rule.kind !== 'rate' || row.direction === rule.direction));
+    if (overlapping) {
+      return `Enabled rule "${overlapping.name}" already covers ${rule.kind} ${rule.metric}${rule.kind === 'rate' ? ` (${rule.direction})` : ''}`;
+    }
+  }
+
+  return null;
+};
+
+const ruleParams = (rule) => [
+  rule.name,
+  rule.kind,
+  rule.metric,
+  rule.enabled ? 1 : 0,
+  toNumberParam(rule.cycles),
+  toNumberParam(rule.minutes),
+  toNumberParam(rule.delta),
+  rule.direction || '',
+  rule.description || ''
+];
+
+/**
+ * Create an alert rule
+ * @param {Object} rule - Normalized rule
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Created rule
+ */
+export const createAlertRule = async (rule, actor) => {
+  const rows = await executeQuery(`
+    INSERT INTO alert_rules
+      (name, kind, metric, enabled, cycles, minutes, delta, direction, description, updated_by)
+    OUTPUT INSERTED.id
+    VALUES (
+      @param0,
+      @param1,
+      @param2,
+      @param3,
+      CAST(NULLIF(@param4, '') AS INT),
+      CAST(NULLIF(@param5, '') AS INT),
+      CAST(NULLIF(@param6, '') AS DECIMAL(10,2)),
+      NULLIF(@param7, ''),
+      NULLIF(@param8, ''),
+      @param9
+    )
+  `, [...ruleParams(rule), actor], {
+    queryId: `createAlertRule_${Date.now()}`,
+    label: 'Create Alert Rule',
+    timeout: 5000
+  });
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  logger.info(`Alert rule "${rule.name}" (${rule.kind} ${rule.metric}) created by ${actor}`);
+  return getAlertRule(rows[0].id);
+};
+
+/**
+ * Update an alert rule; problems it already opened keep their reference
+ * @param {string} id - Rule ID
+ * @param {Object} rule - Normalized rule
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Updated rule
+ */
+export const updateAlertRule = async (id, rule, actor) => {
+  await executeQuery(`
+    UPDATE alert_rules
+    SET
+      name = @param1,
+      kind = @param2,
+      metric = @param3,
+      enabled = @param4,
+      cycles = CAST(NULLIF(@param5, '') AS INT),
+      minutes = CAST(NULLIF(@param6, '') AS INT),
+      delta = CAST(NULLIF(@param7, '') AS DECIMAL(10,2)),
+      direction = NULLIF(@param8, ''),
+      description = NULLIF(@param9, ''),
+      updated_by = @param10,
+      updated_at = GETDATE()
+    WHERE id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER)
+  `, [id, ...ruleParams(rule), actor], {
+    queryId: `updateAlertRule_${Date.now()}`,
+    label: 'Update Alert Rule',
+    timeout: 5000
+  });
+
+  logger.info(`Alert rule ${id} updated by ${actor}`);
+  return getAlertRule(id);
+};
+
+/**
+ * Delete an alert rule; problems it opened stay, without a rule reference
+ * @param {string} id - Rule ID
+ * @param {string} actor - Username making the change
+ */
+export const deleteAlertRule = async (id, actor) => {
+  await executeQuery(`
+    DELETE FROM alert_rules
+    WHERE id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER)
+  `, [id], {
+    queryId: `deleteAlertRule_${Date.now()}`,
+    label: 'Delete Alert Rule',
+    timeout: 5000
+  });
+
+  logger.info(`Alert rule ${id} deleted by ${actor}`);
+};
+
+export default {
+  RULE_KINDS,
+  RULE_METRICS,
+  READING_METRICS,
+  RULE_DIRECTIONS,
+  METRIC_UNITS,
+  describeAlertRule,
+  normalizeRuleInput,
+  validateRule,
+  listAlertRules,
+  getAlertRule,
+  findRuleConflict,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule
+};
@@ -0,0 +1,180 @@
+import { executeQuery } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+
+const logger = setupLogger();
+
+export const RUN_STATUSES = ['running', 'completed', 'skipped', 'failed'];
+export const RUN_TRIGGERS = ['scheduled', 'manual'];
+export const RUN_SCOPES = ['full', 'sensors'];
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+const RUN_COLUMNS = `
+  cycle_id, status, scope, [trigger], requested_by, started_at, finished_at, duration_ms,
+  api1_reachable, api2_reachable, racks_fetched, readings_fetched, racks_stored,
+  readings_stored, problems_opened, problems_escalated, problems_resolved, error
+`;
+
+// executeQuery drops null parameters, so unknown reachability is sent as ''
+const toFlag = (value) => (value === true ? 'true' : value === false ? 'false' : '');
+
+const normalizeRun = (row) => ({
+  ...row,
+  api1_reachable: row.api1_reachable === null ? null : row.api1_reachable === true || row.api1_reachable === 1,
+  api2_reachable: row.api2_reachable === null ? null : row.api2_reachable === true || row.api2_reachable === 1
+});
+
+/**
+ * Record the start of a monitoring cycle
+ * @param {string} cycleId - Monitoring cycle ID
+ * @param {string} scope - 'full' or 'sensors'
+ * @param {string} trigger - 'scheduled' or 'manual'
+ * @param {string|null} requestedBy - User who ran the cycle manually
+ */
+export const recordRunStart = async (cycleId, scope = 'full', trigger = 'scheduled', requestedBy = null) => {
+  await executeQuery(`
+    INSERT INTO monitoring_runs (cycle_id, status, scope, [trigger], requested_by)
+    VALUES (@param0, 'running', @param1, @param2, NULLIF(@param3, ''))
+  `, [cycleId, scope, trigger, requestedBy || ''], {
+    queryId: `recordRunStart_${Date.now()}`,
+    label: 'Record Run Start',
+    timeout: 5000
+  });
+};
+
+/**
+ * Record how a monitoring cycle ended
+ * @param {string} cycleId - Monitoring cycle ID
+ * @param {Object} outcome - status, durationMs, api1Reachable, api2Reachable,
+ *   racksFetched, readingsFetched, racksStored, readingsStored,
+ *   problemsOpened, problemsEscalated, problemsResolved, error and details
+ */
+export const recordRunEnd = async (cycleId, outcome) => {
+  const result = await executeQuery(`
+    DECLARE @updated TABLE (cycle_id NVARCHAR(50));
+
+    UPDATE monitoring_runs
+    SET status = @param1,
+        finished_at = GETDATE(),
+        duration_ms = @param2,
+        api1_reachable = CASE @param3 WHEN 'true' THEN 1 WHEN 'false' THEN 0 END,
+        api2_reachable = CASE @param4 WHEN 'true' THEN 1 WHEN 'false' THEN 0 END,
+        racks_fetched = @param5,
+        readings_fetched = @param6,
+        racks_stored = @param7,
+        readings_stored = @param8,
+        problems_opened = @param9,
+        problems_escalated = @param10,
+        problems_resolved = @param11,
+        error = NULLIF(@param12, ''),
+        details = NULLIF(@param13, '')
+    OUTPUT inserted.cycle_id INTO @updated
+    WHERE cycle_id = @param0;
+
+    SELECT COUNT(*) AS updated FROM @updated;
+  `, [
+    cycleId,
+    outcome.status,
+    outcome.durationMs,
+    toFlag(outcome.api1Reachable),
+    toFlag(outcome.api2Reachable),
+    outcome.racksFetched || 0,
+    outcome.readingsFetched || 0,
+    outcome.racksStored || 0,
+    outcome.readingsStored || 0,
+    outcome.problemsOpened || 0,
+    outcome.problemsEscalated || 0,
+    outcome.problemsResolved || 0,
+    (outcome.error || '').substring(0, 1000),
+    outcome.details ? JSON.stringify(outcome.details) : ''
+  ], {
+    queryId: `recordRunEnd_${Date.now()}`,
+    label: 'Record Run End',
+    timeout: 5000
+  });
+
+  if (!result[0]?.updated) {
+    logger.warn(`Monitoring run ${cycleId} was not recorded at its start, its outcome is not saved`);
+  }
+};
+
+/**
+ * Get a page of monitoring runs, newest first
+ * @param {Object} options - page (1-based), pageSize and status ('' for all)
+ * @returns {Promise<{runs: Array, total: number, page: number, pageSize: number}>}
+ */
+export const listRuns = async ({ page = 1, pageSize = DEFAULT_PAGE_SIZE, status = '' } = {}) => {
+  const [rows, counts] = await Promise.all([
+    executeQuery(`
+      SELECT ${RUN_COLUMNS}
+      FROM monitoring_runs
+      WHERE @param0 = '' OR status = @param0
+      ORDER BY started_at DESC
+      OFFSET @param1 ROWS FETCH NEXT @param2 ROWS ONLY
+    `, [status, (page - 1) * pageSize, pageSize], {
+      queryId: `listRuns_${Date.now()}`,
+      label: 'List Monitoring Runs',
+      timeout: 10000
+    }),
+    executeQuery(`
+      SELECT COUNT(*) AS total
+      FROM monitoring_runs
+      WHERE @param0 = '' OR status = @param0
+    `, [status], {
+      queryId: `countRuns_${Date.now()}`,
+      label: 'Count Monitoring Runs',
+      timeout: 10000
+    })
+  ]);
+
+  return {
+    runs: rows.map(normalizeRun),
+    total: counts[0]?.total || 0,
+    page,
+    pageSize
+  };
+};
+
+/**
+ * Get a single monitoring run with its details
+ * @param {string} cycleId - Monitoring cycle ID
+ * @returns {Promise<Object|null>} Run or null if not found
+ */
+export const getRun = async (cycleId) => {
+  const rows = await executeQuery(`
+    SELECT ${RUN_COLUMNS}, details
+    FROM monitoring_runs
+    WHERE cycle_id = @param0
+  `, [cycleId], {
+    queryId: `getRun_${Date.now()}`,
+    label: 'Get Monitoring Run',
+    timeout: 5000
+  });
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const { details, ...run } = rows[0];
+  let parsedDetails = null;
+  try {
+    parsedDetails = details ? JSON.parse(details) : null;
+  } catch (error) {
+    logger.warn(`Invalid details stored for monitoring run ${cycleId}: ${error.message}`);
+  }
+
+  return { ...normalizeRun(run), details: parsedDetails };
+};
+
+export default {
+  RUN_STATUSES,
+  RUN_TRIGGERS,
+  RUN_SCOPES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  recordRunStart,
+  recordRunEnd,
+  listRuns,
+  getRun
+};
@@ -0,0 +1,150 @@
+import { executeQuery } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+import { validateCadence } from '../utils/scheduler.js';
+
+const logger = setupLogger();
+
+// Cadences of the monitoring schedule: inventory runs poll every source,
+// sensor runs only the environmental and power ones
+export const CADENCES = ['inventory', 'sensors'];
+
+const DEFAULT_INTERVAL = 300000;
+
+// Used when the database is disabled or the schedule was never stored
+export const DEFAULT_SCHEDULE = {
+  enabled: true,
+  inventory: { mode: 'interval', intervalMs: DEFAULT_INTERVAL, cron: null },
+  sensors: { mode: 'interval', intervalMs: DEFAULT_INTERVAL, cron: null },
+  updatedBy: null,
+  updatedAt: null
+};
+
+const normalizeSchedule = (row) => ({
+  enabled: row.enabled === true || row.enabled === 1,
+  inventory: {
+    mode: row.inventory_mode,
+    intervalMs: row.inventory_interval_ms,
+    cron: row.inventory_cron
+  },
+  sensors: {
+    mode: row.sensor_mode,
+    intervalMs: row.sensor_interval_ms,
+    cron: row.sensor_cron
+  },
+  updatedBy: row.updated_by,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Check a schedule, returning an error message or null
+ * @param {Object} schedule - { enabled, inventory, sensors }
+ * @returns {string|null} Error message
+ */
+export const validateSchedule = (schedule) => {
+  if (typeof schedule.enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  for (const cadence of CADENCES) {
+    const error = validateCadence(schedule[cadence], cadence);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the stored monitoring schedule. A failed read throws rather than
+ * falling back to the default, which would silently replace the stored
+ * cadences and restart monitoring an Admin had stopped.
+ * @returns {Promise<Object>} { enabled, inventory, sensors, updatedBy, updatedAt }
+ */
+export const getSchedule = async () => {
+  const rows = await executeQuery(`
+    SELECT enabled, inventory_mode, inventory_interval_ms, inventory_cron,
+      sensor_mode, sensor_interval_ms, sensor_cron, updated_by, updated_at
+    FROM monitoring_schedule
+    WHERE id = 1
+  `, [], {
+    queryId: `getMonitoringSchedule_${Date.now()}`,
+    label: 'Get Monitoring Schedule',
+    timeout: 5000,
+    throwOnError: true
+  });
+
+  if (rows.length === 0) {
+    logger.warn('No monitoring schedule stored, using the default schedule');
+    return { ...DEFAULT_SCHEDULE };
+  }
+
+  return normalizeSchedule(rows[0]);
+};
+
+/**
+ * Store the monitoring schedule
+ * @param {Object} schedule - Validated { enabled, inventory, sensors }
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Stored schedule, or null if it couldn't be saved
+ */
+export const saveSchedule = async (schedule, actor) => {
+  const { enabled, inventory, sensors } = schedule;
+
+  const rows = await executeQuery(`
+    DECLARE @saved TABLE (
+      enabled BIT, inventory_mode NVARCHAR(20), inventory_interval_ms INT, inventory_cron NVARCHAR(100),
+      sensor_mode NVARCHAR(20), sensor_interval_ms INT, sensor_cron NVARCHAR(100),
+      updated_by NVARCHAR(50), updated_at DATETIME2
+    );
+
+    MERGE monitoring_schedule AS target
+    USING (SELECT 1 AS id) AS source ON target.id = source.id
+    WHEN MATCHED THEN UPDATE SET
+      enabled = @param0,
+      inventory_mode = @param1,
+      inventory_interval_ms = @param2,
+      inventory_cron = NULLIF(@param3, ''),
+      sensor_mode = @param4,
+      sensor_interval_ms = @param5,
+      sensor_cron = NULLIF(@param6, ''),
+      updated_by = @param7,
+      updated_at = GETDATE()
+    WHEN NOT MATCHED THEN INSERT
+      (id, enabled, inventory_mode, inventory_interval_ms, inventory_cron,
+       sensor_mode, sensor_interval_ms, sensor_cron, updated_by)
+      VALUES (1, @param0, @param1, @param2, NULLIF(@param3, ''), @param4, @param5, NULLIF(@param6, ''), @param7)
+    OUTPUT inserted.enabled, inserted.inventory_mode, inserted.inventory_interval_ms, inserted.inventory_cron,
+      inserted.sensor_mode, inserted.sensor_interval_ms, inserted.sensor_cron,
+      inserted.updated_by, inserted.updated_at
+    INTO @saved;
+
+    SELECT * FROM @saved;
+  `, [
+    enabled ? 1 : 0,
+    inventory.mode,
+    Number(inventory.intervalMs) || DEFAULT_INTERVAL,
+    inventory.mode === 'cron' ? inventory.cron.trim() : '',
+    sensors.mode,
+    Number(sensors.intervalMs) || DEFAULT_INTERVAL,
+    sensors.mode === 'cron' ? sensors.cron.trim() : '',
+    actor
+  ], {
+    queryId: `saveMonitoringSchedule_${Date.now()}`,
+    label: 'Save Monitoring Schedule',
+    timeout: 5000
+  });
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  logger.info(`Monitoring schedule updated by ${actor}`, { enabled, inventory, sensors });
+  return normalizeSchedule(rows[0]);
+};
+
+export default {
+  CADENCES,
+  DEFAULT_SCHEDULE,
+  validateSchedule,
+  getSchedule,
+  saveSchedule
+};
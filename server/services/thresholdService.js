@@ -0,0 +1,286 @@
+import { executeQuery } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+
+const logger = setupLogger();
+
+export const OVERRIDE_SCOPES = ['site', 'dc', 'rack'];
+
+// Warning limits; crossing one opens a problem
+export const WARNING_FIELDS = [
+  'min_temp',
+  'max_temp',
+  'min_humidity',
+  'max_humidity',
+  'max_power_single_phase',
+  'max_power_three_phase',
+  'max_power_per_phase',
+  'max_phase_imbalance'
+];
+
+// Critical limits, one per warning limit; beyond one the problem is Critical
+export const CRITICAL_FIELDS = WARNING_FIELDS.map(field => `critical_${field}`);
+
+export const THRESHOLD_FIELDS = [...WARNING_FIELDS, ...CRITICAL_FIELDS];
+
+// Broader scopes are applied first so narrower ones win
+const SCOPE_PRIORITY = {
+  site: 1,
+  dc: 2,
+  rack: 3
+};
+
+const OVERRIDE_COLUMNS = `
+  id, scope, site, dc, rack_name, description,
+  ${THRESHOLD_FIELDS.join(', ')},
+  updated_by, created_at, updated_at
+`;
+
+/**
+ * Convert a limit to a query parameter; empty values are stored as NULL
+ * (inherit from the broader scope) through NULLIF(@paramN, '')
+ * @param {*} value - Limit from the request body
+ * @returns {string} Limit as text, or '' when not set
+ */
+const toLimitParam = (value) =>
+  value === null || value === undefined || value === '' ? '' : String(Number(value));
+
+/**
+ * Normalize an override row from the database (DECIMAL columns come back as
+ * numbers or strings depending on the driver settings)
+ * @param {Object} row - threshold_overrides row
+ * @returns {Object} Override with numeric or null limits
+ */
+const normalizeOverride = (row) => {
+  const override = { ...row };
+  for (const field of THRESHOLD_FIELDS) {
+    override[field] = row[field] === null || row[field] === undefined ? null : Number(row[field]);
+  }
+  return override;
+};
+
+/**
+ * Get every threshold override
+ * @returns {Promise<Array>} Overrides ordered by scope and target
+ */
+export const listThresholdOverrides = async () => {
+  const rows = await executeQuery(`
+    SELECT ${OVERRIDE_COLUMNS}
+    FROM threshold_overrides
+    ORDER BY
+      CASE scope WHEN 'site' THEN 1 WHEN 'dc' THEN 2 ELSE 3 END,
+      site, dc, rack_name
+  `, [], {
+    queryId: `listThresholdOverrides_${Date.now()}`,
+    label: 'List Threshold Overrides',
+    timeout: 5000
+  });
+
+  return rows.map(normalizeOverride);
+};
+
+/**
+ * Get a single threshold override
+ * @param {string} id - Override ID
+ * @returns {Promise<Object|null>} Override or null if not found
+ */
+export const getThresholdOverride = async (id) => {
+  const rows = await executeQuery(`
+    SELECT ${OVERRIDE_COLUMNS}
+    FROM threshold_overrides
+    WHERE id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER)
+  `, [id], {
+    queryId: `getThresholdOverride_${Date.now()}`,
+    label: 'Get Threshold Override',
+    timeout: 5000
+  });
+
+  return rows.length > 0 ? normalizeOverride(rows[0]) : null;
+};
+
+/**
+ * Check whether another override already targets the same site, DC or rack
+ * @param {Object} target - scope, site, dc, rack_name
+ * @param {string} excludeId - Override being updated, if any
+ * @returns {Promise<boolean>} True if the target is taken
+ */
+export const overrideTargetExists = async ({ scope, site, dc, rack_name }, excludeId = '') => {
+  const rows = await executeQuery(`
+    SELECT COUNT(*) AS count
+    FROM threshold_overrides
+    WHERE scope = @param0
+      AND ISNULL(site, '') = @param1
+      AND ISNULL(dc, '') = @param2
+      AND ISNULL(rack_name, '') = @param3
+      AND (@param4 = '' OR id <> TRY_CAST(@param4 AS UNIQUEIDENTIFIER))
+  `, [scope, site || '', dc || '', rack_name || '', excludeId], {
+    queryId: `overrideTargetExists_${Date.now()}`,
+    label: 'Check Threshold Override Target',
+    timeout: 5000
+  });
+
+  return rows.length > 0 && rows[0].count > 0;
+};
+
+/**
+ * Create a threshold override
+ * @param {Object} override - scope, site, dc, rack_name, description and limits
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Created override
+ */
+export const createThresholdOverride = async (override, actor) => {
+  const rows = await executeQuery(`
+    INSERT INTO threshold_overrides
+      (scope, site, dc, rack_name, description, ${THRESHOLD_FIELDS.join(', ')}, updated_by)
+    OUTPUT INSERTED.id
+    VALUES (
+      @param0,
+      NULLIF(@param1, ''),
+      NULLIF(@param2, ''),
+      NULLIF(@param3, ''),
+      NULLIF(@param4, ''),
+      ${THRESHOLD_FIELDS.map((_, i) => `CAST(NULLIF(@param${i + 5}, '') AS DECIMAL(5,2))`).join(',\n      ')},
+      @param${THRESHOLD_FIELDS.length + 5}
+    )
+  `, [
+    override.scope,
+    override.site || '',
+    override.dc || '',
+    override.rack_name || '',
+    override.description || '',
+    ...THRESHOLD_FIELDS.map(field => toLimitParam(override[field])),
+    actor
+  ], {
+    queryId: `createThresholdOverride_${Date.now()}`,
+    label: 'Create Threshold Override',
+    timeout: 5000
+  });
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  logger.info(`Threshold override created for ${override.scope} ${override.rack_name || [override.site, override.dc].filter(Boolean).join('/')} by ${actor}`);
+  return getThresholdOverride(rows[0].id);
+};
+
+/**
+ * Update the description and limits of a threshold override; the target
+ * (scope, site, DC, rack) is fixed once created
+ * @param {string} id - Override ID
+ * @param {Object} override - description and limits
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Object|null>} Updated override
+ */
+export const updateThresholdOverride = async (id, override, actor) => {
+  await executeQuery(`
+    UPDATE threshold_overrides
+    SET
+      description = NULLIF(@param1, ''),
+      ${THRESHOLD_FIELDS.map((field, i) => `${field} = CAST(NULLIF(@param${i + 2}, '') AS DECIMAL(5,2))`).join(',\n      ')},
+      updated_by = @param${THRESHOLD_FIELDS.length + 2},
+      updated_at = GETDATE()
+    WHERE id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER)
+  `, [
+    id,
+    override.description || '',
+    ...THRESHOLD_FIELDS.map(field => toLimitParam(override[field])),
+    actor
+  ], {
+    queryId: `updateThresholdOverride_${Date.now()}`,
+    label: 'Update Threshold Override',
+    timeout: 5000
+  });
+
+  logger.info(`Threshold override ${id} updated by ${actor}`);
+  return getThresholdOverride(id);
+};
+
+/**
+ * Delete a threshold override; its target falls back to the broader scopes
+ * @param {string} id - Override ID
+ * @param {string} actor - Username making the change
+ */
+export const deleteThresholdOverride = async (id, actor) => {
+  await executeQuery(`
+    DELETE FROM threshold_overrides
+    WHERE id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER)
+  `, [id], {
+    queryId: `deleteThresholdOverride_${Date.now()}`,
+    label: 'Delete Threshold Override',
+    timeout: 5000
+  });
+
+  logger.info(`Threshold override ${id} deleted by ${actor}`);
+};
+
+/**
+ * Check that every critical limit is at or beyond its warning limit (below a
+ * min_ limit, above a max_ limit); pairs with either value unset are skipped
+ * @param {Object} limits - Warning and critical limits
+ * @returns {string|null} Error message or null
+ */
+export const findTierConflict = (limits) => {
+  const isSet = value => value !== null && value !== undefined && value !== '';
+
+  for (const field of WARNING_FIELDS) {
+    const warning = limits[field];
+    const critical = limits[`critical_${field}`];
+    if (!isSet(warning) || !isSet(critical)) {
+      continue;
+    }
+    if (field.startsWith('min_') && Number(critical) > Number(warning)) {
+      return `critical_${field} must be at most ${field}`;
+    }
+    if (field.startsWith('max_') && Number(critical) < Number(warning)) {
+      return `critical_${field} must be at least ${field}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the limits that apply to a rack: the global thresholds, then any
+ * site, DC and rack overrides in that order, field by field
+ * @param {Object} globalThresholds - The `global` thresholds row
+ * @param {Array} overrides - All threshold overrides
+ * @param {Object} target - site, dc and rack name of the rack
+ * @returns {Object} Thresholds with `scope` set to the most specific scope applied
+ */
+export const resolveThresholds = (globalThresholds, overrides, { site, dc, rack }) => {
+  const resolved = { ...globalThresholds, scope: 'global' };
+
+  const matching = (overrides || [])
+    .filter(override =>
+      (override.scope === 'site' && override.site === site) ||
+      (override.scope === 'dc' && override.site === site && override.dc === dc) ||
+      (override.scope === 'rack' && override.rack_name === rack)
+    )
+    .sort((a, b) => SCOPE_PRIORITY[a.scope] - SCOPE_PRIORITY[b.scope]);
+
+  for (const override of matching) {
+    for (const field of THRESHOLD_FIELDS) {
+      if (override[field] !== null && override[field] !== undefined) {
+        resolved[field] = Number(override[field]);
+      }
+    }
+    resolved.scope = override.scope;
+  }
+
+  return resolved;
+};
+
+export default {
+  OVERRIDE_SCOPES,
+  WARNING_FIELDS,
+  CRITICAL_FIELDS,
+  THRESHOLD_FIELDS,
+  findTierConflict,
+  listThresholdOverrides,
+  getThresholdOverride,
+  overrideTargetExists,
+  createThresholdOverride,
+  updateThresholdOverride,
+  deleteThresholdOverride,
+  resolveThresholds
+};
@@ -0,0 +1,261 @@
+import { executeQuery } from '../config/db.js';
+import { setupLogger } from '../utils/logger.js';
+import { hashPassword, ROLES } from './authService.js';
+
+const logger = setupLogger();
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const USER_COLUMNS = `
+  id, username, role, is_active, last_login_at, created_at, updated_at
+`;
+
+/**
+ * Record a change to a user account in the audit trail
+ * @param {Object} target - Affected user (id, username)
+ * @param {string} action - created, role_changed, password_reset, disabled or enabled
+ * @param {string} actor - Username of the admin making the change
+ * @param {string} details - Optional description of the change
+ */
+const writeAudit = async (target, action, actor, details = '') => {
+  await executeQuery(`
+    INSERT INTO user_audit_log (target_user_id, target_username, action, actor, details)
+    VALUES (@param0, @param1, @param2, @param3, NULLIF(@param4, ''))
+  `, [target.id, target.username, action, actor, details], {
+    queryId: `userAudit_${Date.now()}`,
+    label: 'Write User Audit Entry',
+    timeout: 5000
+  });
+
+  logger.info(`User audit: ${actor} ${action} ${target.username}${details ? ` (${details})` : ''}`);
+};
+
+/**
+ * Revoke every open session of a user, e.g. after a password reset
+ * @param {string} userId - User ID
+ */
+const revokeUserSessions = async (userId) => {
+  await executeQuery(`
+    UPDATE user_sessions
+    SET revoked_at = GETDATE()
+    WHERE user_id = @param0 AND revoked_at IS NULL
+  `, [userId], {
+    queryId: `revokeUserSessions_${Date.now()}`,
+    label: 'Revoke User Sessions',
+    sensitive: true,
+    timeout: 5000
+  });
+};
+
+/**
+ * Get all user accounts (without password hashes)
+ * @returns {Promise<Array>} Users ordered by username
+ */
+export const listUsers = async () => {
+  return executeQuery(`
+    SELECT ${USER_COLUMNS}
+    FROM users
+    ORDER BY username
+  `, [], {
+    queryId: `listUsers_${Date.now()}`,
+    label: 'List Users',
+    timeout: 10000
+  });
+};
+
+/**
+ * Get a single user account
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>} User or null if not found
+ */
+export const getUserById = async (id) => {
+  const result = await executeQuery(`
+    SELECT ${USER_COLUMNS}
+    FROM users
+    WHERE id = @param0
+  `, [id], {
+    queryId: `getUser_${Date.now()}`,
+    label: 'Get User By ID',
+    timeout: 5000
+  });
+
+  return result.length > 0 ? result[0] : null;
+};
+
+/**
+ * Check whether a username is already taken
+ * @param {string} username - Username
+ * @returns {Promise<boolean>} True if an account with this username exists
+ */
+export const usernameExists = async (username) => {
+  const result = await executeQuery(`
+    SELECT COUNT(*) AS count FROM users WHERE username = @param0
+  `, [username], {
+    queryId: `usernameExists_${Date.now()}`,
+    label: 'Check Username',
+    timeout: 5000
+  });
+
+  return result.length > 0 && result[0].count > 0;
+};
+
+/**
+ * Create a user account
+ * @param {Object} user - username, password, role
+ * @param {string} actor - Username of the admin creating the account
+ * @returns {Promise<Object|null>} Created user or null if the insert failed
+ */
+export const createUser = async ({ username, password, role }, actor) => {
+  const passwordHash = await hashPassword(password);
+
+  const result = await executeQuery(`
+    DECLARE @created TABLE (id UNIQUEIDENTIFIER);
+
+    INSERT INTO users (username, password_hash, role)
+    OUTPUT inserted.id INTO @created
+    VALUES (@param0, @param1, @param2);
+
+    SELECT id FROM @created;
+  `, [username, passwordHash, role], {
+    queryId: `createUser_${Date.now()}`,
+    label: 'Create User',
+    sensitive: true,
+    timeout: 5000
+  });
+
+  if (result.length === 0) {
+    return null;
+  }
+
+  const created = await getUserById(result[0].id);
+  await writeAudit(created, 'created', actor, `role ${role}`);
+
+  return created;
+};
+
+/**
+ * Change a user's role
+ * @param {Object} target - Current user record
+ * @param {string} role - New role
+ * @param {string} actor - Username of the admin making the change
+ * @returns {Promise<Object>} Updated user
+ */
+export const changeUserRole = async (target, role, actor) => {
+  if (target.role === role) {
+    return target;
+  }
+
+  await executeQuery(`
+    UPDATE users SET role = @param1 WHERE id = @param0
+  `, [target.id, role], {
+    queryId: `changeUserRole_${Date.now()}`,
+    label: 'Change User Role',
+    timeout: 5000
+  });
+
+  // Sessions carry the role, so force a new login with the new one
+  await revokeUserSessions(target.id);
+  await writeAudit(target, 'role_changed', actor, `${target.role} -> ${role}`);
+
+  return getUserById(target.id);
+};
+
+/**
+ * Enable or disable a user account. Disabling revokes all open sessions.
+ * @param {Object} target - Current user record
+ * @param {boolean} isActive - New state
+ * @param {string} actor - Username of the admin making the change
+ * @returns {Promise<Object>} Updated user
+ */
+export const setUserActive = async (target, isActive, actor) => {
+  if (Boolean(target.is_active) === isActive) {
+    return target;
+  }
+
+  await executeQuery(`
+    UPDATE users SET is_active = @param1 WHERE id = @param0
+  `, [target.id, isActive ? 1 : 0], {
+    queryId: `setUserActive_${Date.now()}`,
+    label: 'Set User Active',
+    timeout: 5000
+  });
+
+  if (!isActive) {
+    await revokeUserSessions(target.id);
+  }
+  await writeAudit(target, isActive ? 'enabled' : 'disabled', actor);
+
+  return getUserById(target.id);
+};
+
+/**
+ * Set a new password for a user and revoke their open sessions
+ * @param {Object} target - Current user record
+ * @param {string} password - New clear text password
+ * @param {string} actor - Username of the admin making the change
+ */
+export const resetUserPassword = async (target, password, actor) => {
+  const passwordHash = await hashPassword(password);
+
+  await executeQuery(`
+    UPDATE users SET password_hash = @param1 WHERE id = @param0
+  `, [target.id, passwordHash], {
+    queryId: `resetUserPassword_${Date.now()}`,
+    label: 'Reset User Password',
+    sensitive: true,
+    timeout: 5000
+  });
+
+  await revokeUserSessions(target.id);
+  await writeAudit(target, 'password_reset', actor);
+};
+
+/**
+ * Get the user management audit trail, newest first
+ * @param {Object} options - userId to filter on, limit (default 200)
+ * @returns {Promise<Array>} Audit entries
+ */
+export const getUserAuditLog = async ({ userId = '', limit = 200 } = {}) => {
+  return executeQuery(`
+    SELECT TOP (@param1) id, target_user_id, target_username, action, actor, details, created_at
+    FROM user_audit_log
+    WHERE (@param0 = '' OR target_user_id = TRY_CAST(@param0 AS UNIQUEIDENTIFIER))
+    ORDER BY created_at DESC
+  `, [userId, limit], {
+    queryId: `getUserAuditLog_${Date.now()}`,
+    label: 'Get User Audit Log',
+    timeout: 10000
+  });
+};
+
+/**
+ * Count active Admin accounts, used to prevent locking everyone out
+ * @returns {Promise<number>} Number of enabled Admins
+ */
+export const countActiveAdmins = async () => {
+  const result = await executeQuery(`
+    SELECT COUNT(*) AS count FROM users WHERE role = 'Admin' AND is_active = 1
+  `, [], {
+    queryId: `countActiveAdmins_${Date.now()}`,
+    label: 'Count Active Admins',
+    timeout: 5000
+  });
+
+  return result.length > 0 ? result[0].count : 0;
+};
+
+export { ROLES };
+
+export default {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  listUsers,
+  getUserById,
+  usernameExists,
+  createUser,
+  changeUserRole,
+  setUserActive,
+  resetUserPassword,
+  getUserAuditLog,
+  countActiveAdmins
+};
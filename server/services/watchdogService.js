@@ -0,0 +1,156 @@
+import { setupLogger } from '../utils/logger.js';
+import { getMonitoringStatus } from './monitoringService.js';
+import { notifySystemAlert } from './notificationService.js';
+
+const logger = setupLogger();
+
+// How often the watchdog looks at the monitoring service
+const WATCHDOG_INTERVAL_MS = Number(process.env.WATCHDOG_INTERVAL_MS ?? 60000);
+// A scheduled cycle is overdue once it is this late
+const WATCHDOG_GRACE_MS = Number(process.env.WATCHDOG_GRACE_MS ?? 120000);
+// Skipped or failed cycles in a row before monitoring counts as failing
+const WATCHDOG_FAILED_CYCLES = Number(process.env.WATCHDOG_FAILED_CYCLES ?? 3);
+// A cycle still running after this long is considered stuck
+const WATCHDOG_MAX_CYCLE_MS = Number(process.env.WATCHDOG_MAX_CYCLE_MS ?? 900000);
+
+// Conditions a restart of the process would clear, which fail liveness
+export const RESTART_CONDITIONS = ['overdue', 'stuck'];
+
+let timer = null;
+let lastCheckAt = null;
+// Condition of the last check, and since when it has held
+let alertState = { condition: 'ok', since: null, summary: null };
+
+/**
+ * Work out the state of the monitoring service from its status:
+ * - 'stopped': the schedule is disabled on purpose
+ * - 'stuck': a cycle has been running for longer than WATCHDOG_MAX_CYCLE_MS
+ * - 'overdue': a scheduled run is more than WATCHDOG_GRACE_MS late, or the
+ *   schedule has no next run although monitoring is active (its timer was
+ *   cleared)
+ * - 'failing': the last WATCHDOG_FAILED_CYCLES cycles were skipped or failed
+ * - 'ok' otherwise
+ * @param {Object} status - Result of getMonitoringStatus
+ * @param {number} now - Current time in ms
+ * @returns {Object} { condition, summary, details, expectedRunBy }
+ */
+export const evaluateMonitoring = (status, now = Date.now()) => {
+  const nextRuns = Object.values(status.nextRuns || {}).filter(Boolean).map(date => new Date(date).getTime());
+  const expectedRunBy = nextRuns.length > 0 ? new Date(Math.min(...nextRuns)) : null;
+  const lastRun = status.lastRun ? new Date(status.lastRun).getTime() : null;
+  const details = [
+    `Last cycle started: ${status.lastRun ? new Date(status.lastRun).toISOString() : 'never'}`,
+    `Last cycle status: ${status.lastRunStatus || 'none'}${status.lastRunError ? ` (${status.lastRunError})` : ''}`,
+    `Last successful cycle: ${status.lastSuccessAt ? new Date(status.lastSuccessAt).toISOString() : 'never'}`,
+    `Next run expected by: ${expectedRunBy ? expectedRunBy.toISOString() : 'not scheduled'}`
+  ];
+
+  if (!status.active) {
+    return { condition: 'stopped', summary: 'Monitoring is stopped', details, expectedRunBy };
+  }
+  if (status.cycleRunning && lastRun !== null && now - lastRun > WATCHDOG_MAX_CYCLE_MS) {
+    return {
+      condition: 'stuck',
+      summary: `A monitoring cycle has been running for ${Math.round((now - lastRun) / 60000)} min`,
+      details,
+      expectedRunBy
+    };
+  }
+  if (!expectedRunBy) {
+    return { condition: 'overdue', summary: 'Monitoring is active but no cycle is scheduled', details, expectedRunBy };
+  }
+  if (now - expectedRunBy.getTime() > WATCHDOG_GRACE_MS) {
+    return {
+      condition: 'overdue',
+      summary: `The scheduled monitoring cycle is ${Math.round((now - expectedRunBy.getTime()) / 60000)} min overdue`,
+      details,
+      expectedRunBy
+    };
+  }
+  if (status.consecutiveFailures >= WATCHDOG_FAILED_CYCLES) {
+    return {
+      condition: 'failing',
+      summary: `The last ${status.consecutiveFailures} monitoring cycles were skipped or failed`,
+      details,
+      expectedRunBy
+    };
+  }
+  return { condition: 'ok', summary: 'Monitoring cycles are running on schedule', details, expectedRunBy };
+};
+
+/**
+ * Check the monitoring service once and send an alert when it goes from
+ * healthy to overdue, stuck or failing, and again when it recovers. A
+ * change from one problem condition to another is alerted as well.
+ */
+export const checkMonitoring = async () => {
+  lastCheckAt = new Date();
+  const result = evaluateMonitoring(getMonitoringStatus());
+  const isProblem = !['ok', 'stopped'].includes(result.condition);
+  const wasProblem = !['ok', 'stopped'].includes(alertState.condition);
+
+  if (result.condition === alertState.condition) {
+    return;
+  }
+
+  const previous = alertState;
+  alertState = { condition: result.condition, since: lastCheckAt, summary: result.summary };
+
+  try {
+    if (isProblem) {
+      logger.error(`Watchdog: ${result.summary}`);
+      await notifySystemAlert('opened', { kind: result.condition, summary: result.summary, details: result.details });
+    } else if (wasProblem) {
+      logger.info(`Watchdog: monitoring recovered from ${previous.condition} (${result.summary})`);
+      await notifySystemAlert('resolved', {
+        kind: previous.condition,
+        summary: `${result.condition === 'stopped' ? 'Monitoring was stopped' : 'Monitoring cycles are running again'} after: ${previous.summary}`,
+        details: result.details
+      });
+    }
+  } catch (error) {
+    logger.error(`Watchdog could not send the monitoring alert: ${error.message}`, { stack: error.stack });
+  }
+};
+
+/**
+ * Start checking the monitoring service every WATCHDOG_INTERVAL_MS
+ */
+export const startWatchdog = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(() => {
+    checkMonitoring().catch(error => {
+      logger.error(`Watchdog check failed: ${error.message}`, { stack: error.stack });
+    });
+  }, WATCHDOG_INTERVAL_MS);
+  timer.unref();
+  logger.info(`Monitoring watchdog started, checking every ${WATCHDOG_INTERVAL_MS / 1000}s`);
+};
+
+export const stopWatchdog = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Current state of the monitoring service, evaluated now, with the alert
+ * the watchdog last raised
+ * @returns {Object} { condition, summary, details, expectedRunBy, alert, lastCheckAt, running }
+ */
+export const getWatchdogStatus = () => ({
+  ...evaluateMonitoring(getMonitoringStatus()),
+  alert: alertState,
+  lastCheckAt,
+  running: timer !== null
+});
+
+export default {
+  RESTART_CONDITIONS,
+  evaluateMonitoring,
+  checkMonitoring,
+  startWatchdog,
+  stopWatchdog,
+  getWatchdogStatus
+};
@@ -0,0 +1,379 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, isAbsolute } from 'path';
+import { setupLogger } from '../utils/logger.js';
+import { SOURCE_TYPES, extractRecords, resolveMapping, mapRecord } from './mapping.js';
+import restDriver from './rest.js';
+import snmpDriver from './snmp.js';
+import modbusDriver from './modbus.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const logger = setupLogger();
+
+const SERVER_DIR = dirname(__dirname);
+const DEFAULT_SOURCES_FILE = join(SERVER_DIR, 'config', 'dataSources.json');
+
+const drivers = new Map();
+let dataSources = null;
+const sourceStatus = {};
+// Records of each source's last successful fetch, for cycles that don't poll it
+const lastRecords = new Map();
+
+/**
+ * Register a collector driver. A driver is an object with
+ * validate(source), describe(source) and async fetch(source, context), where
+ * fetch resolves to { reachable, payload, error }; `error` reports a partial
+ * failure, such as some devices of the source not answering.
+ * @param {string} name - Driver name used in the source `driver` field
+ * @param {Object} driver - Driver implementation
+ */
+export const registerDriver = (name, driver) => {
+  drivers.set(name, driver);
+};
+
+registerDriver('rest', restDriver);
+registerDriver('snmp', snmpDriver);
+registerDriver('modbus', modbusDriver);
+
+/**
+ * Replace ${VAR} references in string values with environment variables,
+ * so credentials can stay in .env instead of the sources file
+ */
+const interpolateEnv = (value) => {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] ?? '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, interpolateEnv(entry)]));
+  }
+  return value;
+};
+
+/**
+ * The API1/API2 pair used before sources were configurable: API1 reports
+ * rack inventory with power, API2 the environmental sensors
+ */
+const getDefaultSources = () => [
+  {
+    id: 'api1',
+    name: 'API1 (racks)',
+    driver: 'rest',
+    types: ['inventory', 'power'],
+    endpoint: process.env.API1_URL,
+    mapping: 'dcim'
+  },
+  {
+    id: 'api2',
+    name: 'API2 (sensors)',
+    driver: 'rest',
+    types: ['environmental'],
+    endpoint: process.env.API2_URL,
+    mapping: 'dcim'
+  }
+].filter(source => source.endpoint);
+
+/**
+ * Validate a source definition, returning an error message or null
+ * @param {Object} source - Source definition with `types` normalized to an array
+ * @param {Set} seenIds - IDs of the sources already accepted
+ */
+const validateSource = (source, seenIds) => {
+  if (!source.id || typeof source.id !== 'string') {
+    return 'id is required';
+  }
+  if (seenIds.has(source.id)) {
+    return `duplicate source id ${source.id}`;
+  }
+  if (!drivers.has(source.driver)) {
+    return `driver must be one of: ${[...drivers.keys()].join(', ')}`;
+  }
+  if (source.types.length === 0 || source.types.some(type => !SOURCE_TYPES.includes(type))) {
+    return `types must be one or more of: ${SOURCE_TYPES.join(', ')}`;
+  }
+  return drivers.get(source.driver).validate(source);
+};
+
+/**
+ * Read the sources file, or fall back to the API1_URL/API2_URL sources
+ * @returns {Array} Raw source definitions
+ */
+const readSourceDefinitions = () => {
+  const configured = process.env.DATA_SOURCES_FILE;
+  const file = configured
+    ? (isAbsolute(configured) ? configured : join(SERVER_DIR, configured))
+    : DEFAULT_SOURCES_FILE;
+
+  if (!fs.existsSync(file)) {
+    if (configured) {
+      logger.error(`Data sources file ${file} not found, using API1_URL/API2_URL`);
+    }
+    return getDefaultSources();
+  }
+
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const definitions = Array.isArray(content) ? content : content.sources;
+  if (!Array.isArray(definitions)) {
+    throw new Error(`${file} must contain an array of sources or a "sources" array`);
+  }
+
+  logger.info(`Loaded ${definitions.length} data sources from ${file}`);
+  return definitions;
+};
+
+/**
+ * Load and validate the data sources. Invalid sources are logged and left
+ * out, so one bad entry doesn't stop the others from being collected.
+ * @returns {Array} Valid source definitions
+ */
+export const reloadDataSources = () => {
+  let definitions;
+  try {
+    definitions = readSourceDefinitions();
+  } catch (error) {
+    logger.error(`Error reading data sources, using API1_URL/API2_URL: ${error.message}`);
+    definitions = getDefaultSources();
+  }
+
+  const seenIds = new Set();
+  dataSources = [];
+
+  for (const definition of definitions) {
+    const source = interpolateEnv({
+      driver: 'rest',
+      enabled: true,
+      ...definition,
+      types: Array.isArray(definition.types) ? definition.types : [definition.types ?? definition.type].filter(Boolean)
+    });
+    source.name = source.name || source.id;
+
+    const validationError = validateSource(source, seenIds);
+    if (validationError) {
+      logger.error(`Ignoring data source ${source.id || '(no id)'}: ${validationError}`);
+      continue;
+    }
+
+    seenIds.add(source.id);
+    dataSources.push(source);
+  }
+
+  if (dataSources.length === 0) {
+    logger.warn('No data sources are configured');
+  }
+
+  return dataSources;
+};
+
+/**
+ * Get the configured data sources, loading them on first use
+ * @returns {Array} Source definitions
+ */
+export const getDataSources = () => dataSources ?? reloadDataSources();
+
+/**
+ * Get the first enabled REST source of a type, used by the routes that fall
+ * back to the external API when the database has no data
+ * @param {string} type - inventory, power or environmental
+ * @returns {Object|null} Source definition, or null
+ */
+export const findRestSource = (type) =>
+  getDataSources().find(source => source.enabled !== false && source.driver === 'rest' && source.types.includes(type)) || null;
+
+/**
+ * Map a source response onto internal records
+ * @param {*} payload - Response body from the source, or a record list
+ * @param {Object} source - Source definition; `types` may be overridden to widen the mapping
+ * @param {Object} defaults - Values for fields the source doesn't report
+ * @returns {Array} Mapped records
+ */
+export const mapSourceRecords = (payload, source, defaults = {}) => {
+  const mapping = resolveMapping(source);
+  const withDefaults = { ...mapping, defaults: { ...defaults, ...mapping.defaults } };
+  const records = Array.isArray(payload) ? payload : extractRecords(payload, mapping.recordsPath);
+  return records.map(record => mapRecord(record, withDefaults));
+};
+
+/**
+ * Fetch and map the records of one source, keeping its status up to date
+ * @param {Object} source - Source definition
+ * @param {string} cycleId - Current monitoring cycle ID for logging
+ * @returns {Promise<{source: Object, reachable: boolean, records: Array, error: string|null, duration: number}>}
+ */
+const collectSource = async (source, cycleId) => {
+  const driver = drivers.get(source.driver);
+  const startTime = Date.now();
+  const status = {
+    reachable: false,
+    lastFetchAt: new Date(),
+    lastRecordCount: 0,
+    lastError: null,
+    lastDuration: null
+  };
+
+  let records = [];
+  try {
+    const { reachable, payload, error } = await driver.fetch(source, { cycleId });
+    status.reachable = reachable;
+    status.lastError = error || null;
+
+    if (reachable) {
+      records = mapSourceRecords(payload, source);
+      status.lastRecordCount = records.length;
+      lastRecords.set(source.id, records);
+      logger.info(`Retrieved ${records.length} records from ${source.name} [${cycleId}]`);
+      if (records.length === 0) {
+        logger.warn(`No records found in the response from ${source.name} [${cycleId}]`);
+      }
+    } else {
+      status.lastError = error || 'Source is unreachable';
+      logger.warn(`Data source ${source.name} is unreachable [${cycleId}]`);
+    }
+  } catch (error) {
+    status.lastError = error.message;
+    logger.error(`Error fetching data from ${source.name}: ${error.message} [${cycleId}]`);
+  }
+
+  status.lastDuration = Date.now() - startTime;
+  sourceStatus[source.id] = status;
+  return { source, reachable: status.reachable, records, error: status.lastError, duration: status.lastDuration };
+};
+
+// Copy the non-empty values of a record over a target object
+const mergeValues = (target, record) => {
+  for (const [field, value] of Object.entries(record)) {
+    if (value !== null && value !== undefined) {
+      target[field] = value;
+    }
+  }
+  return target;
+};
+
+const POWER_FIELD = /^(TOTAL|L[123])_/;
+
+/**
+ * Collect every enabled source and merge the records into the rack and
+ * sensor lists used by the monitoring cycle:
+ * - inventory and power records are merged per rack NAME; a later source
+ *   overrides the fields it reports, so list the preferred source last
+ * - environmental records become sensor readings, filled in with their
+ *   rack's power totals when the sensor feed doesn't carry them
+ * - room readings (site and DC, no rack) apply to the racks of that room
+ *   that have no environmental reading of their own
+ * - racks with power data but no environmental record get a reading of
+ *   their own, so power-only sources are stored and checked too
+ * When `types` is given, only the sources reporting one of them are polled;
+ * the others contribute the records of their last successful fetch, or are
+ * polled as well if they have none yet.
+ * @param {string} cycleId - Current monitoring cycle ID for logging
+ * @param {Object} options - types: data types to poll, null for every source
+ * @returns {Promise<{rackData: Array, sensorData: Array, results: Array}>}
+ *   results only covers the sources polled in this cycle
+ */
+export const collectSourceData = async (cycleId, { types = null } = {}) => {
+  const sources = getDataSources().filter(source => source.enabled !== false);
+  const polled = types
+    ? sources.filter(source => source.types.some(type => types.includes(type)) || !lastRecords.has(source.id))
+    : sources;
+  const results = await Promise.all(polled.map(source => collectSource(source, cycleId)));
+
+  if (polled.length < sources.length) {
+    logger.info(`Reusing the last records of ${sources.length - polled.length} sources not polled in this cycle [${cycleId}]`);
+  }
+
+  // Keep the configured source order, so later sources still override earlier ones
+  const polledRecords = new Map(results.map(result => [result.source.id, result.records]));
+  const sourceRecords = sources.map(source => ({
+    source,
+    records: polledRecords.get(source.id) ?? lastRecords.get(source.id) ?? []
+  }));
+
+  const racks = new Map();
+  const sensorData = [];
+  const roomReadings = [];
+
+  for (const { source, records } of sourceRecords) {
+    const reportsRacks = source.types.includes('inventory') || source.types.includes('power');
+    for (const record of records) {
+      const isRack = Boolean(reportsRacks && record.NAME);
+      if (isRack) {
+        racks.set(record.NAME, racks.has(record.NAME) ? mergeValues(racks.get(record.NAME), record) : { ...record });
+      }
+      // A rack record of a mixed source is only a sensor reading when it
+      // carries environmental values
+      const isReading = !isRack || record.TEMPERATURE !== null || record.HUMIDITY !== null;
+      if (source.types.includes('environmental') && record.RACK_NAME && isReading) {
+        sensorData.push({ ...record });
+      } else if (source.types.includes('environmental') && !record.RACK_NAME && record.SITE && record.DC) {
+        roomReadings.push(record);
+      }
+    }
+  }
+
+  const sensorRacks = new Set(sensorData.map(sensor => sensor.RACK_NAME));
+  for (const reading of roomReadings) {
+    for (const rack of racks.values()) {
+      if (rack.SITE === reading.SITE && rack.DC === reading.DC && !sensorRacks.has(rack.NAME)) {
+        sensorData.push({ ...reading, RACK_NAME: rack.NAME });
+      }
+    }
+  }
+
+  for (const sensor of sensorData) {
+    sensorRacks.add(sensor.RACK_NAME);
+    const rack = racks.get(sensor.RACK_NAME);
+    if (rack) {
+      for (const [field, value] of Object.entries(rack)) {
+        if (POWER_FIELD.test(field) && (sensor[field] === null || sensor[field] === undefined)) {
+          sensor[field] = value;
+        }
+      }
+    }
+  }
+
+  for (const rack of racks.values()) {
+    const hasPower = Object.entries(rack).some(([field, value]) => POWER_FIELD.test(field) && value !== null);
+    if (hasPower && !sensorRacks.has(rack.NAME)) {
+      sensorData.push({
+        RACK_NAME: rack.NAME,
+        SITE: rack.SITE ?? null,
+        DC: rack.DC ?? null,
+        ...Object.fromEntries(Object.entries(rack).filter(([field]) => POWER_FIELD.test(field)))
+      });
+    }
+  }
+
+  return { rackData: [...racks.values()], sensorData, results };
+};
+
+/**
+ * Status of every configured source, without its credentials
+ * @returns {Array} id, name, driver, types, enabled, target and last fetch details
+ */
+export const getSourceStatus = () => getDataSources().map(source => ({
+  id: source.id,
+  name: source.name,
+  driver: source.driver,
+  types: source.types,
+  enabled: source.enabled !== false,
+  target: drivers.get(source.driver).describe(source),
+  reachable: false,
+  lastFetchAt: null,
+  lastRecordCount: 0,
+  lastError: null,
+  lastDuration: null,
+  ...sourceStatus[source.id]
+}));
+
+export default {
+  registerDriver,
+  reloadDataSources,
+  getDataSources,
+  findRestSource,
+  mapSourceRecords,
+  collectSourceData,
+  getSourceStatus
+};
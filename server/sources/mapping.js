@@ -0,0 +1,160 @@
+/**
+ * Field mapping for data-source records. Every source returns its own shape;
+ * records are mapped onto the internal upper-case fields used by the
+ * monitoring pipeline and the dashboard (NAME, TOTAL_AMPS, TEMPERATURE, ...).
+ */
+
+export const SOURCE_TYPES = ['inventory', 'power', 'environmental'];
+
+const PHASE_METRICS = ['VOLTS', 'AMPS', 'WATTS', 'KW', 'KWH', 'PF', 'VA'];
+const TOTAL_METRICS = ['VOLTS', 'AMPS', 'WATTS', 'KW', 'KWH', 'VA', 'PF'];
+
+const camel = (metric) => metric.charAt(0) + metric.slice(1).toLowerCase();
+
+// Fields read as flags and stored as '1' or '0'
+const FLAG_FIELDS = ['MAINTENANCE'];
+
+/**
+ * Built-in mappings. Each field lists the source properties to try in order,
+ * so one preset covers both the upper-case and the camelCase DCIM feeds.
+ */
+export const MAPPING_PRESETS = {
+  dcim: {
+    inventory: {
+      id: ['id'],
+      rackId: ['rackId'],
+      NAME: ['NAME', 'rackName', 'name'],
+      SITE: ['SITE', 'site'],
+      DC: ['DC', 'dc', 'datacenter'],
+      MAINTENANCE: ['MAINTENANCE', 'maintenance'],
+      MAXPOWER: ['MAXPOWER', 'capacityKw', 'max_power'],
+      MAXU: ['MAXU', 'maxU', 'max_units'],
+      FREEU: ['FREEU', 'freeU', 'free_units'],
+      phase: ['phase']
+    },
+    power: {
+      NAME: ['NAME', 'rackName', 'name'],
+      SITE: ['SITE', 'site'],
+      DC: ['DC', 'dc', 'datacenter'],
+      ...Object.fromEntries(TOTAL_METRICS.map(metric => [`TOTAL_${metric}`, [`TOTAL_${metric}`, `total${camel(metric)}`]])),
+      ...Object.fromEntries(['L1', 'L2', 'L3'].flatMap(phase => PHASE_METRICS.map(metric => [
+        `${phase}_${metric}`,
+        [`${phase}_${metric}`, `${phase.toLowerCase()}${camel(metric)}`]
+      ]))),
+      POWER_FAIL: ['POWER_FAIL', 'powerFail'],
+      RSTATUS: ['RSTATUS', 'rstatus'],
+      CAPACITY_AMPS: ['CAPACITY_AMPS', 'capacityAmps'],
+      phase: ['phase']
+    },
+    environmental: {
+      id: ['id'],
+      nodeId: ['nodeId'],
+      sensorIndex: ['sensorIndex'],
+      sensorType: ['sensorType'],
+      rackId: ['rackId'],
+      RACK_NAME: ['RACK_NAME', 'rackName', 'rack_name', 'NAME', 'name'],
+      SITE: ['SITE', 'site'],
+      DC: ['DC', 'dc', 'datacenter'],
+      TEMPERATURE: ['TEMPERATURE', 'temperature'],
+      HUMIDITY: ['HUMIDITY', 'humidity'],
+      lastUpdate: ['lastUpdate'],
+      status: ['status']
+    }
+  }
+};
+
+// Envelope properties that wrap the record list in older feeds
+const ENVELOPE_KEYS = ['data', 'sensors', 'readings', 'results', 'items', 'value'];
+
+/**
+ * Read a dotted path (e.g. "metrics.temperature") from an object
+ */
+const readPath = (object, path) =>
+  String(path).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+
+/**
+ * Get the list of records from a source response
+ * @param {*} payload - Response body from the source
+ * @param {string} recordsPath - Optional dotted path to the record list
+ * @returns {Array} Records, or [] when none can be found
+ */
+export const extractRecords = (payload, recordsPath) => {
+  if (recordsPath) {
+    const records = readPath(payload, recordsPath);
+    return Array.isArray(records) ? records : [];
+  }
+  if (Array.isArray(payload)) {
+    return payload;
+  }
+  if (payload && typeof payload === 'object') {
+    const key = ENVELOPE_KEYS.find(name => Array.isArray(payload[name]));
+    if (key) {
+      return payload[key];
+    }
+  }
+  return [];
+};
+
+/**
+ * Build the field mapping of a source: the preset fields of each of its
+ * types, with the source's own `fields` entries taking precedence
+ * @param {Object} source - Data source definition
+ * @returns {Object} { fields: { TARGET: [paths] }, defaults, recordsPath }
+ */
+export const resolveMapping = (source) => {
+  const mapping = typeof source.mapping === 'string'
+    ? { preset: source.mapping }
+    : (source.mapping || {});
+  const preset = MAPPING_PRESETS[mapping.preset ?? source.defaultPreset ?? 'dcim'];
+
+  const fields = {};
+  if (preset) {
+    for (const type of source.types) {
+      Object.assign(fields, preset[type] || {});
+    }
+  }
+  // The internal name is always tried last, so records that are already in
+  // the internal format (e.g. rows from the database) map unchanged
+  for (const [target, paths] of Object.entries(mapping.fields || {})) {
+    fields[target] = [...(Array.isArray(paths) ? paths : [paths]), target];
+  }
+
+  return {
+    fields,
+    defaults: mapping.defaults || {},
+    recordsPath: mapping.recordsPath || ''
+  };
+};
+
+const toFieldValue = (target, value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (FLAG_FIELDS.includes(target)) {
+    return value === true || value === 1 || value === '1' || String(value).toLowerCase() === 'true' ? '1' : '0';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Map one source record onto the internal fields
+ * @param {Object} record - Record as returned by the source
+ * @param {Object} mapping - Result of resolveMapping
+ * @returns {Object} Mapped record; unmapped fields are null
+ */
+export const mapRecord = (record, { fields, defaults }) => {
+  const mapped = {};
+  for (const [target, paths] of Object.entries(fields)) {
+    const value = paths.map(path => readPath(record, path)).find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+    mapped[target] = toFieldValue(target, value ?? defaults[target]);
+  }
+  return mapped;
+};
+
+export default {
+  SOURCE_TYPES,
+  MAPPING_PRESETS,
+  extractRecords,
+  resolveMapping,
+  mapRecord
+};
@@ -0,0 +1,264 @@
+import ModbusRTU from 'modbus-serial';
+import { setupLogger } from '../utils/logger.js';
+
+const logger = setupLogger();
+
+export const REGISTER_TYPES = ['holding', 'input'];
+
+// Registers (16-bit words) taken by each data type
+export const DATA_TYPES = {
+  int16: 1,
+  uint16: 1,
+  int32: 2,
+  uint32: 2,
+  float32: 2
+};
+
+const ENVIRONMENTAL_FIELDS = ['TEMPERATURE', 'HUMIDITY'];
+const POWER_FIELD = /^(TOTAL|L[123])_(VOLTS|AMPS|WATTS|KW|KWH|PF|VA)$/;
+
+/**
+ * Decode a register value
+ * @param {Buffer} buffer - Raw register bytes, big-endian per register
+ * @param {Object} register - { dataType, wordOrder }; wordOrder 'little'
+ *   means the low word comes first, as in many meters' 32-bit values
+ * @returns {number} Decoded value
+ */
+const decodeRegister = (buffer, { dataType = 'uint16', wordOrder = 'big' }) => {
+  let bytes = buffer;
+  if (DATA_TYPES[dataType] === 2 && wordOrder === 'little') {
+    bytes = Buffer.concat([buffer.subarray(2, 4), buffer.subarray(0, 2)]);
+  }
+
+  switch (dataType) {
+    case 'int16':
+      return bytes.readInt16BE(0);
+    case 'int32':
+      return bytes.readInt32BE(0);
+    case 'uint32':
+      return bytes.readUInt32BE(0);
+    case 'float32':
+      return bytes.readFloatBE(0);
+    default:
+      return bytes.readUInt16BE(0);
+  }
+};
+
+/**
+ * Register map of a device: its own `registers`, or a named map from the
+ * source's `registerMaps`
+ */
+const getRegisterMap = (source, device) =>
+  device.registers || source.registerMaps?.[device.map] || null;
+
+/**
+ * Read the registers of one device
+ * @returns {Promise<Object>} { FIELD: value } for every register read
+ */
+const pollDevice = async (source, device) => {
+  const settings = { ...(source.modbus || {}), ...(device.modbus || {}) };
+  const client = new ModbusRTU();
+
+  try {
+    await client.connectTCP(device.host, {
+      port: Number(device.port || settings.port || 502),
+      // setTimeout only covers requests, an unreachable device would otherwise wait for the OS connect timeout
+      timeout: Number(settings.timeout ?? 5000)
+    });
+    client.setID(Number(device.unitId ?? settings.unitId ?? 1));
+    client.setTimeout(Number(settings.timeout ?? 5000));
+
+    const values = {};
+    for (const register of getRegisterMap(source, device)) {
+      const length = DATA_TYPES[register.dataType || 'uint16'];
+      const result = register.type === 'input'
+        ? await client.readInputRegisters(Number(register.address), length)
+        : await client.readHoldingRegisters(Number(register.address), length);
+      const raw = decodeRegister(result.buffer, register);
+      values[register.field] = raw * (register.scale ?? 1) + (register.offset ?? 0);
+    }
+    return values;
+  } finally {
+    if (client.isOpen) {
+      client.close(() => {});
+    }
+  }
+};
+
+const toReading = (values, fields) => {
+  const reading = {};
+  for (const field of fields) {
+    if (values[field] !== undefined && Number.isFinite(values[field])) {
+      reading[field] = String(Math.round(values[field] * 100) / 100);
+    }
+  }
+  return reading;
+};
+
+/**
+ * Fill in the totals a meter doesn't have registers for: the current from
+ * the phase currents, and watts and kW from each other
+ */
+const withPowerTotals = (values) => {
+  const totals = { ...values };
+  const phaseAmps = ['L1', 'L2', 'L3'].map(phase => values[`${phase}_AMPS`]).filter(value => value !== undefined);
+  if (totals.TOTAL_AMPS === undefined && phaseAmps.length > 0) {
+    totals.TOTAL_AMPS = phaseAmps.reduce((total, value) => total + value, 0);
+  }
+  if (totals.TOTAL_WATTS === undefined && totals.TOTAL_KW !== undefined) {
+    totals.TOTAL_WATTS = totals.TOTAL_KW * 1000;
+  }
+  if (totals.TOTAL_KW === undefined && totals.TOTAL_WATTS !== undefined) {
+    totals.TOTAL_KW = totals.TOTAL_WATTS / 1000;
+  }
+  return totals;
+};
+
+/**
+ * Poll every device of a source and build rack power records and
+ * environmental records. Room devices have no rack; their readings carry
+ * only the site and DC and are applied to the racks of that room.
+ */
+const pollSource = async (source) => {
+  const polledAt = new Date().toISOString();
+  const results = await Promise.all(source.devices.map(async (device) => {
+    try {
+      return { device, values: await pollDevice(source, device) };
+    } catch (error) {
+      logger.warn(`Modbus poll of ${device.name || device.host} failed: ${error.message}`);
+      return { device, error: error.message };
+    }
+  }));
+
+  const payload = [];
+  for (const { device, values } of results) {
+    if (!values) {
+      continue;
+    }
+
+    const site = device.room?.site ?? device.site ?? null;
+    const dc = device.room?.dc ?? device.dc ?? null;
+
+    const totals = withPowerTotals(values);
+    const power = toReading(totals, Object.keys(totals).filter(field => POWER_FIELD.test(field)));
+    if (source.types.includes('power') && device.rack && Object.keys(power).length > 0) {
+      payload.push({ NAME: device.rack, SITE: site, DC: dc, ...power });
+    }
+
+    const environmental = toReading(values, ENVIRONMENTAL_FIELDS);
+    if (source.types.includes('environmental') && Object.keys(environmental).length > 0) {
+      payload.push({
+        RACK_NAME: device.rack || null,
+        SITE: site,
+        DC: dc,
+        nodeId: device.name || device.host,
+        sensorIndex: String(device.unitId ?? 1),
+        sensorType: 'modbus',
+        TEMPERATURE: null,
+        HUMIDITY: null,
+        ...environmental,
+        lastUpdate: polledAt,
+        status: 'OK'
+      });
+    }
+  }
+
+  const failed = results.filter(result => result.error);
+  return {
+    reachable: failed.length < results.length,
+    payload,
+    error: failed.length > 0
+      ? `${failed.length} of ${results.length} devices failed: ${failed.map(result => `${result.device.name || result.device.host} (${result.error})`).join(', ')}`
+      : null
+  };
+};
+
+/**
+ * Validate a register map, returning an error message or null
+ */
+const validateRegisters = (registers, label) => {
+  if (!Array.isArray(registers) || registers.length === 0) {
+    return `${label} needs a non-empty register map`;
+  }
+  for (const register of registers) {
+    if (!ENVIRONMENTAL_FIELDS.includes(register.field) && !POWER_FIELD.test(register.field || '')) {
+      return `${label}: field ${register.field} must be TEMPERATURE, HUMIDITY or a power field such as TOTAL_AMPS or L1_AMPS`;
+    }
+    if (!REGISTER_TYPES.includes(register.type || 'holding')) {
+      return `${label}: register type must be one of: ${REGISTER_TYPES.join(', ')}`;
+    }
+    if (!Number.isInteger(Number(register.address)) || Number(register.address) < 0 || Number(register.address) > 65535) {
+      return `${label}: register address must be between 0 and 65535`;
+    }
+    if (register.dataType && !DATA_TYPES[register.dataType]) {
+      return `${label}: dataType must be one of: ${Object.keys(DATA_TYPES).join(', ')}`;
+    }
+    if (register.wordOrder && !['big', 'little'].includes(register.wordOrder)) {
+      return `${label}: wordOrder must be big or little`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Modbus TCP devices such as CRAC units and branch-circuit meters. Each
+ * source lists its devices with the rack or room they belong to and a
+ * register map:
+ *   { host, port, unitId, rack | room: { site, dc }, registers | map }
+ * A register is { field, type: holding|input, address, dataType, wordOrder,
+ * scale, offset }; the value is raw * scale + offset.
+ */
+const modbusDriver = {
+  /**
+   * Check a source definition, returning an error message or null
+   */
+  validate(source) {
+    if (source.types.includes('inventory')) {
+      return 'Modbus sources can only report power and environmental data';
+    }
+    if (!Array.isArray(source.devices) || source.devices.length === 0) {
+      return 'devices must be a non-empty array';
+    }
+
+    for (const device of source.devices) {
+      const label = `device ${device.name || device.host}`;
+      if (!device.host) {
+        return 'every device needs a host';
+      }
+      if (!device.rack && !(device.room?.site && device.room?.dc)) {
+        return `${label} needs a rack or a room with site and dc`;
+      }
+      if (device.map && !source.registerMaps?.[device.map]) {
+        return `${label} uses unknown register map ${device.map}`;
+      }
+      const registers = getRegisterMap(source, device);
+      const registerError = validateRegisters(registers, label);
+      if (registerError) {
+        return registerError;
+      }
+      if (!device.rack && registers.some(register => POWER_FIELD.test(register.field))) {
+        return `${label}: power registers need a rack, rooms only take TEMPERATURE and HUMIDITY`;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Describe where the source reads from, for status pages
+   */
+  describe(source) {
+    const hosts = source.devices.map(device => device.port ? `${device.host}:${device.port}` : device.host);
+    return `${hosts.length} Modbus device${hosts.length === 1 ? '' : 's'} (${hosts.slice(0, 3).join(', ')}${hosts.length > 3 ? ', ...' : ''})`;
+  },
+
+  /**
+   * Read the registers of every device of a source
+   * @param {Object} source - Data source definition
+   * @returns {Promise<{reachable: boolean, payload: Array, error: string|null}>}
+   */
+  fetch(source) {
+    return pollSource(source);
+  }
+};
+
+export default modbusDriver;
@@ -0,0 +1,76 @@
+import { fetchExternalAPI, isApiReachable } from '../utils/api.js';
+
+export const AUTH_TYPES = ['none', 'bearer', 'apiKey', 'basic'];
+
+/**
+ * Request options for a source's auth settings. Sources without an `auth`
+ * block keep the global API_KEY bearer token.
+ * @param {Object} auth - { type, token, header, value, username, password }
+ * @returns {Object} headers and authorization for fetchExternalAPI
+ */
+export const buildAuthOptions = (auth) => {
+  if (!auth) {
+    return {};
+  }
+
+  switch (auth.type) {
+    case 'bearer':
+      return { authorization: `Bearer ${auth.token}` };
+    case 'apiKey':
+      return { authorization: null, headers: { [auth.header || 'X-API-Key']: auth.value } };
+    case 'basic':
+      return { authorization: `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}` };
+    default:
+      return { authorization: null };
+  }
+};
+
+/**
+ * HTTP/JSON sources (DCIM and vendor REST APIs)
+ */
+const restDriver = {
+  /**
+   * Check a source definition, returning an error message or null
+   */
+  validate(source) {
+    if (!source.endpoint) {
+      return 'endpoint is required';
+    }
+    if (source.auth && !AUTH_TYPES.includes(source.auth.type)) {
+      return `auth.type must be one of: ${AUTH_TYPES.join(', ')}`;
+    }
+    return null;
+  },
+
+  /**
+   * Describe where the source reads from, for status pages
+   */
+  describe(source) {
+    return source.endpoint;
+  },
+
+  /**
+   * Fetch the raw response of a source
+   * @param {Object} source - Data source definition
+   * @returns {Promise<{reachable: boolean, payload: *}>}
+   */
+  async fetch(source) {
+    const authOptions = buildAuthOptions(source.auth);
+
+    const reachable = await isApiReachable(source.endpoint, authOptions);
+    if (!reachable) {
+      return { reachable: false, payload: null };
+    }
+
+    const payload = await fetchExternalAPI(source.endpoint, source.name, {
+      retries: source.options?.retries ?? 2,
+      retryDelay: source.options?.retryDelay ?? 1000,
+      debug: true,
+      ...authOptions
+    });
+
+    return { reachable: true, payload };
+  }
+};
+
+export default restDriver;
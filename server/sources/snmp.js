@@ -0,0 +1,390 @@
+import snmp from 'net-snmp';
+import { setupLogger } from '../utils/logger.js';
+import { SNMP_PROFILES, resolveProfile } from './snmpProfiles.js';
+
+const logger = setupLogger();
+
+export const SNMP_VERSIONS = ['2c', '3'];
+
+const SECURITY_LEVELS = Object.keys(snmp.SecurityLevel).filter(key => Number.isNaN(Number(key)));
+const AUTH_PROTOCOLS = Object.keys(snmp.AuthProtocols).filter(key => Number.isNaN(Number(key)));
+const PRIV_PROTOCOLS = Object.keys(snmp.PrivProtocols).filter(key => Number.isNaN(Number(key)));
+
+// Summed when several PDUs feed the same rack (A and B feeds); the other
+// metrics (volts, power factor) are averaged
+const ADDITIVE_METRICS = ['AMPS', 'WATTS', 'KW', 'KWH', 'VA'];
+const PHASE_NAMES = ['L1', 'L2', 'L3'];
+
+// Last poll of each source, reused until options.pollInterval has passed
+const lastPolls = new Map();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const sum = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((total, value) => total + value, 0) : null;
+};
+
+const average = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((total, value) => total + value, 0) / present.length : null;
+};
+
+/**
+ * Numeric value of a varbind. Counter64 values arrive as a Buffer, and some
+ * PDUs report readings as strings such as "23.5".
+ */
+const toNumber = (varbind) => {
+  const { type, value } = varbind;
+  if (type === snmp.ObjectType.Counter64 && Buffer.isBuffer(value)) {
+    return value.reduce((total, byte) => total * 256 + byte, 0);
+  }
+  if (Buffer.isBuffer(value)) {
+    const numeric = parseFloat(value.toString());
+    return Number.isFinite(numeric) ? numeric : null;
+  }
+  return typeof value === 'number' ? value : null;
+};
+
+/**
+ * Open a session with the source's SNMP settings, overridden per device
+ */
+const createSession = (source, device) => {
+  const settings = { ...(source.snmp || {}), ...(device.snmp || {}) };
+  const options = {
+    port: Number(device.port || settings.port || 161),
+    retries: settings.retries ?? 1,
+    timeout: settings.timeout ?? 5000
+  };
+
+  if (String(settings.version) === '3') {
+    const level = settings.securityLevel || 'authPriv';
+    const user = {
+      name: settings.user,
+      level: snmp.SecurityLevel[level]
+    };
+    if (level !== 'noAuthNoPriv') {
+      user.authProtocol = snmp.AuthProtocols[settings.authProtocol || 'sha'];
+      user.authKey = settings.authKey;
+    }
+    if (level === 'authPriv') {
+      user.privProtocol = snmp.PrivProtocols[settings.privProtocol || 'aes'];
+      user.privKey = settings.privKey;
+    }
+    return snmp.createV3Session(device.host, user, { ...options, context: settings.context || '' });
+  }
+
+  return snmp.createSession(device.host, settings.community || 'public', {
+    ...options,
+    version: snmp.Version2c
+  });
+};
+
+/**
+ * GET the single-value OIDs of a profile
+ * @returns {Promise<Object>} { FIELD: value } for the OIDs the device answered
+ */
+const getValues = (session, entries) => new Promise((resolve, reject) => {
+  const fields = Object.keys(entries);
+  if (fields.length === 0) {
+    resolve({});
+    return;
+  }
+
+  session.get(fields.map(field => entries[field].oid), (error, varbinds) => {
+    if (error) {
+      reject(error);
+      return;
+    }
+
+    const values = {};
+    varbinds.forEach((varbind, index) => {
+      const numeric = snmp.isVarbindError(varbind) ? null : toNumber(varbind);
+      if (numeric !== null) {
+        values[fields[index]] = numeric * (entries[fields[index]].scale ?? 1);
+      }
+    });
+    resolve(values);
+  });
+});
+
+/**
+ * Walk the table columns of a profile section
+ * @returns {Promise<Map>} Row key → { METRIC: value }, in index order
+ */
+const walkColumns = async (session, entries) => {
+  const rows = new Map();
+
+  for (const [metric, { oid, suffix, scale = 1 }] of Object.entries(entries)) {
+    await new Promise((resolve, reject) => {
+      session.subtree(oid, 20, (varbinds) => {
+        for (const varbind of varbinds) {
+          if (snmp.isVarbindError(varbind)) {
+            continue;
+          }
+          let key = varbind.oid.slice(oid.length + 1);
+          if (suffix) {
+            if (!key.endsWith(`.${suffix}`)) {
+              continue;
+            }
+            key = key.slice(0, -(suffix.length + 1));
+          }
+          const numeric = toNumber(varbind);
+          if (numeric !== null) {
+            rows.set(key, { ...(rows.get(key) || {}), [metric]: numeric * scale });
+          }
+        }
+      }, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  // OID order, so the first phase row is L1 whatever the index numbering
+  const compare = (a, b) => {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      if ((left[i] ?? -1) !== (right[i] ?? -1)) {
+        return (left[i] ?? -1) - (right[i] ?? -1);
+      }
+    }
+    return 0;
+  };
+  return new Map([...rows.entries()].sort(([a], [b]) => compare(a, b)));
+};
+
+/**
+ * Poll one device
+ * @returns {Promise<Object>} { values, phases, outlets, sensors }
+ */
+const pollDevice = async (source, device) => {
+  const profile = resolveProfile(device);
+  const session = createSession(source, device);
+
+  // The session emits 'error' for replies it can't parse (a malformed or
+  // spoofed datagram); with no listener that would throw and end the process
+  const failed = new Promise((resolve, reject) => {
+    session.on('error', (error) => {
+      logger.warn(`SNMP session with ${device.name || device.host} failed: ${error.message}`);
+      reject(error);
+    });
+  });
+
+  const poll = async () => {
+    const values = await getValues(session, profile.values);
+    const phases = source.types.includes('power') ? await walkColumns(session, profile.phases) : new Map();
+    const outlets = source.types.includes('power') ? await walkColumns(session, profile.outlets) : new Map();
+    const sensors = source.types.includes('environmental') ? await walkColumns(session, profile.sensors) : new Map();
+    return { values, phases, outlets, sensors };
+  };
+
+  try {
+    return await Promise.race([poll(), failed]);
+  } finally {
+    session.close();
+  }
+};
+
+/**
+ * Power reading of one device in the internal field names. Totals the device
+ * doesn't report are worked out from its phases, then from its outlets.
+ */
+const toPowerReading = ({ values, phases, outlets }) => {
+  const reading = { ...values };
+
+  const phaseRows = [...phases.values()].slice(0, PHASE_NAMES.length);
+  phaseRows.forEach((row, index) => {
+    for (const [metric, value] of Object.entries(row)) {
+      reading[`${PHASE_NAMES[index]}_${metric}`] = value;
+    }
+    if (row.WATTS === undefined && row.KW !== undefined) {
+      reading[`${PHASE_NAMES[index]}_WATTS`] = row.KW * 1000;
+    }
+  });
+
+  const outletRows = [...outlets.values()];
+  const phaseWatts = phaseRows.map(row => row.WATTS ?? (row.KW !== undefined ? row.KW * 1000 : null));
+
+  reading.TOTAL_AMPS = reading.TOTAL_AMPS ?? sum(phaseRows.map(row => row.AMPS)) ?? sum(outletRows.map(row => row.AMPS));
+  reading.TOTAL_WATTS = reading.TOTAL_WATTS
+    ?? (reading.TOTAL_KW !== undefined ? reading.TOTAL_KW * 1000 : null)
+    ?? sum(phaseWatts)
+    ?? sum(outletRows.map(row => row.WATTS));
+  reading.TOTAL_KW = reading.TOTAL_KW ?? (reading.TOTAL_WATTS !== null ? reading.TOTAL_WATTS / 1000 : null);
+  reading.TOTAL_VOLTS = reading.TOTAL_VOLTS ?? average(phaseRows.map(row => row.VOLTS));
+
+  if (phaseRows.length > 0) {
+    reading.phase = phaseRows.length > 1 ? '3-Phase' : 'Single Phase';
+  }
+
+  return reading;
+};
+
+/**
+ * Combine the readings of the PDUs that feed the same rack
+ */
+const combineReadings = (readings) => {
+  const fields = new Set(readings.flatMap(reading => Object.keys(reading)));
+  const combined = {};
+
+  for (const field of fields) {
+    if (field === 'phase') {
+      combined.phase = readings.some(reading => reading.phase === '3-Phase') ? '3-Phase' : readings.find(reading => reading.phase)?.phase;
+      continue;
+    }
+    const values = readings.map(reading => reading[field]);
+    const metric = field.split('_').pop();
+    const value = ADDITIVE_METRICS.includes(metric) ? sum(values) : average(values);
+    if (value !== null) {
+      combined[field] = String(round(value));
+    }
+  }
+
+  return combined;
+};
+
+/**
+ * Poll every device of a source and build rack power records and probe records
+ */
+const pollSource = async (source) => {
+  const polledAt = new Date().toISOString();
+  const results = await Promise.all(source.devices.map(async (device) => {
+    try {
+      return { device, data: await pollDevice(source, device) };
+    } catch (error) {
+      logger.warn(`SNMP poll of ${device.name || device.host} failed: ${error.message}`);
+      return { device, error: error.message };
+    }
+  }));
+
+  const rackReadings = new Map();
+  const probes = [];
+
+  for (const { device, data } of results) {
+    if (!data) {
+      continue;
+    }
+
+    if (source.types.includes('power') && device.rack) {
+      const reading = toPowerReading(data);
+      if (Object.values(reading).some(value => value !== null && value !== undefined)) {
+        const key = device.rack;
+        rackReadings.set(key, [...(rackReadings.get(key) || []), { device, reading }]);
+      }
+    }
+
+    for (const [index, probe] of data.sensors) {
+      const rack = device.sensorRacks?.[index] ?? device.rack;
+      if (!rack) {
+        continue;
+      }
+      probes.push({
+        RACK_NAME: rack,
+        SITE: device.site ?? null,
+        DC: device.dc ?? null,
+        nodeId: device.host,
+        sensorIndex: index,
+        sensorType: 'snmp',
+        TEMPERATURE: probe.TEMPERATURE !== undefined ? String(round(probe.TEMPERATURE)) : null,
+        HUMIDITY: probe.HUMIDITY !== undefined ? String(round(probe.HUMIDITY)) : null,
+        lastUpdate: polledAt,
+        status: 'OK'
+      });
+    }
+  }
+
+  const racks = [...rackReadings.entries()].map(([rack, entries]) => ({
+    NAME: rack,
+    SITE: entries.find(entry => entry.device.site)?.device.site ?? null,
+    DC: entries.find(entry => entry.device.dc)?.device.dc ?? null,
+    ...combineReadings(entries.map(entry => entry.reading))
+  }));
+
+  const failed = results.filter(result => result.error);
+  return {
+    reachable: failed.length < results.length,
+    payload: [...racks, ...probes],
+    error: failed.length > 0
+      ? `${failed.length} of ${results.length} devices failed: ${failed.map(result => `${result.device.name || result.device.host} (${result.error})`).join(', ')}`
+      : null
+  };
+};
+
+/**
+ * SNMP v2c/v3 PDUs and environmental probes. Each source lists its devices
+ * with the rack they feed and an OID profile:
+ *   { host, port, rack, site, dc, profile, oids, sensorRacks, snmp }
+ * `sensorRacks` maps probe indexes to other racks, for probes that hang
+ * from a neighbouring rack's PDU.
+ */
+const snmpDriver = {
+  /**
+   * Check a source definition, returning an error message or null
+   */
+  validate(source) {
+    const settings = source.snmp || {};
+    if (!SNMP_VERSIONS.includes(String(settings.version || '2c'))) {
+      return `snmp.version must be one of: ${SNMP_VERSIONS.join(', ')}`;
+    }
+    if (String(settings.version) === '3') {
+      if (!settings.user) {
+        return 'snmp.user is required for SNMP v3';
+      }
+      if (settings.securityLevel && !SECURITY_LEVELS.includes(settings.securityLevel)) {
+        return `snmp.securityLevel must be one of: ${SECURITY_LEVELS.join(', ')}`;
+      }
+      if (settings.authProtocol && !AUTH_PROTOCOLS.includes(settings.authProtocol)) {
+        return `snmp.authProtocol must be one of: ${AUTH_PROTOCOLS.join(', ')}`;
+      }
+      if (settings.privProtocol && !PRIV_PROTOCOLS.includes(settings.privProtocol)) {
+        return `snmp.privProtocol must be one of: ${PRIV_PROTOCOLS.join(', ')}`;
+      }
+    }
+    if (source.types.includes('inventory')) {
+      return 'SNMP sources can only report power and environmental data';
+    }
+    if (!Array.isArray(source.devices) || source.devices.length === 0) {
+      return 'devices must be a non-empty array';
+    }
+
+    for (const device of source.devices) {
+      if (!device.host) {
+        return 'every device needs a host';
+      }
+      if (!device.rack && !device.sensorRacks) {
+        return `device ${device.host} needs a rack`;
+      }
+      if (!resolveProfile(device)) {
+        return `device ${device.host} has an unknown profile; built-in profiles are: ${Object.keys(SNMP_PROFILES).join(', ')}`;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Describe where the source reads from, for status pages
+   */
+  describe(source) {
+    const hosts = source.devices.map(device => device.port ? `${device.host}:${device.port}` : device.host);
+    return `${hosts.length} SNMP device${hosts.length === 1 ? '' : 's'} (${hosts.slice(0, 3).join(', ')}${hosts.length > 3 ? ', ...' : ''})`;
+  },
+
+  /**
+   * Poll the devices of a source. With options.pollInterval set, the last
+   * poll is reused until the interval has passed.
+   * @param {Object} source - Data source definition
+   * @returns {Promise<{reachable: boolean, payload: Array, error: string|null}>}
+   */
+  async fetch(source) {
+    const pollInterval = Number(source.options?.pollInterval || 0);
+    const last = lastPolls.get(source.id);
+    if (last && pollInterval > 0 && Date.now() - last.at < pollInterval) {
+      return last.result;
+    }
+
+    const result = await pollSource(source);
+    lastPolls.set(source.id, { at: Date.now(), result });
+    return result;
+  }
+};
+
+export default snmpDriver;
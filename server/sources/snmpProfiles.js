@@ -0,0 +1,114 @@
+/**
+ * OID profiles for the SNMP collector.
+ *
+ * A profile lists what to read from a device:
+ * - values:  single OIDs read with GET, mapped to rack totals (TOTAL_KW, ...)
+ * - phases:  table columns walked per phase; rows are taken in index order as L1, L2, L3
+ * - outlets: table columns walked per outlet, used for the totals when the
+ *            device doesn't report them itself
+ * - sensors: table columns walked per temperature/humidity probe
+ *
+ * Each entry is { oid, scale, suffix }. `scale` converts the raw integer to
+ * the unit the dashboard uses (A, V, W, kW, kWh, °C, %). `suffix` keeps only
+ * the rows whose index ends with it, for MIBs that put the measurement type
+ * last in the index (Raritan, for example); the row key is the index
+ * without the suffix.
+ */
+
+export const SNMP_PROFILES = {
+  // APC Rack PDU 2G (PowerNet-MIB rPDU2 tables, module 1)
+  'apc-rpdu2': {
+    name: 'APC Rack PDU 2G',
+    values: {
+      TOTAL_KW: { oid: '1.3.6.1.4.1.318.1.1.26.4.3.1.5.1', scale: 0.01 },
+      TOTAL_KWH: { oid: '1.3.6.1.4.1.318.1.1.26.4.3.1.9.1', scale: 0.1 }
+    },
+    phases: {
+      AMPS: { oid: '1.3.6.1.4.1.318.1.1.26.6.3.1.5', scale: 0.1 },
+      VOLTS: { oid: '1.3.6.1.4.1.318.1.1.26.6.3.1.6', scale: 1 },
+      KW: { oid: '1.3.6.1.4.1.318.1.1.26.6.3.1.7', scale: 0.01 }
+    },
+    outlets: {
+      AMPS: { oid: '1.3.6.1.4.1.318.1.1.26.9.4.3.1.6', scale: 0.1 },
+      WATTS: { oid: '1.3.6.1.4.1.318.1.1.26.9.4.3.1.7', scale: 1 }
+    },
+    sensors: {
+      TEMPERATURE: { oid: '1.3.6.1.4.1.318.1.1.26.10.2.2.1.8', scale: 0.1 },
+      HUMIDITY: { oid: '1.3.6.1.4.1.318.1.1.26.10.2.2.1.10', scale: 1 }
+    }
+  },
+
+  // Raritan PX2/PX3 (PDU2-MIB measurement tables, PDU 1, inlet 1). Values
+  // assume the default decimal digits: 3 for current, 0 for voltage and power.
+  // External probes have no fixed index, so add them per device with `oids`.
+  'raritan-px': {
+    name: 'Raritan PX2/PX3',
+    values: {
+      TOTAL_WATTS: { oid: '1.3.6.1.4.1.13742.6.5.2.3.1.4.1.1.5', scale: 1 },
+      TOTAL_VA: { oid: '1.3.6.1.4.1.13742.6.5.2.3.1.4.1.1.6', scale: 1 },
+      TOTAL_PF: { oid: '1.3.6.1.4.1.13742.6.5.2.3.1.4.1.1.7', scale: 0.01 },
+      TOTAL_KWH: { oid: '1.3.6.1.4.1.13742.6.5.2.3.1.4.1.1.8', scale: 0.001 }
+    },
+    phases: {
+      AMPS: { oid: '1.3.6.1.4.1.13742.6.5.2.4.1.4.1.1', suffix: '1', scale: 0.001 },
+      VOLTS: { oid: '1.3.6.1.4.1.13742.6.5.2.4.1.4.1.1', suffix: '4', scale: 1 },
+      WATTS: { oid: '1.3.6.1.4.1.13742.6.5.2.4.1.4.1.1', suffix: '5', scale: 1 }
+    },
+    outlets: {
+      AMPS: { oid: '1.3.6.1.4.1.13742.6.5.4.3.1.4.1', suffix: '1', scale: 0.001 },
+      WATTS: { oid: '1.3.6.1.4.1.13742.6.5.4.3.1.4.1', suffix: '5', scale: 1 }
+    },
+    sensors: {}
+  },
+
+  // Eaton ePDU G3 (EATON-EPDU-MIB, strapping 0, input 1)
+  'eaton-epdu': {
+    name: 'Eaton ePDU G3',
+    values: {
+      TOTAL_WATTS: { oid: '1.3.6.1.4.1.534.6.6.7.3.5.1.4.0.1', scale: 1 },
+      TOTAL_VA: { oid: '1.3.6.1.4.1.534.6.6.7.3.5.1.3.0.1', scale: 1 },
+      TOTAL_KWH: { oid: '1.3.6.1.4.1.534.6.6.7.3.5.1.5.0.1', scale: 0.001 }
+    },
+    phases: {
+      AMPS: { oid: '1.3.6.1.4.1.534.6.6.7.3.3.1.4.0.1', scale: 0.001 },
+      VOLTS: { oid: '1.3.6.1.4.1.534.6.6.7.3.2.1.3.0.1', scale: 0.001 },
+      WATTS: { oid: '1.3.6.1.4.1.534.6.6.7.3.4.1.4.0.1', scale: 1 }
+    },
+    outlets: {
+      AMPS: { oid: '1.3.6.1.4.1.534.6.6.7.6.4.1.3.0', scale: 0.001 },
+      WATTS: { oid: '1.3.6.1.4.1.534.6.6.7.6.5.1.3.0', scale: 1 }
+    },
+    sensors: {
+      TEMPERATURE: { oid: '1.3.6.1.4.1.534.6.6.7.7.1.1.4.0', scale: 0.1 },
+      HUMIDITY: { oid: '1.3.6.1.4.1.534.6.6.7.7.2.1.4.0', scale: 0.1 }
+    }
+  }
+};
+
+const PROFILE_SECTIONS = ['values', 'phases', 'outlets', 'sensors'];
+
+/**
+ * Get the profile of a device: a built-in profile by name, or an inline
+ * profile object, with the device's `oids` entries merged on top
+ * @param {Object} device - Device definition from the source
+ * @returns {Object|null} Profile, or null when the named profile doesn't exist
+ */
+export const resolveProfile = (device) => {
+  const base = typeof device.profile === 'string'
+    ? SNMP_PROFILES[device.profile]
+    : device.profile;
+  if (!base) {
+    return null;
+  }
+
+  const profile = { name: base.name || 'custom' };
+  for (const section of PROFILE_SECTIONS) {
+    profile[section] = { ...(base[section] || {}), ...(device.oids?.[section] || {}) };
+  }
+  return profile;
+};
+
+export default {
+  SNMP_PROFILES,
+  resolveProfile
+};
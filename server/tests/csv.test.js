@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../utils/csv.js';
+
+test('parseCsv reads quoted cells, CRLF line breaks and skips blank lines', () => {
+  const text = '\uFEFFname,site\r\n"R01","MAD, ""north"""\r\n\r\n"R02","line\nbreak"\n,\n';
+
+  assert.deepEqual(parseCsv(text), [
+    ['name', 'site'],
+    ['R01', 'MAD, "north"'],
+    ['R02', 'line\nbreak']
+  ]);
+});
+
+test('parseCsv uses semicolons when the header has more of them than commas', () => {
+  assert.deepEqual(parseCsv('name;max_power\nR01;7,5\n'), [
+    ['name', 'max_power'],
+    ['R01', '7,5']
+  ]);
+});
+
+test('toCsv quotes cells that need it and writes numbers, dates and nulls', () => {
+  const csv = toCsv([
+    ['name', 'site', 'max_power', 'updated_at', 'phase'],
+    ['R01', 'MAD, "north"', 7.5, new Date('2026-10-19T08:00:00Z'), null]
+  ]);
+
+  assert.equal(csv, 'name,site,max_power,updated_at,phase\r\nR01,"MAD, ""north""",7.5,2026-10-19T08:00:00.000Z,\r\n');
+});
+
+test('toCsv neutralises formula-like text and parseCsv reads it back as it was', () => {
+  const rows = [
+    ['name', 'site', 'max_power'],
+    ['=HYPERLINK("http://example.com")', '@SUM(A1)', -3],
+    ['+R01', '-DC', "'quoted"]
+  ];
+
+  const csv = toCsv(rows);
+
+  assert.ok(csv.includes(`"'=HYPERLINK(""http://example.com"")"`));
+  assert.ok(csv.includes("'@SUM(A1)"));
+  // Numbers are not text, so they are written as they are
+  assert.ok(csv.includes(',-3\r\n'));
+  assert.deepEqual(parseCsv(csv), rows.map(row => row.map(String)));
+});
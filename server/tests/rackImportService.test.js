@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildImportPlan, readRackFile, getImportFormat } from '../services/rackImportService.js';
+
+const racks = [
+  {
+    id: 1,
+    name: 'R01',
+    site: 'MAD',
+    datacenter: 'DC1',
+    max_power: 7.5,
+    max_units: 42,
+    free_units: 10,
+    phase: 'Single Phase',
+    capacity_amps: null,
+    manual_fields: [],
+    decommissioned_at: null
+  },
+  {
+    id: 2,
+    name: 'R02',
+    site: 'MAD',
+    datacenter: 'DC1',
+    max_power: 5,
+    max_units: 42,
+    free_units: 42,
+    phase: null,
+    capacity_amps: null,
+    manual_fields: [],
+    decommissioned_at: new Date('2026-09-01T00:00:00Z')
+  }
+];
+
+const row = (line, values) => ({ line, values });
+
+test('buildImportPlan sorts rows into new, changed and unchanged racks', () => {
+  const plan = buildImportPlan([
+    row(2, { name: 'R03', site: 'BCN', datacenter: 'DC2', max_power: '6' }),
+    row(3, { name: 'r01', site: 'MAD', datacenter: 'DC1', max_power: '7,5', free_units: '8' }),
+    row(4, { name: 'R01 ', site: '', max_power: '' })
+  ], racks.slice(0, 1));
+
+  assert.deepEqual(plan.summary, { new: 1, changed: 1, unchanged: 0, error: 1 });
+
+  const [added, changed] = plan.rows;
+  assert.equal(added.status, 'new');
+  // Racks added without units get 42, all of them free
+  assert.equal(added.rack.max_units, 42);
+  assert.equal(added.rack.free_units, 42);
+
+  assert.equal(changed.status, 'changed');
+  assert.equal(changed.name, 'R01');
+  // A decimal comma matches the stored 7.5, so only free_units changes
+  assert.deepEqual(changed.changes, [{ field: 'free_units', from: 10, to: 8 }]);
+});
+
+test('buildImportPlan keeps stored values for empty cells', () => {
+  const plan = buildImportPlan([row(2, { name: 'R01', site: '', max_power: '' })], racks);
+
+  assert.equal(plan.rows[0].status, 'unchanged');
+  assert.equal(plan.rows[0].rack.max_power, 7.5);
+  assert.deepEqual(plan.summary, { new: 0, changed: 0, unchanged: 1, error: 0 });
+});
+
+test('buildImportPlan reports rows it can not import', () => {
+  const plan = buildImportPlan([
+    row(2, { name: '' }),
+    row(3, { name: 'R01', free_units: '5' }),
+    row(4, { name: 'r01', free_units: '6' }),
+    row(5, { name: 'R02', free_units: '1' }),
+    row(6, { name: 'R04', site: 'MAD', datacenter: 'DC1', max_power: 'lots' })
+  ], racks);
+
+  assert.deepEqual(plan.rows.map(planned => planned.status), ['error', 'changed', 'error', 'error', 'error']);
+  assert.equal(plan.rows[0].error, 'name is required');
+  assert.equal(plan.rows[2].error, 'Rack r01 is also on line 3');
+  assert.match(plan.rows[3].error, /decommissioned/);
+  assert.match(plan.rows[4].error, /max_power/);
+  assert.equal(plan.summary.error, 4);
+});
+
+test('readRackFile maps header aliases to fields and numbers lines as in the file', async () => {
+  const content = Buffer.from('\uFEFFRack;DC;Site;MAXPOWER;notes\nR01;DC1;MAD;7,5;spare\nR05;DC2;BCN\n', 'utf8');
+
+  const { rows, columns, error } = await readRackFile('inventory.CSV', content);
+
+  assert.equal(error, undefined);
+  assert.deepEqual(columns, ['name', 'site', 'datacenter', 'max_power']);
+  assert.deepEqual(rows, [
+    row(2, { name: 'R01', site: 'MAD', datacenter: 'DC1', max_power: '7,5' }),
+    row(3, { name: 'R05', site: 'BCN', datacenter: 'DC2', max_power: '' })
+  ]);
+});
+
+test('readRackFile rejects other formats and files without a name column', async () => {
+  assert.equal(getImportFormat('racks.xls'), null);
+  assert.match((await readRackFile('racks.xls', Buffer.from(''))).error, /Only CSV and XLSX/);
+  assert.match((await readRackFile('racks.csv', Buffer.from('site,dc\nMAD,DC1\n'))).error, /needs a name column/);
+  assert.match((await readRackFile('racks.csv', Buffer.from('name\n'))).error, /has no racks/);
+});
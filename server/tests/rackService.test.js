@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeRackInput,
+  validateRack,
+  validateManualFields,
+  parseManualFields,
+  getChangedFields
+} from '../services/rackService.js';
+
+const stored = {
+  name: 'R01',
+  site: 'MAD',
+  datacenter: 'DC1',
+  max_power: 7.5,
+  max_units: 42,
+  free_units: 10,
+  phase: 'Single Phase',
+  capacity_amps: null
+};
+
+test('normalizeRackInput keeps the stored value of fields missing from the body', () => {
+  const rack = normalizeRackInput({ max_power: '9', free_units: 4, name: 'R99' }, stored);
+
+  // The name of a stored rack can't be changed
+  assert.equal(rack.name, 'R01');
+  assert.equal(rack.max_power, 9);
+  assert.equal(rack.free_units, 4);
+  assert.equal(rack.site, 'MAD');
+  assert.equal(rack.phase, 'Single Phase');
+});
+
+test('normalizeRackInput trims text and clears empty values', () => {
+  const rack = normalizeRackInput({ name: ' R02 ', site: ' BCN ', datacenter: 'DC2', phase: '', capacity_amps: '' });
+
+  assert.equal(rack.name, 'R02');
+  assert.equal(rack.site, 'BCN');
+  assert.equal(rack.phase, null);
+  assert.equal(rack.capacity_amps, null);
+  assert.equal(rack.max_units, null);
+});
+
+test('validateRack accepts a complete rack', () => {
+  assert.equal(validateRack(stored), null);
+  assert.equal(validateRack({ ...stored, phase: null, capacity_amps: 32 }), null);
+});
+
+test('validateRack rejects missing or out of range values', () => {
+  assert.equal(validateRack({ ...stored, site: null }), 'site is required');
+  assert.match(validateRack({ ...stored, datacenter: 'D'.repeat(51) }), /datacenter must be at most 50/);
+  assert.match(validateRack({ ...stored, max_power: 0 }), /max_power/);
+  assert.match(validateRack({ ...stored, max_units: 42.5 }), /max_units/);
+  assert.match(validateRack({ ...stored, free_units: 43 }), /free_units/);
+  assert.match(validateRack({ ...stored, phase: 'Two Phase' }), /phase must be one of/);
+  assert.match(validateRack({ ...stored, capacity_amps: NaN }), /capacity_amps/);
+});
+
+test('validateManualFields only accepts an array of known fields', () => {
+  assert.equal(validateManualFields(['site', 'max_power']), null);
+  assert.equal(validateManualFields([]), null);
+  assert.equal(validateManualFields('site'), 'manual_fields must be an array');
+  assert.match(validateManualFields(['site', 'name']), /manual_fields can only contain/);
+});
+
+test('parseManualFields drops unknown and empty field names', () => {
+  assert.deepEqual(parseManualFields('site, max_power,,name'), ['site', 'max_power']);
+  assert.deepEqual(parseManualFields(null), []);
+});
+
+test('getChangedFields compares values as text and tells unset from zero', () => {
+  // DECIMAL columns can arrive as strings
+  assert.deepEqual(getChangedFields({ ...stored, max_power: '7.5' }, stored), []);
+  assert.deepEqual(getChangedFields(stored, { ...stored, free_units: 0, capacity_amps: 32 }), ['free_units', 'capacity_amps']);
+  assert.deepEqual(getChangedFields({ ...stored, free_units: 0 }, { ...stored, free_units: null }), ['free_units']);
+  assert.deepEqual(getChangedFields({ ...stored, phase: undefined }, { ...stored, phase: null }), []);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSettings, DEFAULT_SETTINGS } from '../services/retentionService.js';
+
+const defaults = { ...DEFAULT_SETTINGS };
+
+test('validateSettings accepts the default settings', () => {
+  assert.equal(validateSettings(defaults), null);
+});
+
+test('validateSettings requires enabled to be a boolean', () => {
+  assert.match(validateSettings({ ...defaults, enabled: 'true' }), /enabled/);
+  assert.match(validateSettings({ ...defaults, enabled: 1 }), /enabled/);
+});
+
+test('validateSettings rejects values out of range or not whole', () => {
+  assert.match(validateSettings({ ...defaults, rawRetentionDays: 0 }), /rawRetentionDays/);
+  assert.match(validateSettings({ ...defaults, rawRetentionDays: 7.5 }), /rawRetentionDays/);
+  assert.match(validateSettings({ ...defaults, dailyRetentionDays: -1 }), /dailyRetentionDays/);
+  assert.match(validateSettings({ ...defaults, problemArchiveMonths: 241 }), /problemArchiveMonths/);
+  assert.match(validateSettings({ ...defaults, purgeBatchSize: 99 }), /purgeBatchSize/);
+  // Values arrive from JSON, strings are not converted
+  assert.match(validateSettings({ ...defaults, purgeBatchSize: '5000' }), /purgeBatchSize/);
+});
+
+test('validateSettings keeps hourly rollups longer than raw readings unless kept forever', () => {
+  assert.match(validateSettings({ ...defaults, rawRetentionDays: 30, hourlyRetentionDays: 30 }), /hourlyRetentionDays/);
+  assert.match(validateSettings({ ...defaults, rawRetentionDays: 30, hourlyRetentionDays: 10 }), /hourlyRetentionDays/);
+  assert.equal(validateSettings({ ...defaults, rawRetentionDays: 30, hourlyRetentionDays: 31 }), null);
+  assert.equal(validateSettings({ ...defaults, rawRetentionDays: 30, hourlyRetentionDays: 0 }), null);
+});
+
+test('validateSettings checks the job cron expression', () => {
+  assert.match(validateSettings({ ...defaults, jobCron: '15 * * *' }), /five fields/);
+  assert.match(validateSettings({ ...defaults, jobCron: '75 * * * *' }), /invalid/);
+  assert.match(validateSettings({ ...defaults, jobCron: undefined }), /Retention job/);
+  assert.equal(validateSettings({ ...defaults, jobCron: '0 3 * * 0' }), null);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getThresholdSeverity } from '../utils/severity.js';
+
+const thresholds = {
+  max_temp: 32,
+  critical_max_temp: 35,
+  min_humidity: 20,
+  critical_min_humidity: '15',
+  max_power_per_phase: 16,
+  critical_max_power_per_phase: null
+};
+
+test('getThresholdSeverity is Critical beyond a high critical limit', () => {
+  assert.equal(getThresholdSeverity(thresholds, 'max_temp', 33), 'Warning');
+  assert.equal(getThresholdSeverity(thresholds, 'max_temp', 35), 'Warning');
+  assert.equal(getThresholdSeverity(thresholds, 'max_temp', 35.1), 'Critical');
+});
+
+test('getThresholdSeverity is Critical below a low critical limit', () => {
+  assert.equal(getThresholdSeverity(thresholds, 'min_humidity', 18), 'Warning');
+  assert.equal(getThresholdSeverity(thresholds, 'min_humidity', 14), 'Critical');
+  // Readings can arrive as strings
+  assert.equal(getThresholdSeverity(thresholds, 'min_humidity', '14'), 'Critical');
+});
+
+test('getThresholdSeverity is Warning without a critical limit or a usable reading', () => {
+  assert.equal(getThresholdSeverity(thresholds, 'max_power_per_phase', 40), 'Warning');
+  assert.equal(getThresholdSeverity(thresholds, 'max_humidity', 95), 'Warning');
+  assert.equal(getThresholdSeverity(thresholds, 'max_temp', null), 'Warning');
+  assert.equal(getThresholdSeverity(thresholds, 'max_temp', 'n/a'), 'Warning');
+  assert.equal(getThresholdSeverity(null, 'max_temp', 50), 'Warning');
+});
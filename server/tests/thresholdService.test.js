@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveThresholds, findTierConflict } from '../services/thresholdService.js';
+
+const globalThresholds = {
+  min_temp: 18,
+  max_temp: 32,
+  min_humidity: 20,
+  max_humidity: 80,
+  max_power_single_phase: 16,
+  max_power_three_phase: 32
+};
+
+const target = { site: 'MAD', dc: 'DC1', rack: 'R01' };
+
+test('resolveThresholds uses the global limits when no override matches', () => {
+  const overrides = [
+    { scope: 'site', site: 'BCN', max_temp: 25 },
+    { scope: 'rack', rack_name: 'R02', max_temp: 20 }
+  ];
+
+  const resolved = resolveThresholds(globalThresholds, overrides, target);
+
+  assert.equal(resolved.scope, 'global');
+  assert.equal(resolved.max_temp, 32);
+});
+
+test('resolveThresholds applies site, DC and rack overrides field by field, narrowest last', () => {
+  // Listed narrowest first to check the order doesn't depend on the input
+  const overrides = [
+    { scope: 'rack', rack_name: 'R01', max_temp: 27, min_temp: null },
+    { scope: 'dc', site: 'MAD', dc: 'DC1', max_temp: 28, max_humidity: '70' },
+    { scope: 'site', site: 'MAD', max_temp: 30, min_temp: 16 }
+  ];
+
+  const resolved = resolveThresholds(globalThresholds, overrides, target);
+
+  assert.equal(resolved.scope, 'rack');
+  assert.equal(resolved.max_temp, 27);
+  // Not set on the rack, inherited from the site
+  assert.equal(resolved.min_temp, 16);
+  // DECIMAL columns can arrive as strings
+  assert.equal(resolved.max_humidity, 70);
+  assert.equal(resolved.max_power_three_phase, 32);
+});
+
+test('resolveThresholds only applies a DC override within its own site', () => {
+  const overrides = [{ scope: 'dc', site: 'BCN', dc: 'DC1', max_temp: 22 }];
+
+  const resolved = resolveThresholds(globalThresholds, overrides, target);
+
+  assert.equal(resolved.scope, 'global');
+  assert.equal(resolved.max_temp, 32);
+});
+
+test('resolveThresholds leaves the global thresholds untouched', () => {
+  const overrides = [{ scope: 'site', site: 'MAD', max_temp: 30 }];
+
+  resolveThresholds(globalThresholds, overrides, target);
+
+  assert.equal(globalThresholds.max_temp, 32);
+  assert.equal(globalThresholds.scope, undefined);
+});
+
+test('findTierConflict accepts critical limits beyond their warning limits', () => {
+  const limits = {
+    min_temp: 18,
+    critical_min_temp: 15,
+    max_temp: 32,
+    critical_max_temp: 35,
+    max_phase_imbalance: 20,
+    critical_max_phase_imbalance: 20
+  };
+
+  assert.equal(findTierConflict(limits), null);
+});
+
+test('findTierConflict rejects critical limits inside their warning limits', () => {
+  assert.equal(
+    findTierConflict({ min_humidity: 20, critical_min_humidity: 25 }),
+    'critical_min_humidity must be at most min_humidity'
+  );
+  // DECIMAL columns can arrive as strings
+  assert.equal(
+    findTierConflict({ max_temp: '32', critical_max_temp: '30' }),
+    'critical_max_temp must be at least max_temp'
+  );
+});
+
+test('findTierConflict skips pairs with either limit unset', () => {
+  const limits = {
+    max_temp: null,
+    critical_max_temp: 20,
+    min_temp: 18,
+    critical_min_temp: '',
+    max_power_per_phase: 16
+  };
+
+  assert.equal(findTierConflict(limits), null);
+});
@@ -365,6 +365,9 @@ const fetchAllPages = async (baseUrl, requestConfig, requestId, pageSize = 50) =
  * @param {boolean} options.useCircuitBreaker - Whether to use circuit breaker pattern (default: true)
  * @param {boolean} options.usePagination - Whether to use pagination for OData APIs (default: true)
  * @param {number} options.pageSize - Number of records per page for paginated requests (default: 50)
+ * @param {Object} options.headers - Extra request headers
+ * @param {string|null} options.authorization - Authorization header to send instead of the
+ *   API_KEY bearer token; null sends none
  * @returns {Promise<Object>} The API response data
  */
 export const fetchExternalAPI = async (url, source, options = {}) => {
@@ -383,6 +386,8 @@ export const fetchExternalAPI = async (url, source, options = {}) => {
     usePagination = true,
     pageSize = 50, // Reduced page size
     debug = false,
+    headers: extraHeaders = {},
+    authorization,
     ...axiosOptions
   } = options;
   
@@ -447,15 +452,17 @@ export const fetchExternalAPI = async (url, source, options = {}) => {
     }
     
     try {
-      // Get the API key from environment variables
-      const apiKey = process.env.API_KEY;
+      // Sources can bring their own credentials; otherwise use the API key
+      // from environment variables
+      const apiKey = authorization === undefined ? process.env.API_KEY : null;
       
       // Prepare the request configuration with Bearer token authentication
       const requestConfig = {
         headers: {
           'Content-Type': 'application/json',
           'Accept': 'application/json',
-          'X-Request-ID': requestId
+          'X-Request-ID': requestId,
+          ...extraHeaders
         },
         timeout: 30000, // Aumentado de 10000 a 30000 (30 segundos)
         validateStatus: status => {
@@ -466,7 +473,12 @@ export const fetchExternalAPI = async (url, source, options = {}) => {
       };
       
       // Add API key as Bearer token if available
-      if (apiKey) {
+      if (authorization) {
+        requestConfig.headers['Authorization'] = authorization;
+        logger.debug(`Added source authorization header for ${source}`, {
+          requestId
+        });
+      } else if (apiKey) {
         requestConfig.headers['Authorization'] = `Bearer ${apiKey}`;
         logger.debug(`Added Bearer authorization header for ${source}`, {
           requestId
@@ -917,10 +929,34 @@ export const getDataWithFallback = async (dbFunction, apiUrl, source, options =
   }
 };
 
+/**
+ * Build the headers for a reachability check
+ * @param {string} requestId - Request ID
+ * @param {Object} options - headers and authorization, as for fetchExternalAPI
+ * @returns {Object} Request headers
+ */
+const buildPingHeaders = (requestId, { headers: extraHeaders = {}, authorization } = {}) => {
+  const headers = {
+    'Accept': 'application/json',
+    'X-Request-ID': requestId,
+    ...extraHeaders
+  };
+
+  // Add the source's credentials, or the API key if available
+  const apiKey = process.env.API_KEY;
+  if (authorization) {
+    headers['Authorization'] = authorization;
+  } else if (authorization === undefined && apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  return headers;
+};
+
 /**
  * Check if an external API is reachable
  * @param {string} url - The API URL to check
- * @param {Object} options - Additional axios options
+ * @param {Object} options - Additional options (timeout, headers, authorization)
  * @returns {Promise<boolean>} True if API is reachable, false otherwise
  */
 export const isApiReachable = async (url, options = {}) => {
@@ -942,16 +978,7 @@ export const isApiReachable = async (url, options = {}) => {
   const startTime = Date.now();
   
   try {
-    const apiKey = process.env.API_KEY;
-    const headers = {
-      'Accept': 'application/json',
-      'X-Request-ID': requestId
-    };
-
-    // Add API key if available
-    if (apiKey) {
-      headers['Authorization'] = `Bearer ${apiKey}`;
-    }
+    const headers = buildPingHeaders(requestId, options);
     
     logger.debug(`Attempting HEAD request to ${url}`, { 
       requestId, 
@@ -986,16 +1013,7 @@ export const isApiReachable = async (url, options = {}) => {
     
     try {
       // If HEAD fails, some servers don't support it, so try GET as fallback
-      const apiKey = process.env.API_KEY;
-      const headers = {
-        'Accept': 'application/json',
-        'X-Request-ID': requestId
-      };
-
-      // Add API key if available
-      if (apiKey) {
-        headers['Authorization'] = `Bearer ${apiKey}`;
-      }
+      const headers = buildPingHeaders(requestId, options);
       
       logger.debug(`Attempting GET request to ${url}`, { 
         requestId, 
@@ -0,0 +1,92 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180 quoting) for inventory files
+ */
+
+// Text starting with one of these is run as a formula by spreadsheets, so
+// written cells get a leading apostrophe (and reading takes it off again)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Split CSV text into rows of cells. Quoted cells may hold delimiters,
+ * doubled quotes and line breaks. The delimiter is ';' when the first line
+ * has more semicolons than commas, as spreadsheets in some locales write.
+ * The apostrophe toCsv puts before formula-like text is removed.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows, without blank lines
+ */
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .filter(cells => cells.some(value => value.trim() !== ''))
+    .map(cells => cells.map(value => (value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value)));
+};
+
+/**
+ * Quote a value for CSV when it holds a delimiter, quote or line break.
+ * Text that a spreadsheet would run as a formula (=, +, -, @) is prefixed
+ * with an apostrophe; numbers are written as they are.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows of cells as CSV text
+ * @param {Array<Array<*>>} rows - Rows, the first one being the header
+ * @returns {string} CSV content with CRLF line breaks
+ */
+export const toCsv = (rows) => rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+
+export default {
+  parseCsv,
+  toCsv
+};
@@ -6,6 +6,22 @@ import fs from 'fs';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Keys whose values must never be written to logs (credentials and session tokens)
+const SENSITIVE_KEYS = new Set(['authorization', 'password', 'password_hash', 'token']);
+
+/**
+ * JSON.stringify replacer helper that masks credentials and session tokens
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} '[REDACTED]' for sensitive keys, otherwise the value unchanged
+ */
+export const redactSensitive = (key, value) => {
+  if (typeof key === 'string' && SENSITIVE_KEYS.has(key.toLowerCase()) && value) {
+    return '[REDACTED]';
+  }
+  return value;
+};
+
 export const setupLogger = () => {
   // Create logs directory if it doesn't exist
   const logDir = join(__dirname, '../../logs');
@@ -26,6 +42,8 @@ export const setupLogger = () => {
             return '[skipped]';
           }
           
+          value = redactSensitive(key, value);
+          
           // Handle circular references and function objects
           if (typeof value === 'object' && value !== null) {
             if (seen.has(value)) {
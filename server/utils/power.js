@@ -0,0 +1,121 @@
+/**
+ * Per-phase power helpers shared by reading storage and threshold checks, and
+ * the PDU power failure flag
+ */
+
+export const PHASES = ['L1', 'L2', 'L3'];
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const numeric = parseFloat(value);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+/**
+ * Current drawn on one phase. The PDU feeds report volts, watts, VA and power
+ * factor per phase, so the current is derived from them when the feed does
+ * not report it directly: I = VA / V, or I = W / (V * PF)
+ * @param {Object} reading - Rack or sensor object from the APIs
+ * @param {string} phase - L1, L2 or L3
+ * @returns {number|null} Current in amps, or null when it can't be worked out
+ */
+export const getPhaseCurrent = (reading, phase) => {
+  const direct = toNumber(reading[`${phase}_AMPS`] ?? reading[`${phase}_CURRENT`]);
+  if (direct !== null) {
+    return direct;
+  }
+
+  const volts = toNumber(reading[`${phase}_VOLTS`]);
+  if (!volts) {
+    return null;
+  }
+
+  const va = toNumber(reading[`${phase}_VA`]);
+  if (va !== null) {
+    return Math.round((va / volts) * 100) / 100;
+  }
+
+  const watts = toNumber(reading[`${phase}_WATTS`]);
+  const pf = toNumber(reading[`${phase}_PF`]);
+  if (watts !== null && pf) {
+    return Math.round((watts / (volts * pf)) * 100) / 100;
+  }
+
+  return null;
+};
+
+/**
+ * Voltage on one phase
+ * @param {Object} reading - Rack or sensor object from the APIs
+ * @param {string} phase - L1, L2 or L3
+ * @returns {number|null} Voltage, or null when not reported
+ */
+export const getPhaseVoltage = (reading, phase) => toNumber(reading[`${phase}_VOLTS`]);
+
+/**
+ * Current on every phase, taken from the first reading that reports it
+ * @param {...Object} readings - Rack or sensor objects, in order of preference
+ * @returns {Object} { L1, L2, L3 } in amps (null where unknown)
+ */
+export const getPhaseCurrents = (...readings) =>
+  Object.fromEntries(PHASES.map(phase => [
+    phase,
+    readings.reduce((current, reading) => current ?? (reading ? getPhaseCurrent(reading, phase) : null), null)
+  ]));
+
+/**
+ * Spread between the most and least loaded phase, as a percentage of the
+ * average phase current. Needs all three phases.
+ * @param {Object} currents - { L1, L2, L3 } in amps
+ * @param {number} minAverage - Below this average current the rack is
+ *   considered too lightly loaded for the percentage to be meaningful
+ * @returns {number|null} Imbalance percentage, or null when not computable
+ */
+export const getPhaseImbalance = (currents, minAverage = 0) => {
+  const values = PHASES.map(phase => currents[phase]);
+  if (values.some(value => value === null || value === undefined)) {
+    return null;
+  }
+
+  const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (average <= 0 || average < minAverage) {
+    return null;
+  }
+
+  return Math.round(((Math.max(...values) - Math.min(...values)) / average) * 1000) / 10;
+};
+
+/**
+ * Power failure indicator reported by a PDU feed. Feeds report it as a flag
+ * or as a count of failed inputs, so any positive number counts as a failure
+ * @param {*} value - POWER_FAIL value from the feed
+ * @returns {boolean|null} True on failure, false when OK, null when not reported
+ */
+export const isPowerFailure = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'fail', 'failed'].includes(text)) {
+    return true;
+  }
+  if (['false', 'no', 'ok'].includes(text)) {
+    return false;
+  }
+  const numeric = Number(text);
+  return Number.isFinite(numeric) ? numeric > 0 : null;
+};
+
+export default {
+  PHASES,
+  getPhaseCurrent,
+  getPhaseVoltage,
+  getPhaseCurrents,
+  getPhaseImbalance,
+  isPowerFailure
+};
@@ -0,0 +1,140 @@
+/**
+ * Timers for background jobs that run on an interval or a cron expression
+ */
+import cronParser from 'cron-parser';
+import { setupLogger } from './logger.js';
+
+const logger = setupLogger();
+
+export const SCHEDULE_MODES = ['interval', 'cron'];
+
+// Shortest interval accepted for a cadence
+export const MIN_INTERVAL_MS = 10000;
+// Longest interval accepted for a cadence (one week)
+export const MAX_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// setTimeout can't wait longer than this, so longer waits are split
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a cadence, returning an error message or null
+ * @param {Object} cadence - { mode: 'interval'|'cron', intervalMs, cron }
+ * @param {string} label - Name of the cadence for the message
+ * @returns {string|null} Error message
+ */
+export const validateCadence = (cadence, label = 'cadence') => {
+  if (!cadence || !SCHEDULE_MODES.includes(cadence.mode)) {
+    return `${label} mode must be one of: ${SCHEDULE_MODES.join(', ')}`;
+  }
+
+  if (cadence.mode === 'interval') {
+    const intervalMs = Number(cadence.intervalMs);
+    if (!Number.isInteger(intervalMs) || intervalMs < MIN_INTERVAL_MS || intervalMs > MAX_INTERVAL_MS) {
+      return `${label} interval must be between ${MIN_INTERVAL_MS / 1000} seconds and ${MAX_INTERVAL_MS / 86400000} days`;
+    }
+    return null;
+  }
+
+  const fields = String(cadence.cron || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    return `${label} cron expression must have five fields: minute hour day-of-month month day-of-week`;
+  }
+  try {
+    cronParser.parseExpression(cadence.cron);
+  } catch (error) {
+    return `${label} cron expression is invalid: ${error.message}`;
+  }
+  return null;
+};
+
+/**
+ * Work out when a cadence runs next
+ * @param {Object} cadence - { mode, intervalMs, cron }
+ * @param {Date} from - Previous run time, or now for the first run
+ * @returns {Date} Next run time, never in the past
+ */
+export const getNextRunTime = (cadence, from = new Date()) => {
+  const now = Date.now();
+  if (cadence.mode === 'cron') {
+    const expression = cronParser.parseExpression(cadence.cron, {
+      currentDate: new Date(Math.max(from.getTime(), now))
+    });
+    return expression.next().toDate();
+  }
+  return new Date(Math.max(from.getTime() + Number(cadence.intervalMs), now));
+};
+
+/**
+ * Describe a cadence for logs, e.g. "every 300s" or "cron 0 * * * *"
+ * @param {Object} cadence - { mode, intervalMs, cron }
+ * @returns {string} Description
+ */
+export const describeCadence = (cadence) =>
+  cadence.mode === 'cron' ? `cron ${cadence.cron}` : `every ${Number(cadence.intervalMs) / 1000}s`;
+
+/**
+ * Run a job on a cadence until it is cancelled. The next run is planned
+ * from the time the previous one was due, so slow runs don't make the
+ * schedule drift; the job itself must deal with runs that overlap.
+ * @param {string} name - Job name for logging
+ * @param {Object} cadence - { mode, intervalMs, cron }
+ * @param {Function} run - Called on every run; may return a promise
+ * @returns {{cancel: Function, getNextRunAt: Function}} Job handle
+ */
+export const scheduleJob = (name, cadence, run) => {
+  let timer = null;
+  let nextRunAt = null;
+  let cancelled = false;
+
+  const arm = () => {
+    const delay = Math.min(Math.max(nextRunAt.getTime() - Date.now(), 0), MAX_TIMER_DELAY);
+    timer = setTimeout(fire, delay);
+  };
+
+  const fire = () => {
+    timer = null;
+    if (cancelled) {
+      return;
+    }
+    // Long waits are split into several timers
+    if (nextRunAt.getTime() > Date.now()) {
+      arm();
+      return;
+    }
+
+    const dueAt = nextRunAt;
+    nextRunAt = getNextRunTime(cadence, dueAt);
+    arm();
+
+    Promise.resolve()
+      .then(run)
+      .catch(error => {
+        logger.error(`Scheduled job ${name} failed: ${error.message}`, { stack: error.stack });
+      });
+  };
+
+  nextRunAt = getNextRunTime(cadence, new Date());
+  arm();
+  logger.info(`Scheduled job ${name} ${describeCadence(cadence)}, next run at ${nextRunAt.toISOString()}`);
+
+  return {
+    cancel() {
+      cancelled = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+    getNextRunAt: () => (cancelled ? null : nextRunAt)
+  };
+};
+
+export default {
+  SCHEDULE_MODES,
+  MIN_INTERVAL_MS,
+  MAX_INTERVAL_MS,
+  validateCadence,
+  getNextRunTime,
+  describeCadence,
+  scheduleJob
+};
@@ -0,0 +1,38 @@
+/**
+ * Problem severity helpers shared by the monitoring service and notifications
+ */
+
+// Higher rank means more severe
+export const SEVERITY_RANK = {
+  Warning: 1,
+  Critical: 2
+};
+
+export const SEVERITIES = Object.keys(SEVERITY_RANK);
+
+/**
+ * Work out a problem's severity from the threshold tiers. Crossing a warning
+ * limit opens the problem; it is Critical once the reading is also beyond the
+ * matching critical_* limit
+ * @param {Object} thresholds - Effective thresholds for the rack
+ * @param {string} limitField - Warning limit crossed, e.g. 'max_temp' or 'min_humidity'
+ * @param {number} reading - Numeric reading
+ * @returns {string} Critical or Warning
+ */
+export const getThresholdSeverity = (thresholds, limitField, reading) => {
+  const critical = thresholds?.[`critical_${limitField}`];
+  if (critical === null || critical === undefined || reading === null || !Number.isFinite(Number(reading))) {
+    return 'Warning';
+  }
+
+  const isBeyond = limitField.startsWith('min_')
+    ? Number(reading) < Number(critical)
+    : Number(reading) > Number(critical);
+  return isBeyond ? 'Critical' : 'Warning';
+};
+
+export default {
+  SEVERITY_RANK,
+  SEVERITIES,
+  getThresholdSeverity
+};
@@ -6,6 +6,7 @@ import { DebugProvider } from './context/DebugContext';
 import LoginForm from './components/LoginForm';
 import LandingPage from './pages/LandingPage';
 import RacksPage from './pages/RacksPage';
+import RackDetailPage from './pages/RackDetailPage';
 import DashboardPage from './pages/DashboardPage';
 import ProblemsPage from './pages/ProblemsPage';
 import ConfigurationPage from './pages/ConfigurationPage';
@@ -14,7 +15,12 @@ import ServerPage from './pages/ServerPage';
 
 // Auth guard component
 const RequireAuth: React.FC<{ children: React.ReactNode }> = ({ children }) => {
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, isLoading } = useAuth();
+  
+  // Wait for a stored session to be restored before redirecting
+  if (isLoading) {
+    return null;
+  }
   
   if (!isAuthenticated && window.location.pathname !== '/') {
     return <Navigate to="/login" replace />;
@@ -45,6 +51,12 @@ const AppRoutes = () => {
         </RequireAuth>
       } />
       
+      <Route path="/racks/:name" element={
+        <RequireAuth>
+          <RackDetailPage />
+        </RequireAuth>
+      } />
+      
       <Route path="/problems" element={
         <RequireAuth>
           <ProblemsPage />
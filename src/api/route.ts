@@ -5,6 +5,8 @@ interface RouteRequest {
   method: string;
   headers?: Record<string, string>;
   body?: any;
+  // 'blob' for file downloads; JSON otherwise
+  responseType?: AxiosRequestConfig['responseType'];
 }
 
 // For logging outside components
@@ -14,13 +16,37 @@ export const setApiLogFunction = (logFn: (log: any) => void) => {
   addApiLog = logFn;
 };
 
+// Fields never written to the console or the debug panel: passwords sent by
+// the login and user calls, and the session token the login returns
+const SENSITIVE_FIELDS = ['password', 'currentPassword', 'newPassword', 'token'];
+
+const redactSensitive = (value: unknown): unknown => {
+  if (Array.isArray(value)) {
+    return value.map(redactSensitive);
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      SENSITIVE_FIELDS.includes(key) ? '[REDACTED]' : redactSensitive(entry)
+    ]));
+  }
+  return value;
+};
+
+// Session token for calls to the local server
+let authToken: string | null = null;
+
+export const setAuthToken = (token: string | null) => {
+  authToken = token;
+};
+
 export async function routeRequest(request: RouteRequest) {
   const startTime = Date.now();
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
 
   try {
     // Always add debug headers for better troubleshooting
-    const augmentedHeaders = {
+    const augmentedHeaders: Record<string, string> = {
       ...request.headers,
       'Content-Type': 'application/json',
       'Accept': 'application/json',
@@ -34,22 +60,28 @@ export async function routeRequest(request: RouteRequest) {
                             (import.meta.env.VITE_LOCAL_SERVER_URL && 
                              request.destination.includes(import.meta.env.VITE_LOCAL_SERVER_URL));
 
-    // Only add Authorization header for external APIs
+    // External APIs use the API key, the local server uses the session token
     if (!isLocalServerCall) {
       const apiKey = import.meta.env.VITE_API_KEY;
       if (apiKey) {
         augmentedHeaders['Authorization'] = `Bearer ${apiKey}`;
         console.log(`Adding authorization header for external API call to: ${request.destination}`);
       }
+    } else if (authToken) {
+      augmentedHeaders['Authorization'] = `Bearer ${authToken}`;
+      console.log(`Adding session authorization header for local server call: ${request.destination}`);
     } else {
       console.log(`Skipping authorization header for local server call: ${request.destination}`);
     }
 
+    const loggedBody = redactSensitive(request.body);
+
     const config: AxiosRequestConfig = {
       method: request.method,
       url: request.destination,
       headers: augmentedHeaders,
       data: request.body,
+      responseType: request.responseType,
       timeout: 30000, // Aumentado de 15000 a 30000 (30 segundos)
     };
 
@@ -62,7 +94,7 @@ export async function routeRequest(request: RouteRequest) {
       url: request.destination,
       isLocalServer: isLocalServerCall,
       headers: {...augmentedHeaders, 'Authorization': augmentedHeaders['Authorization'] ? '[REDACTED]' : undefined},
-      body: request.body
+      body: loggedBody
     });
     console.groupEnd();
 
@@ -75,7 +107,7 @@ export async function routeRequest(request: RouteRequest) {
       url: request.destination,
       isLocalServer: isLocalServerCall,
       headers: {...augmentedHeaders, 'Authorization': augmentedHeaders['Authorization'] ? '[REDACTED]' : undefined},
-      body: request.body
+      body: loggedBody
     };
 
     // This will help debug HTTP interactions
@@ -84,6 +116,7 @@ export async function routeRequest(request: RouteRequest) {
     const response = await axios(config);
     
     const responseTime = Date.now() - startTime;
+    const loggedData = redactSensitive(response.data);
     
     console.group(`🔶 API Response [${requestId}]`);
     console.log('Response details:', {
@@ -96,7 +129,7 @@ export async function routeRequest(request: RouteRequest) {
       headers: response.headers,
       responseTime: `${responseTime}ms`
     });
-    console.log('Response data:', response.data);
+    console.log('Response data:', loggedData);
     console.groupEnd();
 
     // Log the full response with all details for debugging
@@ -109,7 +142,7 @@ export async function routeRequest(request: RouteRequest) {
       status: response.status,
       statusText: response.statusText,
       headers: response.headers,
-      data: response.data,
+      data: loggedData,
       responseTime
     };
 
@@ -124,9 +157,9 @@ export async function routeRequest(request: RouteRequest) {
       method: request.method,
       status: response.status,
       responseTime,
-      requestBody: request.body,
+      requestBody: redactSensitive(request.body),
       requestHeaders: {...augmentedHeaders, 'Authorization': augmentedHeaders['Authorization'] ? '[REDACTED]' : undefined},
-      responseBody: response.data,
+      responseBody: loggedData,
       responseHeaders: response.headers
     };
 
@@ -154,14 +187,14 @@ export async function routeRequest(request: RouteRequest) {
       timestamp: new Date().toISOString(),
       url: request.destination,
       method: request.method,
-      body: request.body,
+      body: redactSensitive(request.body),
       error: axios.isAxiosError(error) 
         ? {
             message: error.message,
             code: error.code,
             status: error.response?.status,
             statusText: error.response?.statusText,
-            data: error.response?.data
+            data: redactSensitive(error.response?.data)
           }
         : String(error)
     });
@@ -180,7 +213,7 @@ export async function routeRequest(request: RouteRequest) {
           headers: error.config?.headers ? 
             {...error.config.headers, Authorization: error.config.headers.Authorization ? '[REDACTED]' : undefined} : 
             undefined,
-          data: error.config?.data
+          data: redactSensitive(request.body)
         });
       }
       
@@ -189,7 +222,7 @@ export async function routeRequest(request: RouteRequest) {
           status: error.response.status,
           statusText: error.response.statusText,
           headers: error.response.headers,
-          data: error.response.data
+          data: redactSensitive(error.response.data)
         });
       }
       console.groupEnd();
@@ -203,7 +236,7 @@ export async function routeRequest(request: RouteRequest) {
       method: request.method,
       status: axios.isAxiosError(error) && error.response ? error.response.status : 0,
       responseTime,
-      requestBody: request.body,
+      requestBody: redactSensitive(request.body),
       requestHeaders: request.headers ? 
         {...request.headers, Authorization: request.headers.Authorization ? '[REDACTED]' : undefined} : 
         undefined,
@@ -213,7 +246,7 @@ export async function routeRequest(request: RouteRequest) {
             code: error.code,
             status: error.response?.status,
             statusText: error.response?.statusText,
-            data: error.response?.data,
+            data: redactSensitive(error.response?.data),
             requestHeaders: error.config?.headers ? 
               {...error.config.headers, Authorization: error.config.headers.Authorization ? '[REDACTED]' : undefined} : 
               undefined
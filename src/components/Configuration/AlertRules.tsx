@@ -0,0 +1,457 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Timer, Plus, Pencil, Trash2, RefreshCw, AlertCircle, Check, X } from 'lucide-react';
+import { AlertRule, AlertRuleKind, AlertRuleMetric } from '../../types';
+import { fetchAlertRules, createAlertRule, updateAlertRule, deleteAlertRule } from '../../services/api';
+
+const KINDS: { value: AlertRuleKind; label: string; help: string }[] = [
+  { value: 'sustained', label: 'Sostenida', help: 'El umbral debe superarse durante N ciclos consecutivos o M minutos antes de abrir el problema' },
+  { value: 'rate', label: 'Tasa de cambio', help: 'Abre un problema si la lectura sube o baja más del delta en la ventana indicada' },
+  { value: 'stale', label: 'Datos obsoletos', help: 'Abre un problema si un rack deja de reportar la métrica durante la ventana indicada' }
+];
+
+const METRICS: { value: AlertRuleMetric; label: string; unit: string }[] = [
+  { value: 'Temperature', label: 'Temperatura', unit: '°C' },
+  { value: 'Humidity', label: 'Humedad', unit: '%' },
+  { value: 'Power', label: 'Corriente', unit: 'A' },
+  { value: 'PhaseImbalance', label: 'Desbalance de fases', unit: '%' }
+];
+
+interface RuleForm {
+  id: string | null;
+  name: string;
+  kind: AlertRuleKind;
+  metric: AlertRuleMetric;
+  enabled: boolean;
+  // Las reglas sostenidas cuentan ciclos o minutos
+  sustainedBy: 'cycles' | 'minutes';
+  cycles: string;
+  minutes: string;
+  delta: string;
+  direction: 'rise' | 'fall';
+  description: string;
+}
+
+const emptyForm = (): RuleForm => ({
+  id: null,
+  name: '',
+  kind: 'sustained',
+  metric: 'Temperature',
+  enabled: true,
+  sustainedBy: 'cycles',
+  cycles: '3',
+  minutes: '',
+  delta: '',
+  direction: 'rise',
+  description: ''
+});
+
+const inputClass = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+
+const metricOf = (metric: AlertRuleMetric) => METRICS.find(item => item.value === metric);
+
+const describeCondition = (rule: AlertRule) => {
+  if (rule.kind === 'sustained') {
+    return rule.cycles !== null ? `${rule.cycles} ciclos consecutivos` : `${rule.minutes} min`;
+  }
+  if (rule.kind === 'rate') {
+    return `${rule.direction === 'rise' ? 'Sube' : 'Baja'} más de ${rule.delta}${metricOf(rule.metric)?.unit} en ${rule.minutes} min`;
+  }
+  return `Sin lecturas durante ${rule.minutes} min`;
+};
+
+/**
+ * Reglas de alerta que se evalúan sobre los umbrales: violaciones sostenidas,
+ * tasa de cambio y datos obsoletos. Los problemas que abren indican la regla.
+ */
+const AlertRules: React.FC = () => {
+  const [rules, setRules] = useState<AlertRule[]>([]);
+  const [form, setForm] = useState<RuleForm | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadRules = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetchAlertRules();
+      setRules(response.data || []);
+    } catch (err) {
+      console.error('Error loading alert rules:', err);
+      setError('No se pudieron cargar las reglas de alerta');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const startEdit = (rule: AlertRule) => {
+    setForm({
+      id: rule.id,
+      name: rule.name,
+      kind: rule.kind,
+      metric: rule.metric,
+      enabled: rule.enabled,
+      sustainedBy: rule.kind === 'sustained' && rule.cycles === null ? 'minutes' : 'cycles',
+      cycles: rule.cycles === null ? '' : String(rule.cycles),
+      minutes: rule.minutes === null ? '' : String(rule.minutes),
+      delta: rule.delta === null ? '' : String(rule.delta),
+      direction: rule.direction || 'rise',
+      description: rule.description || ''
+    });
+    setMessage(null);
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+
+    setError(null);
+    setMessage(null);
+
+    const usesCycles = form.kind === 'sustained' && form.sustainedBy === 'cycles';
+    const rule: Partial<AlertRule> = {
+      name: form.name,
+      kind: form.kind,
+      metric: form.metric,
+      enabled: form.enabled,
+      cycles: usesCycles && form.cycles !== '' ? Number(form.cycles) : null,
+      minutes: !usesCycles && form.minutes !== '' ? Number(form.minutes) : null,
+      delta: form.kind === 'rate' && form.delta !== '' ? Number(form.delta) : null,
+      direction: form.kind === 'rate' ? form.direction : null,
+      description: form.description
+    };
+
+    setSaving(true);
+    try {
+      const response = form.id
+        ? await updateAlertRule(form.id, rule)
+        : await createAlertRule(rule);
+
+      if (response.status === 'Success') {
+        setMessage(form.id ? 'Regla actualizada' : 'Regla creada');
+        setForm(null);
+        await loadRules();
+      } else {
+        setError(response.message || 'Error guardando la regla');
+      }
+    } catch (err) {
+      console.error('Error saving alert rule:', err);
+      setError('Error guardando la regla. Revise los campos e intente nuevamente; solo puede haber una regla activa de cada tipo por métrica.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule: AlertRule) => {
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await updateAlertRule(rule.id, { ...rule, enabled: !rule.enabled });
+      if (response.status === 'Success') {
+        setMessage(rule.enabled ? 'Regla desactivada' : 'Regla activada');
+        await loadRules();
+      } else {
+        setError(response.message || 'Error actualizando la regla');
+      }
+    } catch (err) {
+      console.error('Error toggling alert rule:', err);
+      setError('Error actualizando la regla; puede que ya exista otra regla activa del mismo tipo para la métrica');
+    }
+  };
+
+  const handleDelete = async (rule: AlertRule) => {
+    if (!window.confirm(`¿Eliminar la regla "${rule.name}"? Los problemas abiertos por ella se conservan.`)) {
+      return;
+    }
+
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await deleteAlertRule(rule.id);
+      if (response.status === 'Success') {
+        setMessage('Regla eliminada');
+        await loadRules();
+      } else {
+        setError(response.message || 'Error eliminando la regla');
+      }
+    } catch (err) {
+      console.error('Error deleting alert rule:', err);
+      setError('Error eliminando la regla');
+    }
+  };
+
+  // Las reglas de tasa y de datos obsoletos leen las lecturas guardadas, que no incluyen el desbalance
+  const availableMetrics = form && form.kind !== 'sustained'
+    ? METRICS.filter(metric => metric.value !== 'PhaseImbalance')
+    : METRICS;
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg border border-gray-200 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <div className="p-2 rounded-md bg-indigo-50 text-indigo-600 mr-3">
+            <Timer size={20} />
+          </div>
+          <div>
+            <h3 className="font-medium">Reglas de Alerta</h3>
+            <p className="text-sm text-gray-500">
+              Evitan alertas por una sola lectura ruidosa y detectan cambios bruscos o racks que dejan de reportar.
+            </p>
+          </div>
+        </div>
+        {!form && (
+          <button
+            onClick={() => { setForm(emptyForm()); setMessage(null); setError(null); }}
+            className="flex items-center px-3 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700"
+          >
+            <Plus size={16} className="mr-1" />
+            Nueva
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 text-red-700 p-3 rounded-md mb-4 flex items-center">
+          <AlertCircle size={18} className="mr-2" />
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-50 text-green-700 p-3 rounded-md mb-4 flex items-center">
+          <Check size={18} className="mr-2" />
+          {message}
+        </div>
+      )}
+
+      {form && (
+        <div className="bg-white p-4 rounded-md border border-gray-200 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <div>
+              <label className="block text-sm text-gray-700 mb-1">Nombre</label>
+              <input
+                type="text"
+                className={inputClass}
+                value={form.name}
+                maxLength={100}
+                placeholder="Ej. Temperatura sostenida"
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-700 mb-1">Tipo</label>
+              <select
+                className={inputClass}
+                value={form.kind}
+                onChange={(e) => {
+                  const kind = e.target.value as AlertRuleKind;
+                  setForm({
+                    ...form,
+                    kind,
+                    metric: kind !== 'sustained' && form.metric === 'PhaseImbalance' ? 'Temperature' : form.metric
+                  });
+                }}
+              >
+                {KINDS.map(kind => (
+                  <option key={kind.value} value={kind.value}>{kind.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm text-gray-700 mb-1">Métrica</label>
+              <select
+                className={inputClass}
+                value={form.metric}
+                onChange={(e) => setForm({ ...form, metric: e.target.value as AlertRuleMetric })}
+              >
+                {availableMetrics.map(metric => (
+                  <option key={metric.value} value={metric.value}>{metric.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="mr-2 rounded border-gray-300 text-indigo-600"
+                  checked={form.enabled}
+                  onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                />
+                Activa
+              </label>
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-500 mb-4">{KINDS.find(kind => kind.value === form.kind)?.help}</p>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            {form.kind === 'sustained' && (
+              <>
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Duración por</label>
+                  <select
+                    className={inputClass}
+                    value={form.sustainedBy}
+                    onChange={(e) => setForm({ ...form, sustainedBy: e.target.value as 'cycles' | 'minutes' })}
+                  >
+                    <option value="cycles">Ciclos consecutivos</option>
+                    <option value="minutes">Minutos</option>
+                  </select>
+                </div>
+                {form.sustainedBy === 'cycles' ? (
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Ciclos</label>
+                    <input
+                      type="number"
+                      min={1}
+                      className={inputClass}
+                      value={form.cycles}
+                      onChange={(e) => setForm({ ...form, cycles: e.target.value })}
+                    />
+                  </div>
+                ) : (
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Minutos</label>
+                    <input
+                      type="number"
+                      min={1}
+                      className={inputClass}
+                      value={form.minutes}
+                      onChange={(e) => setForm({ ...form, minutes: e.target.value })}
+                    />
+                  </div>
+                )}
+              </>
+            )}
+            {form.kind === 'rate' && (
+              <>
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Dirección</label>
+                  <select
+                    className={inputClass}
+                    value={form.direction}
+                    onChange={(e) => setForm({ ...form, direction: e.target.value as 'rise' | 'fall' })}
+                  >
+                    <option value="rise">Sube</option>
+                    <option value="fall">Baja</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Delta ({metricOf(form.metric)?.unit})</label>
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.1"
+                    className={inputClass}
+                    value={form.delta}
+                    onChange={(e) => setForm({ ...form, delta: e.target.value })}
+                  />
+                </div>
+              </>
+            )}
+            {form.kind !== 'sustained' && (
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Ventana (minutos)</label>
+                <input
+                  type="number"
+                  min={1}
+                  className={inputClass}
+                  value={form.minutes}
+                  onChange={(e) => setForm({ ...form, minutes: e.target.value })}
+                />
+              </div>
+            )}
+            <div className={form.kind === 'stale' ? 'md:col-span-3' : 'md:col-span-2'}>
+              <label className="block text-sm text-gray-700 mb-1">Descripción</label>
+              <input
+                type="text"
+                className={inputClass}
+                value={form.description}
+                maxLength={255}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => setForm(null)}
+              className="flex items-center px-3 py-2 border border-gray-300 text-sm rounded-md hover:bg-gray-50"
+            >
+              <X size={16} className="mr-1" />
+              Cancelar
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center px-3 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saving ? <RefreshCw size={16} className="mr-1 animate-spin" /> : <Check size={16} className="mr-1" />}
+              Guardar
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium text-gray-600">Regla</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-600">Tipo</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-600">Métrica</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-600">Condición</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-600">Estado</th>
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rules.map(rule => (
+              <tr key={rule.id}>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  <div className="font-medium">{rule.name}</div>
+                  {rule.description && <div className="text-xs text-gray-500">{rule.description}</div>}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  {KINDS.find(kind => kind.value === rule.kind)?.label}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">{metricOf(rule.metric)?.label}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{describeCondition(rule)}</td>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  <button
+                    onClick={() => handleToggle(rule)}
+                    className={`px-2 py-0.5 rounded-full text-xs font-medium ${rule.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}
+                    title={rule.enabled ? 'Desactivar' : 'Activar'}
+                  >
+                    {rule.enabled ? 'Activa' : 'Inactiva'}
+                  </button>
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap text-right">
+                  <button onClick={() => startEdit(rule)} className="text-indigo-600 hover:text-indigo-800 mr-3" title="Editar">
+                    <Pencil size={16} />
+                  </button>
+                  <button onClick={() => handleDelete(rule)} className="text-red-600 hover:text-red-800" title="Eliminar">
+                    <Trash2 size={16} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {rules.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-3 py-6 text-center text-gray-500">
+                  {loading ? 'Cargando...' : 'No hay reglas; cada lectura fuera de umbral abre un problema de inmediato'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AlertRules;
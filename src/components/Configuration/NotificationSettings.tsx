@@ -0,0 +1,344 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bell, Mail, Webhook, Send, RefreshCw, AlertCircle, Check } from 'lucide-react';
+import { NotificationChannel, NotificationChannelConfig, NotificationChannelSettings, NotificationDelivery, NotificationEvent, ProblemSeverity } from '../../types';
+import { fetchNotificationSettings, updateNotificationSettings, sendTestNotification, fetchNotificationLog } from '../../services/api';
+
+const SEVERITIES: ProblemSeverity[] = ['Critical', 'Warning'];
+const EVENTS: { value: NotificationEvent; label: string }[] = [
+  { value: 'opened', label: 'Problema abierto' },
+  { value: 'escalated', label: 'Problema escalado' },
+  { value: 'resolved', label: 'Problema resuelto' }
+];
+
+const CHANNEL_INFO: Record<NotificationChannel, { title: string; description: string; icon: React.ReactNode }> = {
+  email: {
+    title: 'Notificaciones por Email',
+    description: 'Enviar alertas por correo electrónico (SMTP)',
+    icon: <Mail size={20} />
+  },
+  webhook: {
+    title: 'Webhook HTTP',
+    description: 'Enviar alertas como JSON a una URL (POST)',
+    icon: <Webhook size={20} />
+  }
+};
+
+const inputClass = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+
+const toggleInList = <T,>(list: T[], value: T): T[] =>
+  list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
+const NotificationSettings: React.FC = () => {
+  const [channels, setChannels] = useState<NotificationChannelSettings[]>([]);
+  const [headersText, setHeadersText] = useState('{}');
+  const [deliveries, setDeliveries] = useState<NotificationDelivery[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [busyChannel, setBusyChannel] = useState<NotificationChannel | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadSettings = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [settingsResponse, logResponse] = await Promise.all([fetchNotificationSettings(), fetchNotificationLog()]);
+      const loaded = settingsResponse.data || [];
+      setChannels(loaded);
+      setDeliveries(logResponse.data || []);
+
+      const webhook = loaded.find(channel => channel.channel === 'webhook');
+      setHeadersText(JSON.stringify(webhook?.config.headers || {}, null, 2));
+    } catch (err) {
+      console.error('Error loading notification settings:', err);
+      setError('No se pudo cargar la configuración de notificaciones');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const updateChannel = (channel: NotificationChannel, changes: Partial<NotificationChannelSettings>) => {
+    setChannels(prev => prev.map(entry => entry.channel === channel ? { ...entry, ...changes } : entry));
+  };
+
+  const updateConfig = (channel: NotificationChannel, key: keyof NotificationChannelConfig, value: string | number | boolean) => {
+    setChannels(prev => prev.map(entry =>
+      entry.channel === channel ? { ...entry, config: { ...entry.config, [key]: value } } : entry
+    ));
+  };
+
+  const handleSave = async (settings: NotificationChannelSettings) => {
+    setError(null);
+    setMessage(null);
+
+    let config = settings.config;
+    if (settings.channel === 'webhook') {
+      try {
+        config = { ...config, headers: JSON.parse(headersText || '{}') };
+      } catch {
+        setError('Las cabeceras del webhook deben ser un objeto JSON válido');
+        return;
+      }
+    }
+
+    setBusyChannel(settings.channel);
+    try {
+      const response = await updateNotificationSettings({ ...settings, config });
+      if (response.status === 'Success' && response.data) {
+        updateChannel(settings.channel, response.data);
+        setMessage(`${CHANNEL_INFO[settings.channel].title}: configuración guardada`);
+      } else {
+        setError(response.message || 'Error guardando la configuración');
+      }
+    } catch (err) {
+      console.error('Error saving notification settings:', err);
+      setError('Error guardando la configuración. Revise los campos e intente nuevamente.');
+    } finally {
+      setBusyChannel(null);
+    }
+  };
+
+  const handleTest = async (channel: NotificationChannel) => {
+    setError(null);
+    setMessage(null);
+    setBusyChannel(channel);
+    try {
+      const response = await sendTestNotification(channel);
+      if (response.status === 'Success') {
+        setMessage(`${CHANNEL_INFO[channel].title}: notificación de prueba enviada`);
+      } else {
+        setError(response.message || 'La notificación de prueba falló');
+      }
+    } catch (err) {
+      console.error('Error sending test notification:', err);
+      setError('La notificación de prueba falló. Guarde la configuración y revise el registro de envíos.');
+    } finally {
+      setBusyChannel(null);
+      const logResponse = await fetchNotificationLog().catch(() => null);
+      if (logResponse) {
+        setDeliveries(logResponse.data || []);
+      }
+    }
+  };
+
+  if (loading && channels.length === 0) {
+    return (
+      <div className="text-center p-4">
+        <RefreshCw size={24} className="animate-spin mx-auto mb-2 text-indigo-500" />
+        <p>Cargando configuración de notificaciones...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="bg-red-50 text-red-700 p-4 rounded-md flex items-center">
+          <AlertCircle size={18} className="mr-2" />
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-50 text-green-700 p-4 rounded-md flex items-center">
+          <Check size={18} className="mr-2" />
+          {message}
+        </div>
+      )}
+
+      {channels.map(settings => (
+        <div key={settings.channel} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center">
+              <div className="p-2 rounded-md bg-purple-50 text-purple-600 mr-3">
+                {CHANNEL_INFO[settings.channel].icon}
+              </div>
+              <div>
+                <h3 className="font-medium">{CHANNEL_INFO[settings.channel].title}</h3>
+                <p className="text-sm text-gray-500">{CHANNEL_INFO[settings.channel].description}</p>
+              </div>
+            </div>
+            <label className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={settings.enabled}
+                onChange={(e) => updateChannel(settings.channel, { enabled: e.target.checked })}
+              />
+              Activado
+            </label>
+          </div>
+
+          {settings.channel === 'email' ? (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              <div className="md:col-span-2">
+                <label className="block text-sm text-gray-700 mb-1">Servidor SMTP</label>
+                <input type="text" className={inputClass} value={settings.config.host || ''}
+                  onChange={(e) => updateConfig('email', 'host', e.target.value)} placeholder="smtp.example.com" />
+              </div>
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Puerto</label>
+                <input type="number" className={inputClass} value={settings.config.port ?? 25}
+                  onChange={(e) => updateConfig('email', 'port', Number(e.target.value))} />
+              </div>
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Usuario</label>
+                <input type="text" className={inputClass} value={settings.config.user || ''}
+                  onChange={(e) => updateConfig('email', 'user', e.target.value)} />
+              </div>
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Contraseña</label>
+                <input type="password" autoComplete="new-password" className={inputClass} value={settings.config.password || ''}
+                  onChange={(e) => updateConfig('email', 'password', e.target.value)} />
+              </div>
+              <label className="flex items-center text-sm text-gray-700 mt-6">
+                <input type="checkbox" className="mr-2" checked={Boolean(settings.config.secure)}
+                  onChange={(e) => updateConfig('email', 'secure', e.target.checked)} />
+                Usar TLS
+              </label>
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Remitente</label>
+                <input type="text" className={inputClass} value={settings.config.from || ''}
+                  onChange={(e) => updateConfig('email', 'from', e.target.value)} placeholder="dcops@example.com" />
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm text-gray-700 mb-1">Destinatarios (separados por comas)</label>
+                <input type="text" className={inputClass} value={settings.config.to || ''}
+                  onChange={(e) => updateConfig('email', 'to', e.target.value)} placeholder="noc@example.com, oncall@example.com" />
+              </div>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div className="md:col-span-2">
+                <label className="block text-sm text-gray-700 mb-1">URL</label>
+                <input type="text" className={inputClass} value={settings.config.url || ''}
+                  onChange={(e) => updateConfig('webhook', 'url', e.target.value)} placeholder="https://hooks.example.com/dcops" />
+              </div>
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Secreto para la firma (opcional)</label>
+                <input type="password" autoComplete="new-password" className={inputClass} value={settings.config.secret || ''}
+                  onChange={(e) => updateConfig('webhook', 'secret', e.target.value)} />
+                <p className="text-xs text-gray-500 mt-1">Se envía como cabecera X-DCOps-Signature (HMAC-SHA256)</p>
+              </div>
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Cabeceras adicionales (JSON)</label>
+                <textarea rows={3} className={`${inputClass} font-mono text-sm`} value={headersText}
+                  onChange={(e) => setHeadersText(e.target.value)} />
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Severidades</h4>
+              <div className="flex space-x-4">
+                {SEVERITIES.map(severity => (
+                  <label key={severity} className="flex items-center text-sm">
+                    <input
+                      type="checkbox"
+                      className="mr-1"
+                      checked={settings.severities.includes(severity)}
+                      onChange={() => updateChannel(settings.channel, { severities: toggleInList(settings.severities, severity) })}
+                    />
+                    {severity}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Eventos</h4>
+              <div className="flex flex-wrap gap-4">
+                {EVENTS.map(event => (
+                  <label key={event.value} className="flex items-center text-sm">
+                    <input
+                      type="checkbox"
+                      className="mr-1"
+                      checked={settings.events.includes(event.value)}
+                      onChange={() => updateChannel(settings.channel, { events: toggleInList(settings.events, event.value) })}
+                    />
+                    {event.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => handleTest(settings.channel)}
+              disabled={busyChannel !== null}
+              className="flex items-center px-4 py-2 border border-indigo-600 text-indigo-600 rounded-md hover:bg-indigo-50 disabled:opacity-50"
+            >
+              <Send size={16} className="mr-2" />
+              Enviar prueba
+            </button>
+            <button
+              onClick={() => handleSave(settings)}
+              disabled={busyChannel !== null}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Guardar
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <div className="p-2 rounded-md bg-purple-50 text-purple-600 mr-3">
+              <Bell size={20} />
+            </div>
+            <h3 className="font-medium">Envíos Recientes</h3>
+          </div>
+          <button onClick={loadSettings} className="p-2 text-gray-500 hover:text-gray-700" title="Actualizar">
+            <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Fecha</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Canal</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Evento</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rack</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Estado</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Intentos</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Error</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {deliveries.map(delivery => (
+                <tr key={delivery.id}>
+                  <td className="px-3 py-2 whitespace-nowrap">{new Date(delivery.created_at).toLocaleString()}</td>
+                  <td className="px-3 py-2">{delivery.channel}</td>
+                  <td className="px-3 py-2">{delivery.event}</td>
+                  <td className="px-3 py-2">{delivery.rack || '-'}</td>
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      delivery.status === 'sent' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                    }`}>
+                      {delivery.status === 'sent' ? 'Enviado' : 'Fallido'}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2">{delivery.attempts}</td>
+                  <td className="px-3 py-2 text-gray-500">{delivery.error || '-'}</td>
+                </tr>
+              ))}
+              {deliveries.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-3 py-4 text-center text-gray-500">No hay envíos registrados</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
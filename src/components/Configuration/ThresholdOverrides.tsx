@@ -0,0 +1,396 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Layers, Plus, Pencil, Trash2, RefreshCw, AlertCircle, Check, X } from 'lucide-react';
+import { CriticalLimitField, Rack, ThresholdLimitField, ThresholdOverride, ThresholdScope } from '../../types';
+import { fetchThresholdOverrides, createThresholdOverride, updateThresholdOverride, deleteThresholdOverride } from '../../services/api';
+
+const SCOPES: { value: ThresholdScope; label: string }[] = [
+  { value: 'site', label: 'Sitio' },
+  { value: 'dc', label: 'Datacenter' },
+  { value: 'rack', label: 'Rack' }
+];
+
+const LIMITS: { field: ThresholdLimitField; label: string; unit: string }[] = [
+  { field: 'min_temp', label: 'Temp. mín.', unit: '°C' },
+  { field: 'max_temp', label: 'Temp. máx.', unit: '°C' },
+  { field: 'min_humidity', label: 'Humedad mín.', unit: '%' },
+  { field: 'max_humidity', label: 'Humedad máx.', unit: '%' },
+  { field: 'max_power_single_phase', label: 'Corriente monofásica', unit: 'A' },
+  { field: 'max_power_three_phase', label: 'Corriente trifásica', unit: 'A' },
+  { field: 'max_power_per_phase', label: 'Corriente por fase', unit: 'A' },
+  { field: 'max_phase_imbalance', label: 'Desbalance de fases', unit: '%' }
+];
+
+type OverrideLimitField = ThresholdLimitField | CriticalLimitField;
+
+// Cada límite de aviso tiene su límite crítico
+const LIMIT_FIELDS: OverrideLimitField[] = [
+  ...LIMITS.map(({ field }) => field),
+  ...LIMITS.map(({ field }) => `critical_${field}` as CriticalLimitField)
+];
+
+interface OverrideForm {
+  id: string | null;
+  scope: ThresholdScope;
+  site: string;
+  dc: string;
+  rack_name: string;
+  description: string;
+  limits: Record<OverrideLimitField, string>;
+}
+
+const emptyLimits = (): Record<OverrideLimitField, string> =>
+  Object.fromEntries(LIMIT_FIELDS.map(field => [field, ''])) as Record<OverrideLimitField, string>;
+
+const emptyForm = (): OverrideForm => ({
+  id: null,
+  scope: 'dc',
+  site: '',
+  dc: '',
+  rack_name: '',
+  description: '',
+  limits: emptyLimits()
+});
+
+const inputClass = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+
+const describeTarget = (override: ThresholdOverride) =>
+  override.scope === 'rack'
+    ? override.rack_name
+    : override.scope === 'dc'
+      ? `${override.site} / ${override.dc}`
+      : override.site;
+
+interface ThresholdOverridesProps {
+  racks: Rack[];
+}
+
+/**
+ * Umbrales específicos por sitio, datacenter o rack que sustituyen a los
+ * globales. Los campos vacíos heredan el valor del ámbito más amplio.
+ */
+const ThresholdOverrides: React.FC<ThresholdOverridesProps> = ({ racks }) => {
+  const [overrides, setOverrides] = useState<ThresholdOverride[]>([]);
+  const [form, setForm] = useState<OverrideForm | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadOverrides = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetchThresholdOverrides();
+      setOverrides(response.data || []);
+    } catch (err) {
+      console.error('Error loading threshold overrides:', err);
+      setError('No se pudieron cargar los umbrales específicos');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadOverrides();
+  }, [loadOverrides]);
+
+  // Sugerencias para los campos de destino a partir de los racks conocidos
+  const sites = useMemo(() => Array.from(new Set(racks.map(rack => rack.SITE))).sort(), [racks]);
+  const dcs = useMemo(
+    () => Array.from(new Set(racks.filter(rack => !form?.site || rack.SITE === form.site).map(rack => rack.DC))).sort(),
+    [racks, form?.site]
+  );
+  const rackNames = useMemo(() => racks.map(rack => rack.NAME).sort(), [racks]);
+
+  const startEdit = (override: ThresholdOverride) => {
+    const limits = emptyLimits();
+    LIMIT_FIELDS.forEach(field => {
+      limits[field] = override[field] === null || override[field] === undefined ? '' : String(override[field]);
+    });
+    setForm({
+      id: override.id,
+      scope: override.scope,
+      site: override.site || '',
+      dc: override.dc || '',
+      rack_name: override.rack_name || '',
+      description: override.description || '',
+      limits
+    });
+    setMessage(null);
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+
+    setError(null);
+    setMessage(null);
+
+    const limitValues = Object.fromEntries(
+      LIMIT_FIELDS.map(field => [field, form.limits[field] === '' ? null : Number(form.limits[field])])
+    ) as Record<OverrideLimitField, number | null>;
+
+    setSaving(true);
+    try {
+      const response = form.id
+        ? await updateThresholdOverride(form.id, { description: form.description, ...limitValues })
+        : await createThresholdOverride({
+            scope: form.scope,
+            site: form.site,
+            dc: form.dc,
+            rack_name: form.rack_name,
+            description: form.description,
+            ...limitValues
+          });
+
+      if (response.status === 'Success') {
+        setMessage(form.id ? 'Umbral específico actualizado' : 'Umbral específico creado');
+        setForm(null);
+        await loadOverrides();
+      } else {
+        setError(response.message || 'Error guardando el umbral específico');
+      }
+    } catch (err) {
+      console.error('Error saving threshold override:', err);
+      setError('Error guardando el umbral específico. Revise los campos e intente nuevamente.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (override: ThresholdOverride) => {
+    if (!window.confirm(`¿Eliminar los umbrales específicos de ${describeTarget(override)}? Volverán a aplicarse los del ámbito superior.`)) {
+      return;
+    }
+
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await deleteThresholdOverride(override.id);
+      if (response.status === 'Success') {
+        setMessage('Umbral específico eliminado');
+        await loadOverrides();
+      } else {
+        setError(response.message || 'Error eliminando el umbral específico');
+      }
+    } catch (err) {
+      console.error('Error deleting threshold override:', err);
+      setError('Error eliminando el umbral específico');
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <div className="p-2 rounded-md bg-indigo-50 text-indigo-600 mr-3">
+            <Layers size={20} />
+          </div>
+          <div>
+            <h3 className="font-medium">Umbrales por Sitio, Datacenter o Rack</h3>
+            <p className="text-sm text-gray-500">
+              Se aplica el más específico (rack, datacenter, sitio y luego global). Los campos vacíos se heredan.
+            </p>
+          </div>
+        </div>
+        {!form && (
+          <button
+            onClick={() => { setForm(emptyForm()); setMessage(null); setError(null); }}
+            className="flex items-center px-3 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700"
+          >
+            <Plus size={16} className="mr-1" />
+            Nuevo
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 text-red-700 p-3 rounded-md mb-4 flex items-center">
+          <AlertCircle size={18} className="mr-2" />
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-50 text-green-700 p-3 rounded-md mb-4 flex items-center">
+          <Check size={18} className="mr-2" />
+          {message}
+        </div>
+      )}
+
+      {form && (
+        <div className="bg-white p-4 rounded-md border border-gray-200 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <div>
+              <label className="block text-sm text-gray-700 mb-1">Ámbito</label>
+              <select
+                className={inputClass}
+                value={form.scope}
+                disabled={Boolean(form.id)}
+                onChange={(e) => setForm({ ...form, scope: e.target.value as ThresholdScope })}
+              >
+                {SCOPES.map(scope => (
+                  <option key={scope.value} value={scope.value}>{scope.label}</option>
+                ))}
+              </select>
+            </div>
+            {form.scope === 'rack' ? (
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Rack</label>
+                <input
+                  type="text"
+                  list="threshold-override-racks"
+                  className={inputClass}
+                  value={form.rack_name}
+                  disabled={Boolean(form.id)}
+                  onChange={(e) => setForm({ ...form, rack_name: e.target.value })}
+                />
+              </div>
+            ) : (
+              <>
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Sitio</label>
+                  <input
+                    type="text"
+                    list="threshold-override-sites"
+                    className={inputClass}
+                    value={form.site}
+                    disabled={Boolean(form.id)}
+                    onChange={(e) => setForm({ ...form, site: e.target.value })}
+                  />
+                </div>
+                {form.scope === 'dc' && (
+                  <div>
+                    <label className="block text-sm text-gray-700 mb-1">Datacenter</label>
+                    <input
+                      type="text"
+                      list="threshold-override-dcs"
+                      className={inputClass}
+                      value={form.dc}
+                      disabled={Boolean(form.id)}
+                      onChange={(e) => setForm({ ...form, dc: e.target.value })}
+                    />
+                  </div>
+                )}
+              </>
+            )}
+            <div className={form.scope === 'dc' ? '' : 'md:col-span-2'}>
+              <label className="block text-sm text-gray-700 mb-1">Descripción</label>
+              <input
+                type="text"
+                className={inputClass}
+                value={form.description}
+                placeholder="Ej. pasillo frío, sala de baterías"
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            {LIMITS.map(({ field, label, unit }) => (
+              <div key={field}>
+                <label className="block text-sm text-gray-700 mb-1">{label} ({unit})</label>
+                <input
+                  type="number"
+                  className={inputClass}
+                  value={form.limits[field]}
+                  placeholder="Aviso: heredado"
+                  onChange={(e) => setForm({ ...form, limits: { ...form.limits, [field]: e.target.value } })}
+                />
+                <input
+                  type="number"
+                  className={`${inputClass} mt-1`}
+                  value={form.limits[`critical_${field}`]}
+                  placeholder="Crítico: heredado"
+                  onChange={(e) => setForm({ ...form, limits: { ...form.limits, [`critical_${field}`]: e.target.value } })}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => setForm(null)}
+              className="flex items-center px-3 py-2 border border-gray-300 text-sm rounded-md hover:bg-gray-50"
+            >
+              <X size={16} className="mr-1" />
+              Cancelar
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center px-3 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saving ? <RefreshCw size={16} className="mr-1 animate-spin" /> : <Check size={16} className="mr-1" />}
+              Guardar
+            </button>
+          </div>
+
+          <datalist id="threshold-override-sites">
+            {sites.map(site => <option key={site} value={site} />)}
+          </datalist>
+          <datalist id="threshold-override-dcs">
+            {dcs.map(dc => <option key={dc} value={dc} />)}
+          </datalist>
+          <datalist id="threshold-override-racks">
+            {rackNames.map(name => <option key={name} value={name} />)}
+          </datalist>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium text-gray-600">Ámbito</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-600">Destino</th>
+              {LIMITS.map(({ field, label }) => (
+                <th key={field} className="px-3 py-2 text-left font-medium text-gray-600">{label}</th>
+              ))}
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {overrides.map(override => (
+              <tr key={override.id}>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  {SCOPES.find(scope => scope.value === override.scope)?.label}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  <div className="font-medium">{describeTarget(override)}</div>
+                  {override.description && <div className="text-xs text-gray-500">{override.description}</div>}
+                </td>
+                {LIMITS.map(({ field, unit }) => (
+                  <td key={field} className="px-3 py-2 whitespace-nowrap">
+                    {override[field] === null
+                      ? <span className="text-gray-400" title="Heredado">—</span>
+                      : `${override[field]}${unit}`}
+                    {override[`critical_${field}`] !== null && override[`critical_${field}`] !== undefined && (
+                      <span className="text-red-600" title="Crítico"> / {override[`critical_${field}`]}{unit}</span>
+                    )}
+                  </td>
+                ))}
+                <td className="px-3 py-2 whitespace-nowrap text-right">
+                  <button onClick={() => startEdit(override)} className="text-indigo-600 hover:text-indigo-800 mr-3" title="Editar">
+                    <Pencil size={16} />
+                  </button>
+                  <button onClick={() => handleDelete(override)} className="text-red-600 hover:text-red-800" title="Eliminar">
+                    <Trash2 size={16} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {overrides.length === 0 && (
+              <tr>
+                <td colSpan={LIMITS.length + 3} className="px-3 py-6 text-center text-gray-500">
+                  {loading ? 'Cargando...' : 'No hay umbrales específicos; se aplican los globales a todos los racks'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ThresholdOverrides;
@@ -1,6 +1,6 @@
 import React from 'react';
 import { DatacenterGroup } from '../../types';
-import { Thermometer, Droplets, Power, Server } from 'lucide-react';
+import { Thermometer, Droplets, Power, Server, Zap } from 'lucide-react';
 
 interface DatacenterIndicatorsProps {
   group: DatacenterGroup;
@@ -12,6 +12,9 @@ const DatacenterIndicators: React.FC<DatacenterIndicatorsProps> = ({ group }) =>
   const tempAlerts = group.racks.filter((rack: any) => rack.TEMP_ALERT).length;
   const humidityAlerts = group.racks.filter((rack: any) => rack.HUMIDITY_ALERT).length;
   const powerAlerts = group.racks.filter((rack: any) => rack.POWER_ALERT).length;
+  const powerFailAlerts = group.racks.filter(rack => rack.POWER_FAIL_ALERT).length;
+  const deviceStatusAlerts = group.racks.filter(rack => rack.DEVICE_STATUS_ALERT).length;
+  const pduAlerts = group.racks.filter(rack => rack.POWER_FAIL_ALERT || rack.DEVICE_STATUS_ALERT).length;
   
   return (
     <div className="bg-white rounded-lg shadow-md p-4 mb-6">
@@ -70,6 +73,19 @@ const DatacenterIndicators: React.FC<DatacenterIndicatorsProps> = ({ group }) =>
             {totalRacks - powerAlerts} normal
           </div>
         </div>
+        
+        <div className={`bg-gray-50 p-3 rounded-lg border ${pduAlerts > 0 ? 'border-red-200' : 'border-gray-200'}`}>
+          <div className="flex justify-between items-center">
+            <div className="text-sm text-gray-500">PDU Alerts</div>
+            <Zap size={18} className={pduAlerts > 0 ? 'text-red-500' : 'text-gray-400'} />
+          </div>
+          <div className={`mt-1 text-2xl font-semibold ${pduAlerts > 0 ? 'text-red-600' : 'text-gray-800'}`}>
+            {pduAlerts}
+          </div>
+          <div className="text-xs text-gray-500">
+            {powerFailAlerts} power fail, {deviceStatusAlerts} status
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -1,6 +1,7 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { Rack } from '../../types';
-import { Thermometer as ThermometerHot, Droplets, Power, Server, Snowflake } from 'lucide-react';
+import { Thermometer as ThermometerHot, Droplets, Power, Server, Snowflake, AlertTriangle, Wrench } from 'lucide-react';
 import { useThresholdSettings } from '../../hooks/useThresholdSettings';
 
 interface RackCardProps {
@@ -18,7 +19,9 @@ const RackCard: React.FC<RackCardProps> = ({ rack }) => {
   const humidity = rack.HUMIDITY || 'N/A';
   const current = rack.TOTAL_AMPS || 'N/A';
   
-  const { thresholds } = useThresholdSettings();
+  // Umbrales del rack, con los overrides de sitio, datacenter o rack aplicados
+  const { resolveFor } = useThresholdSettings();
+  const thresholds = resolveFor({ site: rack.SITE, dc: rack.DC, rack: rack.NAME });
   
   // Determinar si la alerta de temperatura es por alta o baja temperatura
   const isHighTemp = Number(temperature) > (Number(thresholds.max_temp) || 32);
@@ -39,10 +42,15 @@ const RackCard: React.FC<RackCardProps> = ({ rack }) => {
     : (rack.L2_VOLTS === null && rack.L3_VOLTS === null);
   
   return (
-    <div className="bg-white rounded-lg shadow overflow-hidden">
+    <div className={`bg-white rounded-lg shadow overflow-hidden ${rack.IN_MAINTENANCE ? 'ring-2 ring-amber-300' : ''}`}>
       <div className="px-4 py-3 bg-gray-50 border-b border-gray-200 flex justify-between items-center">
         <div className="flex items-center space-x-2">
-          <div className="font-medium text-gray-800">{rack.NAME}</div>
+          <Link
+            to={`/racks/${encodeURIComponent(rack.NAME)}`}
+            className="font-medium text-gray-800 hover:text-indigo-600 hover:underline"
+          >
+            {rack.NAME}
+          </Link>
           <span className={`px-2 py-1 text-xs font-medium rounded ${
             isSinglePhase 
               ? 'bg-blue-100 text-blue-800'
@@ -51,6 +59,15 @@ const RackCard: React.FC<RackCardProps> = ({ rack }) => {
             {isSinglePhase ? 'Monofásico' : 'Trifásico'}
           </span>
         </div>
+        {rack.IN_MAINTENANCE && (
+          <span
+            className="flex items-center px-2 py-1 text-xs font-medium rounded bg-amber-100 text-amber-800"
+            title={rack.MAINTENANCE_REASON || undefined}
+          >
+            <Wrench size={12} className="mr-1" />
+            En mantenimiento
+          </span>
+        )}
       </div>
       
       <div className="flex p-4">
@@ -119,6 +136,24 @@ const RackCard: React.FC<RackCardProps> = ({ rack }) => {
       
       <div className="px-4 py-2 bg-gray-50 text-xs text-gray-500">
         <div>Potencia Máxima: {rack.MAXPOWER} kW</div>
+        {rack.PHASE_IMBALANCE_ALERT && (
+          <div className="flex items-center text-orange-600 mt-1">
+            <AlertTriangle size={12} className="mr-1" />
+            Desbalance de fases: {rack.PHASE_IMBALANCE}%
+          </div>
+        )}
+        {rack.POWER_FAIL_ALERT && (
+          <div className="flex items-center text-red-600 mt-1">
+            <AlertTriangle size={12} className="mr-1" />
+            Falla de energía en la PDU
+          </div>
+        )}
+        {rack.DEVICE_STATUS_ALERT && (
+          <div className="flex items-center text-purple-600 mt-1">
+            <AlertTriangle size={12} className="mr-1" />
+            Estado de la PDU: {rack.RSTATUS}
+          </div>
+        )}
       </div>
     </div>
   );
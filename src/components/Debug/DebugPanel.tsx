@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useDebug, ApiLog } from '../../context/DebugContext';
 import { X, RefreshCw, ChevronUp, ChevronDown, Clock, AlertCircle, Database, Globe, Server } from 'lucide-react';
+import { routeRequest } from '../../api/route';
 
 type LogTab = 'api' | 'database' | 'system' | 'communication';
 
@@ -183,20 +184,15 @@ const DebugPanel: React.FC = () => {
   const controlMonitoringService = async (action: string, interval?: number) => {
     try {
       setIsLoading(true);
-      const response = await fetch(`${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/monitoring/${action}`, {
+      // Monitoring control requires a session, so go through routeRequest
+      await routeRequest({
+        destination: `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/monitoring/${action}`,
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ action, interval }),
+        body: { action, interval }
       });
       
-      if (response.ok) {
-        // Refresh the system status to get updated monitoring info
-        await refreshSystemStatus();
-      } else {
-        console.error('Failed to control monitoring service:', await response.text());
-      }
+      // Refresh the system status to get updated monitoring info
+      await refreshSystemStatus();
     } catch (error) {
       console.error('Error controlling monitoring service:', error);
     } finally {
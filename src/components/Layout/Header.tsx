@@ -11,6 +11,7 @@ interface HeaderProps {
   onRefresh: () => void;
   isAutoRefresh: boolean;
   toggleAutoRefresh: () => void;
+  isLive?: boolean;
 }
 
 const Header: React.FC<HeaderProps> = ({ 
@@ -19,7 +20,8 @@ const Header: React.FC<HeaderProps> = ({
   loading, 
   onRefresh, 
   isAutoRefresh, 
-  toggleAutoRefresh 
+  toggleAutoRefresh,
+  isLive = false
 }) => {
   const { user, logout } = useAuth();
   const { isDebugEnabled, toggleDebug } = useDebug();
@@ -34,6 +36,13 @@ const Header: React.FC<HeaderProps> = ({
             Last updated: {lastUpdated.toLocaleTimeString()}
           </div>
         )}
+
+        {isLive && (
+          <div className="flex items-center text-xs font-medium text-green-400" title="Updates are pushed by the server">
+            <span className="w-2 h-2 mr-1 rounded-full bg-green-400 animate-pulse"></span>
+            Live
+          </div>
+        )}
         
         <div className="flex items-center space-x-2">
           <label className="relative inline-flex items-center cursor-pointer ml-2">
@@ -11,6 +11,7 @@ interface MainLayoutProps {
   onRefresh: () => void;
   isAutoRefresh: boolean;
   toggleAutoRefresh: () => void;
+  isLive?: boolean;
 }
 
 const MainLayout: React.FC<MainLayoutProps> = ({
@@ -20,7 +21,8 @@ const MainLayout: React.FC<MainLayoutProps> = ({
   loading,
   onRefresh,
   isAutoRefresh,
-  toggleAutoRefresh
+  toggleAutoRefresh,
+  isLive
 }) => {
   return (
     <div className="flex h-screen bg-gray-50">
@@ -33,6 +35,7 @@ const MainLayout: React.FC<MainLayoutProps> = ({
           onRefresh={onRefresh}
           isAutoRefresh={isAutoRefresh}
           toggleAutoRefresh={toggleAutoRefresh}
+          isLive={isLive}
         />
         <main className="flex-1 overflow-y-auto p-6 bg-gray-50">
           {children}
@@ -0,0 +1,424 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Wrench, Plus, Pencil, XCircle, RefreshCw, AlertCircle, Check, X } from 'lucide-react';
+import { DatacenterGroup, MaintenanceScope, MaintenanceWindow } from '../../types';
+import { fetchMaintenanceWindows, createMaintenanceWindow, updateMaintenanceWindow, cancelMaintenanceWindow } from '../../services/api';
+
+interface WindowForm {
+  id: string | null;
+  scope: MaintenanceScope;
+  site: string;
+  dc: string;
+  rack_name: string;
+  starts_at: string;
+  ends_at: string;
+  reason: string;
+  suppress_alerts: boolean;
+}
+
+// <input type="datetime-local"> works in local time without a timezone
+const toLocalInput = (date: Date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const emptyForm = (): WindowForm => {
+  const now = new Date();
+  return {
+    id: null,
+    scope: 'rack',
+    site: '',
+    dc: '',
+    rack_name: '',
+    starts_at: toLocalInput(now),
+    ends_at: toLocalInput(new Date(now.getTime() + 2 * 60 * 60 * 1000)),
+    reason: '',
+    suppress_alerts: true
+  };
+};
+
+const formatDateTime = (value: string) => new Date(value).toLocaleString();
+
+const describeTarget = (entry: MaintenanceWindow) =>
+  entry.scope === 'rack' ? entry.rack_name : `${entry.site} / ${entry.dc}`;
+
+const STATE_STYLES: Record<MaintenanceWindow['state'], string> = {
+  active: 'bg-amber-100 text-amber-800',
+  upcoming: 'bg-blue-100 text-blue-800',
+  past: 'bg-gray-100 text-gray-600'
+};
+
+const inputClass = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+
+interface MaintenanceWindowsProps {
+  groups: DatacenterGroup[];
+  canEdit: boolean;
+  onChange?: () => void;
+}
+
+/**
+ * Scheduled maintenance on racks or whole datacenters. While a window is in
+ * progress the monitoring service suppresses (or tags) new problems for it.
+ */
+const MaintenanceWindows: React.FC<MaintenanceWindowsProps> = ({ groups, canEdit, onChange }) => {
+  const [windows, setWindows] = useState<MaintenanceWindow[]>([]);
+  const [showPast, setShowPast] = useState(false);
+  const [form, setForm] = useState<WindowForm | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadWindows = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetchMaintenanceWindows();
+      setWindows(response.data || []);
+    } catch (err) {
+      console.error('Error loading maintenance windows:', err);
+      setError('Could not load maintenance windows');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWindows();
+  }, [loadWindows]);
+
+  const sites = useMemo(() => Array.from(new Set(groups.map(group => group.site))).sort(), [groups]);
+  const dcs = useMemo(
+    () => Array.from(new Set(groups.filter(group => !form?.site || group.site === form.site).map(group => group.dc))).sort(),
+    [groups, form?.site]
+  );
+  const rackNames = useMemo(
+    () => groups.flatMap(group => group.racks.map(rack => rack.NAME)).sort(),
+    [groups]
+  );
+
+  const visibleWindows = windows.filter(entry => showPast || entry.state !== 'past');
+
+  const startEdit = (entry: MaintenanceWindow) => {
+    setForm({
+      id: entry.id,
+      scope: entry.scope,
+      site: entry.site || '',
+      dc: entry.dc || '',
+      rack_name: entry.rack_name || '',
+      starts_at: toLocalInput(new Date(entry.starts_at)),
+      ends_at: toLocalInput(new Date(entry.ends_at)),
+      reason: entry.reason,
+      suppress_alerts: entry.suppress_alerts
+    });
+    setMessage(null);
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+
+    setError(null);
+    setMessage(null);
+
+    if (!form.starts_at || !form.ends_at || new Date(form.ends_at) <= new Date(form.starts_at)) {
+      setError('The end of the window must be after its start');
+      return;
+    }
+    if (!form.reason.trim()) {
+      setError('A reason is required');
+      return;
+    }
+
+    const period = {
+      starts_at: new Date(form.starts_at).toISOString(),
+      ends_at: new Date(form.ends_at).toISOString(),
+      reason: form.reason.trim(),
+      suppress_alerts: form.suppress_alerts
+    };
+
+    setSaving(true);
+    try {
+      const response = form.id
+        ? await updateMaintenanceWindow(form.id, period)
+        : await createMaintenanceWindow({
+            scope: form.scope,
+            site: form.site,
+            dc: form.dc,
+            rack_name: form.rack_name,
+            ...period
+          });
+
+      if (response.status === 'Success') {
+        setMessage(form.id ? 'Maintenance window updated' : 'Maintenance window scheduled');
+        setForm(null);
+        await loadWindows();
+        onChange?.();
+      } else {
+        setError(response.message || 'Error saving the maintenance window');
+      }
+    } catch (err) {
+      console.error('Error saving maintenance window:', err);
+      setError('Error saving the maintenance window. Check the fields and try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (entry: MaintenanceWindow) => {
+    const action = entry.state === 'upcoming' ? 'Delete' : 'End now';
+    if (!confirm(`${action} the maintenance window for ${describeTarget(entry)}?`)) {
+      return;
+    }
+
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await cancelMaintenanceWindow(entry.id);
+      if (response.status === 'Success') {
+        setMessage(response.message || 'Maintenance window cancelled');
+        await loadWindows();
+        onChange?.();
+      } else {
+        setError(response.message || 'Error cancelling the maintenance window');
+      }
+    } catch (err) {
+      console.error('Error cancelling maintenance window:', err);
+      setError('Error cancelling the maintenance window');
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <Wrench size={20} className="text-amber-500" />
+          <h3 className="text-lg font-medium text-gray-700">Maintenance Windows</h3>
+        </div>
+        <div className="flex items-center space-x-3">
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              className="rounded border-gray-300 text-indigo-600 mr-2"
+              checked={showPast}
+              onChange={(e) => setShowPast(e.target.checked)}
+            />
+            Show finished
+          </label>
+          <button
+            onClick={loadWindows}
+            className="text-gray-500 hover:text-gray-700"
+            title="Refresh"
+          >
+            <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+          </button>
+          {canEdit && !form && (
+            <button
+              onClick={() => { setForm(emptyForm()); setMessage(null); setError(null); }}
+              className="flex items-center px-3 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700"
+            >
+              <Plus size={16} className="mr-1" />
+              Schedule
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 text-red-700 p-3 rounded-md mb-4 flex items-center">
+          <AlertCircle size={18} className="mr-2" />
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-50 text-green-700 p-3 rounded-md mb-4 flex items-center">
+          <Check size={18} className="mr-2" />
+          {message}
+        </div>
+      )}
+
+      {form && (
+        <div className="border border-gray-200 rounded-md p-4 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <div>
+              <label className="block text-sm text-gray-700 mb-1">Scope</label>
+              <select
+                value={form.scope}
+                disabled={form.id !== null}
+                onChange={(e) => setForm({ ...form, scope: e.target.value as MaintenanceScope })}
+                className={inputClass}
+              >
+                <option value="rack">Rack</option>
+                <option value="dc">Datacenter</option>
+              </select>
+            </div>
+            {form.scope === 'rack' ? (
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Rack</label>
+                <input
+                  list="maintenance-racks"
+                  value={form.rack_name}
+                  disabled={form.id !== null}
+                  onChange={(e) => setForm({ ...form, rack_name: e.target.value })}
+                  className={inputClass}
+                />
+                <datalist id="maintenance-racks">
+                  {rackNames.map(name => <option key={name} value={name} />)}
+                </datalist>
+              </div>
+            ) : (
+              <>
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Site</label>
+                  <input
+                    list="maintenance-sites"
+                    value={form.site}
+                    disabled={form.id !== null}
+                    onChange={(e) => setForm({ ...form, site: e.target.value })}
+                    className={inputClass}
+                  />
+                  <datalist id="maintenance-sites">
+                    {sites.map(site => <option key={site} value={site} />)}
+                  </datalist>
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Datacenter</label>
+                  <input
+                    list="maintenance-dcs"
+                    value={form.dc}
+                    disabled={form.id !== null}
+                    onChange={(e) => setForm({ ...form, dc: e.target.value })}
+                    className={inputClass}
+                  />
+                  <datalist id="maintenance-dcs">
+                    {dcs.map(dc => <option key={dc} value={dc} />)}
+                  </datalist>
+                </div>
+              </>
+            )}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <div>
+              <label className="block text-sm text-gray-700 mb-1">Start</label>
+              <input
+                type="datetime-local"
+                value={form.starts_at}
+                onChange={(e) => setForm({ ...form, starts_at: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-700 mb-1">End</label>
+              <input
+                type="datetime-local"
+                value={form.ends_at}
+                onChange={(e) => setForm({ ...form, ends_at: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm text-gray-700 mb-1">Reason</label>
+              <input
+                value={form.reason}
+                maxLength={255}
+                placeholder="e.g. Re-cabling PDU B"
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <label className="flex items-center text-sm text-gray-700 mb-4">
+            <input
+              type="checkbox"
+              className="rounded border-gray-300 text-indigo-600 mr-2"
+              checked={form.suppress_alerts}
+              onChange={(e) => setForm({ ...form, suppress_alerts: e.target.checked })}
+            />
+            Suppress new problems during the window (otherwise they are raised and notified, tagged as in maintenance)
+          </label>
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => setForm(null)}
+              className="flex items-center px-3 py-2 border border-gray-300 text-sm rounded-md hover:bg-gray-50"
+            >
+              <X size={16} className="mr-1" />
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center px-3 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Check size={16} className="mr-1" />
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {visibleWindows.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {loading ? 'Loading maintenance windows...' : 'No maintenance windows scheduled.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Start</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">End</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Alerts</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">State</th>
+                {canEdit && <th className="px-4 py-2"></th>}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {visibleWindows.map(entry => (
+                <tr key={entry.id}>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    <span className="text-xs text-gray-500 mr-1">{entry.scope === 'rack' ? 'Rack' : 'DC'}</span>
+                    {describeTarget(entry)}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap">{formatDateTime(entry.starts_at)}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">{formatDateTime(entry.ends_at)}</td>
+                  <td className="px-4 py-2">{entry.reason}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">{entry.suppress_alerts ? 'Suppressed' : 'Tagged'}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATE_STYLES[entry.state]}`}>
+                      {entry.state === 'active' ? 'In progress' : entry.state === 'upcoming' ? 'Upcoming' : 'Finished'}
+                    </span>
+                  </td>
+                  {canEdit && (
+                    <td className="px-4 py-2 whitespace-nowrap text-right">
+                      {entry.state !== 'past' && (
+                        <>
+                          <button
+                            onClick={() => startEdit(entry)}
+                            className="text-indigo-600 hover:text-indigo-800 mr-3"
+                            title="Edit"
+                          >
+                            <Pencil size={16} />
+                          </button>
+                          <button
+                            onClick={() => handleCancel(entry)}
+                            className="text-red-600 hover:text-red-800"
+                            title={entry.state === 'upcoming' ? 'Delete' : 'End now'}
+                          >
+                            <XCircle size={16} />
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MaintenanceWindows;
@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { Upload, AlertCircle, Check, X } from 'lucide-react';
+import { RackImportPlan, RackImportStatus, RackManualField } from '../../types';
+import { importRacks } from '../../services/api';
+
+const STATUS_STYLES: Record<RackImportStatus, { label: string; className: string }> = {
+  new: { label: 'New', className: 'bg-green-100 text-green-800' },
+  changed: { label: 'Changed', className: 'bg-blue-100 text-blue-800' },
+  unchanged: { label: 'Unchanged', className: 'bg-gray-100 text-gray-600' },
+  error: { label: 'Error', className: 'bg-red-100 text-red-800' }
+};
+
+const FIELD_NAMES: Record<RackManualField, string> = {
+  site: 'site',
+  datacenter: 'datacenter',
+  max_power: 'max power',
+  max_units: 'units',
+  free_units: 'free units',
+  phase: 'phase',
+  capacity_amps: 'capacity'
+};
+
+const formatValue = (value: string | number | null) => (value === null || value === '' ? 'not set' : String(value));
+
+interface RackImportProps {
+  onClose: () => void;
+  onImported: (message: string) => void;
+}
+
+/**
+ * Import of a CSV or XLSX rack inventory file: the file is checked first
+ * and the differences shown, and it is only written once applied, all rows
+ * or none.
+ */
+const RackImport: React.FC<RackImportProps> = ({ onClose, onImported }) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [plan, setPlan] = useState<RackImportPlan | null>(null);
+  const [statusFilter, setStatusFilter] = useState<RackImportStatus | 'all'>('all');
+  const [checking, setChecking] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const checkFile = async (selected: File) => {
+    setFile(selected);
+    setPlan(null);
+    setError(null);
+    setStatusFilter('all');
+    setChecking(true);
+    try {
+      const response = await importRacks(selected, true);
+      if (response.status === 'Success' && response.data) {
+        setPlan(response.data);
+      } else {
+        setError(response.message || 'Error checking the file');
+      }
+    } catch (err) {
+      console.error('Error checking rack import:', err);
+      setError('The file could not be checked. Use a CSV or XLSX file with a header row and a name column.');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleApply = async () => {
+    if (!file || !plan) return;
+
+    setError(null);
+    setApplying(true);
+    try {
+      const response = await importRacks(file, false);
+      if (response.status === 'Success' && response.data?.applied) {
+        const { summary } = response.data;
+        onImported(`Import of ${file.name} done: ${summary.new} racks added, ${summary.changed} updated, ${summary.unchanged} unchanged`);
+      } else {
+        setError(response.message || 'Error importing the file');
+      }
+    } catch (err) {
+      console.error('Error applying rack import:', err);
+      // The inventory may have changed since the check; show the current differences
+      setError('Nothing was imported. The inventory may have changed since the file was checked; review the differences below and try again.');
+      await checkFile(file);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const pending = plan ? plan.summary.new + plan.summary.changed : 0;
+  const canApply = plan !== null && plan.summary.error === 0 && pending > 0 && !applying && !checking;
+  const rows = plan ? plan.rows.filter(row => statusFilter === 'all' || row.status === statusFilter) : [];
+
+  return (
+    <div className="border border-gray-200 rounded-md p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-medium text-gray-700">Import racks</h4>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close">
+          <X size={18} />
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-500 mb-3">
+        CSV or XLSX file with a header row. Columns: name (required), site, datacenter (or DC), max_power (or MAXPOWER),
+        max_units (or MAXU), free_units, phase and capacity_amps. Empty cells keep the stored value, and imported values
+        are kept by the monitoring cycle as if set by hand. An export can be edited and imported back.
+      </p>
+
+      <label className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm rounded-md hover:bg-gray-50 cursor-pointer mb-3">
+        <Upload size={16} className="mr-1" />
+        {file ? file.name : 'Choose file'}
+        <input
+          type="file"
+          accept=".csv,.xlsx"
+          className="hidden"
+          onChange={(e) => {
+            const selected = e.target.files?.[0];
+            e.target.value = '';
+            if (selected) {
+              checkFile(selected);
+            }
+          }}
+        />
+      </label>
+
+      {checking && <p className="text-sm text-gray-500">Checking file...</p>}
+
+      {error && (
+        <div className="bg-red-50 text-red-700 p-3 rounded-md mb-3 flex items-center">
+          <AlertCircle size={18} className="mr-2" />
+          {error}
+        </div>
+      )}
+
+      {plan && (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3">
+            <button
+              onClick={() => setStatusFilter('all')}
+              className={`px-3 py-1 text-xs rounded-full border ${statusFilter === 'all' ? 'border-indigo-500 text-indigo-700' : 'border-gray-200 text-gray-600'}`}
+            >
+              All {plan.rows.length}
+            </button>
+            {(Object.keys(STATUS_STYLES) as RackImportStatus[]).map(status => (
+              <button
+                key={status}
+                onClick={() => setStatusFilter(status)}
+                className={`px-3 py-1 text-xs rounded-full ${STATUS_STYLES[status].className} ${statusFilter === status ? 'ring-2 ring-indigo-400' : ''}`}
+              >
+                {STATUS_STYLES[status].label} {plan.summary[status]}
+              </button>
+            ))}
+          </div>
+
+          {rows.length > 0 && (
+            <div className="overflow-x-auto max-h-80 overflow-y-auto mb-3">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Line</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rack</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rows.map(row => (
+                    <tr key={row.line}>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-500">{row.line}</td>
+                      <td className="px-4 py-2 whitespace-nowrap">{row.name || '-'}</td>
+                      <td className="px-4 py-2 whitespace-nowrap">
+                        <span className={`px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[row.status].className}`}>
+                          {STATUS_STYLES[row.status].label}
+                        </span>
+                      </td>
+                      <td className="px-4 py-2">
+                        {row.error ? (
+                          <span className="text-red-700">{row.error}</span>
+                        ) : row.changes.length > 0 ? (
+                          <ul>
+                            {row.changes.map(change => (
+                              <li key={change.field}>
+                                {FIELD_NAMES[change.field]}: <span className="text-gray-500">{formatValue(change.from)}</span> → {formatValue(change.to)}
+                              </li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <span className="text-gray-400">-</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-gray-500">
+              {plan.summary.error > 0
+                ? 'Fix the rows with errors and choose the file again; nothing is imported while any row has an error.'
+                : pending === 0
+                  ? 'The inventory already matches this file.'
+                  : `${pending} racks will be added or updated in one step.`}
+            </p>
+            <button
+              onClick={handleApply}
+              disabled={!canApply}
+              className="flex items-center px-3 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Check size={16} className="mr-1" />
+              {applying ? 'Importing...' : 'Apply import'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RackImport;
@@ -0,0 +1,591 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Server, Plus, Pencil, Trash2, RotateCcw, RefreshCw, AlertCircle, Check, X, ChevronDown, Lock, Upload, Download } from 'lucide-react';
+import { InventoryRack, RackManualField, RackImportFormat } from '../../types';
+import { fetchRackInventory, createRack, updateRack, decommissionRack, restoreRack, exportRacks } from '../../services/api';
+import RackImport from './RackImport';
+
+interface RackForm {
+  id: string | null;
+  name: string;
+  site: string;
+  datacenter: string;
+  max_power: string;
+  max_units: string;
+  free_units: string;
+  phase: string;
+  capacity_amps: string;
+  manual_fields: RackManualField[];
+}
+
+const FIELD_LABELS: Record<RackManualField, string> = {
+  site: 'Site',
+  datacenter: 'Datacenter',
+  max_power: 'Max power (kW)',
+  max_units: 'Units',
+  free_units: 'Free units',
+  phase: 'Phase',
+  capacity_amps: 'Capacity (A)'
+};
+
+const emptyForm = (): RackForm => ({
+  id: null,
+  name: '',
+  site: '',
+  datacenter: '',
+  max_power: '',
+  max_units: '42',
+  free_units: '42',
+  phase: '',
+  capacity_amps: '',
+  manual_fields: []
+});
+
+const toForm = (rack: InventoryRack): RackForm => ({
+  id: rack.id,
+  name: rack.name,
+  site: rack.site,
+  datacenter: rack.datacenter,
+  max_power: String(rack.max_power),
+  max_units: String(rack.max_units),
+  free_units: String(rack.free_units),
+  phase: rack.phase || '',
+  capacity_amps: rack.capacity_amps === null ? '' : String(rack.capacity_amps),
+  manual_fields: rack.manual_fields
+});
+
+const inputClass = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+
+interface RackInventoryProps {
+  site?: string;
+  dc?: string;
+  canEdit: boolean;
+  onChange?: () => void;
+}
+
+/**
+ * The stored rack inventory. Managers and Admins can add racks the inventory
+ * source doesn't report, correct fields (which the monitoring cycle then
+ * keeps), decommission racks and import a whole inventory file; anyone can
+ * export it.
+ */
+const RackInventory: React.FC<RackInventoryProps> = ({ site = '', dc = '', canEdit, onChange }) => {
+  const [racks, setRacks] = useState<InventoryRack[]>([]);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [showDecommissioned, setShowDecommissioned] = useState(false);
+  const [search, setSearch] = useState('');
+  const [form, setForm] = useState<RackForm | null>(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadRacks = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetchRackInventory(showDecommissioned);
+      setRacks(response.data || []);
+    } catch (err) {
+      console.error('Error loading rack inventory:', err);
+      setError('Could not load the rack inventory');
+    } finally {
+      setLoading(false);
+    }
+  }, [showDecommissioned]);
+
+  useEffect(() => {
+    if (isExpanded) {
+      loadRacks();
+    }
+  }, [isExpanded, loadRacks]);
+
+  const sites = useMemo(() => Array.from(new Set(racks.map(rack => rack.site))).sort(), [racks]);
+  const datacenters = useMemo(
+    () => Array.from(new Set(racks.filter(rack => !form?.site || rack.site === form.site).map(rack => rack.datacenter))).sort(),
+    [racks, form?.site]
+  );
+
+  const visibleRacks = racks.filter(rack =>
+    (!site || rack.site === site) &&
+    (!dc || rack.datacenter === dc) &&
+    (!search || rack.name.toLowerCase().includes(search.toLowerCase()))
+  );
+
+  // Editing a field marks it as set by hand, so the next cycle keeps it
+  const setField = (field: RackManualField, value: string) => {
+    if (!form) return;
+    setForm({
+      ...form,
+      [field]: value,
+      manual_fields: form.id && !form.manual_fields.includes(field) ? [...form.manual_fields, field] : form.manual_fields
+    });
+  };
+
+  const toggleManual = (field: RackManualField) => {
+    if (!form) return;
+    setForm({
+      ...form,
+      manual_fields: form.manual_fields.includes(field)
+        ? form.manual_fields.filter(entry => entry !== field)
+        : [...form.manual_fields, field]
+    });
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+
+    setError(null);
+    setMessage(null);
+
+    if (!form.name.trim() || !form.site.trim() || !form.datacenter.trim()) {
+      setError('Name, site and datacenter are required');
+      return;
+    }
+    if (!form.max_power || Number(form.max_power) <= 0) {
+      setError('Max power must be greater than 0');
+      return;
+    }
+    if (Number(form.free_units) > Number(form.max_units)) {
+      setError('Free units cannot be more than the rack units');
+      return;
+    }
+
+    const rack = {
+      site: form.site.trim(),
+      datacenter: form.datacenter.trim(),
+      max_power: Number(form.max_power),
+      max_units: Number(form.max_units),
+      free_units: Number(form.free_units),
+      phase: form.phase || null,
+      capacity_amps: form.capacity_amps === '' ? null : Number(form.capacity_amps)
+    };
+
+    setSaving(true);
+    try {
+      const response = form.id
+        ? await updateRack(form.id, { ...rack, manual_fields: form.manual_fields })
+        : await createRack({ name: form.name.trim(), ...rack });
+
+      if (response.status === 'Success') {
+        setMessage(form.id ? `Rack ${form.name} updated` : `Rack ${form.name} added`);
+        setForm(null);
+        await loadRacks();
+        onChange?.();
+      } else {
+        setError(response.message || 'Error saving the rack');
+      }
+    } catch (err) {
+      console.error('Error saving rack:', err);
+      setError('Error saving the rack. Check the fields (and that the name is not in use) and try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDecommission = async (rack: InventoryRack) => {
+    if (!confirm(`Decommission rack ${rack.name}? It leaves the dashboard and monitoring, and its open problems are resolved.`)) {
+      return;
+    }
+
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await decommissionRack(rack.id);
+      if (response.status === 'Success') {
+        setMessage(response.message || `Rack ${rack.name} decommissioned`);
+        await loadRacks();
+        onChange?.();
+      } else {
+        setError(response.message || 'Error decommissioning the rack');
+      }
+    } catch (err) {
+      console.error('Error decommissioning rack:', err);
+      setError('Error decommissioning the rack');
+    }
+  };
+
+  const handleRestore = async (rack: InventoryRack) => {
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await restoreRack(rack.id);
+      if (response.status === 'Success') {
+        setMessage(`Rack ${rack.name} is back in service`);
+        await loadRacks();
+        onChange?.();
+      } else {
+        setError(response.message || 'Error restoring the rack');
+      }
+    } catch (err) {
+      console.error('Error restoring rack:', err);
+      setError('Error restoring the rack');
+    }
+  };
+
+  const handleExport = async (format: RackImportFormat) => {
+    setError(null);
+    try {
+      const blob = await exportRacks(format, showDecommissioned);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `racks-${new Date().toISOString().slice(0, 10)}.${format}`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting rack inventory:', err);
+      setError('Error exporting the rack inventory');
+    }
+  };
+
+  const handleImported = async (result: string) => {
+    setIsImporting(false);
+    setMessage(result);
+    await loadRacks();
+    onChange?.();
+  };
+
+  const renderField = (field: RackManualField, input: React.ReactNode) => (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <label className="block text-sm text-gray-700">{FIELD_LABELS[field]}</label>
+        {form?.id && (
+          <label
+            className="flex items-center text-xs text-gray-500"
+            title="Set by hand: the monitoring cycle keeps this value instead of the one reported by the inventory source"
+          >
+            <input
+              type="checkbox"
+              className="rounded border-gray-300 text-indigo-600 mr-1"
+              checked={form.manual_fields.includes(field)}
+              onChange={() => toggleManual(field)}
+            />
+            Manual
+          </label>
+        )}
+      </div>
+      {input}
+    </div>
+  );
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow mb-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <Server size={20} className="text-indigo-500" />
+          <h3 className="text-lg font-medium text-gray-700">Rack Inventory</h3>
+          {isExpanded && (
+            <span className="text-sm text-gray-500">{visibleRacks.length} racks</span>
+          )}
+        </div>
+        <div className="flex items-center space-x-3">
+          {isExpanded && (
+            <>
+              <input
+                value={search}
+                placeholder="Search rack"
+                onChange={(e) => setSearch(e.target.value)}
+                className="rounded-md border-gray-300 shadow-sm text-sm py-1"
+              />
+              <label className="flex items-center text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  className="rounded border-gray-300 text-indigo-600 mr-2"
+                  checked={showDecommissioned}
+                  onChange={(e) => setShowDecommissioned(e.target.checked)}
+                />
+                Show decommissioned
+              </label>
+              <button
+                onClick={loadRacks}
+                className="text-gray-500 hover:text-gray-700"
+                title="Refresh"
+              >
+                <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+              </button>
+              <button
+                onClick={() => handleExport('csv')}
+                className="flex items-center text-sm text-gray-600 hover:text-gray-800"
+                title="Export the inventory as CSV"
+              >
+                <Download size={16} className="mr-1" />
+                CSV
+              </button>
+              <button
+                onClick={() => handleExport('xlsx')}
+                className="flex items-center text-sm text-gray-600 hover:text-gray-800"
+                title="Export the inventory as Excel"
+              >
+                <Download size={16} className="mr-1" />
+                XLSX
+              </button>
+              {canEdit && !form && !isImporting && (
+                <button
+                  onClick={() => { setIsImporting(true); setMessage(null); setError(null); }}
+                  className="flex items-center px-3 py-2 border border-gray-300 text-sm rounded-md hover:bg-gray-50"
+                >
+                  <Upload size={16} className="mr-1" />
+                  Import
+                </button>
+              )}
+              {canEdit && !form && !isImporting && (
+                <button
+                  onClick={() => { setForm(emptyForm()); setMessage(null); setError(null); }}
+                  className="flex items-center px-3 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700"
+                >
+                  <Plus size={16} className="mr-1" />
+                  Add rack
+                </button>
+              )}
+            </>
+          )}
+          <button
+            onClick={() => setIsExpanded(!isExpanded)}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <ChevronDown
+              size={20}
+              className={`transform transition-transform ${isExpanded ? 'rotate-180' : ''}`}
+            />
+          </button>
+        </div>
+      </div>
+
+      {isExpanded && (
+        <div className="mt-4">
+          {error && (
+            <div className="bg-red-50 text-red-700 p-3 rounded-md mb-4 flex items-center">
+              <AlertCircle size={18} className="mr-2" />
+              {error}
+            </div>
+          )}
+          {message && (
+            <div className="bg-green-50 text-green-700 p-3 rounded-md mb-4 flex items-center">
+              <Check size={18} className="mr-2" />
+              {message}
+            </div>
+          )}
+
+          {isImporting && (
+            <RackImport onClose={() => setIsImporting(false)} onImported={handleImported} />
+          )}
+
+          {form && (
+            <div className="border border-gray-200 rounded-md p-4 mb-4">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+                <div>
+                  <label className="block text-sm text-gray-700 mb-1">Name</label>
+                  <input
+                    value={form.name}
+                    maxLength={50}
+                    disabled={form.id !== null}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                {renderField('site', (
+                  <>
+                    <input
+                      list="inventory-sites"
+                      value={form.site}
+                      maxLength={50}
+                      onChange={(e) => setField('site', e.target.value)}
+                      className={inputClass}
+                    />
+                    <datalist id="inventory-sites">
+                      {sites.map(entry => <option key={entry} value={entry} />)}
+                    </datalist>
+                  </>
+                ))}
+                {renderField('datacenter', (
+                  <>
+                    <input
+                      list="inventory-dcs"
+                      value={form.datacenter}
+                      maxLength={50}
+                      onChange={(e) => setField('datacenter', e.target.value)}
+                      className={inputClass}
+                    />
+                    <datalist id="inventory-dcs">
+                      {datacenters.map(entry => <option key={entry} value={entry} />)}
+                    </datalist>
+                  </>
+                ))}
+                {renderField('phase', (
+                  <select
+                    value={form.phase}
+                    onChange={(e) => setField('phase', e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value="">Not set</option>
+                    <option value="Single Phase">Single Phase</option>
+                    <option value="3-Phase">3-Phase</option>
+                  </select>
+                ))}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+                {renderField('max_power', (
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={form.max_power}
+                    onChange={(e) => setField('max_power', e.target.value)}
+                    className={inputClass}
+                  />
+                ))}
+                {renderField('capacity_amps', (
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={form.capacity_amps}
+                    placeholder="Not set"
+                    onChange={(e) => setField('capacity_amps', e.target.value)}
+                    className={inputClass}
+                  />
+                ))}
+                {renderField('max_units', (
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={form.max_units}
+                    onChange={(e) => setField('max_units', e.target.value)}
+                    className={inputClass}
+                  />
+                ))}
+                {renderField('free_units', (
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.free_units}
+                    onChange={(e) => setField('free_units', e.target.value)}
+                    className={inputClass}
+                  />
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mb-4">
+                {form.id
+                  ? 'Fields marked Manual keep their value when the inventory source reports the rack; unmark a field to take the reported value again.'
+                  : 'Racks added here keep their values even if the inventory source reports them later.'}
+              </p>
+              <div className="flex justify-end space-x-2">
+                <button
+                  onClick={() => setForm(null)}
+                  className="flex items-center px-3 py-2 border border-gray-300 text-sm rounded-md hover:bg-gray-50"
+                >
+                  <X size={16} className="mr-1" />
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="flex items-center px-3 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  <Check size={16} className="mr-1" />
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {visibleRacks.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {loading ? 'Loading rack inventory...' : 'No racks match the selected filters.'}
+            </p>
+          ) : (
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rack</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Max power</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Units</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Phase</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Set by hand</th>
+                    {canEdit && <th className="px-4 py-2"></th>}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {visibleRacks.map(rack => (
+                    <tr key={rack.id} className={rack.decommissioned_at ? 'text-gray-400' : ''}>
+                      <td className="px-4 py-2 whitespace-nowrap">
+                        {rack.name}
+                        {rack.origin === 'manual' && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-800">Added by hand</span>
+                        )}
+                        {rack.decommissioned_at && (
+                          <span
+                            className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600"
+                            title={`Decommissioned ${new Date(rack.decommissioned_at).toLocaleString()}${rack.decommissioned_by ? ` by ${rack.decommissioned_by}` : ''}`}
+                          >
+                            Decommissioned
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap">{rack.site} / {rack.datacenter}</td>
+                      <td className="px-4 py-2 whitespace-nowrap">
+                        {rack.max_power} kW{rack.capacity_amps !== null ? ` (${rack.capacity_amps} A)` : ''}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap">{rack.free_units} free of {rack.max_units}</td>
+                      <td className="px-4 py-2 whitespace-nowrap">{rack.phase || '-'}</td>
+                      <td className="px-4 py-2">
+                        {rack.manual_fields.length === 0 ? (
+                          <span className="text-gray-400">-</span>
+                        ) : (
+                          <div className="flex flex-wrap gap-1" title={rack.updated_by ? `Last edited by ${rack.updated_by}` : undefined}>
+                            {rack.manual_fields.map(field => (
+                              <span key={field} className="flex items-center px-2 py-0.5 text-xs rounded-full bg-amber-100 text-amber-800">
+                                <Lock size={10} className="mr-1" />
+                                {FIELD_LABELS[field]}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </td>
+                      {canEdit && (
+                        <td className="px-4 py-2 whitespace-nowrap text-right">
+                          {rack.decommissioned_at ? (
+                            <button
+                              onClick={() => handleRestore(rack)}
+                              className="text-indigo-600 hover:text-indigo-800"
+                              title="Put back in service"
+                            >
+                              <RotateCcw size={16} />
+                            </button>
+                          ) : (
+                            <>
+                              <button
+                                onClick={() => { setForm(toForm(rack)); setMessage(null); setError(null); }}
+                                className="text-indigo-600 hover:text-indigo-800 mr-3"
+                                title="Edit"
+                              >
+                                <Pencil size={16} />
+                              </button>
+                              <button
+                                onClick={() => handleDecommission(rack)}
+                                className="text-red-600 hover:text-red-800"
+                                title="Decommission"
+                              >
+                                <Trash2 size={16} />
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RackInventory;
@@ -0,0 +1,157 @@
+import React from 'react';
+
+export interface TrendPoint {
+  time: string;
+  min: number | null;
+  avg: number | null;
+  max: number | null;
+}
+
+export interface ThresholdLine {
+  value: number;
+  label: string;
+  color: string;
+}
+
+interface TrendChartProps {
+  title: string;
+  unit: string;
+  color: string;
+  points: TrendPoint[];
+  thresholds: ThresholdLine[];
+  from: Date;
+  to: Date;
+}
+
+// Chart geometry in SVG user units; the SVG scales to its container width
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 56, bottom: 24, left: 44 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+const Y_TICKS = 4;
+const X_TICKS = 5;
+
+const formatTick = (date: Date, spanMs: number) => {
+  if (spanMs <= 2 * 24 * 60 * 60 * 1000) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { day: '2-digit', month: '2-digit' });
+};
+
+/**
+ * Line chart of a metric's average over time, with its min/max range shaded
+ * and threshold lines overlaid
+ */
+const TrendChart: React.FC<TrendChartProps> = ({ title, unit, color, points, thresholds, from, to }) => {
+  const valid = points.filter(point => point.avg !== null);
+  const span = to.getTime() - from.getTime();
+
+  // Y range covers the data and every threshold so the lines are always visible
+  const values = [
+    ...valid.flatMap(point => [point.min ?? point.avg, point.max ?? point.avg] as number[]),
+    ...thresholds.map(threshold => threshold.value)
+  ];
+  let yMin = values.length ? Math.min(...values) : 0;
+  let yMax = values.length ? Math.max(...values) : 1;
+  if (yMin === yMax) {
+    yMin -= 1;
+    yMax += 1;
+  }
+  const margin = (yMax - yMin) * 0.08;
+  yMin -= margin;
+  yMax += margin;
+
+  const x = (time: string | Date) =>
+    PADDING.left + ((new Date(time).getTime() - from.getTime()) / span) * PLOT_WIDTH;
+  const y = (value: number) =>
+    PADDING.top + (1 - (value - yMin) / (yMax - yMin)) * PLOT_HEIGHT;
+
+  const avgPath = valid.map(point => `${x(point.time).toFixed(1)},${y(point.avg as number).toFixed(1)}`).join(' ');
+  const bandPath = valid.length > 1
+    ? [
+        ...valid.map(point => `${x(point.time).toFixed(1)},${y((point.max ?? point.avg) as number).toFixed(1)}`),
+        ...[...valid].reverse().map(point => `${x(point.time).toFixed(1)},${y((point.min ?? point.avg) as number).toFixed(1)}`)
+      ].join(' ')
+    : '';
+
+  const yTicks = Array.from({ length: Y_TICKS + 1 }, (_, i) => yMin + ((yMax - yMin) * i) / Y_TICKS);
+  const xTicks = Array.from({ length: X_TICKS + 1 }, (_, i) => new Date(from.getTime() + (span * i) / X_TICKS));
+
+  const latest = valid.length ? valid[valid.length - 1] : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium text-gray-800">{title}</h3>
+        <div className="flex items-center space-x-3 text-xs text-gray-500">
+          <span className="flex items-center">
+            <span className="inline-block w-3 h-0.5 mr-1" style={{ backgroundColor: color }}></span>
+            Average
+          </span>
+          <span className="flex items-center">
+            <span className="inline-block w-3 h-2 mr-1 opacity-20" style={{ backgroundColor: color }}></span>
+            Min/Max
+          </span>
+          {latest && (
+            <span className="font-semibold text-gray-700">
+              {(latest.avg as number).toFixed(1)}{unit}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {valid.length === 0 ? (
+        <div className="h-48 flex items-center justify-center text-sm text-gray-400">
+          No readings in this period
+        </div>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={title}>
+          {/* Grid and Y axis labels */}
+          {yTicks.map(tick => (
+            <g key={`y-${tick}`}>
+              <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#e5e7eb" strokeWidth={1} />
+              <text x={PADDING.left - 6} y={y(tick) + 3} textAnchor="end" fontSize={10} fill="#6b7280">
+                {tick.toFixed(1)}
+              </text>
+            </g>
+          ))}
+
+          {/* X axis labels */}
+          {xTicks.map(tick => (
+            <text key={`x-${tick.getTime()}`} x={x(tick)} y={HEIGHT - 6} textAnchor="middle" fontSize={10} fill="#6b7280">
+              {formatTick(tick, span)}
+            </text>
+          ))}
+
+          {/* Min/max band and average line */}
+          {bandPath && <polygon points={bandPath} fill={color} fillOpacity={0.15} stroke="none" />}
+          <polyline points={avgPath} fill="none" stroke={color} strokeWidth={1.5} strokeLinejoin="round" />
+          {valid.length === 1 && (
+            <circle cx={x(valid[0].time)} cy={y(valid[0].avg as number)} r={3} fill={color} />
+          )}
+
+          {/* Threshold lines */}
+          {thresholds.map(threshold => (
+            <g key={threshold.label}>
+              <line
+                x1={PADDING.left}
+                x2={WIDTH - PADDING.right}
+                y1={y(threshold.value)}
+                y2={y(threshold.value)}
+                stroke={threshold.color}
+                strokeWidth={1}
+                strokeDasharray="5 4"
+              />
+              <text x={WIDTH - PADDING.right + 4} y={y(threshold.value) + 3} fontSize={10} fill={threshold.color}>
+                {threshold.label}
+              </text>
+            </g>
+          ))}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default TrendChart;
@@ -0,0 +1,45 @@
+import React from 'react';
+
+// Fases de un ciclo de monitorización, en el orden en que se ejecutan
+const PHASE_LABELS: Record<string, string> = {
+  collect: 'Lectura de fuentes',
+  prepare: 'Umbrales y mantenimientos',
+  racks: 'Racks',
+  rackIds: 'IDs de racks',
+  readings: 'Lecturas',
+  evaluate: 'Evaluación',
+  problems: 'Problemas',
+  commit: 'Commit',
+  publish: 'Publicación'
+};
+
+interface PhaseTimingsProps {
+  phases?: Record<string, number> | null;
+  chipClassName?: string;
+}
+
+/**
+ * Duración de cada fase de un ciclo de monitorización
+ */
+const PhaseTimings: React.FC<PhaseTimingsProps> = ({ phases, chipClassName = 'bg-gray-100' }) => {
+  if (!phases || Object.keys(phases).length === 0) {
+    return null;
+  }
+
+  return (
+    <div>
+      <div className="text-xs text-gray-500 mb-2">Tiempos por Fase</div>
+      <div className="flex flex-wrap gap-2">
+        {Object.keys(PHASE_LABELS)
+          .filter(phase => phases[phase] !== undefined)
+          .map(phase => (
+            <span key={phase} className={`px-2 py-1 text-xs rounded text-gray-700 border border-gray-200 ${chipClassName}`}>
+              {PHASE_LABELS[phase]}: <span className="font-medium">{phases[phase]}ms</span>
+            </span>
+          ))}
+      </div>
+    </div>
+  );
+};
+
+export default PhaseTimings;
@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Archive, RefreshCw, AlertCircle, Check, Play } from 'lucide-react';
+import { RetentionRunStatus, RetentionSettings, RetentionStatus, RetentionStep } from '../../types';
+import { fetchRetentionStatus, updateRetentionSettings, runRetentionNow } from '../../services/api';
+
+// Consulta del estado mientras hay una ejecución en curso
+const RUNNING_POLL_MS = 5000;
+
+const TABLE_LABELS: Record<string, string> = {
+  sensor_readings: 'Lecturas (detalle)',
+  sensor_readings_hourly: 'Agregados por hora',
+  sensor_readings_daily: 'Agregados por día',
+  problems: 'Problemas',
+  problem_history: 'Historial de problemas',
+  problems_archive: 'Problemas archivados',
+  problem_history_archive: 'Historial archivado'
+};
+
+const STEP_LABELS: Record<string, string> = {
+  hourlyRollup: 'Agregado por hora',
+  dailyRollup: 'Agregado por día',
+  rawPurge: 'Purga de lecturas',
+  hourlyPurge: 'Purga de agregados por hora',
+  dailyPurge: 'Purga de agregados por día',
+  problemArchive: 'Archivado de problemas'
+};
+
+const STATUS_STYLES: Record<RetentionRunStatus, { label: string; className: string }> = {
+  completed: { label: 'Completada', className: 'bg-green-100 text-green-800' },
+  partial: { label: 'Parcial', className: 'bg-yellow-100 text-yellow-800' },
+  failed: { label: 'Fallida', className: 'bg-red-100 text-red-800' }
+};
+
+type NumberField = 'rawRetentionDays' | 'hourlyRetentionDays' | 'dailyRetentionDays' | 'problemArchiveMonths' | 'purgeBatchSize';
+
+const NUMBER_FIELDS: { key: NumberField; label: string; hint: string }[] = [
+  { key: 'rawRetentionDays', label: 'Lecturas de detalle (días)', hint: 'Mínimo 1 día' },
+  { key: 'hourlyRetentionDays', label: 'Agregados por hora (días)', hint: '0 para conservarlos siempre' },
+  { key: 'dailyRetentionDays', label: 'Agregados por día (días)', hint: '0 para conservarlos siempre' },
+  { key: 'problemArchiveMonths', label: 'Archivar problemas resueltos (meses)', hint: '0 para no archivar' },
+  { key: 'purgeBatchSize', label: 'Filas por lote de purga', hint: 'Entre 100 y 50000' }
+];
+
+const formatDate = (value: string | null | undefined) => (value ? new Date(value).toLocaleString() : '-');
+
+const describeStep = (step: RetentionStep) => {
+  if (step.error) return `Error: ${step.error}`;
+  const parts: string[] = [];
+  if (step.rows !== undefined) parts.push(`${step.rows.toLocaleString()} filas agregadas`);
+  if (step.deleted !== undefined) parts.push(`${step.deleted.toLocaleString()} filas eliminadas`);
+  if (step.archived !== undefined) parts.push(`${step.archived.toLocaleString()} problemas archivados`);
+  if (!step.complete) parts.push('pendiente para la próxima ejecución');
+  return parts.join(', ');
+};
+
+const inputClass = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50 text-sm';
+
+/**
+ * Retención de datos: número de filas de las tablas de lecturas y problemas,
+ * última ejecución del trabajo de retención y su configuración (días de
+ * detalle, agregados por hora y por día, archivado de problemas y cron).
+ */
+const RetentionPanel: React.FC = () => {
+  const [status, setStatus] = useState<RetentionStatus | null>(null);
+  const [form, setForm] = useState<RetentionSettings | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadStatus = useCallback(async (resetForm = false) => {
+    try {
+      const response = await fetchRetentionStatus();
+      if (response.status === 'Success') {
+        setStatus(response.data);
+        setForm(current => (resetForm || !current ? response.data.settings : current));
+      }
+    } catch (err) {
+      console.error('Error loading retention status:', err);
+      setError('No se pudo cargar el estado de la retención de datos');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus(true);
+  }, [loadStatus]);
+
+  useEffect(() => {
+    if (!status?.running) return;
+    const timer = setInterval(() => loadStatus(), RUNNING_POLL_MS);
+    return () => clearInterval(timer);
+  }, [status?.running, loadStatus]);
+
+  const updateForm = (changes: Partial<RetentionSettings>) => {
+    setForm(current => current && { ...current, ...changes });
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+
+    setError(null);
+    setMessage(null);
+    setSaving(true);
+    try {
+      const response = await updateRetentionSettings(form);
+      if (response.status === 'Success') {
+        setMessage('Configuración de retención guardada');
+        await loadStatus(true);
+      } else {
+        setError(response.message || 'Error guardando la configuración de retención');
+      }
+    } catch (err) {
+      console.error('Error saving retention settings:', err);
+      setError('Error guardando la configuración. Los agregados por hora deben conservarse más días que las lecturas de detalle y el cron debe tener cinco campos.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRunNow = async () => {
+    setError(null);
+    setMessage(null);
+    setStarting(true);
+    try {
+      await runRetentionNow();
+      setMessage('Ejecución de retención iniciada');
+      await loadStatus();
+    } catch (err) {
+      console.error('Error starting retention run:', err);
+      // El servidor responde 409 si ya hay una ejecución en curso
+      setError(err instanceof Error && err.message.includes('Status: 409')
+        ? 'Ya hay una ejecución de retención en curso'
+        : 'Error al iniciar la ejecución de retención');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  if (!status || !form) {
+    return error ? (
+      <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded flex items-center text-sm">
+        <AlertCircle size={16} className="mr-2" />
+        {error}
+      </div>
+    ) : null;
+  }
+
+  const lastRun = status.lastRun;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-medium text-gray-700 flex items-center">
+          <Archive size={16} className="mr-1.5 text-indigo-600" />
+          Retención de datos
+        </h4>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => loadStatus()}
+            className="flex items-center px-3 py-1.5 border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50"
+          >
+            <RefreshCw size={14} className="mr-1" />
+            Actualizar
+          </button>
+          <button
+            onClick={handleRunNow}
+            disabled={starting || status.running}
+            className="flex items-center px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {status.running ? <RefreshCw size={14} className="mr-1 animate-spin" /> : <Play size={14} className="mr-1" />}
+            {status.running ? 'En ejecución' : 'Ejecutar ahora'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 text-red-700 rounded flex items-center text-sm">
+          <AlertCircle size={16} className="mr-2" />
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="mb-3 p-3 bg-green-50 border border-green-200 text-green-700 rounded flex items-center text-sm">
+          <Check size={16} className="mr-2" />
+          {message}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+          <div className="text-sm font-medium text-gray-800 mb-2">Filas por tabla</div>
+          <table className="min-w-full text-sm">
+            <tbody className="divide-y divide-gray-200">
+              {status.tables.map(({ table, rows }) => (
+                <tr key={table}>
+                  <td className="py-1.5 text-gray-600">{TABLE_LABELS[table] || table}</td>
+                  <td className="py-1.5 text-right font-medium text-gray-800">{rows.toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-3 space-y-1 text-xs text-gray-500">
+            <div>Lectura más antigua: <span className="text-gray-700">{formatDate(status.oldest.raw)}</span></div>
+            <div>Agregado por hora más antiguo: <span className="text-gray-700">{formatDate(status.oldest.hourly)}</span></div>
+            <div>Agregado por día más antiguo: <span className="text-gray-700">{formatDate(status.oldest.daily)}</span></div>
+            <div>Agregado por hora hasta: <span className="text-gray-700">{formatDate(status.watermarks.hourly)}</span></div>
+            <div>Agregado por día hasta: <span className="text-gray-700">{formatDate(status.watermarks.daily)}</span></div>
+          </div>
+        </div>
+
+        <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+          <div className="text-sm font-medium text-gray-800 mb-2">Última ejecución</div>
+          {lastRun ? (
+            <>
+              <div className="flex items-center space-x-2 text-sm">
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[lastRun.status]?.className || 'bg-gray-100 text-gray-800'}`}>
+                  {STATUS_STYLES[lastRun.status]?.label || lastRun.status}
+                </span>
+                <span className="text-gray-700">{formatDate(lastRun.at)}</span>
+                {lastRun.summary && (
+                  <span className="text-gray-500">
+                    · {(lastRun.summary.duration / 1000).toFixed(1)} s
+                    · {lastRun.summary.trigger === 'manual' ? `Manual (${lastRun.summary.requestedBy || '-'})` : 'Programada'}
+                  </span>
+                )}
+              </div>
+              {lastRun.summary && (
+                <ul className="mt-3 space-y-1 text-xs">
+                  {Object.entries(lastRun.summary.steps).map(([name, step]) => (
+                    <li key={name} className={step.error ? 'text-red-600' : 'text-gray-600'}>
+                      <span className="font-medium">{STEP_LABELS[name] || name}:</span> {describeStep(step)}
+                    </li>
+                  ))}
+                  {lastRun.summary.recordError && (
+                    <li className="text-red-600">
+                      <span className="font-medium">Registro:</span> no se pudo guardar el resultado ({lastRun.summary.recordError})
+                    </li>
+                  )}
+                </ul>
+              )}
+            </>
+          ) : (
+            <div className="text-sm text-gray-500">Todavía no se ha ejecutado</div>
+          )}
+          <div className="mt-3 text-xs text-gray-500">
+            Próxima ejecución:{' '}
+            <span className="font-medium text-gray-700">
+              {status.nextRunAt ? new Date(status.nextRunAt).toLocaleString() : 'No programada'}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-4 bg-gray-50 p-4 rounded-lg border border-gray-200">
+        <div className="flex items-center justify-between mb-3">
+          <div className="text-sm font-medium text-gray-800">Configuración</div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => updateForm({ enabled: e.target.checked })}
+              className="mr-2 rounded border-gray-300 text-indigo-600"
+            />
+            Retención automática activada
+          </label>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {NUMBER_FIELDS.map(({ key, label, hint }) => (
+            <div key={key}>
+              <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+              <input
+                type="number"
+                min="0"
+                value={form[key]}
+                onChange={(e) => updateForm({ [key]: Number(e.target.value) } as Partial<RetentionSettings>)}
+                className={inputClass}
+              />
+              <div className="mt-1 text-xs text-gray-500">{hint}</div>
+            </div>
+          ))}
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Expresión cron del trabajo</label>
+            <input
+              type="text"
+              value={form.jobCron}
+              onChange={(e) => updateForm({ jobCron: e.target.value })}
+              placeholder="15 * * * *"
+              className={`${inputClass} font-mono`}
+            />
+            <div className="mt-1 text-xs text-gray-500">Minuto, hora, día del mes, mes y día de la semana</div>
+          </div>
+        </div>
+
+        <div className="mt-3 flex items-center justify-between">
+          <div className="text-xs text-gray-500">
+            {status.settings.updatedBy && status.settings.updatedAt
+              ? `Última modificación: ${status.settings.updatedBy}, ${formatDate(status.settings.updatedAt)}`
+              : 'Configuración por defecto'}
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex items-center px-3 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {saving ? <RefreshCw size={16} className="mr-1 animate-spin" /> : <Check size={16} className="mr-1" />}
+            Guardar configuración
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RetentionPanel;
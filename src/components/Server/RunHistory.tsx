@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, RefreshCw, AlertCircle, ChevronDown, ChevronRight, ChevronLeft } from 'lucide-react';
+import { MonitoringRun, MonitoringRunDetail, MonitoringRunStatus } from '../../types';
+import { fetchMonitoringRuns, fetchMonitoringRun } from '../../services/api';
+import { useLiveEvents } from '../../hooks/useLiveEvents';
+import PhaseTimings from './PhaseTimings';
+
+const PAGE_SIZE = 20;
+
+const STATUS_STYLES: Record<MonitoringRunStatus, { label: string; className: string }> = {
+  running: { label: 'En curso', className: 'bg-blue-100 text-blue-800' },
+  completed: { label: 'Completado', className: 'bg-green-100 text-green-800' },
+  skipped: { label: 'Omitido', className: 'bg-yellow-100 text-yellow-800' },
+  failed: { label: 'Fallido', className: 'bg-red-100 text-red-800' }
+};
+
+const CHANGE_LABELS: Record<string, { label: string; className: string }> = {
+  opened: { label: 'Abierto', className: 'text-red-600' },
+  escalated: { label: 'Escalado', className: 'text-orange-600' },
+  resolved: { label: 'Resuelto', className: 'text-green-600' }
+};
+
+const reachability = (value: boolean | null) =>
+  value === null
+    ? <span className="text-gray-400">-</span>
+    : <span className={`inline-block w-2 h-2 rounded-full ${value ? 'bg-green-500' : 'bg-red-500'}`} title={value ? 'Accesible' : 'No accesible'}></span>;
+
+/**
+ * Historial de ciclos de monitorización guardado en el servidor, con el
+ * detalle de fuentes, tiempos por fase y problemas de cada ejecución.
+ */
+const RunHistory: React.FC = () => {
+  const [runs, setRuns] = useState<MonitoringRun[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [statusFilter, setStatusFilter] = useState<MonitoringRunStatus | ''>('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [detail, setDetail] = useState<MonitoringRunDetail | null>(null);
+  const [detailLoading, setDetailLoading] = useState(false);
+
+  const loadRuns = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetchMonitoringRuns(page, PAGE_SIZE, statusFilter || undefined);
+      if (response.status !== 'Success') {
+        throw new Error(response.message || 'Error desconocido');
+      }
+      setRuns(response.data.runs || []);
+      setTotal(response.data.total || 0);
+    } catch (err) {
+      console.error('Error loading monitoring runs:', err);
+      setError('No se pudo cargar el historial de ejecuciones');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, statusFilter]);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  // Los ciclos nuevos aparecen en cuanto terminan
+  useLiveEvents({
+    cycle: () => {
+      loadRuns();
+    }
+  });
+
+  const toggleRun = async (cycleId: string) => {
+    if (expandedId === cycleId) {
+      setExpandedId(null);
+      setDetail(null);
+      return;
+    }
+
+    setExpandedId(cycleId);
+    setDetail(null);
+    setDetailLoading(true);
+    try {
+      const response = await fetchMonitoringRun(cycleId);
+      setDetail(response.data || null);
+    } catch (err) {
+      console.error('Error loading monitoring run:', err);
+      setDetail(null);
+    } finally {
+      setDetailLoading(false);
+    }
+  };
+
+  const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  const renderDetail = () => {
+    if (detailLoading) {
+      return (
+        <div className="flex items-center text-sm text-gray-500">
+          <RefreshCw size={14} className="animate-spin mr-2" />
+          Cargando detalle...
+        </div>
+      );
+    }
+    if (!detail) {
+      return <div className="text-sm text-gray-500">No se pudo cargar el detalle de esta ejecución.</div>;
+    }
+
+    const sources = detail.details?.sources || [];
+    const problems = detail.details?.problems || [];
+
+    return (
+      <div className="space-y-4">
+        {detail.error && (
+          <div className="text-sm text-red-700 bg-red-50 border border-red-200 rounded p-2">{detail.error}</div>
+        )}
+
+        <PhaseTimings phases={detail.details?.phases} chipClassName="bg-white" />
+
+        {sources.length > 0 && (
+          <div>
+            <div className="text-xs text-gray-500 mb-2">Fuentes de Datos</div>
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="pr-4 py-1 font-medium">Fuente</th>
+                  <th className="pr-4 py-1 font-medium">Driver</th>
+                  <th className="pr-4 py-1 font-medium">Estado</th>
+                  <th className="pr-4 py-1 font-medium">Registros</th>
+                  <th className="pr-4 py-1 font-medium">Duración</th>
+                  <th className="py-1 font-medium">Error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sources.map(source => (
+                  <tr key={source.id}>
+                    <td className="pr-4 py-1 font-medium text-gray-800">{source.name}</td>
+                    <td className="pr-4 py-1 text-gray-600">{source.driver}</td>
+                    <td className="pr-4 py-1">
+                      <span className={!source.reachable ? 'text-red-600' : source.error ? 'text-yellow-600' : 'text-green-600'}>
+                        {!source.reachable ? 'Error' : source.error ? 'Parcial' : 'Conectada'}
+                      </span>
+                    </td>
+                    <td className="pr-4 py-1 text-gray-600">{source.records}</td>
+                    <td className="pr-4 py-1 text-gray-600">{source.duration !== null ? `${source.duration}ms` : '-'}</td>
+                    <td className="py-1 text-gray-600">{source.error || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div>
+          <div className="text-xs text-gray-500 mb-2">Problemas</div>
+          {problems.length === 0 ? (
+            <div className="text-sm text-gray-500">Esta ejecución no abrió, escaló ni resolvió problemas.</div>
+          ) : (
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="pr-4 py-1 font-medium">Cambio</th>
+                  <th className="pr-4 py-1 font-medium">Rack</th>
+                  <th className="pr-4 py-1 font-medium">Tipo</th>
+                  <th className="pr-4 py-1 font-medium">Alerta</th>
+                  <th className="py-1 font-medium">Valor</th>
+                </tr>
+              </thead>
+              <tbody>
+                {problems.map(problem => (
+                  <tr key={`${problem.change}-${problem.id}`}>
+                    <td className={`pr-4 py-1 font-medium ${CHANGE_LABELS[problem.change]?.className || ''}`}>
+                      {CHANGE_LABELS[problem.change]?.label || problem.change}
+                    </td>
+                    <td className="pr-4 py-1 text-gray-800">{problem.rack || problem.source || '-'}</td>
+                    <td className="pr-4 py-1 text-gray-600">{problem.type}{problem.phase ? ` (${problem.phase})` : ''}</td>
+                    <td className="pr-4 py-1 text-gray-600">{problem.alertType}</td>
+                    <td className="py-1 text-gray-600">{problem.value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium flex items-center">
+          <History size={20} className="mr-2 text-indigo-600" />
+          Historial de Ejecuciones
+        </h3>
+        <div className="flex items-center space-x-2">
+          <select
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value as MonitoringRunStatus | '');
+              setPage(1);
+            }}
+            className="text-sm rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50"
+          >
+            <option value="">Todos los estados</option>
+            {(Object.keys(STATUS_STYLES) as MonitoringRunStatus[]).map(status => (
+              <option key={status} value={status}>{STATUS_STYLES[status].label}</option>
+            ))}
+          </select>
+          <button
+            onClick={loadRuns}
+            className="px-3 py-1.5 bg-gray-100 text-gray-700 text-sm rounded hover:bg-gray-200 flex items-center"
+            disabled={loading}
+          >
+            <RefreshCw size={14} className={`mr-1.5 ${loading ? 'animate-spin' : ''}`} />
+            Actualizar
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded flex items-center text-sm">
+          <AlertCircle size={16} className="mr-2" />
+          {error}
+        </div>
+      )}
+
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2"></th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Inicio</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Origen</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Estado</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Duración</th>
+              <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">API 1</th>
+              <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">API 2</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase" title="Guardados / leídos">Racks</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase" title="Guardadas / leídas">Lecturas</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Problemas</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {runs.length === 0 && !loading && (
+              <tr>
+                <td colSpan={10} className="px-3 py-6 text-center text-gray-500">
+                  No hay ejecuciones registradas
+                </td>
+              </tr>
+            )}
+            {runs.map(run => (
+              <React.Fragment key={run.cycle_id}>
+                <tr
+                  onClick={() => toggleRun(run.cycle_id)}
+                  className={`cursor-pointer hover:bg-gray-50 ${expandedId === run.cycle_id ? 'bg-gray-50' : ''}`}
+                >
+                  <td className="px-3 py-2 text-gray-400">
+                    {expandedId === run.cycle_id ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap">{new Date(run.started_at).toLocaleString()}</td>
+                  <td className="px-3 py-2 text-gray-600">
+                    {run.trigger === 'manual' ? `Manual${run.requested_by ? ` (${run.requested_by})` : ''}` : 'Programado'}
+                    <span className="ml-1 text-xs text-gray-400">· {run.scope === 'sensors' ? 'Sensores' : 'Completo'}</span>
+                  </td>
+                  <td className="px-3 py-2">
+                    <span
+                      className={`px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[run.status]?.className || 'bg-gray-100 text-gray-800'}`}
+                      title={run.error || undefined}
+                    >
+                      {STATUS_STYLES[run.status]?.label || run.status}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{run.duration_ms !== null ? `${run.duration_ms}ms` : '-'}</td>
+                  <td className="px-3 py-2 text-center">{reachability(run.api1_reachable)}</td>
+                  <td className="px-3 py-2 text-center">{reachability(run.api2_reachable)}</td>
+                  <td className="px-3 py-2 text-gray-600">{run.racks_stored} / {run.racks_fetched}</td>
+                  <td className="px-3 py-2 text-gray-600">{run.readings_stored} / {run.readings_fetched}</td>
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    <span className="text-red-600" title="Abiertos">+{run.problems_opened}</span>
+                    <span className="text-orange-600 ml-2" title="Escalados">↑{run.problems_escalated}</span>
+                    <span className="text-green-600 ml-2" title="Resueltos">✓{run.problems_resolved}</span>
+                  </td>
+                </tr>
+                {expandedId === run.cycle_id && (
+                  <tr>
+                    <td colSpan={10} className="px-6 py-4 bg-gray-50">
+                      {renderDetail()}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between mt-3 text-sm text-gray-600">
+        <span>{total} ejecuciones</span>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setPage(current => Math.max(current - 1, 1))}
+            disabled={page <= 1 || loading}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+            title="Página anterior"
+          >
+            <ChevronLeft size={16} />
+          </button>
+          <span>Página {page} de {totalPages}</span>
+          <button
+            onClick={() => setPage(current => Math.min(current + 1, totalPages))}
+            disabled={page >= totalPages || loading}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+            title="Página siguiente"
+          >
+            <ChevronRight size={16} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RunHistory;
@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarClock, RefreshCw, AlertCircle, Check } from 'lucide-react';
+import { MonitoringCadence, MonitoringSchedule, ScheduleMode } from '../../types';
+import { fetchMonitoringSchedule, updateMonitoringSchedule } from '../../services/api';
+
+type CadenceKey = 'inventory' | 'sensors';
+
+const CADENCES: { key: CadenceKey; label: string; description: string }[] = [
+  {
+    key: 'inventory',
+    label: 'Inventario de racks',
+    description: 'Consulta todas las fuentes, incluido el inventario de racks'
+  },
+  {
+    key: 'sensors',
+    label: 'Lectura de sensores',
+    description: 'Consulta solo las fuentes ambientales y de energía'
+  }
+];
+
+interface CadenceForm {
+  mode: ScheduleMode;
+  seconds: string;
+  cron: string;
+}
+
+const toForm = (cadence: MonitoringCadence): CadenceForm => ({
+  mode: cadence.mode,
+  seconds: String(Math.round(cadence.intervalMs / 1000)),
+  cron: cadence.cron || ''
+});
+
+const toCadence = (form: CadenceForm): MonitoringCadence => ({
+  mode: form.mode,
+  intervalMs: Number(form.seconds) * 1000,
+  cron: form.mode === 'cron' ? form.cron.trim() : null
+});
+
+const inputClass = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50 text-sm';
+
+interface ScheduleSettingsProps {
+  nextRuns?: { inventory: string | null; sensors: string | null };
+  onSaved?: () => void;
+}
+
+/**
+ * Programación de los ciclos de monitorización: intervalo o expresión cron
+ * para el inventario de racks y para la lectura de sensores. Los cambios se
+ * guardan en el servidor y se aplican sin reiniciarlo.
+ */
+const ScheduleSettings: React.FC<ScheduleSettingsProps> = ({ nextRuns, onSaved }) => {
+  const [schedule, setSchedule] = useState<MonitoringSchedule | null>(null);
+  const [forms, setForms] = useState<Record<CadenceKey, CadenceForm> | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const applySchedule = (data: MonitoringSchedule) => {
+    setSchedule(data);
+    setForms({ inventory: toForm(data.inventory), sensors: toForm(data.sensors) });
+  };
+
+  const loadSchedule = useCallback(async () => {
+    try {
+      const response = await fetchMonitoringSchedule();
+      if (response.status === 'Success') {
+        applySchedule(response.data);
+      }
+    } catch (err) {
+      console.error('Error loading monitoring schedule:', err);
+      setError('No se pudo cargar la programación');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSchedule();
+  }, [loadSchedule]);
+
+  const updateForm = (key: CadenceKey, changes: Partial<CadenceForm>) => {
+    setForms(current => current && { ...current, [key]: { ...current[key], ...changes } });
+  };
+
+  const handleSave = async () => {
+    if (!forms) return;
+
+    setError(null);
+    setMessage(null);
+    setSaving(true);
+    try {
+      const response = await updateMonitoringSchedule({
+        inventory: toCadence(forms.inventory),
+        sensors: toCadence(forms.sensors)
+      });
+
+      if (response.status === 'Success' && response.data) {
+        applySchedule(response.data);
+        setMessage('Programación guardada y aplicada');
+        onSaved?.();
+      } else {
+        setError(response.message || 'Error guardando la programación');
+      }
+    } catch (err) {
+      console.error('Error saving monitoring schedule:', err);
+      setError('Error guardando la programación. Revise el intervalo (10 segundos a 7 días) o la expresión cron.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!forms) {
+    return error ? (
+      <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded flex items-center text-sm">
+        <AlertCircle size={16} className="mr-2" />
+        {error}
+      </div>
+    ) : null;
+  }
+
+  return (
+    <div>
+      <h4 className="text-sm font-medium text-gray-700 mb-3 flex items-center">
+        <CalendarClock size={16} className="mr-1.5 text-indigo-600" />
+        Programación
+      </h4>
+
+      {error && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 text-red-700 rounded flex items-center text-sm">
+          <AlertCircle size={16} className="mr-2" />
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="mb-3 p-3 bg-green-50 border border-green-200 text-green-700 rounded flex items-center text-sm">
+          <Check size={16} className="mr-2" />
+          {message}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {CADENCES.map(({ key, label, description }) => (
+          <div key={key} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+            <div className="text-sm font-medium text-gray-800">{label}</div>
+            <div className="text-xs text-gray-500 mb-3">{description}</div>
+
+            <div className="flex items-center space-x-2">
+              <select
+                value={forms[key].mode}
+                onChange={(e) => updateForm(key, { mode: e.target.value as ScheduleMode })}
+                className={`${inputClass} w-40`}
+              >
+                <option value="interval">Intervalo</option>
+                <option value="cron">Expresión cron</option>
+              </select>
+
+              {forms[key].mode === 'interval' ? (
+                <div className="flex items-center">
+                  <input
+                    type="number"
+                    min="10"
+                    value={forms[key].seconds}
+                    onChange={(e) => updateForm(key, { seconds: e.target.value })}
+                    className={`${inputClass} w-28`}
+                  />
+                  <span className="ml-2 text-sm text-gray-500">segundos</span>
+                </div>
+              ) : (
+                <input
+                  type="text"
+                  value={forms[key].cron}
+                  onChange={(e) => updateForm(key, { cron: e.target.value })}
+                  placeholder="*/5 * * * *"
+                  className={`${inputClass} font-mono`}
+                />
+              )}
+            </div>
+
+            {forms[key].mode === 'cron' && (
+              <div className="mt-1 text-xs text-gray-500">
+                Minuto, hora, día del mes, mes y día de la semana, en la hora del servidor
+              </div>
+            )}
+
+            <div className="mt-3 text-xs text-gray-500">
+              Próxima ejecución:{' '}
+              <span className="font-medium text-gray-700">
+                {nextRuns?.[key] ? new Date(nextRuns[key] as string).toLocaleString() : 'No programado'}
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-3 flex items-center justify-between">
+        <div className="text-xs text-gray-500">
+          {schedule?.updatedBy && schedule.updatedAt
+            ? `Última modificación: ${schedule.updatedBy}, ${new Date(schedule.updatedAt).toLocaleString()}`
+            : 'Programación por defecto'}
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center px-3 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {saving ? <RefreshCw size={16} className="mr-1 animate-spin" /> : <Check size={16} className="mr-1" />}
+          Guardar programación
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleSettings;
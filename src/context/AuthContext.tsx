@@ -1,31 +1,85 @@
-import React, { createContext, useContext, useState, ReactNode } from 'react';
-import { User, UserRole } from '../types';
+import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import { User } from '../types';
+import { setAuthToken } from '../api/route';
+import { loginUser, logoutUser, fetchCurrentUser } from '../services/api';
+
+const TOKEN_STORAGE_KEY = 'dcops_auth_token';
 
 interface AuthContextType {
   isAuthenticated: boolean;
+  isLoading: boolean;
   user: User | null;
-  login: (username: string, role: UserRole) => void;
-  logout: () => void;
+  login: (username: string, password: string) => Promise<void>;
+  logout: () => Promise<void>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
 export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
   const [user, setUser] = useState<User | null>(null);
 
-  const login = (username: string, role: UserRole) => {
-    setUser({ username, role });
+  const clearSession = () => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    setAuthToken(null);
+    setUser(null);
+    setIsAuthenticated(false);
+  };
+
+  // Restore a previous session if its token is still valid
+  useEffect(() => {
+    const storedToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+    if (!storedToken) {
+      setIsLoading(false);
+      return;
+    }
+
+    setAuthToken(storedToken);
+    fetchCurrentUser()
+      .then(response => {
+        if (response.status === 'Success' && response.data) {
+          setUser(response.data);
+          setIsAuthenticated(true);
+        } else {
+          clearSession();
+        }
+      })
+      .catch(() => clearSession())
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const login = async (username: string, password: string) => {
+    let response;
+    try {
+      response = await loginUser(username, password);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : '';
+      throw new Error(message.includes('401') ? 'Invalid username or password' : 'Unable to sign in. Please try again later.');
+    }
+
+    if (response.status !== 'Success' || !response.data) {
+      throw new Error(response.message || 'Invalid username or password');
+    }
+
+    localStorage.setItem(TOKEN_STORAGE_KEY, response.data.token);
+    setAuthToken(response.data.token);
+    setUser(response.data.user);
     setIsAuthenticated(true);
   };
 
-  const logout = () => {
-    setUser(null);
-    setIsAuthenticated(false);
+  const logout = async () => {
+    try {
+      await logoutUser();
+    } catch (err) {
+      console.error('Error revoking session:', err);
+    } finally {
+      clearSession();
+    }
   };
 
   return (
-    <AuthContext.Provider value={{ isAuthenticated, user, login, logout }}>
+    <AuthContext.Provider value={{ isAuthenticated, isLoading, user, login, logout }}>
       {children}
     </AuthContext.Provider>
   );
@@ -37,4 +91,4 @@ export const useAuth = (): AuthContextType => {
     throw new Error('useAuth must be used within an AuthProvider');
   }
   return context;
-};
\ No newline at end of file
+};
@@ -0,0 +1,99 @@
+import { useState, useEffect, useRef } from 'react';
+import { LiveEventType, LiveEventPayloads } from '../types';
+
+const EVENTS_URL = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/events`;
+const LIVE_EVENT_TYPES: LiveEventType[] = ['racks', 'problem', 'cycle'];
+
+// Retry delay when the browser gives up on the stream instead of reconnecting
+const RECONNECT_DELAY = 10000;
+
+type LiveEventHandlers = {
+  [Type in LiveEventType]?: (data: LiveEventPayloads[Type]) => void;
+};
+
+// One stream is shared by every component that listens for events
+let source: EventSource | null = null;
+let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+let connected = false;
+let subscriberCount = 0;
+const connectionListeners = new Set<(connected: boolean) => void>();
+const eventListeners = new Set<(type: LiveEventType, data: unknown) => void>();
+
+const setConnected = (value: boolean) => {
+  if (connected === value) return;
+  connected = value;
+  connectionListeners.forEach(listener => listener(value));
+};
+
+const openStream = () => {
+  if (source || typeof EventSource === 'undefined') return;
+
+  source = new EventSource(EVENTS_URL);
+  source.onopen = () => setConnected(true);
+  source.onerror = () => {
+    setConnected(false);
+    // The browser reconnects by itself unless the stream was closed for good,
+    // e.g. when the server is down at the first attempt
+    if (source?.readyState === EventSource.CLOSED) {
+      closeStream();
+      reconnectTimer = setTimeout(openStream, RECONNECT_DELAY);
+    }
+  };
+
+  LIVE_EVENT_TYPES.forEach(type => {
+    source?.addEventListener(type, event => {
+      try {
+        const data = JSON.parse((event as MessageEvent).data);
+        eventListeners.forEach(listener => listener(type, data));
+      } catch (err) {
+        console.error(`Invalid ${type} event:`, err);
+      }
+    });
+  });
+};
+
+const closeStream = () => {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  source?.close();
+  source = null;
+  setConnected(false);
+};
+
+/**
+ * Subscribe to the events the server pushes when a monitoring cycle
+ * finishes or a problem changes. Callers should keep polling while
+ * `connected` is false.
+ * @param handlers - Callback per event type; they may change between renders
+ */
+export const useLiveEvents = (handlers: LiveEventHandlers = {}) => {
+  const [isConnected, setIsConnected] = useState(connected);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const onEvent = (type: LiveEventType, data: unknown) => {
+      const handler = handlersRef.current[type] as ((payload: unknown) => void) | undefined;
+      handler?.(data);
+    };
+
+    connectionListeners.add(setIsConnected);
+    eventListeners.add(onEvent);
+    subscriberCount++;
+    openStream();
+    setIsConnected(connected);
+
+    return () => {
+      connectionListeners.delete(setIsConnected);
+      eventListeners.delete(onEvent);
+      subscriberCount--;
+      if (subscriberCount === 0) {
+        closeStream();
+      }
+    };
+  }, []);
+
+  return { connected: isConnected };
+};
@@ -1,7 +1,66 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
-import { ApiResponse, Rack, DatacenterGroup } from '../types';
-import { fetchRackData, fetchSensorData, fetchThresholds } from '../services/api';
+import { Rack, Sensor, DatacenterGroup, MaintenanceWindow, RackSnapshotEvent } from '../types';
+import { fetchRackData, fetchSensorData, fetchThresholds, fetchMaintenanceWindows } from '../services/api';
 import { useThresholdSettings } from './useThresholdSettings';
+import { useLiveEvents } from './useLiveEvents';
+
+const PHASES = ['L1', 'L2', 'L3'] as const;
+
+// Below this average phase current the imbalance percentage is not meaningful
+const PHASE_IMBALANCE_MIN_AMPS = 2;
+
+/**
+ * Current per phase derived from the PDU readings: I = VA / V, or
+ * I = W / (V * PF) when VA is not reported
+ */
+const getPhaseCurrents = (rack: Rack): (number | null)[] =>
+  PHASES.map(phase => {
+    const volts = Number(rack[`${phase}_VOLTS`]);
+    if (!volts) return null;
+    const va = rack[`${phase}_VA`];
+    if (va !== null && va !== undefined && va !== '') return Number(va) / volts;
+    const watts = rack[`${phase}_WATTS`];
+    const pf = Number(rack[`${phase}_PF`]);
+    if (watts !== null && watts !== undefined && watts !== '' && pf) return Number(watts) / (volts * pf);
+    return null;
+  });
+
+/**
+ * Spread between the most and least loaded phase as a percentage of the
+ * average phase current, or null when a phase is missing or the load is low
+ */
+const getPhaseImbalance = (currents: (number | null)[]): number | null => {
+  if (currents.some(current => current === null)) return null;
+  const values = currents as number[];
+  const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (average < PHASE_IMBALANCE_MIN_AMPS) return null;
+  return Math.round(((Math.max(...values) - Math.min(...values)) / average) * 1000) / 10;
+};
+
+// PDU statuses treated as healthy, as on the server (PDU_OK_STATUSES)
+const PDU_OK_STATUSES = ['ok', 'normal', 'online', 'up'];
+
+/**
+ * Whether the PDU reports a power failure: a flag or a count of failed inputs
+ */
+const isPowerFailure = (value: Rack['POWER_FAIL']): boolean => {
+  if (value === null || value === undefined || value === '') return false;
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'fail', 'failed'].includes(text)) return true;
+  return Number(text) > 0;
+};
+
+const usesLocalServer = import.meta.env.VITE_USE_LOCAL_SERVER === 'true';
+
+const isMaintenanceFlagSet = (value: Rack['MAINTENANCE']) => value === '1' || value === 'true';
+
+/**
+ * Maintenance window covering a rack: a rack window wins over a datacenter one
+ */
+const findMaintenanceWindow = (windows: MaintenanceWindow[], rack: Rack): MaintenanceWindow | undefined =>
+  windows.find(window => window.scope === 'rack' && window.rack_name === rack.NAME) ||
+  windows.find(window => window.scope === 'dc' && window.site === rack.SITE && window.dc === rack.DC);
 
 interface UseSensorDataProps {
   refreshInterval?: number;
@@ -17,8 +76,9 @@ export const useSensorData = ({ refreshInterval }: UseSensorDataProps = {}) => {
     refreshInterval || Number(import.meta.env.VITE_DEFAULT_REFRESH_INTERVAL) || 30000
   );
 
-  // Use the threshold settings hook
-  const { thresholds } = useThresholdSettings();
+  // Use the threshold settings hook; limits are resolved per rack so site,
+  // datacenter and rack overrides take precedence over the global values
+  const { resolveFor } = useThresholdSettings();
 
   // Group data by datacenter and site
   const groupedData = useMemo(() => {
@@ -41,71 +101,87 @@ export const useSensorData = ({ refreshInterval }: UseSensorDataProps = {}) => {
     return Object.values(groupedByDc);
   }, [data]);
 
+  // Merge the sensor readings into the racks and work out the alerts and
+  // maintenance state shown on the dashboard
+  const buildRackData = useCallback((racks: Rack[], sensors: Sensor[], maintenanceWindows: MaintenanceWindow[]) =>
+    racks.map(rack => {
+      // Find all sensors for this rack
+      const rackSensors = sensors.filter(sensor => sensor.RACK_NAME === rack.NAME);
+      const thresholds = resolveFor({ site: rack.SITE, dc: rack.DC, rack: rack.NAME });
+
+      let readings = {};
+      if (rackSensors.length > 0) {
+        // Get maximum temperature and humidity values
+        const maxTemp = Math.max(...rackSensors.map(s => parseFloat(s.TEMPERATURE) || 0));
+        const maxHumidity = Math.max(...rackSensors.map(s => parseFloat(s.HUMIDITY) || 0));
+
+        readings = {
+          TEMPERATURE: maxTemp.toString(),
+          HUMIDITY: maxHumidity.toString(),
+          // Set alerts based on thresholds
+          TEMP_ALERT: maxTemp > (Number(thresholds.max_temp) || 32) || maxTemp < (Number(thresholds.min_temp) || 18),
+          HUMIDITY_ALERT: maxHumidity > (Number(thresholds.max_humidity) || 70) || maxHumidity < (Number(thresholds.min_humidity) || 40)
+        };
+      }
+      const merged = { ...rack, ...readings };
+
+      // Use the phase field with fallback to detect single phase by voltage
+      const isSinglePhase = merged.phase 
+        ? merged.phase === 'Single Phase' 
+        : (merged.L2_VOLTS === null && merged.L3_VOLTS === null);
+      
+      // Set power alerts based on phase type
+      const powerAlert = merged.TOTAL_AMPS 
+        ? (isSinglePhase 
+            ? Number(merged.TOTAL_AMPS) > (Number(thresholds.max_power_single_phase) || 16)
+            : Number(merged.TOTAL_AMPS) > (Number(thresholds.max_power_three_phase) || 48))
+        : false;
+
+      // Three-phase racks are also checked phase by phase
+      const phaseCurrents = isSinglePhase ? [] : getPhaseCurrents(merged);
+      const phaseAlert = phaseCurrents.some(
+        current => current !== null && current > (Number(thresholds.max_power_per_phase) || 16)
+      );
+      const phaseImbalance = isSinglePhase ? null : getPhaseImbalance(phaseCurrents);
+      
+      const maintenanceWindow = findMaintenanceWindow(maintenanceWindows, merged);
+      const deviceStatus = merged.RSTATUS ? String(merged.RSTATUS).trim() : '';
+        
+      return {
+        ...merged,
+        // Ensure the phase field exists
+        phase: merged.phase || (isSinglePhase ? 'Single Phase' : '3-Phase'),
+        POWER_ALERT: powerAlert || phaseAlert,
+        PHASE_IMBALANCE: phaseImbalance,
+        PHASE_IMBALANCE_ALERT: phaseImbalance !== null && phaseImbalance > (Number(thresholds.max_phase_imbalance) || 20),
+        POWER_FAIL_ALERT: isPowerFailure(merged.POWER_FAIL),
+        DEVICE_STATUS_ALERT: deviceStatus !== '' && !PDU_OK_STATUSES.includes(deviceStatus.toLowerCase()),
+        IN_MAINTENANCE: Boolean(maintenanceWindow) || isMaintenanceFlagSet(merged.MAINTENANCE),
+        MAINTENANCE_REASON: maintenanceWindow?.reason ?? null
+      };
+    }), [resolveFor]);
+
   const fetchData = useCallback(async () => {
     setLoading(true);
     setError(null);
     
     try {
-      let response: ApiResponse;
-      let sensorResponse;
+      // Maintenance windows are optional for the dashboard, so a failure
+      // here leaves every rack in service
+      const maintenanceRequest: Promise<MaintenanceWindow[]> = fetchMaintenanceWindows('active')
+        .then(result => result.data || [])
+        .catch(() => []);
       
       // Get data from API
-      [response, sensorResponse] = await Promise.all([
+      const [response, sensorResponse] = await Promise.all([
         fetchRackData(),
         fetchSensorData()
       ]);
-      
-      // If we have sensor data, update the rack data with it
-      if (sensorResponse?.status === "Success") {
-        response.data = response.data.map(rack => {
-          // Find all sensors for this rack
-          const rackSensors = sensorResponse.data.filter(
-            sensor => sensor.RACK_NAME === rack.NAME
-          );
-          
-          if (rackSensors.length > 0) {
-            // Get maximum temperature and humidity values
-            const maxTemp = Math.max(...rackSensors.map(s => parseFloat(s.TEMPERATURE) || 0));
-            const maxHumidity = Math.max(...rackSensors.map(s => parseFloat(s.HUMIDITY) || 0));
-            
-            return {
-              ...rack,
-              TEMPERATURE: maxTemp.toString(),
-              HUMIDITY: maxHumidity.toString(),
-              // Set alerts based on thresholds
-              TEMP_ALERT: maxTemp > (Number(thresholds.max_temp) || 32) || maxTemp < (Number(thresholds.min_temp) || 18),
-              HUMIDITY_ALERT: maxHumidity > (Number(thresholds.max_humidity) || 70) || maxHumidity < (Number(thresholds.min_humidity) || 40)
-            };
-          }
-          
-          return rack;
-        });
-      }
+      const maintenanceWindows = await maintenanceRequest;
       
       if (response.status === "Success") {
-        // Calculate power alerts based on phase type
-        const dataWithAlerts = response.data.map(rack => {
-          // Use the phase field with fallback to detect single phase by voltage
-          const isSinglePhase = rack.phase 
-            ? rack.phase === 'Single Phase' 
-            : (rack.L2_VOLTS === null && rack.L3_VOLTS === null);
-          
-          // Set power alerts based on phase type
-          const powerAlert = rack.TOTAL_AMPS 
-            ? (isSinglePhase 
-                ? Number(rack.TOTAL_AMPS) > (Number(thresholds.max_power_single_phase) || 16)
-                : Number(rack.TOTAL_AMPS) > (Number(thresholds.max_power_three_phase) || 48))
-            : false;
-            
-          return {
-            ...rack,
-            // Ensure the phase field exists
-            phase: rack.phase || (isSinglePhase ? 'Single Phase' : '3-Phase'),
-            POWER_ALERT: powerAlert
-          };
-        });
-        
-        setData(dataWithAlerts);
+        const sensors = sensorResponse?.status === "Success" ? sensorResponse.data : [];
+        setData(buildRackData(response.data, sensors, maintenanceWindows));
         setLastUpdated(new Date());
       } else {
         setError("Failed to fetch data");
@@ -115,18 +191,30 @@ export const useSensorData = ({ refreshInterval }: UseSensorDataProps = {}) => {
     } finally {
       setLoading(false);
     }
-  }, [thresholds]);
+  }, [buildRackData]);
+
+  // Snapshots are pushed by the local server after every monitoring cycle;
+  // they are only used when the dashboard reads its racks from that server
+  const { connected: isLive } = useLiveEvents({
+    racks: (snapshot: RackSnapshotEvent) => {
+      if (!usesLocalServer) return;
+      setData(buildRackData(snapshot.racks, snapshot.sensors, snapshot.maintenanceWindows));
+      setLastUpdated(new Date());
+      setError(null);
+    }
+  });
+  const receivesPushes = usesLocalServer && isLive;
 
-  // Handle auto-refresh
+  // Handle auto-refresh; polling is only needed while pushes aren't arriving
   useEffect(() => {
-    if (!isAutoRefresh) return;
+    if (!isAutoRefresh || receivesPushes) return;
     
     const interval = setInterval(() => {
       fetchData();
     }, refreshTime);
     
     return () => clearInterval(interval);
-  }, [isAutoRefresh, refreshTime, fetchData]);
+  }, [isAutoRefresh, receivesPushes, refreshTime, fetchData]);
 
   // Initial data fetch
   useEffect(() => {
@@ -148,6 +236,7 @@ export const useSensorData = ({ refreshInterval }: UseSensorDataProps = {}) => {
     groupedData,
     lastUpdated,
     isAutoRefresh,
+    isLive: receivesPushes,
     refreshTime,
     fetchData,
     toggleAutoRefresh,
@@ -1,12 +1,75 @@
-import { useState, useEffect } from 'react';
-import { Threshold } from '../types';
-import { fetchThresholds } from '../services/api';
+import { useState, useEffect, useCallback } from 'react';
+import { CriticalLimitField, Threshold, ThresholdLimitField, ThresholdOverride, ThresholdScope } from '../types';
+import { fetchThresholds, fetchThresholdOverrides } from '../services/api';
 
 const LOCAL_STORAGE_KEY = 'thresholdSettings';
 
+const WARNING_FIELDS: ThresholdLimitField[] = [
+  'min_temp',
+  'max_temp',
+  'min_humidity',
+  'max_humidity',
+  'max_power_single_phase',
+  'max_power_three_phase',
+  'max_power_per_phase',
+  'max_phase_imbalance'
+];
+
+const LIMIT_FIELDS: (ThresholdLimitField | CriticalLimitField)[] = [
+  ...WARNING_FIELDS,
+  ...WARNING_FIELDS.map(field => `critical_${field}` as CriticalLimitField)
+];
+
+// Los ámbitos más amplios se aplican primero para que prevalezcan los más específicos
+const SCOPE_PRIORITY: Record<ThresholdScope, number> = {
+  site: 1,
+  dc: 2,
+  rack: 3
+};
+
+export interface ThresholdTarget {
+  site?: string;
+  dc?: string;
+  rack?: string;
+}
+
+export type ResolvedThresholds = Partial<Threshold> & { scope: ThresholdScope | 'global' };
+
+/**
+ * Resuelve los umbrales de un rack: globales, luego overrides de sitio,
+ * datacenter y rack, campo a campo (mismo orden que el servicio de monitoreo)
+ */
+export const resolveThresholds = (
+  thresholds: Partial<Threshold>,
+  overrides: ThresholdOverride[],
+  { site, dc, rack }: ThresholdTarget
+): ResolvedThresholds => {
+  const resolved: ResolvedThresholds = { ...thresholds, scope: 'global' };
+
+  overrides
+    .filter(override =>
+      (override.scope === 'site' && override.site === site) ||
+      (override.scope === 'dc' && override.site === site && override.dc === dc) ||
+      (override.scope === 'rack' && override.rack_name === rack)
+    )
+    .sort((a, b) => SCOPE_PRIORITY[a.scope] - SCOPE_PRIORITY[b.scope])
+    .forEach(override => {
+      LIMIT_FIELDS.forEach(field => {
+        if (override[field] !== null && override[field] !== undefined) {
+          resolved[field] = Number(override[field]);
+        }
+      });
+      resolved.scope = override.scope;
+    });
+
+  return resolved;
+};
+
 interface UseThresholdSettingsResult {
   thresholds: Partial<Threshold>;
+  overrides: ThresholdOverride[];
   setThresholds: (newThresholds: Partial<Threshold>) => void;
+  resolveFor: (target: ThresholdTarget) => ResolvedThresholds;
   isLoading: boolean;
   error: string | null;
   refetch: () => Promise<void>;
@@ -22,7 +85,9 @@ export const useThresholdSettings = (): UseThresholdSettingsResult => {
         min_humidity: 40.0,
         max_humidity: 70.0,
         max_power_single_phase: 16.0,
-        max_power_three_phase: 48.0
+        max_power_three_phase: 48.0,
+        max_power_per_phase: 16.0,
+        max_phase_imbalance: 20.0
       };
     } catch (error) {
       console.error("Error loading threshold settings from localStorage:", error);
@@ -32,11 +97,14 @@ export const useThresholdSettings = (): UseThresholdSettingsResult => {
         min_humidity: 40.0,
         max_humidity: 70.0,
         max_power_single_phase: 16.0,
-        max_power_three_phase: 48.0
+        max_power_three_phase: 48.0,
+        max_power_per_phase: 16.0,
+        max_phase_imbalance: 20.0
       };
     }
   });
   
+  const [overrides, setOverrides] = useState<ThresholdOverride[]>([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
@@ -63,10 +131,28 @@ export const useThresholdSettings = (): UseThresholdSettingsResult => {
           max_humidity: Number(serverThresholds.max_humidity) || 70.0,
           max_power_single_phase: Number(serverThresholds.max_power_single_phase) || 16.0,
           max_power_three_phase: Number(serverThresholds.max_power_three_phase) || 48.0,
+          max_power_per_phase: Number(serverThresholds.max_power_per_phase) || 16.0,
+          max_phase_imbalance: Number(serverThresholds.max_phase_imbalance) || 20.0,
+          // Los límites críticos solo existen en servidores con umbrales por niveles
+          ...Object.fromEntries(
+            LIMIT_FIELDS
+              .filter(field => field.startsWith('critical_') && serverThresholds[field] !== null && serverThresholds[field] !== undefined)
+              .map(field => [field, Number(serverThresholds[field])])
+          ),
           created_at: serverThresholds.created_at,
           updated_at: serverThresholds.updated_at
         });
       }
+
+      // Los overrides son opcionales; sin ellos se aplican los umbrales globales
+      try {
+        const overridesResponse = await fetchThresholdOverrides();
+        if (overridesResponse.status === "Success" && Array.isArray(overridesResponse.data)) {
+          setOverrides(overridesResponse.data);
+        }
+      } catch (overridesError) {
+        console.error("Error fetching threshold overrides from server:", overridesError);
+      }
     } catch (err) {
       console.error("Error fetching thresholds from server:", err);
       setError("No se pudieron obtener los umbrales del servidor");
@@ -89,9 +175,16 @@ export const useThresholdSettings = (): UseThresholdSettingsResult => {
     }
   }, [thresholds]);
 
+  const resolveFor = useCallback(
+    (target: ThresholdTarget) => resolveThresholds(thresholds, overrides, target),
+    [thresholds, overrides]
+  );
+
   return { 
     thresholds, 
+    overrides,
     setThresholds,
+    resolveFor,
     isLoading,
     error,
     refetch: fetchThresholdsFromServer
@@ -1,17 +1,33 @@
 import React, { useState, useEffect } from 'react';
 import MainLayout from '../components/Layout/MainLayout';
-import { Settings, Thermometer, Droplets, Power, Bell, Check, RefreshCw, Database, Globe, AlertCircle, Snowflake, ServerOff, Server } from 'lucide-react';
+import { Settings, Thermometer, Droplets, Power, Check, RefreshCw, Database, Globe, AlertCircle, Snowflake, ServerOff, Server } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { Navigate } from 'react-router-dom';
 import { useSensorData } from '../hooks/useSensorData';
 import { fetchThresholds, updateThresholds } from '../services/api';
 import { useThresholdSettings } from '../hooks/useThresholdSettings';
+import { CriticalLimitField } from '../types';
 import { routeRequest } from '../api/route';
+import NotificationSettings from '../components/Configuration/NotificationSettings';
+import ThresholdOverrides from '../components/Configuration/ThresholdOverrides';
+import AlertRules from '../components/Configuration/AlertRules';
+
+// Límites críticos por defecto: por encima (o por debajo, en los mínimos) el problema es Crítico
+const DEFAULT_CRITICAL_LIMITS: Record<CriticalLimitField, number> = {
+  critical_min_temp: 15,
+  critical_max_temp: 35,
+  critical_min_humidity: 35,
+  critical_max_humidity: 75,
+  critical_max_power_single_phase: 20,
+  critical_max_power_three_phase: 60,
+  critical_max_power_per_phase: 20,
+  critical_max_phase_imbalance: 40
+};
 
 const ConfigurationPage: React.FC = () => {
   const { user } = useAuth();
   const [activeTab, setActiveTab] = useState<'thresholds' | 'notifications' | 'system' | 'refresh' | 'api' | 'database' | 'monitoring'>('thresholds');
-  const { refreshTime, isAutoRefresh, toggleAutoRefresh, updateRefreshTime } = useSensorData();
+  const { data: racks, refreshTime, isAutoRefresh, toggleAutoRefresh, updateRefreshTime } = useSensorData();
   const [apiTestResults, setApiTestResults] = useState<{[key: string]: { status: string; data?: any; error?: string }}>({});
   const [isTestingApi, setIsTestingApi] = useState<{[key: string]: boolean}>({});
   
@@ -30,6 +46,16 @@ const ConfigurationPage: React.FC = () => {
   const [maxHumidityThreshold, setMaxHumidityThreshold] = useState(Number(thresholds.max_humidity) || 70);
   const [powerSingleThreshold, setPowerSingleThreshold] = useState(Number(thresholds.max_power_single_phase) || 16);
   const [powerTripleThreshold, setPowerTripleThreshold] = useState(Number(thresholds.max_power_three_phase) || 48);
+  const [powerPhaseThreshold, setPowerPhaseThreshold] = useState(Number(thresholds.max_power_per_phase) || 16);
+  const [phaseImbalanceThreshold, setPhaseImbalanceThreshold] = useState(Number(thresholds.max_phase_imbalance) || 20);
+  const [criticalLimits, setCriticalLimits] = useState<Record<CriticalLimitField, number>>(() => ({
+    ...DEFAULT_CRITICAL_LIMITS,
+    ...Object.fromEntries(
+      (Object.keys(DEFAULT_CRITICAL_LIMITS) as CriticalLimitField[])
+        .filter(field => thresholds[field] !== undefined)
+        .map(field => [field, Number(thresholds[field])])
+    )
+  }));
   const [showSaveNotification, setShowSaveNotification] = useState(false);
   const [thresholdsLoading, setThresholdsLoading] = useState(false);
   const [thresholdsError, setThresholdsError] = useState<string | null>(null);
@@ -109,6 +135,17 @@ const ConfigurationPage: React.FC = () => {
           setMaxHumidityThreshold(Number(thresholdsData.max_humidity) || 70);
           setPowerSingleThreshold(Number(thresholdsData.max_power_single_phase) || 16);
           setPowerTripleThreshold(Number(thresholdsData.max_power_three_phase) || 48);
+          setPowerPhaseThreshold(Number(thresholdsData.max_power_per_phase) || 16);
+          setPhaseImbalanceThreshold(Number(thresholdsData.max_phase_imbalance) || 20);
+          const loadedCriticalLimits = Object.fromEntries(
+            (Object.keys(DEFAULT_CRITICAL_LIMITS) as CriticalLimitField[]).map(field => [
+              field,
+              thresholdsData[field] === null || thresholdsData[field] === undefined
+                ? DEFAULT_CRITICAL_LIMITS[field]
+                : Number(thresholdsData[field])
+            ])
+          ) as Record<CriticalLimitField, number>;
+          setCriticalLimits(loadedCriticalLimits);
           
           // Update local storage
           setThresholds({
@@ -117,7 +154,10 @@ const ConfigurationPage: React.FC = () => {
             min_humidity: Number(thresholdsData.min_humidity) || 40,
             max_humidity: Number(thresholdsData.max_humidity) || 70,
             max_power_single_phase: Number(thresholdsData.max_power_single_phase) || 16,
-            max_power_three_phase: Number(thresholdsData.max_power_three_phase) || 48
+            max_power_three_phase: Number(thresholdsData.max_power_three_phase) || 48,
+            max_power_per_phase: Number(thresholdsData.max_power_per_phase) || 16,
+            max_phase_imbalance: Number(thresholdsData.max_phase_imbalance) || 20,
+            ...loadedCriticalLimits
           });
         }
       } catch (error) {
@@ -142,6 +182,9 @@ const ConfigurationPage: React.FC = () => {
         max_humidity: maxHumidityThreshold,
         max_power_single_phase: powerSingleThreshold,
         max_power_three_phase: powerTripleThreshold,
+        max_power_per_phase: powerPhaseThreshold,
+        max_phase_imbalance: phaseImbalanceThreshold,
+        ...criticalLimits
       };
       
       // Update local storage
@@ -149,10 +192,11 @@ const ConfigurationPage: React.FC = () => {
       
       const response = await updateThresholds(newThresholds);
       if (response.status === "Success") {
+        setThresholdsError(null);
         setShowSaveNotification(true);
         setTimeout(() => setShowSaveNotification(false), 3000);
       } else {
-        setThresholdsError('Error guardando los umbrales. Por favor intente nuevamente.');
+        setThresholdsError(response.message || 'Error guardando los umbrales. Por favor intente nuevamente.');
       }
     } catch (error) {
       console.error('Error saving thresholds:', error);
@@ -160,6 +204,20 @@ const ConfigurationPage: React.FC = () => {
     }
   };
 
+  // Campo del nivel crítico que acompaña a cada límite de aviso
+  const renderCriticalInput = (field: CriticalLimitField, unit: string) => (
+    <div className="flex items-center mt-2">
+      <span className="w-16 text-xs font-medium text-red-600">Crítico</span>
+      <input
+        type="number"
+        value={criticalLimits[field]}
+        onChange={(e) => setCriticalLimits(prev => ({ ...prev, [field]: Number(e.target.value) }))}
+        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50"
+      />
+      <span className="ml-2 text-gray-500">{unit}</span>
+    </div>
+  );
+
   const testApi = async (endpoint: string) => {
     setIsTestingApi(prev => ({ ...prev, [endpoint]: true }));
     try {
@@ -316,6 +374,9 @@ const ConfigurationPage: React.FC = () => {
                         {thresholdsError}
                       </div>
                     )}
+                    <p className="text-sm text-gray-600 mb-4">
+                      Cada límite abre un problema de nivel Aviso; si la lectura también supera el límite crítico, el problema pasa a Crítico.
+                    </p>
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                       <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
                         <div className="flex items-center mb-4">
@@ -338,6 +399,7 @@ const ConfigurationPage: React.FC = () => {
                               />
                               <span className="ml-2 text-gray-500">°C</span>
                             </div>
+                            {renderCriticalInput('critical_min_temp', '°C')}
                             <p className="text-xs text-gray-500 mt-1">
                               <Snowflake size={12} className="inline mr-1" />
                               Se generará una alerta si la temperatura desciende por debajo de este valor
@@ -357,6 +419,7 @@ const ConfigurationPage: React.FC = () => {
                               />
                               <span className="ml-2 text-gray-500">°C</span>
                             </div>
+                            {renderCriticalInput('critical_max_temp', '°C')}
                             <p className="text-xs text-gray-500 mt-1">
                               <Thermometer size={12} className="inline mr-1" />
                               Se generará una alerta si la temperatura supera este valor
@@ -386,6 +449,7 @@ const ConfigurationPage: React.FC = () => {
                               />
                               <span className="ml-2 text-gray-500">%</span>
                             </div>
+                            {renderCriticalInput('critical_min_humidity', '%')}
                             <p className="text-xs text-gray-500 mt-1">
                               <AlertCircle size={12} className="inline mr-1" />
                               Se generará una alerta si la humedad desciende por debajo de este valor
@@ -405,6 +469,7 @@ const ConfigurationPage: React.FC = () => {
                               />
                               <span className="ml-2 text-gray-500">%</span>
                             </div>
+                            {renderCriticalInput('critical_max_humidity', '%')}
                             <p className="text-xs text-gray-500 mt-1">
                               <Droplets size={12} className="inline mr-1" />
                               Se generará una alerta si la humedad supera este valor
@@ -434,6 +499,7 @@ const ConfigurationPage: React.FC = () => {
                               />
                               <span className="ml-2 text-gray-500">A</span>
                             </div>
+                            {renderCriticalInput('critical_max_power_single_phase', 'A')}
                           </div>
                           <div>
                             <label className="block text-sm text-gray-700 mb-1">
@@ -448,6 +514,43 @@ const ConfigurationPage: React.FC = () => {
                               />
                               <span className="ml-2 text-gray-500">A</span>
                             </div>
+                            {renderCriticalInput('critical_max_power_three_phase', 'A')}
+                          </div>
+                          <div>
+                            <label className="block text-sm text-gray-700 mb-1">
+                              Corriente Máxima por Fase (A)
+                            </label>
+                            <div className="flex items-center">
+                              <input
+                                type="number"
+                                value={powerPhaseThreshold}
+                                onChange={(e) => setPowerPhaseThreshold(Number(e.target.value))}
+                                className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50"
+                              />
+                              <span className="ml-2 text-gray-500">A</span>
+                            </div>
+                            {renderCriticalInput('critical_max_power_per_phase', 'A')}
+                            <p className="text-xs text-gray-500 mt-1">
+                              Se aplica a cada fase (L1, L2, L3) de los racks trifásicos
+                            </p>
+                          </div>
+                          <div>
+                            <label className="block text-sm text-gray-700 mb-1">
+                              Desbalance Máximo entre Fases (%)
+                            </label>
+                            <div className="flex items-center">
+                              <input
+                                type="number"
+                                value={phaseImbalanceThreshold}
+                                onChange={(e) => setPhaseImbalanceThreshold(Number(e.target.value))}
+                                className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50"
+                              />
+                              <span className="ml-2 text-gray-500">%</span>
+                            </div>
+                            {renderCriticalInput('critical_max_phase_imbalance', '%')}
+                            <p className="text-xs text-gray-500 mt-1">
+                              Diferencia entre la fase más y menos cargada respecto a la corriente media
+                            </p>
                           </div>
                         </div>
                       </div>
@@ -461,61 +564,17 @@ const ConfigurationPage: React.FC = () => {
                         Guardar Umbrales
                       </button>
                     </div>
+                    
+                    <ThresholdOverrides racks={racks} />
+                    
+                    <AlertRules />
                   </>
                 )}
               </div>
             )}
             
             {activeTab === 'notifications' && (
-              <div className="space-y-6">
-                <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
-                  <div className="flex items-center mb-4">
-                    <div className="p-2 rounded-md bg-purple-50 text-purple-600 mr-3">
-                      <Bell size={20} />
-                    </div>
-                    <h3 className="font-medium">Configuración de Notificaciones</h3>
-                  </div>
-                  
-                  <div className="space-y-4">
-                    <div className="flex items-center justify-between py-2 border-b border-gray-200">
-                      <div>
-                        <h4 className="font-medium">Notificaciones por Email</h4>
-                        <p className="text-sm text-gray-500">Recibir alertas por correo electrónico</p>
-                      </div>
-                      <div className="relative inline-block w-10 mr-2 align-middle select-none">
-                        <input type="checkbox" id="email-toggle" className="sr-only" />
-                        <label htmlFor="email-toggle" className="block overflow-hidden h-6 rounded-full bg-gray-300 cursor-pointer"></label>
-                      </div>
-                    </div>
-                    
-                    <div className="flex items-center justify-between py-2 border-b border-gray-200">
-                      <div>
-                        <h4 className="font-medium">Notificaciones por SMS</h4>
-                        <p className="text-sm text-gray-500">Recibir alertas por SMS</p>
-                      </div>
-                      <div className="relative inline-block w-10 mr-2 align-middle select-none">
-                        <input type="checkbox" id="sms-toggle" className="sr-only" />
-                        <label htmlFor="sms-toggle" className="block overflow-hidden h-6 rounded-full bg-gray-300 cursor-pointer"></label>
-                      </div>
-                    </div>
-                    
-                    <div className="flex items-center justify-between py-2">
-                      <div>
-                        <h4 className="font-medium">Notificaciones en Dashboard</h4>
-                        <p className="text-sm text-gray-500">Recibir alertas en el dashboard</p>
-                      </div>
-                      <div className="relative inline-block w-10 mr-2 align-middle select-none">
-                        <input type="checkbox" id="dashboard-toggle" className="sr-only" defaultChecked />
-                        <label htmlFor="dashboard-toggle" className="block overflow-hidden h-6 rounded-full bg-indigo-600 cursor-pointer"></label>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-                
-                <div className="mt-6 text-center text-sm text-gray-500 bg-gray-50 p-4 rounded-md">
-                  <p>La configuración de notificaciones estará disponible en la Fase 2 del proyecto.</p>
-                </div>
-              </div>
+              <NotificationSettings />
             )}
             
             {activeTab === 'system' && (
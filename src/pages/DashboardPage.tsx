@@ -12,6 +12,7 @@ const DashboardPage: React.FC = () => {
     groupedData,
     lastUpdated,
     isAutoRefresh,
+    isLive,
     refreshTime,
     fetchData,
     toggleAutoRefresh,
@@ -26,6 +27,7 @@ const DashboardPage: React.FC = () => {
       onRefresh={fetchData}
       isAutoRefresh={isAutoRefresh}
       toggleAutoRefresh={toggleAutoRefresh}
+      isLive={isLive}
     >
       {error && (
         <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-6">
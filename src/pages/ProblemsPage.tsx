@@ -1,14 +1,19 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import MainLayout from '../components/Layout/MainLayout';
-import { AlertTriangle, Filter, ArrowDownToLine, Clock, X, ChevronUp, ChevronDown, XCircle } from 'lucide-react';
+import { AlertTriangle, Filter, ArrowDownToLine, Clock, X, ChevronUp, ChevronDown, XCircle, CheckCircle, BellOff, RotateCcw, MessageSquarePlus } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
-import { fetchProblemsData } from '../services/api';
-import { Problem } from '../types';
+import { fetchProblemsData, updateProblemStatus, addProblemNote } from '../services/api';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+import { Problem, ProblemAction } from '../types';
 
-type ProblemType = 'Temperature' | 'Humidity' | 'Power';
+type ProblemType = 'Temperature' | 'Humidity' | 'Power' | 'PhaseImbalance' | 'PowerFail' | 'DeviceStatus' | 'Communication';
 type SortField = 'rack' | 'site' | 'dc' | 'type' | 'value' | 'time' | 'severity' | 'currentValue' | 'threshold' | 'id';
 type SortDirection = 'asc' | 'desc';
 
+// A cycle can open or resolve many problems at once, so pushed changes are
+// collected for a moment before the lists are reloaded
+const LIVE_RELOAD_DELAY = 1000;
+
 interface FilterState {
   problemType: string;
   datacenter: string;
@@ -38,6 +43,7 @@ const ProblemsPage: React.FC = () => {
   const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [isAutoRefresh, setIsAutoRefresh] = useState(false);
+  const [pendingProblemId, setPendingProblemId] = useState<string | null>(null);
   
   // Function to fetch problems data from API
   const fetchProblems = async (isHistorical: boolean) => {
@@ -65,6 +71,25 @@ const ProblemsPage: React.FC = () => {
   };
   
   // Fetch data on component mount and when timeframe changes
+  // Reload both lists when the server reports a problem change
+  const liveReloadTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const { connected: isLive } = useLiveEvents({
+    problem: () => {
+      if (liveReloadTimer.current) return;
+      liveReloadTimer.current = setTimeout(async () => {
+        liveReloadTimer.current = null;
+        await fetchProblems(false);
+        await fetchProblems(true);
+      }, LIVE_RELOAD_DELAY);
+    }
+  });
+
+  useEffect(() => () => {
+    if (liveReloadTimer.current) {
+      clearTimeout(liveReloadTimer.current);
+    }
+  }, []);
+
   useEffect(() => {
     const fetchAllProblems = async () => {
       await fetchProblems(false); // Current problems
@@ -73,23 +98,23 @@ const ProblemsPage: React.FC = () => {
     
     fetchAllProblems();
     
-    // Set up auto-refresh if enabled
-    if (isAutoRefresh) {
+    // Set up auto-refresh if enabled, as a fallback while changes aren't pushed
+    if (isAutoRefresh && !isLive) {
       const interval = setInterval(() => {
         fetchProblems(filters.timeframe === 'historical');
       }, 30000); // Refresh every 30 seconds
       
       return () => clearInterval(interval);
     }
-  }, [filters.timeframe, isAutoRefresh]);
+  }, [filters.timeframe, isAutoRefresh, isLive]);
 
   // Get unique values for filters
   const uniqueDatacenters = useMemo(() => {
     const allProblems = [...currentProblems, ...historicalProblems];
-    return [...new Set(allProblems.map(p => `${p.site} - ${p.dc}`))];
+    return [...new Set(allProblems.filter(p => p.rack).map(p => `${p.site} - ${p.dc}`))];
   }, [currentProblems, historicalProblems]);
 
-  const problemTypes: ProblemType[] = ['Temperature', 'Humidity', 'Power'];
+  const problemTypes: ProblemType[] = ['Temperature', 'Humidity', 'Power', 'PhaseImbalance', 'PowerFail', 'DeviceStatus', 'Communication'];
 
   // Filter and sort problems
   const filteredProblems = useMemo(() => {
@@ -107,7 +132,7 @@ const ProblemsPage: React.FC = () => {
     return problems.sort((a, b) => {
       const getValue = (problem: any) => {
         switch (sortConfig.field) {
-          case 'rack': return problem.rack;
+          case 'rack': return problem.rack ?? problem.source_name;
           case 'id': return problem.id;
           case 'site': return problem.site;
           case 'dc': return problem.dc;
@@ -155,6 +180,48 @@ const ProblemsPage: React.FC = () => {
     setIsAutoRefresh(prev => !prev);
   };
 
+  // Acknowledge, unacknowledge or resolve a problem, then reload both lists
+  const handleProblemAction = async (problem: Problem, action: ProblemAction) => {
+    if (!user) return;
+    
+    setPendingProblemId(problem.id);
+    setError(null);
+    
+    try {
+      const response = await updateProblemStatus(problem.id, action);
+      if (response.status !== "Success") {
+        setError(response.message || `Failed to ${action} problem`);
+      }
+      await fetchProblems(false);
+      await fetchProblems(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An unknown error occurred");
+    } finally {
+      setPendingProblemId(null);
+    }
+  };
+
+  const handleAddNote = async (problem: Problem) => {
+    if (!user) return;
+    
+    const note = window.prompt(`Add a note to the ${problem.type} problem on ${problem.rack ?? problem.source_name}`);
+    if (!note || !note.trim()) return;
+    
+    setPendingProblemId(problem.id);
+    setError(null);
+    
+    try {
+      const response = await addProblemNote(problem.id, note.trim());
+      if (response.status !== "Success") {
+        setError(response.message || 'Failed to add note');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An unknown error occurred");
+    } finally {
+      setPendingProblemId(null);
+    }
+  };
+
   const handleExport = () => {
     const csvContent = [
       // Headers
@@ -197,6 +264,7 @@ const ProblemsPage: React.FC = () => {
       onRefresh={handleRefresh}
       isAutoRefresh={isAutoRefresh}
       toggleAutoRefresh={toggleAutoRefresh}
+      isLive={isLive}
     >
       <div className="space-y-6">
         {error && (
@@ -418,6 +486,16 @@ const ProblemsPage: React.FC = () => {
                         Resolved
                       </th>
                     )}
+                    {filters.timeframe === 'current' && (
+                      <>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Status
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Actions
+                        </th>
+                      </>
+                    )}
                     <th
                       className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
                       onClick={() => handleSort('id')}
@@ -432,14 +510,15 @@ const ProblemsPage: React.FC = () => {
                 <tbody className="bg-white divide-y divide-gray-200">
                   {filteredProblems.map((problem) => (
                     <tr key={problem.id} className="hover:bg-gray-50">
-                      <td className="px-6 py-4 whitespace-nowrap font-medium">{problem.rack}</td>
-                      <td className="px-6 py-4 whitespace-nowrap">{problem.site} - {problem.dc}</td>
+                      <td className="px-6 py-4 whitespace-nowrap font-medium">{problem.rack ?? problem.source_name}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {problem.rack ? `${problem.site} - ${problem.dc}` : <span className="text-gray-500">Data source</span>}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="flex items-center">
                           <div className={`w-3 h-3 rounded-full mr-2 ${
-                            problem.severity === 'High' ? 'bg-red-500' :
-                            problem.severity === 'Medium' ? 'bg-yellow-500' :
-                            'bg-blue-500'
+                            problem.severity === 'Critical' ? 'bg-red-500' :
+                            'bg-yellow-500'
                           }`} />
                           <span className="text-sm text-gray-600">{problem.severity}</span>
                         </div>
@@ -448,12 +527,34 @@ const ProblemsPage: React.FC = () => {
                         <span className={`px-2 py-1 text-xs font-medium rounded-full ${
                           problem.type === 'Temperature' ? 'bg-red-100 text-red-800' :
                           problem.type === 'Humidity' ? 'bg-blue-100 text-blue-800' :
+                          problem.type === 'PhaseImbalance' ? 'bg-orange-100 text-orange-800' :
+                          problem.type === 'PowerFail' ? 'bg-rose-100 text-rose-800' :
+                          problem.type === 'DeviceStatus' ? 'bg-purple-100 text-purple-800' :
+                          problem.type === 'Communication' ? 'bg-gray-200 text-gray-800' :
                           'bg-yellow-100 text-yellow-800'
                         }`}>
                           {problem.type}
                         </span>
+                        {problem.phase && (
+                          <span className="ml-1 text-xs text-gray-500">{problem.phase}</span>
+                        )}
+                        {problem.alert_type && ['rise', 'fall', 'stale', 'status', 'offline'].includes(problem.alert_type) && (
+                          <span className="ml-1 text-xs text-gray-500">{problem.alert_type}</span>
+                        )}
+                        {problem.maintenance_window_id && (
+                          <span className="ml-1 px-2 py-1 text-xs font-medium rounded-full bg-amber-100 text-amber-800" title="Raised during a maintenance window">
+                            Maintenance
+                          </span>
+                        )}
+                        {problem.rule_name && (
+                          <span className="ml-1 px-2 py-1 text-xs font-medium rounded-full bg-indigo-100 text-indigo-800" title="Raised by this alert rule">
+                            Rule: {problem.rule_name}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {problem.currentValue ?? <span className="text-gray-400" title="No recent reading">—</span>}
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap">{problem.currentValue}</td>
                       <td className="px-6 py-4 whitespace-nowrap">{problem.value}</td>
                       <td className="px-6 py-4 whitespace-nowrap">{problem.threshold}</td>
                       <td className="px-6 py-4 whitespace-nowrap flex items-center">
@@ -464,8 +565,68 @@ const ProblemsPage: React.FC = () => {
                         <td className="px-6 py-4 whitespace-nowrap">
                           <Clock size={14} className="text-gray-400 mr-1 inline" />
                           <span className="text-sm text-gray-500">{problem.resolved}</span>
+                          {problem.resolved_value && (
+                            <span className="ml-2 text-xs text-green-700">({problem.resolved_value})</span>
+                          )}
                         </td>
                       )}
+                      {filters.timeframe === 'current' && (
+                        <>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            {problem.status === 'acknowledged' ? (
+                              <span
+                                className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-700"
+                                title={problem.acknowledged_at ? `Acknowledged at ${problem.acknowledged_at}` : undefined}
+                              >
+                                Acknowledged{problem.acknowledged_by ? ` by ${problem.acknowledged_by}` : ''}
+                              </span>
+                            ) : (
+                              <span className="px-2 py-1 text-xs font-medium rounded-full bg-red-100 text-red-800">
+                                Active
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="flex items-center space-x-2">
+                              {problem.status === 'acknowledged' ? (
+                                <button
+                                  onClick={() => handleProblemAction(problem, 'unacknowledge')}
+                                  disabled={pendingProblemId === problem.id}
+                                  className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                                  title="Unacknowledge"
+                                >
+                                  <RotateCcw size={16} />
+                                </button>
+                              ) : (
+                                <button
+                                  onClick={() => handleProblemAction(problem, 'acknowledge')}
+                                  disabled={pendingProblemId === problem.id}
+                                  className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                                  title="Acknowledge"
+                                >
+                                  <BellOff size={16} />
+                                </button>
+                              )}
+                              <button
+                                onClick={() => handleProblemAction(problem, 'resolve')}
+                                disabled={pendingProblemId === problem.id}
+                                className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                                title="Resolve"
+                              >
+                                <CheckCircle size={16} />
+                              </button>
+                              <button
+                                onClick={() => handleAddNote(problem)}
+                                disabled={pendingProblemId === problem.id}
+                                className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                                title="Add note"
+                              >
+                                <MessageSquarePlus size={16} />
+                              </button>
+                            </div>
+                          </td>
+                        </>
+                      )}
                       <td className="px-6 py-4 whitespace-nowrap">
                         <a
                           href={`https://external-system/problems/${problem.id}`}
@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import MainLayout from '../components/Layout/MainLayout';
+import TrendChart, { TrendPoint } from '../components/Rack/TrendChart';
+import { ArrowLeft, AlertCircle, Server, MapPin, Zap, Wrench, Clock } from 'lucide-react';
+import { useThresholdSettings } from '../hooks/useThresholdSettings';
+import { fetchRackDetail, fetchSensorHistory } from '../services/api';
+import { HistoryBucket, MetricStats, RackDetail, SensorHistoryPoint, ThresholdScope } from '../types';
+
+type TimeRange = '24h' | '7d' | '30d';
+
+const THRESHOLD_SCOPE_LABELS: Record<ThresholdScope, string> = {
+  site: 'Site',
+  dc: 'Datacenter',
+  rack: 'Rack'
+};
+
+const RANGES: Record<TimeRange, { label: string; hours: number; bucket: HistoryBucket }> = {
+  '24h': { label: '24 hours', hours: 24, bucket: '5m' },
+  '7d': { label: '7 days', hours: 24 * 7, bucket: '1h' },
+  '30d': { label: '30 days', hours: 24 * 30, bucket: '1h' }
+};
+
+const toTrend = (points: SensorHistoryPoint[], metric: (point: SensorHistoryPoint) => MetricStats): TrendPoint[] =>
+  points.map(point => ({ time: point.time, ...metric(point) }));
+
+const isInMaintenance = (rack: RackDetail) =>
+  Boolean(rack.maintenance_window) || rack.MAINTENANCE === true || rack.MAINTENANCE === '1' || rack.MAINTENANCE === 'true';
+
+const formatDateTime = (value?: string | null) => value ? new Date(value).toLocaleString() : '-';
+
+const RackDetailPage: React.FC = () => {
+  const { name = '' } = useParams<{ name: string }>();
+  const { resolveFor } = useThresholdSettings();
+  const [rack, setRack] = useState<RackDetail | null>(null);
+  const [history, setHistory] = useState<SensorHistoryPoint[]>([]);
+  const [historyTruncated, setHistoryTruncated] = useState(false);
+  const [range, setRange] = useState<TimeRange>('24h');
+  const [period, setPeriod] = useState(() => ({ from: new Date(Date.now() - 24 * 3600 * 1000), to: new Date() }));
+  const [loading, setLoading] = useState(false);
+  const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadData = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const to = new Date();
+    const from = new Date(to.getTime() - RANGES[range].hours * 3600 * 1000);
+
+    try {
+      const [rackResponse, historyResponse] = await Promise.all([
+        fetchRackDetail(name),
+        fetchSensorHistory({ rack: name, from, to, bucket: RANGES[range].bucket })
+      ]);
+
+      if (rackResponse.status !== 'Success' || !rackResponse.data) {
+        setError(rackResponse.message || `Rack ${name} not found`);
+        return;
+      }
+
+      setRack(rackResponse.data);
+      setHistory(historyResponse.data?.points || []);
+      setHistoryTruncated(Boolean(historyResponse.data?.truncated));
+      setPeriod({ from, to });
+      setLastUpdated(new Date());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unknown error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, [name, range]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Site, datacenter and rack overrides take precedence over the global limits
+  const thresholds = useMemo(
+    () => resolveFor({ site: rack?.SITE, dc: rack?.DC, rack: rack?.NAME || name }),
+    [resolveFor, rack, name]
+  );
+  const isSinglePhase = rack?.phase ? rack.phase === 'Single Phase' : true;
+  const maxCurrent = Number(isSinglePhase ? thresholds.max_power_single_phase : thresholds.max_power_three_phase) || (isSinglePhase ? 16 : 48);
+
+  const charts = useMemo(() => [
+    {
+      title: 'Temperature',
+      unit: '°C',
+      color: '#ef4444',
+      points: toTrend(history, point => point.temperature),
+      thresholds: [
+        { value: Number(thresholds.max_temp) || 32, label: `Max ${Number(thresholds.max_temp) || 32}°C`, color: '#dc2626' },
+        { value: Number(thresholds.min_temp) || 18, label: `Min ${Number(thresholds.min_temp) || 18}°C`, color: '#2563eb' }
+      ]
+    },
+    {
+      title: 'Humidity',
+      unit: '%',
+      color: '#3b82f6',
+      points: toTrend(history, point => point.humidity),
+      thresholds: [
+        { value: Number(thresholds.max_humidity) || 70, label: `Max ${Number(thresholds.max_humidity) || 70}%`, color: '#dc2626' },
+        { value: Number(thresholds.min_humidity) || 40, label: `Min ${Number(thresholds.min_humidity) || 40}%`, color: '#ca8a04' }
+      ]
+    },
+    {
+      title: 'Current',
+      unit: 'A',
+      color: '#8b5cf6',
+      points: toTrend(history, point => point.current),
+      thresholds: [
+        { value: maxCurrent, label: `Max ${maxCurrent}A`, color: '#dc2626' }
+      ]
+    }
+  ], [history, thresholds, maxCurrent]);
+
+  const maxUnits = Number(rack?.MAXU) || 0;
+  const freeUnits = Number(rack?.FREEU) || 0;
+  const openProblems = rack?.problems.filter(problem => problem.status !== 'resolved') || [];
+  const pastProblems = rack?.problems.filter(problem => problem.status === 'resolved') || [];
+
+  return (
+    <MainLayout
+      title={`Rack ${name}`}
+      lastUpdated={lastUpdated}
+      loading={loading}
+      onRefresh={loadData}
+      isAutoRefresh={false}
+      toggleAutoRefresh={() => {}}
+    >
+      <Link to="/racks" className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800 mb-4">
+        <ArrowLeft size={16} className="mr-1" />
+        Back to racks
+      </Link>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6 flex items-center">
+          <AlertCircle className="text-red-500 mr-2" size={20} />
+          <p className="text-red-700">{error}</p>
+        </div>
+      )}
+
+      {historyTruncated && (
+        <div className="bg-amber-50 border-l-4 border-amber-500 p-4 mb-6 flex items-center">
+          <AlertCircle className="text-amber-500 mr-2" size={20} />
+          <p className="text-amber-700">The charts only show the most recent part of this range; older readings were left out.</p>
+        </div>
+      )}
+
+      {rack && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
+            <div className="bg-white rounded-lg shadow p-4">
+              <div className="flex items-center text-gray-500 text-sm mb-1"><MapPin size={16} className="mr-1" />Location</div>
+              <div className="font-semibold">{rack.SITE}</div>
+              <div className="text-sm text-gray-600">{rack.DC}</div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <div className="flex items-center text-gray-500 text-sm mb-1"><Zap size={16} className="mr-1" />Power</div>
+              <div className="font-semibold">{isSinglePhase ? 'Single phase' : 'Three phase'}</div>
+              <div className="text-sm text-gray-600">Max {rack.MAXPOWER ?? '-'} kW · limit {maxCurrent}A</div>
+              {!isSinglePhase && rack.L1_AMPS != null && (
+                <div className="text-sm text-gray-600">
+                  L1 {rack.L1_AMPS ?? '-'}A · L2 {rack.L2_AMPS ?? '-'}A · L3 {rack.L3_AMPS ?? '-'}A
+                  <span className="text-gray-400"> (limit {thresholds.max_power_per_phase ?? 16}A)</span>
+                </div>
+              )}
+              <div className="text-xs text-gray-500 mt-1">
+                {thresholds.scope === 'global' ? 'Global thresholds' : `${THRESHOLD_SCOPE_LABELS[thresholds.scope]} threshold override`}
+              </div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <div className="flex items-center text-gray-500 text-sm mb-1"><Server size={16} className="mr-1" />Space</div>
+              <div className="font-semibold">{maxUnits - freeUnits} / {maxUnits} U used</div>
+              <div className="text-sm text-gray-600">{freeUnits} U free</div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <div className="flex items-center text-gray-500 text-sm mb-1"><Wrench size={16} className="mr-1" />Maintenance</div>
+              <div className={`font-semibold ${isInMaintenance(rack) ? 'text-amber-600' : 'text-green-600'}`}>
+                {isInMaintenance(rack) ? 'In maintenance' : 'In service'}
+              </div>
+              {rack.maintenance_window && (
+                <div className="text-sm text-gray-600">
+                  {rack.maintenance_window.reason} · until {formatDateTime(rack.maintenance_window.ends_at)}
+                </div>
+              )}
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <div className="flex items-center text-gray-500 text-sm mb-1"><Clock size={16} className="mr-1" />Last reading</div>
+              <div className="font-semibold">
+                {rack.TEMPERATURE ?? '-'}°C · {rack.HUMIDITY ?? '-'}% · {rack.TOTAL_AMPS ?? '-'}A
+              </div>
+              <div className="text-sm text-gray-600">{formatDateTime(rack.last_reading_at)}</div>
+            </div>
+          </div>
+
+          <div className="flex justify-end mb-4">
+            <div className="inline-flex rounded-md shadow-sm">
+              {(Object.keys(RANGES) as TimeRange[]).map((key, index) => (
+                <button
+                  key={key}
+                  onClick={() => setRange(key)}
+                  className={`px-4 py-2 text-sm font-medium border border-gray-300 ${
+                    index === 0 ? 'rounded-l-md' : index === 2 ? 'rounded-r-md -ml-px' : '-ml-px'
+                  } ${range === key ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {RANGES[key].label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 xl:grid-cols-3 gap-4 mb-6">
+            {charts.map(chart => (
+              <TrendChart
+                key={chart.title}
+                title={chart.title}
+                unit={chart.unit}
+                color={chart.color}
+                points={chart.points}
+                thresholds={chart.thresholds}
+                from={period.from}
+                to={period.to}
+              />
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md">
+            <div className="p-4 border-b">
+              <h2 className="text-lg font-semibold">Problems</h2>
+              <p className="text-sm text-gray-500">{openProblems.length} open, {pastProblems.length} resolved</p>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Threshold</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Detected</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Resolved</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rack.problems.map(problem => (
+                    <tr key={problem.id}>
+                      <td className="px-6 py-3 whitespace-nowrap">{problem.type}{problem.phase ? ` ${problem.phase}` : ''} ({problem.alert_type}){problem.maintenance_window_id ? ' · maintenance' : ''}{problem.rule_name ? ` · rule ${problem.rule_name}` : ''}</td>
+                      <td className="px-6 py-3 whitespace-nowrap">{problem.value}</td>
+                      <td className="px-6 py-3 whitespace-nowrap">{problem.threshold}</td>
+                      <td className="px-6 py-3 whitespace-nowrap">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                          problem.status === 'active' ? 'bg-red-100 text-red-800' :
+                          problem.status === 'acknowledged' ? 'bg-yellow-100 text-yellow-800' :
+                          'bg-green-100 text-green-800'
+                        }`}>
+                          {problem.status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm">{formatDateTime(problem.time)}</td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm">
+                        {formatDateTime(problem.resolved)}
+                        {problem.resolved_value && <span className="text-gray-500"> ({problem.resolved_value})</span>}
+                      </td>
+                    </tr>
+                  ))}
+                  {rack.problems.length === 0 && (
+                    <tr>
+                      <td colSpan={6} className="px-6 py-8 text-center text-gray-500">No problems recorded for this rack</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </MainLayout>
+  );
+};
+
+export default RackDetailPage;
@@ -2,7 +2,10 @@ import React, { useState } from 'react';
 import { useSensorData } from '../hooks/useSensorData';
 import MainLayout from '../components/Layout/MainLayout';
 import DatacenterSection from '../components/Dashboard/DatacenterSection';
-import { Filter, AlertTriangle, X, ChevronDown } from 'lucide-react';
+import MaintenanceWindows from '../components/Rack/MaintenanceWindows';
+import RackInventory from '../components/Rack/RackInventory';
+import { useAuth } from '../context/AuthContext';
+import { Filter, AlertTriangle, X, ChevronDown, Wrench } from 'lucide-react';
 
 const RacksPage: React.FC = () => {
   const {
@@ -11,16 +14,20 @@ const RacksPage: React.FC = () => {
     groupedData,
     lastUpdated,
     isAutoRefresh,
+    isLive,
     refreshTime,
     fetchData,
     toggleAutoRefresh,
     updateRefreshTime
   } = useSensorData();
+  const { user } = useAuth();
+  const canManageRacks = user?.role === 'Admin' || user?.role === 'Manager';
 
   const [selectedSite, setSelectedSite] = useState<string>('');
   const [selectedDC, setSelectedDC] = useState<string>('');
   const [showProblemsOnly, setShowProblemsOnly] = useState(false);
   const [isFiltersExpanded, setIsFiltersExpanded] = useState(true);
+  const [showMaintenanceOnly, setShowMaintenanceOnly] = useState(false);
 
   // Get unique sites and DCs
   const sites = [...new Set(groupedData.map(group => group.site))];
@@ -38,7 +45,8 @@ const RacksPage: React.FC = () => {
   const finalData = filteredData.map(group => ({
     ...group,
     racks: group.racks.filter(rack => 
-      !showProblemsOnly || (rack as any).TEMP_ALERT || (rack as any).HUMIDITY_ALERT || (rack as any).POWER_ALERT
+      (!showProblemsOnly || (rack as any).TEMP_ALERT || (rack as any).HUMIDITY_ALERT || (rack as any).POWER_ALERT) &&
+      (!showMaintenanceOnly || rack.IN_MAINTENANCE)
     )
   })).filter(group => group.racks.length > 0);
 
@@ -50,6 +58,7 @@ const RacksPage: React.FC = () => {
       onRefresh={fetchData}
       isAutoRefresh={isAutoRefresh}
       toggleAutoRefresh={toggleAutoRefresh}
+      isLive={isLive}
     >
       {error && (
         <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-6">
@@ -62,7 +71,7 @@ const RacksPage: React.FC = () => {
           <div className="flex items-center space-x-3">
             <Filter size={20} className="text-gray-500" />
             <h3 className="text-lg font-medium text-gray-700">Filters</h3>
-            {(selectedSite || selectedDC || showProblemsOnly) && (
+            {(selectedSite || selectedDC || showProblemsOnly || showMaintenanceOnly) && (
               <div className="flex items-center space-x-2">
                 <span className="text-sm text-gray-500">•</span>
                 <button
@@ -70,6 +79,7 @@ const RacksPage: React.FC = () => {
                     setSelectedSite('');
                     setSelectedDC('');
                     setShowProblemsOnly(false);
+                    setShowMaintenanceOnly(false);
                   }}
                   className="text-sm text-gray-500 hover:text-gray-700 flex items-center"
                 >
@@ -135,6 +145,7 @@ const RacksPage: React.FC = () => {
           </div>
 
           <div className="flex items-center justify-between pt-4 border-t border-gray-200">
+            <div className="flex items-center space-x-6">
             <label className="relative inline-flex items-center cursor-pointer">
               <input
                 type="checkbox"
@@ -148,12 +159,27 @@ const RacksPage: React.FC = () => {
                 Show Problems Only
               </div>
             </label>
-            {(selectedSite || selectedDC || showProblemsOnly) && (
+            <label className="relative inline-flex items-center cursor-pointer">
+              <input
+                type="checkbox"
+                className="sr-only peer"
+                checked={showMaintenanceOnly}
+                onChange={(e) => setShowMaintenanceOnly(e.target.checked)}
+              />
+              <div className={`w-11 h-6 rounded-full peer ${showMaintenanceOnly ? 'bg-amber-500' : 'bg-gray-200'} peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-amber-300 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all`}></div>
+              <div className="flex items-center ml-3 text-sm font-medium text-gray-700">
+                <Wrench size={16} className={`mr-1 ${showMaintenanceOnly ? 'text-amber-500' : 'text-gray-400'}`} />
+                In Maintenance Only
+              </div>
+            </label>
+            </div>
+            {(selectedSite || selectedDC || showProblemsOnly || showMaintenanceOnly) && (
               <div className="text-sm text-gray-500">
                 Active filters: {[
                   selectedSite && `Site: ${selectedSite}`,
                   selectedDC && `DC: ${selectedDC}`,
-                  showProblemsOnly && 'Problems only'
+                  showProblemsOnly && 'Problems only',
+                  showMaintenanceOnly && 'In maintenance only'
                 ].filter(Boolean).join(', ')}
               </div>
             )}
@@ -167,6 +193,10 @@ const RacksPage: React.FC = () => {
         )}
       </div>
 
+      <RackInventory site={selectedSite} dc={selectedDC} canEdit={canManageRacks} onChange={fetchData} />
+
+      <MaintenanceWindows groups={groupedData} canEdit={canManageRacks} onChange={fetchData} />
+
       {finalData.map((group) => (
         <DatacenterSection key={`${group.site}-${group.dc}`} group={group} />
       ))}
@@ -174,7 +204,9 @@ const RacksPage: React.FC = () => {
       {finalData.length === 0 && !loading && !error && (
         <div className="text-center py-12">
           <p className="text-gray-500">
-            {showProblemsOnly 
+            {showMaintenanceOnly
+              ? 'No racks in maintenance matching the selected filters.'
+              : showProblemsOnly 
               ? 'No racks found with active problems matching the selected filters.'
               : 'No racks found with the selected filters.'}
           </p>
@@ -3,20 +3,67 @@ import MainLayout from '../components/Layout/MainLayout';
 import { useAuth } from '../context/AuthContext';
 import { Navigate } from 'react-router-dom';
 import { routeRequest } from '../api/route';
-import { RefreshCw, Server, Database, Globe, AlertCircle, Check, X, Clock, Activity, BarChart2, Terminal, Play, Square, ChevronDown, ChevronUp, ExternalLink, Download } from 'lucide-react';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+import PhaseTimings from '../components/Server/PhaseTimings';
+import RunHistory from '../components/Server/RunHistory';
+import RetentionPanel from '../components/Server/RetentionPanel';
+import ScheduleSettings from '../components/Server/ScheduleSettings';
+import { MonitoringCadence, MonitoringSchedule } from '../types';
+import { RefreshCw, Server, Database, Globe, AlertCircle, Check, X, Clock, Activity, BarChart2, Terminal, Play, Square, ChevronDown, ChevronUp, ExternalLink, Download, History, Archive } from 'lucide-react';
 
 // Define interfaces for monitoring data
 interface MonitoringStatus {
   active: boolean;
-  interval: number;
+  interval: number | null;
+  schedule?: MonitoringSchedule;
+  nextRuns?: { inventory: string | null; sensors: string | null };
+  cycleRunning?: boolean;
+  overlapsSkipped?: number;
   lastRun: string | null;
   lastRunTime: number | null;
+  lastRunPhases?: Record<string, number>;
   api1Reachable: boolean;
   api2Reachable: boolean;
+  sources?: DataSourceStatus[];
   cyclesCompleted?: number;
   problemsDetected?: number;
 }
 
+interface DataSourceStatus {
+  id: string;
+  name: string;
+  driver: string;
+  types: string[];
+  enabled: boolean;
+  target: string;
+  reachable: boolean;
+  lastFetchAt: string | null;
+  lastRecordCount: number;
+  lastError: string | null;
+  lastDuration: number | null;
+}
+
+const describeCadence = (cadence?: MonitoringCadence) =>
+  !cadence
+    ? 'No configurado'
+    : cadence.mode === 'cron'
+      ? `cron ${cadence.cron}`
+      : `cada ${cadence.intervalMs / 1000} segundos`;
+
+// The earliest of the next inventory and sensor runs
+const nextRunTime = (nextRuns?: { inventory: string | null; sensors: string | null }) => {
+  const times = [nextRuns?.inventory, nextRuns?.sensors]
+    .filter((time): time is string => Boolean(time))
+    .map(time => new Date(time).getTime());
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+};
+
+const SOURCE_TYPE_LABELS: Record<string, string> = {
+  inventory: 'Inventario',
+  power: 'Energía',
+  environmental: 'Ambiental'
+};
+
 interface ApiStatus {
   api1: {
     url: string;
@@ -59,15 +106,21 @@ interface LogEntry {
 
 const ServerPage: React.FC = () => {
   const { user } = useAuth();
-  const [activeTab, setActiveTab] = useState<'status' | 'monitoring' | 'performance' | 'logs'>('monitoring');
+  const [activeTab, setActiveTab] = useState<'status' | 'monitoring' | 'history' | 'retention' | 'performance' | 'logs'>('monitoring');
   const [systemStatus, setSystemStatus] = useState<SystemStatus | null>(null);
   const [monitoringLogs, setMonitoringLogs] = useState<LogEntry[]>([]);
   const [isLoading, setIsLoading] = useState(false);
-  const [customInterval, setCustomInterval] = useState<number>(300);
   const [detailedView, setDetailedView] = useState<boolean>(false);
   const [alertMessage, setAlertMessage] = useState<{type: 'success' | 'error'; message: string} | null>(null);
   const [lastUpdated, setLastUpdated] = useState<Date | null>(new Date());
 
+  // Refresh the status as soon as the server reports a finished cycle
+  const { connected: isLive } = useLiveEvents({
+    cycle: () => {
+      fetchSystemStatus();
+    }
+  });
+
   // Only Admins and Managers can access this page
   if (user?.role === 'Operator') {
     return <Navigate to="/dashboard" replace />;
@@ -77,13 +130,14 @@ const ServerPage: React.FC = () => {
   useEffect(() => {
     fetchSystemStatus();
     
-    // Set up polling for status
+    // Poll for status while cycle events aren't being pushed
+    if (isLive) return;
     const intervalId = setInterval(() => {
       fetchSystemStatus();
     }, 30000); // Poll every 30 seconds
     
     return () => clearInterval(intervalId);
-  }, []);
+  }, [isLive]);
 
   // Fetch monitoring logs on tab change
   useEffect(() => {
@@ -99,9 +153,6 @@ const ServerPage: React.FC = () => {
       const data = await response.json();
       setSystemStatus(data);
       setLastUpdated(new Date());
-      if (data.monitoring && data.monitoring.interval) {
-        setCustomInterval(data.monitoring.interval / 1000);
-      }
     } catch (error) {
       console.error('Failed to fetch system status:', error);
       setAlertMessage({ 
@@ -168,12 +219,10 @@ const ServerPage: React.FC = () => {
     setIsLoading(true);
     try {
       let endpoint;
-      let body = {};
       
       switch (action) {
         case 'start':
           endpoint = '/api/monitoring/start';
-          body = { interval: customInterval * 1000 };
           break;
         case 'stop':
           endpoint = '/api/monitoring/stop';
@@ -186,7 +235,7 @@ const ServerPage: React.FC = () => {
       await routeRequest({
         destination: `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}${endpoint}`,
         method: 'POST',
-        body
+        body: {}
       });
       
       // Show success message
@@ -208,9 +257,13 @@ const ServerPage: React.FC = () => {
       }
     } catch (error) {
       console.error(`Failed to ${action} monitoring service:`, error);
+      // The server answers 409 when a cycle is already running
+      const cycleRunning = action === 'run-now' && error instanceof Error && error.message.includes('Status: 409');
       setAlertMessage({
         type: 'error',
-        message: `Error al ${action === 'start' ? 'iniciar' : action === 'stop' ? 'detener' : 'ejecutar'} el servicio de monitorización`
+        message: cycleRunning
+          ? 'Ya hay un ciclo de monitorización en ejecución'
+          : `Error al ${action === 'start' ? 'iniciar' : action === 'stop' ? 'detener' : 'ejecutar'} el servicio de monitorización`
       });
     } finally {
       setIsLoading(false);
@@ -263,6 +316,7 @@ const ServerPage: React.FC = () => {
       onRefresh={fetchSystemStatus}
       isAutoRefresh={false}
       toggleAutoRefresh={() => {}}
+      isLive={isLive}
     >
       {/* Alert message */}
       {alertMessage && (
@@ -296,6 +350,28 @@ const ServerPage: React.FC = () => {
               <Server size={16} className="inline-block mr-1.5" />
               Monitorización
             </button>
+            <button
+              onClick={() => setActiveTab('history')}
+              className={`py-3 px-4 ${
+                activeTab === 'history'
+                  ? 'border-b-2 border-indigo-600 text-indigo-600 font-medium'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <History size={16} className="inline-block mr-1.5" />
+              Historial
+            </button>
+            <button
+              onClick={() => setActiveTab('retention')}
+              className={`py-3 px-4 ${
+                activeTab === 'retention'
+                  ? 'border-b-2 border-indigo-600 text-indigo-600 font-medium'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <Archive size={16} className="inline-block mr-1.5" />
+              Retención
+            </button>
             <button
               onClick={() => setActiveTab('status')}
               className={`py-3 px-4 ${
@@ -366,21 +442,25 @@ const ServerPage: React.FC = () => {
                   <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
                     <h4 className="text-sm font-medium text-gray-700 mb-2">Configuración</h4>
                     <div className="space-y-2">
-                      <div>
-                        <span className="text-gray-500">Intervalo de ejecución:</span>
-                        <div className="flex items-center mt-1">
-                          <input
-                            type="number"
-                            min="10"
-                            max="3600"
-                            value={customInterval}
-                            onChange={(e) => setCustomInterval(Number(e.target.value))}
-                            className="w-24 rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50"
-                            disabled={systemStatus.monitoring.active}
-                          />
-                          <span className="ml-2 text-gray-500">segundos</span>
-                        </div>
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="text-gray-500">Inventario:</span>
+                        <span className="text-gray-800">{describeCadence(systemStatus.monitoring.schedule?.inventory)}</span>
                       </div>
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="text-gray-500">Sensores:</span>
+                        <span className="text-gray-800">{describeCadence(systemStatus.monitoring.schedule?.sensors)}</span>
+                      </div>
+                      {systemStatus.monitoring.cycleRunning && (
+                        <div className="flex items-center text-sm text-indigo-600">
+                          <RefreshCw size={14} className="mr-1.5 animate-spin" />
+                          Ciclo en ejecución
+                        </div>
+                      )}
+                      {Boolean(systemStatus.monitoring.overlapsSkipped) && (
+                        <div className="text-xs text-yellow-700">
+                          {systemStatus.monitoring.overlapsSkipped} ciclos omitidos por solaparse con el anterior
+                        </div>
+                      )}
                     </div>
                     <div className="mt-4 flex space-x-4">
                       {!systemStatus.monitoring.active ? (
@@ -467,6 +547,11 @@ const ServerPage: React.FC = () => {
                   </div>
                 </div>
                 
+                {/* Schedule */}
+                <div className="mt-6 pt-6 border-t border-gray-200">
+                  <ScheduleSettings nextRuns={systemStatus.monitoring.nextRuns} onSaved={fetchSystemStatus} />
+                </div>
+
                 {/* Last Run Information */}
                 <div className="mt-6 pt-6 border-t border-gray-200">
                   <h4 className="text-sm font-medium text-gray-700 mb-3">Última Ejecución</h4>
@@ -492,13 +577,74 @@ const ServerPage: React.FC = () => {
                     <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
                       <div className="text-xs text-gray-500">Próxima Ejecución</div>
                       <div className="mt-1 text-sm font-medium">
-                        {systemStatus.monitoring.active && systemStatus.monitoring.lastRun ? 
-                          new Date(new Date(systemStatus.monitoring.lastRun).getTime() + 
-                                  systemStatus.monitoring.interval).toLocaleString() : 
+                        {systemStatus.monitoring.active && nextRunTime(systemStatus.monitoring.nextRuns) ? 
+                          nextRunTime(systemStatus.monitoring.nextRuns)?.toLocaleString() : 
                           'No programado'}
                       </div>
                     </div>
                   </div>
+
+                  <div className="mt-4">
+                    <PhaseTimings phases={systemStatus.monitoring.lastRunPhases} />
+                  </div>
+                </div>
+
+                {/* Data Sources */}
+                <div className="mt-6 pt-6 border-t border-gray-200">
+                  <h4 className="text-sm font-medium text-gray-700 mb-3">Fuentes de Datos</h4>
+                  {systemStatus.monitoring.sources && systemStatus.monitoring.sources.length > 0 ? (
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Fuente</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Tipo</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Estado</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Registros</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Última Lectura</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {systemStatus.monitoring.sources.map(source => (
+                            <tr key={source.id}>
+                              <td className="px-3 py-2">
+                                <div className="font-medium text-gray-900">{source.name}</div>
+                                <div className="text-xs text-gray-500 truncate max-w-xs" title={source.target}>
+                                  {source.driver.toUpperCase()} · {source.target}
+                                </div>
+                              </td>
+                              <td className="px-3 py-2 text-gray-600">
+                                {source.types.map(type => SOURCE_TYPE_LABELS[type] || type).join(', ')}
+                              </td>
+                              <td className="px-3 py-2">
+                                {!source.enabled ? (
+                                  <span className="text-gray-500">Deshabilitada</span>
+                                ) : !source.lastFetchAt ? (
+                                  <span className="text-gray-500">Sin lecturas</span>
+                                ) : (
+                                  <span
+                                    className={`flex items-center ${!source.reachable ? 'text-red-500' : source.lastError ? 'text-yellow-600' : 'text-green-600'}`}
+                                    title={source.lastError || undefined}
+                                  >
+                                    <span className={`inline-block w-2 h-2 rounded-full mr-1 ${!source.reachable ? 'bg-red-500' : source.lastError ? 'bg-yellow-500' : 'bg-green-500'}`}></span>
+                                    {!source.reachable ? 'Error' : source.lastError ? 'Parcial' : 'Conectada'}
+                                  </span>
+                                )}
+                              </td>
+                              <td className="px-3 py-2 text-gray-600">{source.lastFetchAt ? source.lastRecordCount : '-'}</td>
+                              <td className="px-3 py-2 text-gray-600">
+                                {source.lastFetchAt
+                                  ? `${new Date(source.lastFetchAt).toLocaleString()}${source.lastDuration !== null ? ` (${source.lastDuration}ms)` : ''}`
+                                  : 'N/A'}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-500">No hay fuentes de datos configuradas</p>
+                  )}
                 </div>
               </div>
               
@@ -670,6 +816,12 @@ const ServerPage: React.FC = () => {
             </div>
           )}
           
+          {/* Run History Tab */}
+          {activeTab === 'history' && <RunHistory />}
+          
+          {/* Data Retention Tab */}
+          {activeTab === 'retention' && <RetentionPanel />}
+          
           {/* System Status Tab */}
           {activeTab === 'status' && systemStatus && (
             <div className="space-y-6">
@@ -803,8 +955,10 @@ const ServerPage: React.FC = () => {
                       </div>
                       
                       <div>
-                        <span className="text-sm text-gray-500">Intervalo:</span>
-                        <div className="mt-1 text-gray-800">{systemStatus.monitoring.interval ? `${systemStatus.monitoring.interval / 1000} segundos` : 'No configurado'}</div>
+                        <span className="text-sm text-gray-500">Programación:</span>
+                        <div className="mt-1 text-gray-800">
+                          Inventario {describeCadence(systemStatus.monitoring.schedule?.inventory)}; sensores {describeCadence(systemStatus.monitoring.schedule?.sensors)}
+                        </div>
                       </div>
                       
                       <div>
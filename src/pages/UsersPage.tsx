@@ -1,38 +1,347 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import MainLayout from '../components/Layout/MainLayout';
-import { Users } from 'lucide-react';
+import { Users, UserPlus, KeyRound, UserX, UserCheck, AlertCircle, History } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { Navigate } from 'react-router-dom';
+import { ManagedUser, UserAuditEntry, UserRole } from '../types';
+import { fetchUsers, createUser, updateUser, resetUserPassword, fetchUserAuditLog } from '../services/api';
+
+const ROLES: UserRole[] = ['Admin', 'Manager', 'Operator'];
+const MIN_PASSWORD_LENGTH = 8;
+
+const AUDIT_ACTION_LABELS: Record<UserAuditEntry['action'], string> = {
+  created: 'Created',
+  role_changed: 'Role changed',
+  password_reset: 'Password reset',
+  disabled: 'Disabled',
+  enabled: 'Enabled'
+};
+
+const formatDateTime = (value: string | null) => value ? new Date(value).toLocaleString() : 'Never';
 
 const UsersPage: React.FC = () => {
   const { user } = useAuth();
-  
+  const [users, setUsers] = useState<ManagedUser[]>([]);
+  const [auditLog, setAuditLog] = useState<UserAuditEntry[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [pendingUserId, setPendingUserId] = useState<string | null>(null);
+
+  // New user form
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newUsername, setNewUsername] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [newRole, setNewRole] = useState<UserRole>('Operator');
+  const [isCreating, setIsCreating] = useState(false);
+
+  const loadData = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [usersResponse, auditResponse] = await Promise.all([fetchUsers(), fetchUserAuditLog()]);
+      setUsers(usersResponse.data || []);
+      setAuditLog(auditResponse.data || []);
+      setLastUpdated(new Date());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An unknown error occurred");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user?.role === 'Admin') {
+      loadData();
+    }
+  }, [user, loadData]);
+
   // Only allow access if user is an Admin
   if (user?.role !== 'Admin') {
     return <Navigate to="/" replace />;
   }
-  
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    setIsCreating(true);
+    setError(null);
+
+    try {
+      const response = await createUser(newUsername.trim(), newPassword, newRole);
+      if (response.status !== "Success") {
+        setError(response.message || 'Failed to create user');
+        return;
+      }
+      setNewUsername('');
+      setNewPassword('');
+      setNewRole('Operator');
+      setShowCreateForm(false);
+      await loadData();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An unknown error occurred");
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleUpdate = async (target: ManagedUser, changes: { role?: UserRole; isActive?: boolean }) => {
+    if (changes.isActive === false && !window.confirm(`Disable ${target.username}? They will be signed out immediately.`)) {
+      return;
+    }
+
+    setPendingUserId(target.id);
+    setError(null);
+
+    try {
+      const response = await updateUser(target.id, changes);
+      if (response.status !== "Success") {
+        setError(response.message || `Failed to update ${target.username}`);
+      }
+      await loadData();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An unknown error occurred");
+    } finally {
+      setPendingUserId(null);
+    }
+  };
+
+  const handleResetPassword = async (target: ManagedUser) => {
+    const password = window.prompt(`New password for ${target.username} (at least ${MIN_PASSWORD_LENGTH} characters)`);
+    if (!password) return;
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    setPendingUserId(target.id);
+    setError(null);
+
+    try {
+      const response = await resetUserPassword(target.id, password);
+      if (response.status !== "Success") {
+        setError(response.message || `Failed to reset the password for ${target.username}`);
+      }
+      await loadData();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "An unknown error occurred");
+    } finally {
+      setPendingUserId(null);
+    }
+  };
+
   return (
     <MainLayout
       title="User Management"
-      lastUpdated={null}
-      loading={false}
-      onRefresh={() => {}}
+      lastUpdated={lastUpdated}
+      loading={loading}
+      onRefresh={loadData}
       isAutoRefresh={false}
       toggleAutoRefresh={() => {}}
     >
-      <div className="bg-white p-8 rounded-lg shadow-md">
-        <div className="flex flex-col items-center justify-center py-12">
-          <Users size={48} className="text-purple-500 mb-4" />
-          <h2 className="text-2xl font-bold text-gray-700 mb-2">User Management</h2>
-          <p className="text-gray-500 text-center max-w-md">
-            This section will allow administrators to manage user accounts, permissions,
-            and roles. This feature will be available in Phase 2.
-          </p>
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6 flex items-center">
+          <AlertCircle className="text-red-500 mr-2" size={20} />
+          <p className="text-red-700">{error}</p>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md mb-6">
+        <div className="p-4 border-b flex items-center justify-between">
+          <h2 className="text-lg font-semibold flex items-center">
+            <Users className="mr-2 text-purple-500" size={20} />
+            Users
+          </h2>
+          <button
+            onClick={() => setShowCreateForm(prev => !prev)}
+            className="flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            <UserPlus size={16} className="mr-1" />
+            Add user
+          </button>
+        </div>
+
+        {showCreateForm && (
+          <form onSubmit={handleCreate} className="p-4 border-b bg-gray-50 grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div>
+              <label htmlFor="new-username" className="block text-sm font-medium text-gray-700">Username</label>
+              <input
+                id="new-username"
+                type="text"
+                required
+                minLength={3}
+                maxLength={50}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                value={newUsername}
+                onChange={(e) => setNewUsername(e.target.value)}
+              />
+            </div>
+            <div>
+              <label htmlFor="new-password" className="block text-sm font-medium text-gray-700">Password</label>
+              <input
+                id="new-password"
+                type="password"
+                autoComplete="new-password"
+                required
+                minLength={MIN_PASSWORD_LENGTH}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+              />
+            </div>
+            <div>
+              <label htmlFor="new-role" className="block text-sm font-medium text-gray-700">Role</label>
+              <select
+                id="new-role"
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                value={newRole}
+                onChange={(e) => setNewRole(e.target.value as UserRole)}
+              >
+                {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+              </select>
+            </div>
+            <button
+              type="submit"
+              disabled={isCreating}
+              className="px-4 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {isCreating ? 'Creating...' : 'Create user'}
+            </button>
+          </form>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Username</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last login</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {users.map(managedUser => {
+                const isSelf = managedUser.username === user.username;
+                const isPending = pendingUserId === managedUser.id;
+
+                return (
+                  <tr key={managedUser.id} className={managedUser.is_active ? '' : 'bg-gray-50 text-gray-400'}>
+                    <td className="px-6 py-4 whitespace-nowrap font-medium">
+                      {managedUser.username}
+                      {isSelf && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <select
+                        className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                        value={managedUser.role}
+                        disabled={isSelf || isPending}
+                        onChange={(e) => handleUpdate(managedUser, { role: e.target.value as UserRole })}
+                      >
+                        {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        managedUser.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-600'
+                      }`}>
+                        {managedUser.is_active ? 'Active' : 'Disabled'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{formatDateTime(managedUser.last_login_at)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{formatDateTime(managedUser.created_at)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => handleResetPassword(managedUser)}
+                          disabled={isPending}
+                          title="Reset password"
+                          className="p-1 text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                        >
+                          <KeyRound size={18} />
+                        </button>
+                        {managedUser.is_active ? (
+                          <button
+                            onClick={() => handleUpdate(managedUser, { isActive: false })}
+                            disabled={isSelf || isPending}
+                            title="Disable account"
+                            className="p-1 text-red-600 hover:text-red-800 disabled:opacity-50"
+                          >
+                            <UserX size={18} />
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => handleUpdate(managedUser, { isActive: true })}
+                            disabled={isPending}
+                            title="Enable account"
+                            className="p-1 text-green-600 hover:text-green-800 disabled:opacity-50"
+                          >
+                            <UserCheck size={18} />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+              {users.length === 0 && !loading && (
+                <tr>
+                  <td colSpan={6} className="px-6 py-8 text-center text-gray-500">No users found</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md">
+        <div className="p-4 border-b">
+          <h2 className="text-lg font-semibold flex items-center">
+            <History className="mr-2 text-gray-500" size={20} />
+            Audit trail
+          </h2>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {auditLog.map(entry => (
+                <tr key={entry.id}>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm">{formatDateTime(entry.created_at)}</td>
+                  <td className="px-6 py-3 whitespace-nowrap font-medium">{entry.target_username}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm">{AUDIT_ACTION_LABELS[entry.action] || entry.action}</td>
+                  <td className="px-6 py-3 text-sm text-gray-600">{entry.details || '-'}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm">{entry.actor}</td>
+                </tr>
+              ))}
+              {auditLog.length === 0 && !loading && (
+                <tr>
+                  <td colSpan={5} className="px-6 py-8 text-center text-gray-500">No changes recorded yet</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
         </div>
       </div>
     </MainLayout>
   );
 };
 
-export default UsersPage;
\ No newline at end of file
+export default UsersPage;
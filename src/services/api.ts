@@ -1,4 +1,4 @@
-import { ApiResponse, SensorApiResponse, ProblemsApiResponse, PowerData, SensorData, ThresholdsApiResponse, Threshold } from '../types';
+import { ApiResponse, SensorApiResponse, ProblemsApiResponse, PowerData, SensorData, ThresholdsApiResponse, Threshold, ThresholdOverride, ThresholdOverridesApiResponse, AlertRule, AlertRulesApiResponse, MaintenanceWindow, MaintenanceWindowsApiResponse, MaintenanceState, InventoryRack, InventoryRacksApiResponse, RackManualField, RackImportFormat, RackImportPlan, ProblemAction, LoginApiResponse, User, ManagedUser, UserAuditEntry, UserRole, NotificationChannel, NotificationChannelSettings, NotificationDelivery, HistoryBucket, SensorHistoryApiResponse, RackDetail, MonitoringRunsPage, MonitoringRunDetail, MonitoringRunStatus, MonitoringSchedule, RetentionStatus, RetentionSettings } from '../types';
 import { routeRequest } from '../api/route';
 
 export const fetchRackData = async (): Promise<ApiResponse> => {
@@ -51,6 +51,63 @@ export const fetchSensorData = async (): Promise<SensorApiResponse> => {
   }
 };
 
+// Function to fetch a single rack with its latest reading and problems
+export const fetchRackDetail = async (rackName: string): Promise<{status: string; data?: RackDetail; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/racks/${encodeURIComponent(rackName)}`;
+  
+  console.log(`Fetching rack detail from: ${url}`);
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Rack detail response:", response);
+    return response;
+  } catch (error) {
+    console.error(`Error fetching rack ${rackName}:`, error);
+    throw error;
+  }
+};
+
+// Function to fetch aggregated sensor history for a rack, site or datacenter
+export const fetchSensorHistory = async (options: {
+  rack?: string;
+  site?: string;
+  dc?: string;
+  from?: Date;
+  to?: Date;
+  bucket?: HistoryBucket;
+  groupBy?: 'scope' | 'rack';
+}): Promise<SensorHistoryApiResponse> => {
+  const params = new URLSearchParams();
+  if (options.rack) params.set('rack', options.rack);
+  if (options.site) params.set('site', options.site);
+  if (options.dc) params.set('dc', options.dc);
+  if (options.from) params.set('from', options.from.toISOString());
+  if (options.to) params.set('to', options.to.toISOString());
+  if (options.bucket) params.set('bucket', options.bucket);
+  if (options.groupBy) params.set('groupBy', options.groupBy);
+  
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/sensors/history?${params.toString()}`;
+  
+  console.log(`Fetching sensor history from: ${url}`);
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Sensor history response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching sensor history:', error);
+    throw error;
+  }
+};
+
 export const fetchProblemsData = async (isHistorical: boolean = false): Promise<ProblemsApiResponse> => {
   // Always use the local server for problems
   const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/problems?historical=${isHistorical}`;
@@ -71,6 +128,105 @@ export const fetchProblemsData = async (isHistorical: boolean = false): Promise<
   }
 };
 
+// Function to acknowledge, unacknowledge or resolve a problem
+export const updateProblemStatus = async (
+  problemId: string,
+  action: ProblemAction,
+  note?: string
+): Promise<{status: string; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/problems/${problemId}/${action}`;
+  
+  console.log(`Sending problem ${action} to: ${url}`);
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: { note }
+    });
+
+    console.log(`Problem ${action} response:`, response);
+    return response;
+  } catch (error) {
+    console.error(`Error sending problem ${action}:`, error);
+    throw error;
+  }
+};
+
+// Function to add a note to a problem's history
+export const addProblemNote = async (problemId: string, note: string): Promise<{status: string; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/problems/${problemId}/notes`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: { note }
+    });
+
+    console.log("Problem note response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error adding problem note:', error);
+    throw error;
+  }
+};
+
+// Function to sign in with username and password
+export const loginUser = async (username: string, password: string): Promise<LoginApiResponse> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/auth/login`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: { username, password }
+    });
+
+    console.log(`Login response for ${username}:`, response.status);
+    return response;
+  } catch (error) {
+    console.error('Error signing in:', error);
+    throw error;
+  }
+};
+
+// Function to revoke the current session
+export const logoutUser = async (): Promise<{status: string; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/auth/logout`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST'
+    });
+
+    console.log("Logout response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error signing out:', error);
+    throw error;
+  }
+};
+
+// Function to fetch the user behind the current session
+export const fetchCurrentUser = async (): Promise<{status: string; data?: User; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/auth/me`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Current user response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    throw error;
+  }
+};
+
 // Function to fetch threshold values
 export const fetchThresholds = async (): Promise<ThresholdsApiResponse> => {
   const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/thresholds`;
@@ -110,4 +266,710 @@ export const updateThresholds = async (thresholds: Partial<Threshold>): Promise<
     console.error('Error updating thresholds:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+// Function to fetch site, datacenter and rack threshold overrides
+export const fetchThresholdOverrides = async (): Promise<ThresholdOverridesApiResponse> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/thresholds/overrides`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Threshold overrides response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching threshold overrides:', error);
+    throw error;
+  }
+};
+
+// Function to create a threshold override
+export const createThresholdOverride = async (
+  override: Partial<ThresholdOverride>
+): Promise<{status: string; data?: ThresholdOverride; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/thresholds/overrides`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: override
+    });
+
+    console.log("Create threshold override response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error creating threshold override:', error);
+    throw error;
+  }
+};
+
+// Function to update the limits of a threshold override
+export const updateThresholdOverride = async (
+  id: string,
+  override: Partial<ThresholdOverride>
+): Promise<{status: string; data?: ThresholdOverride; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/thresholds/overrides/${id}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'PUT',
+      body: override
+    });
+
+    console.log("Update threshold override response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error updating threshold override:', error);
+    throw error;
+  }
+};
+
+// Function to delete a threshold override
+export const deleteThresholdOverride = async (id: string): Promise<{status: string; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/thresholds/overrides/${id}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'DELETE'
+    });
+
+    console.log("Delete threshold override response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error deleting threshold override:', error);
+    throw error;
+  }
+};
+
+// Function to fetch the sustained, rate-of-change and stale data alert rules
+export const fetchAlertRules = async (): Promise<AlertRulesApiResponse> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/thresholds/rules`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Alert rules response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    throw error;
+  }
+};
+
+// Function to create an alert rule
+export const createAlertRule = async (
+  rule: Partial<AlertRule>
+): Promise<{status: string; data?: AlertRule; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/thresholds/rules`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: rule
+    });
+
+    console.log("Create alert rule response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error creating alert rule:', error);
+    throw error;
+  }
+};
+
+// Function to update an alert rule
+export const updateAlertRule = async (
+  id: string,
+  rule: Partial<AlertRule>
+): Promise<{status: string; data?: AlertRule; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/thresholds/rules/${id}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'PUT',
+      body: rule
+    });
+
+    console.log("Update alert rule response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error updating alert rule:', error);
+    throw error;
+  }
+};
+
+// Function to delete an alert rule
+export const deleteAlertRule = async (id: string): Promise<{status: string; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/thresholds/rules/${id}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'DELETE'
+    });
+
+    console.log("Delete alert rule response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    throw error;
+  }
+};
+
+// Function to fetch maintenance windows, optionally only those in a given state
+export const fetchMaintenanceWindows = async (state?: MaintenanceState): Promise<MaintenanceWindowsApiResponse> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/maintenance${state ? `?state=${state}` : ''}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Maintenance windows response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching maintenance windows:', error);
+    throw error;
+  }
+};
+
+// Function to schedule a maintenance window
+export const createMaintenanceWindow = async (
+  maintenanceWindow: Partial<MaintenanceWindow>
+): Promise<{status: string; data?: MaintenanceWindow; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/maintenance`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: maintenanceWindow
+    });
+
+    console.log("Create maintenance window response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error creating maintenance window:', error);
+    throw error;
+  }
+};
+
+// Function to update the period, reason or alert handling of a maintenance window
+export const updateMaintenanceWindow = async (
+  id: string,
+  maintenanceWindow: Partial<MaintenanceWindow>
+): Promise<{status: string; data?: MaintenanceWindow; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/maintenance/${id}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'PUT',
+      body: maintenanceWindow
+    });
+
+    console.log("Update maintenance window response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error updating maintenance window:', error);
+    throw error;
+  }
+};
+
+// Function to cancel a maintenance window (deleted if upcoming, ended now if in progress)
+export const cancelMaintenanceWindow = async (id: string): Promise<{status: string; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/maintenance/${id}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'DELETE'
+    });
+
+    console.log("Cancel maintenance window response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error cancelling maintenance window:', error);
+    throw error;
+  }
+};
+
+// Function to fetch the stored rack inventory, optionally with decommissioned racks
+export const fetchRackInventory = async (includeDecommissioned = false): Promise<InventoryRacksApiResponse> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/racks/inventory${includeDecommissioned ? '?include_decommissioned=true' : ''}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Rack inventory response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching rack inventory:', error);
+    throw error;
+  }
+};
+
+// Function to add a rack the inventory source doesn't report
+export const createRack = async (
+  rack: Partial<InventoryRack>
+): Promise<{status: string; data?: InventoryRack; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/racks`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: rack
+    });
+
+    console.log("Create rack response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error creating rack:', error);
+    throw error;
+  }
+};
+
+// Function to update a rack and the fields the monitoring cycle must keep
+export const updateRack = async (
+  id: string,
+  rack: Partial<Omit<InventoryRack, 'manual_fields'>> & { manual_fields?: RackManualField[] }
+): Promise<{status: string; data?: InventoryRack; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/racks/${id}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'PUT',
+      body: rack
+    });
+
+    console.log("Update rack response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error updating rack:', error);
+    throw error;
+  }
+};
+
+// Function to decommission a rack (its open problems are resolved)
+export const decommissionRack = async (id: string): Promise<{status: string; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/racks/${id}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'DELETE'
+    });
+
+    console.log("Decommission rack response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error decommissioning rack:', error);
+    throw error;
+  }
+};
+
+// Function to put a decommissioned rack back in service
+export const restoreRack = async (id: string): Promise<{status: string; data?: InventoryRack; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/racks/${id}/restore`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST'
+    });
+
+    console.log("Restore rack response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error restoring rack:', error);
+    throw error;
+  }
+};
+
+// Function to preview (dryRun) or apply a CSV/XLSX rack inventory import
+export const importRacks = async (
+  file: File,
+  dryRun: boolean
+): Promise<{status: string; data?: RackImportPlan; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/racks/import`;
+  
+  try {
+    const content = await new Promise<string>((resolve, reject) => {
+      const reader = new FileReader();
+      // Data URL without its "data:<type>;base64," prefix
+      reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: { filename: file.name, content, dry_run: dryRun }
+    });
+
+    console.log("Import racks response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error importing racks:', error);
+    throw error;
+  }
+};
+
+// Function to download the rack inventory as a CSV or XLSX file
+export const exportRacks = async (
+  format: RackImportFormat,
+  includeDecommissioned = false
+): Promise<Blob> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/racks/export?format=${format}&include_decommissioned=${includeDecommissioned}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET',
+      responseType: 'blob'
+    });
+
+    console.log("Export racks response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error exporting racks:', error);
+    throw error;
+  }
+};
+
+// Function to fetch all user accounts
+export const fetchUsers = async (): Promise<{status: string; data: ManagedUser[]; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/users`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Users response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    throw error;
+  }
+};
+
+// Function to create a user account
+export const createUser = async (
+  username: string,
+  password: string,
+  role: UserRole
+): Promise<{status: string; data?: ManagedUser; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/users`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: { username, password, role }
+    });
+
+    console.log(`Create user ${username} response:`, response.status);
+    return response;
+  } catch (error) {
+    console.error('Error creating user:', error);
+    throw error;
+  }
+};
+
+// Function to change a user's role or enable/disable the account
+export const updateUser = async (
+  userId: string,
+  changes: { role?: UserRole; isActive?: boolean }
+): Promise<{status: string; data?: ManagedUser; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/users/${userId}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'PATCH',
+      body: changes
+    });
+
+    console.log("Update user response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error updating user:', error);
+    throw error;
+  }
+};
+
+// Function to set a new password for a user
+export const resetUserPassword = async (userId: string, password: string): Promise<{status: string; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/users/${userId}/reset-password`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: { password }
+    });
+
+    console.log("Reset password response:", response.status);
+    return response;
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    throw error;
+  }
+};
+
+// Function to fetch the user management audit trail
+export const fetchUserAuditLog = async (): Promise<{status: string; data: UserAuditEntry[]; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/users/audit`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("User audit log response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching user audit log:', error);
+    throw error;
+  }
+};
+
+// Function to fetch notification channel settings
+export const fetchNotificationSettings = async (): Promise<{status: string; data: NotificationChannelSettings[]; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/notifications/settings`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Notification settings response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching notification settings:', error);
+    throw error;
+  }
+};
+
+// Function to save a notification channel
+export const updateNotificationSettings = async (
+  settings: Pick<NotificationChannelSettings, 'channel' | 'enabled' | 'severities' | 'events' | 'config'>
+): Promise<{status: string; data?: NotificationChannelSettings; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/notifications/settings/${settings.channel}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'PUT',
+      body: {
+        enabled: settings.enabled,
+        severities: settings.severities,
+        events: settings.events,
+        config: settings.config
+      }
+    });
+
+    console.log(`Notification settings (${settings.channel}) update response:`, response);
+    return response;
+  } catch (error) {
+    console.error('Error saving notification settings:', error);
+    throw error;
+  }
+};
+
+// Function to send a test notification on a channel
+export const sendTestNotification = async (channel: NotificationChannel): Promise<{status: string; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/notifications/test`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: { channel }
+    });
+
+    console.log(`Test notification (${channel}) response:`, response);
+    return response;
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    throw error;
+  }
+};
+
+// Function to fetch recent notification deliveries
+export const fetchNotificationLog = async (): Promise<{status: string; data: NotificationDelivery[]; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/notifications/log?limit=50`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Notification log response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching notification log:', error);
+    throw error;
+  }
+};
+
+// Function to fetch a page of monitoring cycle runs, newest first
+export const fetchMonitoringRuns = async (
+  page: number = 1,
+  pageSize: number = 25,
+  status?: MonitoringRunStatus
+): Promise<{status: string; data: MonitoringRunsPage; message?: string}> => {
+  const params = new URLSearchParams({ page: String(page), pageSize: String(pageSize) });
+  if (status) params.set('status', status);
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/monitoring/runs?${params.toString()}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Monitoring runs response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching monitoring runs:', error);
+    throw error;
+  }
+};
+
+// Function to fetch one monitoring cycle run with its sources, phases and problems
+export const fetchMonitoringRun = async (cycleId: string): Promise<{status: string; data?: MonitoringRunDetail; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/monitoring/runs/${encodeURIComponent(cycleId)}`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Monitoring run response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching monitoring run:', error);
+    throw error;
+  }
+};
+
+// Function to fetch the monitoring schedule
+export const fetchMonitoringSchedule = async (): Promise<{status: string; data: MonitoringSchedule; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/monitoring/schedule`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Monitoring schedule response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching monitoring schedule:', error);
+    throw error;
+  }
+};
+
+// Function to update the monitoring schedule; the server applies it right away
+export const updateMonitoringSchedule = async (
+  schedule: Partial<MonitoringSchedule>
+): Promise<{status: string; data?: MonitoringSchedule; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/monitoring/schedule`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'PUT',
+      body: schedule
+    });
+
+    console.log("Update monitoring schedule response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error updating monitoring schedule:', error);
+    throw error;
+  }
+};
+
+// Function to fetch retention settings, table row counts and the last retention run
+export const fetchRetentionStatus = async (): Promise<{status: string; data: RetentionStatus; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/retention`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'GET'
+    });
+
+    console.log("Retention status response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error fetching retention status:', error);
+    throw error;
+  }
+};
+
+// Function to update the retention settings; the server re-schedules the job right away
+export const updateRetentionSettings = async (
+  settings: RetentionSettings
+): Promise<{status: string; data?: RetentionSettings; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/retention/settings`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'PUT',
+      body: settings
+    });
+
+    console.log("Update retention settings response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error updating retention settings:', error);
+    throw error;
+  }
+};
+
+// Function to start a retention run; it continues on the server in the background
+export const runRetentionNow = async (): Promise<{status: string; message?: string}> => {
+  const url = `${import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:3000'}/api/retention/run`;
+  
+  try {
+    const response = await routeRequest({
+      destination: url,
+      method: 'POST',
+      body: {}
+    });
+
+    console.log("Run retention response:", response);
+    return response;
+  } catch (error) {
+    console.error('Error starting retention run:', error);
+    throw error;
+  }
+};
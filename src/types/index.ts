@@ -35,6 +35,15 @@ export interface Rack {
   L2_VA: string | null;
   L3_VA: string | null;
   phase?: string; // "Single Phase" or "3-Phase"
+  PHASE_IMBALANCE?: number | null; // % spread between phase currents
+  PHASE_IMBALANCE_ALERT?: boolean;
+  POWER_FAIL?: string | boolean | null; // PDU power failure flag or failed input count
+  RSTATUS?: string | null; // PDU status, e.g. "OK"
+  CAPACITY_AMPS?: string | number | null;
+  POWER_FAIL_ALERT?: boolean;
+  DEVICE_STATUS_ALERT?: boolean;
+  IN_MAINTENANCE?: boolean; // MAINTENANCE flag set or a maintenance window in progress
+  MAINTENANCE_REASON?: string | null;
 }
 
 export interface ApiResponse {
@@ -45,10 +54,21 @@ export interface ApiResponse {
 export type UserRole = 'Admin' | 'Manager' | 'Operator';
 
 export interface User {
+  id?: string;
   username: string;
   role: UserRole;
 }
 
+export interface LoginApiResponse {
+  status: string;
+  message?: string;
+  data?: {
+    token: string;
+    expiresAt: string;
+    user: User;
+  };
+}
+
 export interface DatacenterGroup {
   site: string;
   dc: string;
@@ -82,18 +102,169 @@ export interface SensorApiResponse {
 
 export interface Problem {
   id: string;
-  rack: string;
-  site: string;
-  dc: string;
+  // NULL for system problems, which belong to a data source instead
+  rack: string | null;
+  site: string | null;
+  dc: string | null;
   type: string;
   value: string;
   threshold: string;
   time: string;
   resolved?: string;
+  resolved_value?: string;
   status: string;
-  severity?: string;
-  currentValue?: string;
-  alert_type?: 'high' | 'low';
+  severity?: ProblemSeverity;
+  currentValue?: string | null;
+  alert_type?: ProblemAlertType;
+  phase?: PowerPhase | null;
+  maintenance_window_id?: string | null;
+  rule_id?: string | null;
+  rule_name?: string | null;
+  source_id?: string | null;
+  source_name?: string | null;
+  acknowledged_by?: string | null;
+  acknowledged_at?: string | null;
+}
+
+export type PowerPhase = 'L1' | 'L2' | 'L3';
+
+// 'high' and 'low' are threshold violations; 'rise', 'fall' and 'stale' come
+// from rate-of-change and stale data rules (or, for Communication problems,
+// from data that stopped flowing); 'fail' and 'status' are reported by the
+// PDU or sensor itself, and 'offline' is an unreachable data source
+export type ProblemAlertType = 'high' | 'low' | 'rise' | 'fall' | 'stale' | 'fail' | 'status' | 'offline';
+
+export type ProblemAction = 'acknowledge' | 'unacknowledge' | 'resolve';
+
+export interface ProblemHistoryEntry {
+  id: string;
+  action: 'created' | 'acknowledged' | 'unacknowledged' | 'resolved' | 'escalated' | 'note';
+  from_status: string | null;
+  to_status: string | null;
+  actor: string;
+  note: string | null;
+  created_at: string;
+}
+
+export interface ManagedUser {
+  id: string;
+  username: string;
+  role: UserRole;
+  is_active: boolean;
+  last_login_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface UserAuditEntry {
+  id: string;
+  target_user_id: string | null;
+  target_username: string;
+  action: 'created' | 'role_changed' | 'password_reset' | 'disabled' | 'enabled';
+  actor: string;
+  details: string | null;
+  created_at: string;
+}
+
+export type NotificationChannel = 'email' | 'webhook';
+export type NotificationEvent = 'opened' | 'escalated' | 'resolved';
+export type ProblemSeverity = 'Critical' | 'Warning';
+
+export interface NotificationChannelConfig {
+  // Email (SMTP)
+  host?: string;
+  port?: number;
+  secure?: boolean;
+  user?: string;
+  password?: string;
+  from?: string;
+  to?: string;
+  // Webhook
+  url?: string;
+  secret?: string;
+  headers?: Record<string, string>;
+}
+
+export interface NotificationChannelSettings {
+  channel: NotificationChannel;
+  enabled: boolean;
+  severities: ProblemSeverity[];
+  events: NotificationEvent[];
+  config: NotificationChannelConfig;
+  updatedBy: string | null;
+  updatedAt: string | null;
+}
+
+export interface NotificationDelivery {
+  id: string;
+  problem_id: string | null;
+  rack: string | null;
+  channel: NotificationChannel;
+  event: NotificationEvent | 'test';
+  status: 'sent' | 'failed';
+  attempts: number;
+  error: string | null;
+  created_at: string;
+}
+
+export interface RackDetail {
+  id: string;
+  NAME: string;
+  SITE: string;
+  DC: string;
+  MAINTENANCE: boolean | string | null;
+  MAXPOWER: number | string | null;
+  MAXU: number | string | null;
+  FREEU: number | string | null;
+  phase?: string | null;
+  capacity_amps?: number | null;
+  power_fail?: boolean | null;
+  device_status?: string | null;
+  TEMPERATURE: number | null;
+  HUMIDITY: number | null;
+  TOTAL_AMPS: number | null;
+  TOTAL_VOLTS: number | null;
+  TOTAL_KW: number | null;
+  L1_AMPS?: number | null;
+  L2_AMPS?: number | null;
+  L3_AMPS?: number | null;
+  last_reading_at: string | null;
+  maintenance_window?: MaintenanceWindow | null;
+  problems: Problem[];
+}
+
+export type HistoryBucket = 'raw' | '5m' | '1h' | '1d';
+
+export interface MetricStats {
+  min: number | null;
+  avg: number | null;
+  max: number | null;
+}
+
+export interface SensorHistoryPoint {
+  time: string;
+  samples: number;
+  rack?: string;
+  temperature: MetricStats;
+  humidity: MetricStats;
+  current: MetricStats;
+  voltage: MetricStats;
+  kw: MetricStats;
+}
+
+export interface SensorHistoryApiResponse {
+  status: string;
+  message?: string;
+  data?: {
+    scope: { rack: string | null; site: string | null; dc: string | null };
+    from: string;
+    to: string;
+    bucket: HistoryBucket;
+    groupBy: 'scope' | 'rack';
+    // True when the oldest points were left out; a coarser bucket returns the whole range
+    truncated: boolean;
+    points: SensorHistoryPoint[];
+  };
 }
 
 export interface ProblemsApiResponse {
@@ -144,8 +315,9 @@ export interface SensorData {
   status: string;
 }
 
-// Interface for thresholds
-export interface Threshold {
+// Interface for thresholds. Each limit is the warning tier; the matching
+// critical_* limit marks problems as Critical.
+export interface Threshold extends Partial<Record<CriticalLimitField, number>> {
   id?: string;
   name: string;
   min_temp: number;
@@ -154,6 +326,8 @@ export interface Threshold {
   max_humidity: number;
   max_power_single_phase: number;
   max_power_three_phase: number;
+  max_power_per_phase?: number;
+  max_phase_imbalance?: number;
   updated_at?: string;
   created_at?: string;
 }
@@ -161,4 +335,308 @@ export interface Threshold {
 export interface ThresholdsApiResponse {
   status: string;
   data: Threshold[];
-}
\ No newline at end of file
+}
+
+export type ThresholdScope = 'site' | 'dc' | 'rack';
+
+export type ThresholdLimitField =
+  | 'min_temp'
+  | 'max_temp'
+  | 'min_humidity'
+  | 'max_humidity'
+  | 'max_power_single_phase'
+  | 'max_power_three_phase'
+  | 'max_power_per_phase'
+  | 'max_phase_imbalance';
+
+export type CriticalLimitField = `critical_${ThresholdLimitField}`;
+
+// Site, datacenter or rack limits layered over the global thresholds.
+// A null limit inherits the value from the next broader scope.
+export interface ThresholdOverride extends Record<ThresholdLimitField | CriticalLimitField, number | null> {
+  id: string;
+  scope: ThresholdScope;
+  site: string | null;
+  dc: string | null;
+  rack_name: string | null;
+  description: string | null;
+  updated_by?: string | null;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface ThresholdOverridesApiResponse {
+  status: string;
+  data: ThresholdOverride[];
+  message?: string;
+}
+
+export type AlertRuleKind = 'sustained' | 'rate' | 'stale';
+
+export type AlertRuleMetric = 'Temperature' | 'Humidity' | 'Power' | 'PhaseImbalance';
+
+// Rules evaluated by the monitoring service on top of the thresholds:
+// sustained rules delay threshold problems by `cycles` or `minutes`, rate
+// rules compare the change over `minutes` with `delta`, stale rules flag
+// racks without a reading for `minutes`
+export interface AlertRule {
+  id: string;
+  name: string;
+  kind: AlertRuleKind;
+  metric: AlertRuleMetric;
+  enabled: boolean;
+  cycles: number | null;
+  minutes: number | null;
+  delta: number | null;
+  direction: 'rise' | 'fall' | null;
+  description: string | null;
+  updated_by?: string | null;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface AlertRulesApiResponse {
+  status: string;
+  data: AlertRule[];
+  message?: string;
+}
+export type MaintenanceScope = 'rack' | 'dc';
+export type MaintenanceState = 'active' | 'upcoming' | 'past';
+
+export interface MaintenanceWindow {
+  id: string;
+  scope: MaintenanceScope;
+  site: string | null;
+  dc: string | null;
+  rack_name: string | null;
+  starts_at: string;
+  ends_at: string;
+  reason: string;
+  suppress_alerts: boolean;
+  state: MaintenanceState;
+  created_by?: string | null;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface MaintenanceWindowsApiResponse {
+  status: string;
+  data: MaintenanceWindow[];
+  message?: string;
+}
+
+export type RackOrigin = 'source' | 'manual';
+
+// Rack columns that can be set by hand and are then kept by the monitoring cycle
+export type RackManualField = 'site' | 'datacenter' | 'max_power' | 'max_units' | 'free_units' | 'phase' | 'capacity_amps';
+
+export interface InventoryRack {
+  id: string;
+  name: string;
+  site: string;
+  datacenter: string;
+  maintenance: boolean;
+  max_power: number;
+  max_units: number;
+  free_units: number;
+  phase: string | null;
+  capacity_amps: number | null;
+  origin: RackOrigin;
+  manual_fields: RackManualField[];
+  updated_by: string | null;
+  created_at: string;
+  updated_at: string;
+  decommissioned_at: string | null;
+  decommissioned_by: string | null;
+}
+
+export interface InventoryRacksApiResponse {
+  status: string;
+  data: InventoryRack[];
+  message?: string;
+}
+
+export type RackImportFormat = 'csv' | 'xlsx';
+
+export type RackImportStatus = 'new' | 'changed' | 'unchanged' | 'error';
+
+export interface RackImportRow {
+  line: number;
+  name: string;
+  status: RackImportStatus;
+  changes: { field: RackManualField; from: string | number | null; to: string | number | null }[];
+  error: string | null;
+}
+
+// Differences between an import file and the inventory; applied is true once written
+export interface RackImportPlan {
+  applied: boolean;
+  columns: string[];
+  summary: Record<RackImportStatus, number>;
+  rows: RackImportRow[];
+}
+
+export type LiveEventType = 'racks' | 'problem' | 'cycle';
+
+// Pushed after every completed monitoring cycle, in the same shape as the
+// /api/racks and /api/sensors responses
+export interface RackSnapshotEvent {
+  cycleId: string;
+  racks: Rack[];
+  sensors: Sensor[];
+  maintenanceWindows: MaintenanceWindow[];
+}
+
+export interface ProblemLiveEvent {
+  event: NotificationEvent | 'acknowledged' | 'unacknowledged';
+  problemId: string;
+}
+
+export interface CycleLiveEvent {
+  cycleId: string;
+  status: 'completed' | 'skipped' | 'failed';
+  reason: string | null;
+  finishedAt: string;
+  duration: number | null;
+  cyclesCompleted: number;
+  problemsDetected: number;
+  problemsResolved: number;
+}
+
+export interface LiveEventPayloads {
+  racks: RackSnapshotEvent;
+  problem: ProblemLiveEvent;
+  cycle: CycleLiveEvent;
+}
+
+export type MonitoringRunStatus = 'running' | 'completed' | 'skipped' | 'failed';
+
+export interface MonitoringRun {
+  cycle_id: string;
+  status: MonitoringRunStatus;
+  scope: 'full' | 'sensors';
+  trigger: 'scheduled' | 'manual';
+  requested_by: string | null;
+  started_at: string;
+  finished_at: string | null;
+  duration_ms: number | null;
+  api1_reachable: boolean | null;
+  api2_reachable: boolean | null;
+  racks_fetched: number;
+  readings_fetched: number;
+  racks_stored: number;
+  readings_stored: number;
+  problems_opened: number;
+  problems_escalated: number;
+  problems_resolved: number;
+  error: string | null;
+}
+
+export interface MonitoringRunSource {
+  id: string;
+  name: string;
+  driver: string;
+  types: string[];
+  reachable: boolean;
+  records: number;
+  error: string | null;
+  duration: number | null;
+}
+
+export interface MonitoringRunProblem {
+  id: string;
+  change: 'opened' | 'escalated' | 'resolved';
+  rack: string | null;
+  source?: string; // Data source of a system problem
+  type: string;
+  alertType: string;
+  phase: string | null;
+  value: string;
+}
+
+export interface MonitoringRunDetail extends MonitoringRun {
+  details: {
+    phases?: Record<string, number>;
+    sources?: MonitoringRunSource[];
+    problems?: MonitoringRunProblem[];
+  } | null;
+}
+
+export interface MonitoringRunsPage {
+  runs: MonitoringRun[];
+  total: number;
+  page: number;
+  pageSize: number;
+}
+
+export type ScheduleMode = 'interval' | 'cron';
+
+export interface MonitoringCadence {
+  mode: ScheduleMode;
+  intervalMs: number;
+  cron: string | null;
+}
+
+export interface MonitoringSchedule {
+  enabled: boolean;
+  inventory: MonitoringCadence;
+  sensors: MonitoringCadence;
+  updatedBy?: string | null;
+  updatedAt?: string | null;
+}
+
+export interface RetentionSettings {
+  enabled: boolean;
+  rawRetentionDays: number;
+  hourlyRetentionDays: number;
+  dailyRetentionDays: number;
+  problemArchiveMonths: number;
+  purgeBatchSize: number;
+  jobCron: string;
+  updatedBy?: string | null;
+  updatedAt?: string | null;
+}
+
+export type RetentionRunStatus = 'completed' | 'partial' | 'failed';
+
+export interface RetentionStep {
+  complete: boolean;
+  duration: number;
+  error?: string;
+  windows?: number;
+  rows?: number;
+  rolledTo?: string | null;
+  batches?: number;
+  deleted?: number;
+  archived?: number;
+}
+
+export interface RetentionStatus {
+  settings: RetentionSettings;
+  running: boolean;
+  nextRunAt: string | null;
+  tables: { table: string; rows: number }[];
+  oldest: {
+    raw: string | null;
+    hourly: string | null;
+    daily: string | null;
+    resolvedProblem: string | null;
+  };
+  watermarks: {
+    hourly: string | null;
+    daily: string | null;
+  };
+  lastRun: {
+    at: string;
+    status: RetentionRunStatus;
+    summary: {
+      trigger: 'scheduled' | 'manual';
+      requestedBy: string | null;
+      startedAt: string;
+      duration: number;
+      steps: Record<string, RetentionStep>;
+      // Set when the outcome could not be stored; the run then counts as failed
+      recordError?: string;
+    } | null;
+  } | null;
+}
@@ -0,0 +1,80 @@
+/*
+  # Automatic Problem Resolution
+
+  1. Schema Updates
+    - Add `resolved_value` column to problems table
+      - Stores the reading that brought the rack back inside its thresholds
+    - Add index on problems status/resolved_at for historical lookups
+
+  2. Stored Procedures
+    - Update sp_get_historical_problems to return the resolution value
+
+  3. Notes
+    - The monitoring service sets status = 'resolved', resolved_at and resolved_value
+    - Existing resolved problems keep a NULL resolved_value
+*/
+
+USE QEIS1DAT;
+GO
+
+-- Add resolved_value column to problems table
+IF NOT EXISTS (
+  SELECT * FROM sys.columns
+  WHERE name = 'resolved_value' AND object_id = OBJECT_ID('dbo.problems')
+)
+BEGIN
+  ALTER TABLE [dbo].[problems]
+  ADD [resolved_value] NVARCHAR(50) NULL;
+
+  PRINT 'Added resolved_value column to problems table.';
+END
+ELSE
+BEGIN
+  PRINT 'resolved_value column already exists in problems table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_problems_status_resolved' AND object_id = OBJECT_ID('dbo.problems'))
+BEGIN
+  CREATE INDEX [IX_problems_status_resolved] ON [dbo].[problems] ([status], [resolved_at] DESC);
+
+  PRINT 'Created IX_problems_status_resolved index.';
+END
+GO
+
+-- Update the historical problems procedure to include the resolution value
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_historical_problems')
+    DROP PROCEDURE [dbo].[sp_get_historical_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_historical_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[created_at] AS time,
+    p.[resolved_at] AS resolved,
+    p.[resolved_value],
+    p.[status]
+  FROM
+    [dbo].[problems] p
+  JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  WHERE
+    p.[status] = 'resolved'
+  ORDER BY
+    p.[resolved_at] DESC;
+END
+GO
+
+PRINT 'Stored procedure sp_get_historical_problems updated';
+GO
@@ -0,0 +1,101 @@
+/*
+  # Problem Acknowledgement and Lifecycle History
+
+  1. Schema Updates
+    - Add `acknowledged_at` column to problems table
+    - New table `problem_history`
+      - One row per state change or note on a problem
+      - Records the previous and new status, who made the change and an optional note
+
+  2. Stored Procedures
+    - sp_get_active_problems now returns both 'active' and 'acknowledged' problems,
+      since an acknowledged problem is still open
+
+  3. Notes
+    - Allowed actions: created, acknowledged, unacknowledged, resolved, note
+    - History rows are removed together with their problem
+*/
+
+USE QEIS1DAT;
+GO
+
+-- Add acknowledged_at column to problems table
+IF NOT EXISTS (
+  SELECT * FROM sys.columns
+  WHERE name = 'acknowledged_at' AND object_id = OBJECT_ID('dbo.problems')
+)
+BEGIN
+  ALTER TABLE [dbo].[problems]
+  ADD [acknowledged_at] DATETIME2 NULL;
+
+  PRINT 'Added acknowledged_at column to problems table.';
+END
+ELSE
+BEGIN
+  PRINT 'acknowledged_at column already exists in problems table.';
+END
+GO
+
+-- Create problem_history table
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[problem_history]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[problem_history] (
+        [id] UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        [problem_id] UNIQUEIDENTIFIER NOT NULL,
+        [action] NVARCHAR(20) NOT NULL,
+        [from_status] NVARCHAR(20) NULL,
+        [to_status] NVARCHAR(20) NULL,
+        [actor] NVARCHAR(50) NOT NULL,
+        [note] NVARCHAR(1000) NULL,
+        [created_at] DATETIME2 DEFAULT GETDATE(),
+        CONSTRAINT [FK_problem_history_problems] FOREIGN KEY ([problem_id])
+            REFERENCES [dbo].[problems] ([id]) ON DELETE CASCADE,
+        CONSTRAINT [CK_problem_history_action] CHECK ([action] IN ('created', 'acknowledged', 'unacknowledged', 'resolved', 'note'))
+    );
+
+    PRINT 'Created problem_history table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_problem_history_problem_time' AND object_id = OBJECT_ID('dbo.problem_history'))
+BEGIN
+    CREATE INDEX [IX_problem_history_problem_time] ON [dbo].[problem_history] ([problem_id], [created_at]);
+END
+GO
+
+-- Active problems include acknowledged ones
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_active_problems')
+    DROP PROCEDURE [dbo].[sp_get_active_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_active_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[created_at] AS time,
+    p.[status],
+    p.[acknowledged_by],
+    p.[acknowledged_at]
+  FROM
+    [dbo].[problems] p
+  JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  WHERE
+    p.[status] IN ('active', 'acknowledged')
+  ORDER BY
+    p.[created_at] DESC;
+END
+GO
+
+PRINT 'Stored procedure sp_get_active_problems updated';
+GO
@@ -0,0 +1,85 @@
+/*
+  # Server-side Authentication
+
+  1. New Tables
+    - `users`
+      - Application accounts with a scrypt password hash and one of the
+        Admin / Manager / Operator roles
+      - `is_active` allows an account to be disabled without deleting it
+      - `last_login_at` is updated on every successful login
+    - `user_sessions`
+      - One row per issued session token
+      - Logout sets `revoked_at`; expired or revoked sessions are rejected
+
+  2. Notes
+    - Passwords are never stored in clear text
+    - The first Admin account is created by the server on startup from
+      AUTH_BOOTSTRAP_ADMIN_USERNAME / AUTH_BOOTSTRAP_ADMIN_PASSWORD when the
+      users table is empty
+*/
+
+USE QEIS1DAT;
+GO
+
+-- Create users table
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[users]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[users] (
+        [id] UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        [username] NVARCHAR(50) NOT NULL,
+        [password_hash] NVARCHAR(255) NOT NULL,
+        [role] NVARCHAR(20) NOT NULL DEFAULT 'Operator',
+        [is_active] BIT NOT NULL DEFAULT 1,
+        [last_login_at] DATETIME2 NULL,
+        [created_at] DATETIME2 DEFAULT GETDATE(),
+        [updated_at] DATETIME2 DEFAULT GETDATE(),
+        CONSTRAINT [UQ_users_username] UNIQUE ([username]),
+        CONSTRAINT [CK_users_role] CHECK ([role] IN ('Admin', 'Manager', 'Operator'))
+    );
+
+    PRINT 'Created users table.';
+END
+GO
+
+-- Create user_sessions table
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[user_sessions]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[user_sessions] (
+        [id] UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        [user_id] UNIQUEIDENTIFIER NOT NULL,
+        [expires_at] DATETIME2 NOT NULL,
+        [revoked_at] DATETIME2 NULL,
+        [ip_address] NVARCHAR(64) NULL,
+        [user_agent] NVARCHAR(255) NULL,
+        [created_at] DATETIME2 DEFAULT GETDATE(),
+        CONSTRAINT [FK_user_sessions_users] FOREIGN KEY ([user_id])
+            REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE
+    );
+
+    PRINT 'Created user_sessions table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_user_sessions_user' AND object_id = OBJECT_ID('dbo.user_sessions'))
+BEGIN
+    CREATE INDEX [IX_user_sessions_user] ON [dbo].[user_sessions] ([user_id], [expires_at]);
+END
+GO
+
+-- Keep updated_at current on users
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE type = 'TR' AND name = 'TR_users_update')
+BEGIN
+    EXEC('CREATE TRIGGER [TR_users_update] ON [dbo].[users]
+    AFTER UPDATE AS
+    BEGIN
+        SET NOCOUNT ON;
+        UPDATE [dbo].[users]
+        SET [updated_at] = GETDATE()
+        FROM [dbo].[users] t
+        INNER JOIN inserted i ON t.[id] = i.[id]
+    END');
+END
+GO
+
+PRINT 'Authentication schema created';
+GO
@@ -0,0 +1,53 @@
+/*
+  # User Management Audit Trail
+
+  1. New Tables
+    - `user_audit_log`
+      - One row per change made to a user account through the user management API
+      - Records who made the change, which account it affected and what changed
+
+  2. Notes
+    - Allowed actions: created, role_changed, password_reset, disabled, enabled
+    - The target username is stored alongside the id so entries stay readable
+      after an account is renamed or removed
+    - Accounts are disabled rather than deleted, so audit rows are kept with
+      `ON DELETE SET NULL`
+*/
+
+USE QEIS1DAT;
+GO
+
+-- Create user_audit_log table
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[user_audit_log]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[user_audit_log] (
+        [id] UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        [target_user_id] UNIQUEIDENTIFIER NULL,
+        [target_username] NVARCHAR(50) NOT NULL,
+        [action] NVARCHAR(20) NOT NULL,
+        [actor] NVARCHAR(50) NOT NULL,
+        [details] NVARCHAR(1000) NULL,
+        [created_at] DATETIME2 DEFAULT GETDATE(),
+        CONSTRAINT [FK_user_audit_log_users] FOREIGN KEY ([target_user_id])
+            REFERENCES [dbo].[users] ([id]) ON DELETE SET NULL,
+        CONSTRAINT [CK_user_audit_log_action] CHECK ([action] IN ('created', 'role_changed', 'password_reset', 'disabled', 'enabled'))
+    );
+
+    PRINT 'Created user_audit_log table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_user_audit_log_time' AND object_id = OBJECT_ID('dbo.user_audit_log'))
+BEGIN
+    CREATE INDEX [IX_user_audit_log_time] ON [dbo].[user_audit_log] ([created_at] DESC);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_user_audit_log_target' AND object_id = OBJECT_ID('dbo.user_audit_log'))
+BEGIN
+    CREATE INDEX [IX_user_audit_log_target] ON [dbo].[user_audit_log] ([target_user_id], [created_at]);
+END
+GO
+
+PRINT 'User management audit schema created';
+GO
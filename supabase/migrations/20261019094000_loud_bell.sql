@@ -0,0 +1,93 @@
+/*
+  # Problem Notifications
+
+  1. New Tables
+    - `notification_channels`
+      - One row per delivery channel ('email', 'webhook')
+      - `enabled` switches the channel on or off
+      - `severities` is a comma separated list of the problem severities the
+        channel receives (e.g. 'High,Medium')
+      - `events` is a comma separated list of the problem events the channel
+        receives ('opened', 'escalated', 'resolved')
+      - `config` holds the channel settings as JSON (SMTP host/port/credentials
+        and recipients, or webhook URL/headers/secret)
+    - `notification_log`
+      - One row per delivery, with the number of attempts and the last error
+
+  2. Schema Updates
+    - `problem_history` accepts a new 'escalated' action
+
+  3. Notes
+    - Both channels are created disabled; they are configured from the
+      Notifications tab of the Configuration page
+    - Point the SMTP host or webhook URL at a local stand-in (e.g. MailHog or a
+      request bin) to test delivery without sending real alerts
+*/
+
+USE QEIS1DAT;
+GO
+
+-- Create notification_channels table
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[notification_channels]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[notification_channels] (
+        [channel] NVARCHAR(20) PRIMARY KEY,
+        [enabled] BIT NOT NULL DEFAULT 0,
+        [severities] NVARCHAR(100) NOT NULL DEFAULT 'High,Medium,Low',
+        [events] NVARCHAR(100) NOT NULL DEFAULT 'opened,escalated,resolved',
+        [config] NVARCHAR(MAX) NULL,
+        [updated_by] NVARCHAR(50) NULL,
+        [updated_at] DATETIME2 DEFAULT GETDATE(),
+        CONSTRAINT [CK_notification_channels_channel] CHECK ([channel] IN ('email', 'webhook'))
+    );
+
+    INSERT INTO [dbo].[notification_channels] ([channel], [config])
+    VALUES
+        ('email', '{"host":"","port":25,"secure":false,"user":"","password":"","from":"","to":""}'),
+        ('webhook', '{"url":"","headers":{},"secret":""}');
+
+    PRINT 'Created notification_channels table.';
+END
+GO
+
+-- Create notification_log table
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[notification_log]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[notification_log] (
+        [id] UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        [problem_id] UNIQUEIDENTIFIER NULL,
+        [channel] NVARCHAR(20) NOT NULL,
+        [event] NVARCHAR(20) NOT NULL,
+        [status] NVARCHAR(20) NOT NULL,
+        [attempts] INT NOT NULL DEFAULT 1,
+        [error] NVARCHAR(1000) NULL,
+        [created_at] DATETIME2 DEFAULT GETDATE(),
+        CONSTRAINT [FK_notification_log_problems] FOREIGN KEY ([problem_id])
+            REFERENCES [dbo].[problems] ([id]) ON DELETE SET NULL,
+        CONSTRAINT [CK_notification_log_status] CHECK ([status] IN ('sent', 'failed'))
+    );
+
+    PRINT 'Created notification_log table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_notification_log_time' AND object_id = OBJECT_ID('dbo.notification_log'))
+BEGIN
+    CREATE INDEX [IX_notification_log_time] ON [dbo].[notification_log] ([created_at] DESC);
+END
+GO
+
+-- Allow 'escalated' entries in problem_history
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_problem_history_action')
+BEGIN
+    ALTER TABLE [dbo].[problem_history] DROP CONSTRAINT [CK_problem_history_action];
+END
+GO
+
+ALTER TABLE [dbo].[problem_history]
+ADD CONSTRAINT [CK_problem_history_action]
+CHECK ([action] IN ('created', 'acknowledged', 'unacknowledged', 'resolved', 'escalated', 'note'));
+GO
+
+PRINT 'Notification schema created';
+GO
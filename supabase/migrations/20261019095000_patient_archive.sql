@@ -0,0 +1,31 @@
+/*
+  # Sensor History Index
+
+  1. Indexes
+    - `IX_sensor_readings_time_covering` on sensor_readings (created_at)
+      - Includes the rack and every metric column so site and datacenter
+        history queries over a time range are answered from the index
+        without key lookups
+    - The existing IX_sensor_readings_rack_time index already serves
+      single-rack history queries
+
+  2. Notes
+    - Used by GET /api/sensors/history
+*/
+
+USE QEIS1DAT;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_sensor_readings_time_covering' AND object_id = OBJECT_ID('dbo.sensor_readings'))
+BEGIN
+    CREATE INDEX [IX_sensor_readings_time_covering]
+    ON [dbo].[sensor_readings] ([created_at])
+    INCLUDE ([rack_id], [temperature], [humidity], [total_power], [total_current], [total_voltage]);
+
+    PRINT 'Created IX_sensor_readings_time_covering index.';
+END
+ELSE
+BEGIN
+    PRINT 'IX_sensor_readings_time_covering index already exists.';
+END
+GO
@@ -0,0 +1,64 @@
+/*
+  # Scoped Threshold Overrides
+
+  1. New Tables
+    - `threshold_overrides`
+      - One row per site, datacenter or rack that needs limits different from
+        the `global` thresholds
+      - `scope` is 'site', 'dc' or 'rack'
+      - `site` is set for site and dc scopes, `dc` for dc scope and
+        `rack_name` for rack scope
+      - Every limit column is nullable: NULL inherits the value from the next
+        broader scope (rack -> dc -> site -> global)
+
+  2. Notes
+    - Limits are resolved most-specific-first, field by field, by the
+      monitoring service and by the dashboard alert flags
+    - The `global` row in `thresholds` is unchanged and remains the base
+*/
+
+USE QEIS1DAT;
+GO
+
+-- Create threshold_overrides table
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[threshold_overrides]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[threshold_overrides] (
+        [id] UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        [scope] NVARCHAR(10) NOT NULL,
+        [site] NVARCHAR(100) NULL,
+        [dc] NVARCHAR(100) NULL,
+        [rack_name] NVARCHAR(100) NULL,
+        [description] NVARCHAR(255) NULL,
+        [min_temp] DECIMAL(5,2) NULL,
+        [max_temp] DECIMAL(5,2) NULL,
+        [min_humidity] DECIMAL(5,2) NULL,
+        [max_humidity] DECIMAL(5,2) NULL,
+        [max_power_single_phase] DECIMAL(5,2) NULL,
+        [max_power_three_phase] DECIMAL(5,2) NULL,
+        [updated_by] NVARCHAR(50) NULL,
+        [created_at] DATETIME2 DEFAULT GETDATE(),
+        [updated_at] DATETIME2 DEFAULT GETDATE(),
+        CONSTRAINT [CK_threshold_overrides_scope] CHECK (
+            ([scope] = 'site' AND [site] IS NOT NULL AND [dc] IS NULL AND [rack_name] IS NULL) OR
+            ([scope] = 'dc' AND [site] IS NOT NULL AND [dc] IS NOT NULL AND [rack_name] IS NULL) OR
+            ([scope] = 'rack' AND [rack_name] IS NOT NULL AND [site] IS NULL AND [dc] IS NULL)
+        )
+    );
+
+    PRINT 'Created threshold_overrides table.';
+END
+GO
+
+-- One override per target
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'UX_threshold_overrides_target' AND object_id = OBJECT_ID('dbo.threshold_overrides'))
+BEGIN
+    CREATE UNIQUE INDEX [UX_threshold_overrides_target]
+    ON [dbo].[threshold_overrides] ([scope], [site], [dc], [rack_name]);
+
+    PRINT 'Created unique index on threshold override targets.';
+END
+GO
+
+PRINT 'Threshold override schema created';
+GO
@@ -0,0 +1,317 @@
+/*
+  # Per-Phase Current Limits and Phase Imbalance Problems
+
+  1. Schema Updates
+    - `thresholds` and `threshold_overrides`
+      - `max_power_per_phase`: current limit (A) for each phase of a 3-phase rack
+      - `max_phase_imbalance`: largest allowed spread between phase currents,
+        as a percentage of the average phase current
+    - `problems`
+      - `phase` column ('L1', 'L2', 'L3') for problems raised on a single phase
+      - CK_problem_type accepts the new 'PhaseImbalance' type
+
+  2. Stored Procedures
+    - Threshold view and procedures return the new limits
+    - sp_update_thresholds takes the new limits as optional parameters; when
+      omitted they are carried over from the current global thresholds
+    - sp_get_active_problems and sp_get_historical_problems return `phase`
+
+  3. Notes
+    - The monitoring service stores per-phase readings in the existing
+      sensor_readings l1_current..l3_current and l1_voltage..l3_voltage columns
+    - Per-phase over-current problems use type 'Power' with `phase` set;
+      rack total over-current problems keep a NULL `phase`
+*/
+
+USE QEIS1DAT;
+GO
+
+-- Per-phase limits on the global thresholds
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.thresholds') AND name = 'max_power_per_phase')
+BEGIN
+    ALTER TABLE [dbo].[thresholds] ADD [max_power_per_phase] DECIMAL(5,2) NOT NULL DEFAULT 16.0;
+    PRINT 'Added max_power_per_phase column to thresholds.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.thresholds') AND name = 'max_phase_imbalance')
+BEGIN
+    ALTER TABLE [dbo].[thresholds] ADD [max_phase_imbalance] DECIMAL(5,2) NOT NULL DEFAULT 20.0;
+    PRINT 'Added max_phase_imbalance column to thresholds.';
+END
+GO
+
+-- Same limits on the scoped overrides (NULL inherits)
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.threshold_overrides') AND name = 'max_power_per_phase')
+BEGIN
+    ALTER TABLE [dbo].[threshold_overrides] ADD [max_power_per_phase] DECIMAL(5,2) NULL;
+    PRINT 'Added max_power_per_phase column to threshold_overrides.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.threshold_overrides') AND name = 'max_phase_imbalance')
+BEGIN
+    ALTER TABLE [dbo].[threshold_overrides] ADD [max_phase_imbalance] DECIMAL(5,2) NULL;
+    PRINT 'Added max_phase_imbalance column to threshold_overrides.';
+END
+GO
+
+-- Phase of single-phase problems
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.problems') AND name = 'phase')
+BEGIN
+    ALTER TABLE [dbo].[problems] ADD [phase] NVARCHAR(2) NULL
+        CONSTRAINT [CK_problems_phase] CHECK ([phase] IN ('L1', 'L2', 'L3'));
+    PRINT 'Added phase column to problems.';
+END
+GO
+
+-- Allow phase imbalance problems
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_problem_type')
+BEGIN
+    ALTER TABLE [dbo].[problems] DROP CONSTRAINT [CK_problem_type];
+END
+GO
+
+ALTER TABLE [dbo].[problems]
+ADD CONSTRAINT [CK_problem_type]
+CHECK ([type] IN ('Temperature', 'Humidity', 'Power', 'PhaseImbalance'));
+GO
+
+-- Threshold view and procedures with the new limits
+IF EXISTS (SELECT * FROM sys.views WHERE name = 'vw_current_thresholds')
+    DROP VIEW [dbo].[vw_current_thresholds];
+GO
+
+CREATE VIEW [dbo].[vw_current_thresholds] AS
+WITH latest_thresholds AS (
+    SELECT
+        name,
+        MAX(created_at) AS latest_time
+    FROM
+        [dbo].[thresholds]
+    GROUP BY
+        name
+)
+SELECT
+    t.[id],
+    t.[name],
+    t.[min_temp],
+    t.[max_temp],
+    t.[min_humidity],
+    t.[max_humidity],
+    t.[max_power_single_phase],
+    t.[max_power_three_phase],
+    t.[max_power_per_phase],
+    t.[max_phase_imbalance],
+    t.[created_at],
+    t.[updated_at]
+FROM
+    [dbo].[thresholds] t
+JOIN
+    latest_thresholds lt ON t.name = lt.name AND t.created_at = lt.latest_time;
+GO
+
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_thresholds_fast')
+    DROP PROCEDURE [dbo].[sp_get_thresholds_fast];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_thresholds_fast]
+AS
+BEGIN
+    SET NOCOUNT ON;
+    SET TRANSACTION ISOLATION LEVEL READ UNCOMMITTED;
+
+    SELECT TOP 1
+        t.[id],
+        t.[name],
+        t.[min_temp],
+        t.[max_temp],
+        t.[min_humidity],
+        t.[max_humidity],
+        t.[max_power_single_phase],
+        t.[max_power_three_phase],
+        t.[max_power_per_phase],
+        t.[max_phase_imbalance],
+        t.[created_at],
+        t.[updated_at]
+    FROM
+        [dbo].[thresholds] t WITH (NOLOCK)
+    WHERE
+        t.[name] = 'global'
+    ORDER BY
+        t.[created_at] DESC;
+END
+GO
+
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_thresholds')
+    DROP PROCEDURE [dbo].[sp_get_thresholds];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_thresholds]
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    SELECT TOP 1
+        id,
+        name,
+        min_temp,
+        max_temp,
+        min_humidity,
+        max_humidity,
+        max_power_single_phase,
+        max_power_three_phase,
+        max_power_per_phase,
+        max_phase_imbalance,
+        created_at,
+        updated_at
+    FROM [dbo].[thresholds]
+    WHERE name = 'global'
+    ORDER BY created_at DESC;
+END
+GO
+
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_update_thresholds')
+    DROP PROCEDURE [dbo].[sp_update_thresholds];
+GO
+
+CREATE PROCEDURE [dbo].[sp_update_thresholds]
+    @min_temp DECIMAL(5,2),
+    @max_temp DECIMAL(5,2),
+    @min_humidity DECIMAL(5,2),
+    @max_humidity DECIMAL(5,2),
+    @max_power_single_phase DECIMAL(5,2),
+    @max_power_three_phase DECIMAL(5,2),
+    @max_power_per_phase DECIMAL(5,2) = NULL,
+    @max_phase_imbalance DECIMAL(5,2) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    -- Validate inputs
+    IF @min_temp IS NULL OR @max_temp IS NULL OR
+       @min_humidity IS NULL OR @max_humidity IS NULL OR
+       @max_power_single_phase IS NULL OR @max_power_three_phase IS NULL
+    BEGIN
+        RAISERROR('All threshold values are required', 16, 1);
+        RETURN;
+    END
+
+    -- Validate thresholds
+    IF @min_temp >= @max_temp
+    BEGIN
+        RAISERROR('Minimum temperature must be less than maximum temperature', 16, 1);
+        RETURN;
+    END
+
+    IF @min_humidity >= @max_humidity
+    BEGIN
+        RAISERROR('Minimum humidity must be less than maximum humidity', 16, 1);
+        RETURN;
+    END
+
+    -- Carry the per-phase limits over from the current version when omitted
+    SELECT TOP 1
+        @max_power_per_phase = ISNULL(@max_power_per_phase, [max_power_per_phase]),
+        @max_phase_imbalance = ISNULL(@max_phase_imbalance, [max_phase_imbalance])
+    FROM [dbo].[thresholds]
+    WHERE [name] = 'global'
+    ORDER BY [created_at] DESC;
+
+    -- Insert new record for versioning
+    BEGIN TRY
+        INSERT INTO [dbo].[thresholds]
+            ([name], [min_temp], [max_temp], [min_humidity], [max_humidity],
+            [max_power_single_phase], [max_power_three_phase],
+            [max_power_per_phase], [max_phase_imbalance])
+        VALUES
+            ('global', @min_temp, @max_temp, @min_humidity, @max_humidity,
+            @max_power_single_phase, @max_power_three_phase,
+            ISNULL(@max_power_per_phase, 16.0), ISNULL(@max_phase_imbalance, 20.0));
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000);
+        DECLARE @ErrorSeverity INT;
+        DECLARE @ErrorState INT;
+
+        SELECT
+            @ErrorMessage = ERROR_MESSAGE(),
+            @ErrorSeverity = ERROR_SEVERITY(),
+            @ErrorState = ERROR_STATE();
+
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
+GO
+
+-- Problem procedures return the phase
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_active_problems')
+    DROP PROCEDURE [dbo].[sp_get_active_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_active_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[phase],
+    p.[created_at] AS time,
+    p.[status],
+    p.[acknowledged_by],
+    p.[acknowledged_at]
+  FROM
+    [dbo].[problems] p
+  JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  WHERE
+    p.[status] IN ('active', 'acknowledged')
+  ORDER BY
+    p.[created_at] DESC;
+END
+GO
+
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_historical_problems')
+    DROP PROCEDURE [dbo].[sp_get_historical_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_historical_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[phase],
+    p.[created_at] AS time,
+    p.[resolved_at] AS resolved,
+    p.[resolved_value],
+    p.[status]
+  FROM
+    [dbo].[problems] p
+  JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  WHERE
+    p.[status] = 'resolved'
+  ORDER BY
+    p.[resolved_at] DESC;
+END
+GO
+
+PRINT 'Per-phase power schema created';
+GO
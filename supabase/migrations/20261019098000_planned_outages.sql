@@ -0,0 +1,148 @@
+/*
+  # Maintenance Windows
+
+  1. New Tables
+    - `maintenance_windows`
+      - Scheduled work on a single rack or on a whole datacenter
+      - `scope` is 'rack' (with `rack_name`) or 'dc' (with `site` and `dc`)
+      - `starts_at` / `ends_at` bound the window, in UTC; `reason` is required
+      - `suppress_alerts`: when 1 no problems are raised for the racks in the
+        window; when 0 problems are still raised but tagged with the window
+        and no notifications are sent for them
+
+  2. Schema Updates
+    - `problems.maintenance_window_id`: window that was active when the
+      problem was raised, if any
+
+  3. Stored Procedures
+    - sp_get_active_problems and sp_get_historical_problems return
+      `maintenance_window_id`
+
+  4. Notes
+    - Open problems keep auto-resolving during a window
+    - The MAINTENANCE flag reported by the rack API is still honoured and
+      behaves like a suppressing window for that rack
+*/
+
+USE QEIS1DAT;
+GO
+
+-- Create maintenance_windows table
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[maintenance_windows]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[maintenance_windows] (
+        [id] UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        [scope] NVARCHAR(10) NOT NULL,
+        [site] NVARCHAR(100) NULL,
+        [dc] NVARCHAR(100) NULL,
+        [rack_name] NVARCHAR(100) NULL,
+        [starts_at] DATETIME2 NOT NULL,
+        [ends_at] DATETIME2 NOT NULL,
+        [reason] NVARCHAR(255) NOT NULL,
+        [suppress_alerts] BIT NOT NULL DEFAULT 1,
+        [created_by] NVARCHAR(50) NULL,
+        [created_at] DATETIME2 DEFAULT GETDATE(),
+        [updated_at] DATETIME2 DEFAULT GETDATE(),
+        CONSTRAINT [CK_maintenance_windows_scope] CHECK (
+            ([scope] = 'dc' AND [site] IS NOT NULL AND [dc] IS NOT NULL AND [rack_name] IS NULL) OR
+            ([scope] = 'rack' AND [rack_name] IS NOT NULL AND [site] IS NULL AND [dc] IS NULL)
+        ),
+        CONSTRAINT [CK_maintenance_windows_period] CHECK ([ends_at] > [starts_at])
+    );
+
+    PRINT 'Created maintenance_windows table.';
+END
+GO
+
+-- Windows are looked up by time on every monitoring cycle
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_maintenance_windows_period' AND object_id = OBJECT_ID('dbo.maintenance_windows'))
+BEGIN
+    CREATE INDEX [IX_maintenance_windows_period]
+    ON [dbo].[maintenance_windows] ([ends_at], [starts_at]);
+
+    PRINT 'Created period index on maintenance_windows.';
+END
+GO
+
+-- Tag problems raised during a window
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.problems') AND name = 'maintenance_window_id')
+BEGIN
+    ALTER TABLE [dbo].[problems] ADD [maintenance_window_id] UNIQUEIDENTIFIER NULL
+        CONSTRAINT [FK_problems_maintenance_window] FOREIGN KEY REFERENCES [dbo].[maintenance_windows]([id]) ON DELETE SET NULL;
+    PRINT 'Added maintenance_window_id column to problems.';
+END
+GO
+
+-- Problem procedures return the maintenance window
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_active_problems')
+    DROP PROCEDURE [dbo].[sp_get_active_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_active_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[phase],
+    p.[maintenance_window_id],
+    p.[created_at] AS time,
+    p.[status],
+    p.[acknowledged_by],
+    p.[acknowledged_at]
+  FROM
+    [dbo].[problems] p
+  JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  WHERE
+    p.[status] IN ('active', 'acknowledged')
+  ORDER BY
+    p.[created_at] DESC;
+END
+GO
+
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_historical_problems')
+    DROP PROCEDURE [dbo].[sp_get_historical_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_historical_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[phase],
+    p.[maintenance_window_id],
+    p.[created_at] AS time,
+    p.[resolved_at] AS resolved,
+    p.[resolved_value],
+    p.[status]
+  FROM
+    [dbo].[problems] p
+  JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  WHERE
+    p.[status] = 'resolved'
+  ORDER BY
+    p.[resolved_at] DESC;
+END
+GO
+
+PRINT 'Maintenance window schema created';
+GO
@@ -0,0 +1,89 @@
+/*
+  # Set-based monitoring cycle writes
+
+  1. New Types
+    - `RackSnapshotRows`: racks reported by the sources in one cycle, merged
+      into `racks` by name; NULL units take the defaults of the insert or
+      update
+    - `SensorReadingRows`: the readings of one cycle, inserted into
+      `sensor_readings` with a single statement
+    - `ProblemChangeRows`: problems opened, escalated or resolved in one cycle;
+      escalations and resolutions only use `id`, `value` and `note`
+
+  2. Indexes
+    - `IX_problems_open_key`: open problems by rack, type and alert type, used
+      to skip duplicates when a cycle's new problems are inserted
+
+  3. Notes
+    - The monitoring cycle writes racks, readings and problem changes in one
+      transaction, so a failed cycle leaves no partial data behind
+*/
+
+USE QEIS1DAT;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.types WHERE is_table_type = 1 AND name = 'RackSnapshotRows')
+BEGIN
+    CREATE TYPE [dbo].[RackSnapshotRows] AS TABLE (
+        [name] NVARCHAR(50) NOT NULL PRIMARY KEY,
+        [site] NVARCHAR(50) NOT NULL,
+        [datacenter] NVARCHAR(50) NOT NULL,
+        [maintenance] BIT NOT NULL,
+        [max_power] DECIMAL(10,2) NOT NULL,
+        [max_units] INT NULL,
+        [free_units] INT NULL,
+        [phase] NVARCHAR(20) NULL
+    );
+    PRINT 'Created RackSnapshotRows table type.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.types WHERE is_table_type = 1 AND name = 'SensorReadingRows')
+BEGIN
+    CREATE TYPE [dbo].[SensorReadingRows] AS TABLE (
+        [rack_id] UNIQUEIDENTIFIER NOT NULL,
+        [temperature] DECIMAL(5,2) NULL,
+        [humidity] DECIMAL(5,2) NULL,
+        [total_power] DECIMAL(10,2) NULL,
+        [total_current] DECIMAL(10,2) NULL,
+        [total_voltage] DECIMAL(10,2) NULL,
+        [l1_current] DECIMAL(10,2) NULL,
+        [l2_current] DECIMAL(10,2) NULL,
+        [l3_current] DECIMAL(10,2) NULL,
+        [l1_voltage] DECIMAL(10,2) NULL,
+        [l2_voltage] DECIMAL(10,2) NULL,
+        [l3_voltage] DECIMAL(10,2) NULL
+    );
+    PRINT 'Created SensorReadingRows table type.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.types WHERE is_table_type = 1 AND name = 'ProblemChangeRows')
+BEGIN
+    CREATE TYPE [dbo].[ProblemChangeRows] AS TABLE (
+        [id] UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,
+        [rack_id] UNIQUEIDENTIFIER NULL,
+        [type] NVARCHAR(20) NULL,
+        [value] NVARCHAR(50) NOT NULL,
+        [threshold] NVARCHAR(50) NULL,
+        [alert_type] VARCHAR(10) NULL,
+        [phase] NVARCHAR(2) NULL,
+        [maintenance_window_id] UNIQUEIDENTIFIER NULL,
+        [note] NVARCHAR(1000) NULL
+    );
+    PRINT 'Created ProblemChangeRows table type.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_problems_open_key' AND object_id = OBJECT_ID('dbo.problems'))
+BEGIN
+    CREATE INDEX [IX_problems_open_key]
+    ON [dbo].[problems] ([rack_id], [type], [alert_type])
+    INCLUDE ([phase])
+    WHERE [status] IN ('active', 'acknowledged');
+
+    PRINT 'Created open problem index on problems.';
+END
+GO
+
+PRINT 'Set-based monitoring cycle writes installed';
@@ -0,0 +1,60 @@
+/*
+  # Monitoring Run History
+
+  1. New Tables
+    - `monitoring_runs`
+      - One row per monitoring cycle, keyed by the cycle ID
+      - Written as 'running' when the cycle starts and completed when it ends,
+        so cycles interrupted by a restart stay visible
+      - `trigger` is 'scheduled' for cycles run by the monitoring interval and
+        'manual' for Run Now, with the user in `requested_by`
+      - Rows fetched from the sources and stored in the database, and the
+        problems opened, escalated and resolved by the cycle
+      - `details` holds the per-phase timings, the result of every data source
+        and the problems the cycle changed as JSON, for the drill-down on the
+        Server page
+
+  2. Indexes
+    - `IX_monitoring_runs_started`: newest runs first, for paging
+*/
+
+USE QEIS1DAT;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[monitoring_runs]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[monitoring_runs] (
+        [cycle_id] NVARCHAR(50) PRIMARY KEY,
+        [status] NVARCHAR(20) NOT NULL DEFAULT 'running',
+        [trigger] NVARCHAR(20) NOT NULL DEFAULT 'scheduled',
+        [requested_by] NVARCHAR(50) NULL,
+        [started_at] DATETIME2 NOT NULL DEFAULT GETDATE(),
+        [finished_at] DATETIME2 NULL,
+        [duration_ms] INT NULL,
+        [api1_reachable] BIT NULL,
+        [api2_reachable] BIT NULL,
+        [racks_fetched] INT NOT NULL DEFAULT 0,
+        [readings_fetched] INT NOT NULL DEFAULT 0,
+        [racks_stored] INT NOT NULL DEFAULT 0,
+        [readings_stored] INT NOT NULL DEFAULT 0,
+        [problems_opened] INT NOT NULL DEFAULT 0,
+        [problems_escalated] INT NOT NULL DEFAULT 0,
+        [problems_resolved] INT NOT NULL DEFAULT 0,
+        [error] NVARCHAR(1000) NULL,
+        [details] NVARCHAR(MAX) NULL,
+        CONSTRAINT [CK_monitoring_runs_status] CHECK ([status] IN ('running', 'completed', 'skipped', 'failed')),
+        CONSTRAINT [CK_monitoring_runs_trigger] CHECK ([trigger] IN ('scheduled', 'manual'))
+    );
+
+    PRINT 'Created monitoring_runs table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_monitoring_runs_started' AND object_id = OBJECT_ID('dbo.monitoring_runs'))
+BEGIN
+    CREATE INDEX [IX_monitoring_runs_started] ON [dbo].[monitoring_runs] ([started_at] DESC);
+END
+GO
+
+PRINT 'Monitoring run history schema created';
+GO
@@ -0,0 +1,63 @@
+/*
+  # Monitoring Schedule
+
+  1. New Tables
+    - `monitoring_schedule`
+      - A single row (id = 1) with the schedule of the monitoring cycles,
+        read at startup so it survives restarts
+      - `enabled` is whether monitoring runs at all; Start and Stop on the
+        Server page update it
+      - Rack inventory and sensor polling have their own cadence: `*_mode` is
+        'interval' (every `*_interval_ms` milliseconds) or 'cron' (a five-field
+        cron expression in `*_cron`, in the server's time zone)
+      - Inventory runs poll every data source; sensor runs only poll the
+        environmental and power sources and reuse the last inventory records
+
+  2. Schema Updates
+    - `monitoring_runs.scope`: 'full' for cycles that poll every source,
+      'sensors' for sensor polling cycles
+
+  3. Notes
+    - Seeded with the previous default: both cadences every 5 minutes
+    - Schedule changes made from the Server page apply without a restart
+*/
+
+USE QEIS1DAT;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[monitoring_schedule]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[monitoring_schedule] (
+        [id] INT PRIMARY KEY DEFAULT 1,
+        [enabled] BIT NOT NULL DEFAULT 1,
+        [inventory_mode] NVARCHAR(20) NOT NULL DEFAULT 'interval',
+        [inventory_interval_ms] INT NOT NULL DEFAULT 300000,
+        [inventory_cron] NVARCHAR(100) NULL,
+        [sensor_mode] NVARCHAR(20) NOT NULL DEFAULT 'interval',
+        [sensor_interval_ms] INT NOT NULL DEFAULT 300000,
+        [sensor_cron] NVARCHAR(100) NULL,
+        [updated_by] NVARCHAR(50) NULL,
+        [updated_at] DATETIME2 DEFAULT GETDATE(),
+        CONSTRAINT [CK_monitoring_schedule_single_row] CHECK ([id] = 1),
+        CONSTRAINT [CK_monitoring_schedule_inventory_mode] CHECK ([inventory_mode] IN ('interval', 'cron')),
+        CONSTRAINT [CK_monitoring_schedule_sensor_mode] CHECK ([sensor_mode] IN ('interval', 'cron'))
+    );
+
+    INSERT INTO [dbo].[monitoring_schedule] ([id]) VALUES (1);
+
+    PRINT 'Created monitoring_schedule table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID(N'[dbo].[monitoring_runs]') AND name = 'scope')
+BEGIN
+    ALTER TABLE [dbo].[monitoring_runs] ADD [scope] NVARCHAR(20) NOT NULL
+        CONSTRAINT [DF_monitoring_runs_scope] DEFAULT 'full'
+        CONSTRAINT [CK_monitoring_runs_scope] CHECK ([scope] IN ('full', 'sensors'));
+
+    PRINT 'Added scope column to monitoring_runs.';
+END
+GO
+
+PRINT 'Monitoring schedule schema created';
+GO
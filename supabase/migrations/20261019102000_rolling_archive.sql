@@ -0,0 +1,184 @@
+/*
+  # Data Retention
+
+  1. New Tables
+    - `sensor_readings_hourly` and `sensor_readings_daily`
+      - One row per rack and hour (or day) with the number of raw samples and
+        the min/avg/max of temperature, humidity, current, voltage and power
+      - Filled by the retention job before raw readings are purged; daily rows
+        are rolled up from the hourly ones
+    - `problems_archive` and `problem_history_archive`
+      - Resolved problems older than the archive age are moved here together
+        with their history, keeping the rack name, site and datacenter so they
+        stay readable after the rack is gone
+    - `retention_settings`
+      - A single row (id = 1) with how long raw readings, hourly and daily
+        rollups are kept, after how many months resolved problems are archived,
+        the purge batch size and the cron expression of the retention job
+      - `hourly_rolled_to` and `daily_rolled_to` are the watermarks up to which
+        raw readings (or hourly rows) have been rolled up; nothing newer than
+        a watermark is ever purged
+      - `last_run_*` holds the outcome of the last run for the Server page
+
+  2. Notes
+    - Defaults: 14 days of raw readings, 400 days of hourly rollups, daily
+      rollups kept forever and problems archived 12 months after resolution;
+      a retention of 0 keeps rows forever and an archive age of 0 disables
+      archiving
+    - Raw and hourly rows are deleted in batches so the job never holds long
+      locks on the tables the monitoring cycle writes to
+    - Hourly and daily history queries read the rollups below the watermarks
+*/
+
+USE QEIS1DAT;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[sensor_readings_hourly]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[sensor_readings_hourly] (
+        [rack_id] UNIQUEIDENTIFIER NOT NULL,
+        [bucket_start] DATETIME2 NOT NULL,
+        [samples] INT NOT NULL,
+        [temperature_min] DECIMAL(5,2) NULL,
+        [temperature_avg] DECIMAL(5,2) NULL,
+        [temperature_max] DECIMAL(5,2) NULL,
+        [humidity_min] DECIMAL(5,2) NULL,
+        [humidity_avg] DECIMAL(5,2) NULL,
+        [humidity_max] DECIMAL(5,2) NULL,
+        [current_min] DECIMAL(10,2) NULL,
+        [current_avg] DECIMAL(10,2) NULL,
+        [current_max] DECIMAL(10,2) NULL,
+        [voltage_min] DECIMAL(10,2) NULL,
+        [voltage_avg] DECIMAL(10,2) NULL,
+        [voltage_max] DECIMAL(10,2) NULL,
+        [kw_min] DECIMAL(10,2) NULL,
+        [kw_avg] DECIMAL(10,2) NULL,
+        [kw_max] DECIMAL(10,2) NULL,
+        CONSTRAINT [PK_sensor_readings_hourly] PRIMARY KEY ([rack_id], [bucket_start]),
+        CONSTRAINT [FK_sensor_readings_hourly_racks] FOREIGN KEY ([rack_id])
+            REFERENCES [dbo].[racks] ([id]) ON DELETE CASCADE
+    );
+
+    CREATE INDEX [IX_sensor_readings_hourly_bucket] ON [dbo].[sensor_readings_hourly] ([bucket_start]);
+
+    PRINT 'Created sensor_readings_hourly table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[sensor_readings_daily]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[sensor_readings_daily] (
+        [rack_id] UNIQUEIDENTIFIER NOT NULL,
+        [bucket_start] DATETIME2 NOT NULL,
+        [samples] INT NOT NULL,
+        [temperature_min] DECIMAL(5,2) NULL,
+        [temperature_avg] DECIMAL(5,2) NULL,
+        [temperature_max] DECIMAL(5,2) NULL,
+        [humidity_min] DECIMAL(5,2) NULL,
+        [humidity_avg] DECIMAL(5,2) NULL,
+        [humidity_max] DECIMAL(5,2) NULL,
+        [current_min] DECIMAL(10,2) NULL,
+        [current_avg] DECIMAL(10,2) NULL,
+        [current_max] DECIMAL(10,2) NULL,
+        [voltage_min] DECIMAL(10,2) NULL,
+        [voltage_avg] DECIMAL(10,2) NULL,
+        [voltage_max] DECIMAL(10,2) NULL,
+        [kw_min] DECIMAL(10,2) NULL,
+        [kw_avg] DECIMAL(10,2) NULL,
+        [kw_max] DECIMAL(10,2) NULL,
+        CONSTRAINT [PK_sensor_readings_daily] PRIMARY KEY ([rack_id], [bucket_start]),
+        CONSTRAINT [FK_sensor_readings_daily_racks] FOREIGN KEY ([rack_id])
+            REFERENCES [dbo].[racks] ([id]) ON DELETE CASCADE
+    );
+
+    CREATE INDEX [IX_sensor_readings_daily_bucket] ON [dbo].[sensor_readings_daily] ([bucket_start]);
+
+    PRINT 'Created sensor_readings_daily table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[problems_archive]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[problems_archive] (
+        [id] UNIQUEIDENTIFIER PRIMARY KEY,
+        [rack_id] UNIQUEIDENTIFIER NOT NULL,
+        [rack_name] NVARCHAR(50) NULL,
+        [site] NVARCHAR(50) NULL,
+        [datacenter] NVARCHAR(50) NULL,
+        [type] NVARCHAR(20) NOT NULL,
+        [alert_type] VARCHAR(10) NULL,
+        [phase] NVARCHAR(2) NULL,
+        [value] NVARCHAR(50) NOT NULL,
+        [threshold] NVARCHAR(50) NOT NULL,
+        [resolved_value] NVARCHAR(50) NULL,
+        [status] NVARCHAR(20) NOT NULL,
+        [acknowledged_by] NVARCHAR(50) NULL,
+        [acknowledged_at] DATETIME2 NULL,
+        [maintenance_window_id] UNIQUEIDENTIFIER NULL,
+        [resolved_at] DATETIME2 NULL,
+        [created_at] DATETIME2 NULL,
+        [updated_at] DATETIME2 NULL,
+        [archived_at] DATETIME2 NOT NULL DEFAULT GETDATE()
+    );
+
+    CREATE INDEX [IX_problems_archive_resolved] ON [dbo].[problems_archive] ([resolved_at] DESC);
+
+    PRINT 'Created problems_archive table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[problem_history_archive]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[problem_history_archive] (
+        [id] UNIQUEIDENTIFIER PRIMARY KEY,
+        [problem_id] UNIQUEIDENTIFIER NOT NULL,
+        [action] NVARCHAR(20) NOT NULL,
+        [from_status] NVARCHAR(20) NULL,
+        [to_status] NVARCHAR(20) NULL,
+        [actor] NVARCHAR(50) NOT NULL,
+        [note] NVARCHAR(1000) NULL,
+        [created_at] DATETIME2 NULL,
+        CONSTRAINT [FK_problem_history_archive_problems] FOREIGN KEY ([problem_id])
+            REFERENCES [dbo].[problems_archive] ([id]) ON DELETE CASCADE
+    );
+
+    CREATE INDEX [IX_problem_history_archive_problem_time] ON [dbo].[problem_history_archive] ([problem_id], [created_at]);
+
+    PRINT 'Created problem_history_archive table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[retention_settings]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[retention_settings] (
+        [id] INT PRIMARY KEY DEFAULT 1,
+        [enabled] BIT NOT NULL DEFAULT 1,
+        [raw_retention_days] INT NOT NULL DEFAULT 14,
+        [hourly_retention_days] INT NOT NULL DEFAULT 400,
+        [daily_retention_days] INT NOT NULL DEFAULT 0,
+        [problem_archive_months] INT NOT NULL DEFAULT 12,
+        [purge_batch_size] INT NOT NULL DEFAULT 5000,
+        [job_cron] NVARCHAR(100) NOT NULL DEFAULT '15 * * * *',
+        [hourly_rolled_to] DATETIME2 NULL,
+        [daily_rolled_to] DATETIME2 NULL,
+        [last_run_at] DATETIME2 NULL,
+        [last_run_status] NVARCHAR(20) NULL,
+        [last_run_summary] NVARCHAR(MAX) NULL,
+        [updated_by] NVARCHAR(50) NULL,
+        [updated_at] DATETIME2 DEFAULT GETDATE(),
+        CONSTRAINT [CK_retention_settings_single_row] CHECK ([id] = 1),
+        CONSTRAINT [CK_retention_settings_raw_days] CHECK ([raw_retention_days] >= 1),
+        CONSTRAINT [CK_retention_settings_hourly_days] CHECK ([hourly_retention_days] = 0 OR [hourly_retention_days] > [raw_retention_days]),
+        CONSTRAINT [CK_retention_settings_daily_days] CHECK ([daily_retention_days] >= 0),
+        CONSTRAINT [CK_retention_settings_archive_months] CHECK ([problem_archive_months] >= 0),
+        CONSTRAINT [CK_retention_settings_last_status] CHECK ([last_run_status] IN ('completed', 'partial', 'failed'))
+    );
+
+    INSERT INTO [dbo].[retention_settings] ([id]) VALUES (1);
+
+    PRINT 'Created retention_settings table.';
+END
+GO
+
+PRINT 'Data retention schema created';
+GO
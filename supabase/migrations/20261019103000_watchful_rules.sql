@@ -0,0 +1,204 @@
+/*
+  # Alert Rules
+
+  1. New Tables
+    - `alert_rules`
+      - Rules evaluated by the monitoring service on top of the thresholds
+      - `kind` is one of:
+        - 'sustained': a threshold violation of `metric` only opens a problem
+          once it has lasted `cycles` consecutive monitoring cycles or
+          `minutes` minutes (exactly one of the two is set)
+        - 'rate': opens a problem when `metric` rose ('rise') or fell ('fall')
+          by more than `delta` within the last `minutes` minutes
+        - 'stale': opens a problem when a rack has reported no `metric`
+          reading for `minutes` minutes
+      - At most one enabled sustained rule per metric
+
+  2. Schema Updates
+    - `problems.rule_id`: the rule that opened the problem, NULL for plain
+      threshold problems
+    - `problems_archive.rule_id` and `rule_name`, kept when archived
+    - CK_problems_alert_type accepts 'rise', 'fall' and 'stale'
+    - `ProblemChangeRows` table type gains `rule_id`
+
+  3. Stored Procedures
+    - sp_get_active_problems and sp_get_historical_problems return `rule_id`
+      and `rule_name`
+
+  4. Notes
+    - Rate and stale problems use the metric as their type (Temperature,
+      Humidity or Power) with alert_type 'rise', 'fall' or 'stale'
+    - Deleting a rule keeps its problems; their rule_id becomes NULL
+*/
+
+USE QEIS1DAT;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[alert_rules]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[alert_rules] (
+        [id] UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        [name] NVARCHAR(100) NOT NULL,
+        [kind] NVARCHAR(20) NOT NULL,
+        [metric] NVARCHAR(20) NOT NULL,
+        [enabled] BIT NOT NULL DEFAULT 1,
+        [cycles] INT NULL,
+        [minutes] INT NULL,
+        [delta] DECIMAL(10,2) NULL,
+        [direction] NVARCHAR(10) NULL,
+        [description] NVARCHAR(255) NULL,
+        [updated_by] NVARCHAR(50) NULL,
+        [created_at] DATETIME2 DEFAULT GETDATE(),
+        [updated_at] DATETIME2 DEFAULT GETDATE(),
+        CONSTRAINT [UQ_alert_rules_name] UNIQUE ([name]),
+        CONSTRAINT [CK_alert_rules_kind] CHECK ([kind] IN ('sustained', 'rate', 'stale')),
+        CONSTRAINT [CK_alert_rules_metric] CHECK ([metric] IN ('Temperature', 'Humidity', 'Power', 'PhaseImbalance')),
+        CONSTRAINT [CK_alert_rules_direction] CHECK ([direction] IN ('rise', 'fall')),
+        CONSTRAINT [CK_alert_rules_sustained] CHECK (
+            [kind] <> 'sustained' OR (([cycles] IS NULL) <> ([minutes] IS NULL))
+        ),
+        CONSTRAINT [CK_alert_rules_rate] CHECK (
+            [kind] <> 'rate' OR ([delta] > 0 AND [minutes] > 0 AND [direction] IS NOT NULL)
+        ),
+        CONSTRAINT [CK_alert_rules_stale] CHECK ([kind] <> 'stale' OR [minutes] > 0)
+    );
+
+    PRINT 'Created alert_rules table.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.problems') AND name = 'rule_id')
+BEGIN
+    ALTER TABLE [dbo].[problems] ADD [rule_id] UNIQUEIDENTIFIER NULL
+        CONSTRAINT [FK_problems_alert_rule] FOREIGN KEY REFERENCES [dbo].[alert_rules]([id]) ON DELETE SET NULL;
+    PRINT 'Added rule_id column to problems.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.problems_archive') AND name = 'rule_id')
+BEGIN
+    ALTER TABLE [dbo].[problems_archive] ADD [rule_id] UNIQUEIDENTIFIER NULL, [rule_name] NVARCHAR(100) NULL;
+    PRINT 'Added rule columns to problems_archive.';
+END
+GO
+
+-- Problem changes of a cycle carry the rule; table types can't be altered, so
+-- the type is recreated (the monitoring service is its only user)
+IF NOT EXISTS (
+    SELECT * FROM sys.table_types tt
+    JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+    WHERE tt.name = 'ProblemChangeRows' AND c.name = 'rule_id'
+)
+BEGIN
+    IF EXISTS (SELECT * FROM sys.types WHERE is_table_type = 1 AND name = 'ProblemChangeRows')
+        DROP TYPE [dbo].[ProblemChangeRows];
+
+    CREATE TYPE [dbo].[ProblemChangeRows] AS TABLE (
+        [id] UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,
+        [rack_id] UNIQUEIDENTIFIER NULL,
+        [type] NVARCHAR(20) NULL,
+        [value] NVARCHAR(50) NOT NULL,
+        [threshold] NVARCHAR(50) NULL,
+        [alert_type] VARCHAR(10) NULL,
+        [phase] NVARCHAR(2) NULL,
+        [maintenance_window_id] UNIQUEIDENTIFIER NULL,
+        [rule_id] UNIQUEIDENTIFIER NULL,
+        [note] NVARCHAR(1000) NULL
+    );
+    PRINT 'Recreated ProblemChangeRows table type with rule_id.';
+END
+GO
+
+-- Allow rate-of-change and stale data problems
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE parent_object_id = OBJECT_ID('dbo.problems') AND name = 'CK_problems_alert_type')
+BEGIN
+    ALTER TABLE [dbo].[problems] DROP CONSTRAINT [CK_problems_alert_type];
+END
+GO
+
+ALTER TABLE [dbo].[problems]
+ADD CONSTRAINT [CK_problems_alert_type]
+CHECK ([alert_type] IN ('high', 'low', 'rise', 'fall', 'stale'));
+GO
+
+-- Problem procedures return the rule
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_active_problems')
+    DROP PROCEDURE [dbo].[sp_get_active_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_active_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[phase],
+    p.[maintenance_window_id],
+    p.[rule_id],
+    ar.[name] AS rule_name,
+    p.[created_at] AS time,
+    p.[status],
+    p.[acknowledged_by],
+    p.[acknowledged_at]
+  FROM
+    [dbo].[problems] p
+  JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  LEFT JOIN
+    [dbo].[alert_rules] ar ON ar.id = p.rule_id
+  WHERE
+    p.[status] IN ('active', 'acknowledged')
+  ORDER BY
+    p.[created_at] DESC;
+END
+GO
+
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_historical_problems')
+    DROP PROCEDURE [dbo].[sp_get_historical_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_historical_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[phase],
+    p.[maintenance_window_id],
+    p.[rule_id],
+    ar.[name] AS rule_name,
+    p.[created_at] AS time,
+    p.[resolved_at] AS resolved,
+    p.[resolved_value],
+    p.[status]
+  FROM
+    [dbo].[problems] p
+  JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  LEFT JOIN
+    [dbo].[alert_rules] ar ON ar.id = p.rule_id
+  WHERE
+    p.[status] = 'resolved'
+  ORDER BY
+    p.[resolved_at] DESC;
+END
+GO
+
+PRINT 'Alert rule schema created';
+GO
@@ -0,0 +1,574 @@
+/*
+  # Warning and Critical Threshold Tiers
+
+  1. Schema Updates
+    - `thresholds`
+      - A `critical_*` limit for every limit: `critical_min_temp`,
+        `critical_max_temp`, `critical_min_humidity`, `critical_max_humidity`,
+        `critical_max_power_single_phase`, `critical_max_power_three_phase`,
+        `critical_max_power_per_phase` and `critical_max_phase_imbalance`
+      - The existing limits are the warning tier: crossing one opens a
+        Warning problem, crossing the critical limit as well makes it Critical
+    - `threshold_overrides`
+      - The same `critical_*` columns; NULL inherits from the broader scope
+    - `problems`
+      - `severity` ('Warning' or 'Critical'), set by the monitoring service
+        when the problem is opened and raised in place when readings worsen
+    - `problems_archive.severity`
+    - `ProblemChangeRows` table type gains `severity`
+    - `notification_channels.severities` uses the new levels
+
+  2. Stored Procedures
+    - Threshold view and procedures return the critical limits
+    - sp_update_thresholds takes them as optional parameters; when omitted
+      they are carried over from the current global thresholds
+    - sp_get_active_problems and sp_get_historical_problems return `severity`
+
+  3. Notes
+    - Critical defaults (15/35°C, 35/75%, 20A single phase, 60A three phase,
+      20A per phase, 40% imbalance) match the fixed values the problems API
+      used for High severity; where a warning limit is already past its
+      default critical limit, the critical limit starts equal to it
+    - Open and resolved problems are graded against the current global
+      critical limits; rule problems (rise, fall, stale) stay Warning
+    - Notification channels that received High problems now receive
+      Critical ones, and those that received Medium or Low receive Warning
+*/
+
+USE QEIS1DAT;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.thresholds') AND name = 'critical_min_temp')
+BEGIN
+    ALTER TABLE [dbo].[thresholds] ADD [critical_min_temp] DECIMAL(5,2) NOT NULL DEFAULT 15.0;
+    PRINT 'Added critical_min_temp column to thresholds.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.thresholds') AND name = 'critical_max_temp')
+BEGIN
+    ALTER TABLE [dbo].[thresholds] ADD [critical_max_temp] DECIMAL(5,2) NOT NULL DEFAULT 35.0;
+    PRINT 'Added critical_max_temp column to thresholds.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.thresholds') AND name = 'critical_min_humidity')
+BEGIN
+    ALTER TABLE [dbo].[thresholds] ADD [critical_min_humidity] DECIMAL(5,2) NOT NULL DEFAULT 35.0;
+    PRINT 'Added critical_min_humidity column to thresholds.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.thresholds') AND name = 'critical_max_humidity')
+BEGIN
+    ALTER TABLE [dbo].[thresholds] ADD [critical_max_humidity] DECIMAL(5,2) NOT NULL DEFAULT 75.0;
+    PRINT 'Added critical_max_humidity column to thresholds.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.thresholds') AND name = 'critical_max_power_single_phase')
+BEGIN
+    ALTER TABLE [dbo].[thresholds] ADD [critical_max_power_single_phase] DECIMAL(5,2) NOT NULL DEFAULT 20.0;
+    PRINT 'Added critical_max_power_single_phase column to thresholds.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.thresholds') AND name = 'critical_max_power_three_phase')
+BEGIN
+    ALTER TABLE [dbo].[thresholds] ADD [critical_max_power_three_phase] DECIMAL(5,2) NOT NULL DEFAULT 60.0;
+    PRINT 'Added critical_max_power_three_phase column to thresholds.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.thresholds') AND name = 'critical_max_power_per_phase')
+BEGIN
+    ALTER TABLE [dbo].[thresholds] ADD [critical_max_power_per_phase] DECIMAL(5,2) NOT NULL DEFAULT 20.0;
+    PRINT 'Added critical_max_power_per_phase column to thresholds.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.thresholds') AND name = 'critical_max_phase_imbalance')
+BEGIN
+    ALTER TABLE [dbo].[thresholds] ADD [critical_max_phase_imbalance] DECIMAL(5,2) NOT NULL DEFAULT 40.0;
+    PRINT 'Added critical_max_phase_imbalance column to thresholds.';
+END
+GO
+
+-- Keep every critical limit at or beyond its warning limit
+UPDATE [dbo].[thresholds]
+SET
+    [critical_min_temp] = CASE WHEN [critical_min_temp] > [min_temp] THEN [min_temp] ELSE [critical_min_temp] END,
+    [critical_max_temp] = CASE WHEN [critical_max_temp] < [max_temp] THEN [max_temp] ELSE [critical_max_temp] END,
+    [critical_min_humidity] = CASE WHEN [critical_min_humidity] > [min_humidity] THEN [min_humidity] ELSE [critical_min_humidity] END,
+    [critical_max_humidity] = CASE WHEN [critical_max_humidity] < [max_humidity] THEN [max_humidity] ELSE [critical_max_humidity] END,
+    [critical_max_power_single_phase] = CASE WHEN [critical_max_power_single_phase] < [max_power_single_phase] THEN [max_power_single_phase] ELSE [critical_max_power_single_phase] END,
+    [critical_max_power_three_phase] = CASE WHEN [critical_max_power_three_phase] < [max_power_three_phase] THEN [max_power_three_phase] ELSE [critical_max_power_three_phase] END,
+    [critical_max_power_per_phase] = CASE WHEN [critical_max_power_per_phase] < [max_power_per_phase] THEN [max_power_per_phase] ELSE [critical_max_power_per_phase] END,
+    [critical_max_phase_imbalance] = CASE WHEN [critical_max_phase_imbalance] < [max_phase_imbalance] THEN [max_phase_imbalance] ELSE [critical_max_phase_imbalance] END;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.threshold_overrides') AND name = 'critical_min_temp')
+BEGIN
+    ALTER TABLE [dbo].[threshold_overrides] ADD [critical_min_temp] DECIMAL(5,2) NULL;
+    PRINT 'Added critical_min_temp column to threshold_overrides.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.threshold_overrides') AND name = 'critical_max_temp')
+BEGIN
+    ALTER TABLE [dbo].[threshold_overrides] ADD [critical_max_temp] DECIMAL(5,2) NULL;
+    PRINT 'Added critical_max_temp column to threshold_overrides.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.threshold_overrides') AND name = 'critical_min_humidity')
+BEGIN
+    ALTER TABLE [dbo].[threshold_overrides] ADD [critical_min_humidity] DECIMAL(5,2) NULL;
+    PRINT 'Added critical_min_humidity column to threshold_overrides.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.threshold_overrides') AND name = 'critical_max_humidity')
+BEGIN
+    ALTER TABLE [dbo].[threshold_overrides] ADD [critical_max_humidity] DECIMAL(5,2) NULL;
+    PRINT 'Added critical_max_humidity column to threshold_overrides.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.threshold_overrides') AND name = 'critical_max_power_single_phase')
+BEGIN
+    ALTER TABLE [dbo].[threshold_overrides] ADD [critical_max_power_single_phase] DECIMAL(5,2) NULL;
+    PRINT 'Added critical_max_power_single_phase column to threshold_overrides.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.threshold_overrides') AND name = 'critical_max_power_three_phase')
+BEGIN
+    ALTER TABLE [dbo].[threshold_overrides] ADD [critical_max_power_three_phase] DECIMAL(5,2) NULL;
+    PRINT 'Added critical_max_power_three_phase column to threshold_overrides.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.threshold_overrides') AND name = 'critical_max_power_per_phase')
+BEGIN
+    ALTER TABLE [dbo].[threshold_overrides] ADD [critical_max_power_per_phase] DECIMAL(5,2) NULL;
+    PRINT 'Added critical_max_power_per_phase column to threshold_overrides.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.threshold_overrides') AND name = 'critical_max_phase_imbalance')
+BEGIN
+    ALTER TABLE [dbo].[threshold_overrides] ADD [critical_max_phase_imbalance] DECIMAL(5,2) NULL;
+    PRINT 'Added critical_max_phase_imbalance column to threshold_overrides.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.problems') AND name = 'severity')
+BEGIN
+    ALTER TABLE [dbo].[problems] ADD [severity] NVARCHAR(10) NOT NULL
+        CONSTRAINT [DF_problems_severity] DEFAULT 'Warning'
+        CONSTRAINT [CK_problems_severity] CHECK ([severity] IN ('Warning', 'Critical'));
+    PRINT 'Added severity column to problems.';
+END
+GO
+
+-- Grade existing threshold problems against the current global critical limits
+WITH readings AS (
+    SELECT
+        p.[id],
+        p.[type],
+        p.[alert_type],
+        p.[phase],
+        r.[phase] AS rack_phase,
+        TRY_CAST(REPLACE(REPLACE(REPLACE(p.[value], N'°C', ''), '%', ''), 'A', '') AS DECIMAL(10,2)) AS reading
+    FROM [dbo].[problems] p
+    JOIN [dbo].[racks] r ON r.[id] = p.[rack_id]
+    WHERE p.[alert_type] IN ('high', 'low')
+)
+UPDATE p
+SET [severity] = 'Critical'
+FROM [dbo].[problems] p
+JOIN readings rd ON rd.[id] = p.[id]
+CROSS APPLY (
+    SELECT TOP 1 *
+    FROM [dbo].[thresholds]
+    WHERE [name] = 'global'
+    ORDER BY [created_at] DESC
+) t
+WHERE
+    (rd.[type] = 'Temperature' AND rd.[alert_type] = 'high' AND rd.reading > t.[critical_max_temp]) OR
+    (rd.[type] = 'Temperature' AND rd.[alert_type] = 'low' AND rd.reading < t.[critical_min_temp]) OR
+    (rd.[type] = 'Humidity' AND rd.[alert_type] = 'high' AND rd.reading > t.[critical_max_humidity]) OR
+    (rd.[type] = 'Humidity' AND rd.[alert_type] = 'low' AND rd.reading < t.[critical_min_humidity]) OR
+    (rd.[type] = 'Power' AND rd.[phase] IS NOT NULL AND rd.reading > t.[critical_max_power_per_phase]) OR
+    (rd.[type] = 'Power' AND rd.[phase] IS NULL AND rd.[rack_phase] = 'Single Phase' AND rd.reading > t.[critical_max_power_single_phase]) OR
+    (rd.[type] = 'Power' AND rd.[phase] IS NULL AND ISNULL(rd.[rack_phase], '') <> 'Single Phase' AND rd.reading > t.[critical_max_power_three_phase]) OR
+    (rd.[type] = 'PhaseImbalance' AND rd.reading > t.[critical_max_phase_imbalance]);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.problems_archive') AND name = 'severity')
+BEGIN
+    ALTER TABLE [dbo].[problems_archive] ADD [severity] NVARCHAR(10) NULL;
+    PRINT 'Added severity column to problems_archive.';
+END
+GO
+
+-- Problem changes of a cycle carry the severity; table types can't be
+-- altered, so the type is recreated (the monitoring service is its only user)
+IF NOT EXISTS (
+    SELECT * FROM sys.table_types tt
+    JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+    WHERE tt.name = 'ProblemChangeRows' AND c.name = 'severity'
+)
+BEGIN
+    IF EXISTS (SELECT * FROM sys.types WHERE is_table_type = 1 AND name = 'ProblemChangeRows')
+        DROP TYPE [dbo].[ProblemChangeRows];
+
+    CREATE TYPE [dbo].[ProblemChangeRows] AS TABLE (
+        [id] UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,
+        [rack_id] UNIQUEIDENTIFIER NULL,
+        [type] NVARCHAR(20) NULL,
+        [value] NVARCHAR(50) NOT NULL,
+        [threshold] NVARCHAR(50) NULL,
+        [alert_type] VARCHAR(10) NULL,
+        [phase] NVARCHAR(2) NULL,
+        [maintenance_window_id] UNIQUEIDENTIFIER NULL,
+        [rule_id] UNIQUEIDENTIFIER NULL,
+        [severity] NVARCHAR(10) NULL,
+        [note] NVARCHAR(1000) NULL
+    );
+    PRINT 'Recreated ProblemChangeRows table type with severity.';
+END
+GO
+
+-- Notification channels filter on the new severity levels
+UPDATE [dbo].[notification_channels]
+SET [severities] = CASE
+        WHEN [severities] LIKE '%High%' AND ([severities] LIKE '%Medium%' OR [severities] LIKE '%Low%') THEN 'Critical,Warning'
+        WHEN [severities] LIKE '%High%' THEN 'Critical'
+        WHEN [severities] LIKE '%Medium%' OR [severities] LIKE '%Low%' THEN 'Warning'
+        ELSE [severities]
+    END
+WHERE [severities] LIKE '%High%' OR [severities] LIKE '%Medium%' OR [severities] LIKE '%Low%';
+GO
+
+DECLARE @severitiesDefault SYSNAME = (
+    SELECT dc.[name]
+    FROM sys.default_constraints dc
+    JOIN sys.columns c ON c.object_id = dc.parent_object_id AND c.column_id = dc.parent_column_id
+    WHERE dc.parent_object_id = OBJECT_ID('dbo.notification_channels') AND c.[name] = 'severities'
+);
+IF @severitiesDefault IS NOT NULL
+    EXEC('ALTER TABLE [dbo].[notification_channels] DROP CONSTRAINT [' + @severitiesDefault + ']');
+GO
+
+ALTER TABLE [dbo].[notification_channels]
+ADD CONSTRAINT [DF_notification_channels_severities] DEFAULT 'Critical,Warning' FOR [severities];
+GO
+
+-- Threshold view and procedures with the critical limits
+IF EXISTS (SELECT * FROM sys.views WHERE name = 'vw_current_thresholds')
+    DROP VIEW [dbo].[vw_current_thresholds];
+GO
+
+CREATE VIEW [dbo].[vw_current_thresholds] AS
+WITH latest_thresholds AS (
+    SELECT
+        name,
+        MAX(created_at) AS latest_time
+    FROM
+        [dbo].[thresholds]
+    GROUP BY
+        name
+)
+SELECT
+    t.[id],
+    t.[name],
+    t.[min_temp],
+    t.[max_temp],
+    t.[min_humidity],
+    t.[max_humidity],
+    t.[max_power_single_phase],
+    t.[max_power_three_phase],
+    t.[max_power_per_phase],
+    t.[max_phase_imbalance],
+    t.[critical_min_temp],
+    t.[critical_max_temp],
+    t.[critical_min_humidity],
+    t.[critical_max_humidity],
+    t.[critical_max_power_single_phase],
+    t.[critical_max_power_three_phase],
+    t.[critical_max_power_per_phase],
+    t.[critical_max_phase_imbalance],
+    t.[created_at],
+    t.[updated_at]
+FROM
+    [dbo].[thresholds] t
+JOIN
+    latest_thresholds lt ON t.name = lt.name AND t.created_at = lt.latest_time;
+GO
+
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_thresholds_fast')
+    DROP PROCEDURE [dbo].[sp_get_thresholds_fast];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_thresholds_fast]
+AS
+BEGIN
+    SET NOCOUNT ON;
+    SET TRANSACTION ISOLATION LEVEL READ UNCOMMITTED;
+
+    SELECT TOP 1
+        t.[id],
+        t.[name],
+        t.[min_temp],
+        t.[max_temp],
+        t.[min_humidity],
+        t.[max_humidity],
+        t.[max_power_single_phase],
+        t.[max_power_three_phase],
+        t.[max_power_per_phase],
+        t.[max_phase_imbalance],
+        t.[critical_min_temp],
+        t.[critical_max_temp],
+        t.[critical_min_humidity],
+        t.[critical_max_humidity],
+        t.[critical_max_power_single_phase],
+        t.[critical_max_power_three_phase],
+        t.[critical_max_power_per_phase],
+        t.[critical_max_phase_imbalance],
+        t.[created_at],
+        t.[updated_at]
+    FROM
+        [dbo].[thresholds] t WITH (NOLOCK)
+    WHERE
+        t.[name] = 'global'
+    ORDER BY
+        t.[created_at] DESC;
+END
+GO
+
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_thresholds')
+    DROP PROCEDURE [dbo].[sp_get_thresholds];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_thresholds]
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    SELECT TOP 1
+        id,
+        name,
+        min_temp,
+        max_temp,
+        min_humidity,
+        max_humidity,
+        max_power_single_phase,
+        max_power_three_phase,
+        max_power_per_phase,
+        max_phase_imbalance,
+        critical_min_temp,
+        critical_max_temp,
+        critical_min_humidity,
+        critical_max_humidity,
+        critical_max_power_single_phase,
+        critical_max_power_three_phase,
+        critical_max_power_per_phase,
+        critical_max_phase_imbalance,
+        created_at,
+        updated_at
+    FROM [dbo].[thresholds]
+    WHERE name = 'global'
+    ORDER BY created_at DESC;
+END
+GO
+
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_update_thresholds')
+    DROP PROCEDURE [dbo].[sp_update_thresholds];
+GO
+
+CREATE PROCEDURE [dbo].[sp_update_thresholds]
+    @min_temp DECIMAL(5,2),
+    @max_temp DECIMAL(5,2),
+    @min_humidity DECIMAL(5,2),
+    @max_humidity DECIMAL(5,2),
+    @max_power_single_phase DECIMAL(5,2),
+    @max_power_three_phase DECIMAL(5,2),
+    @max_power_per_phase DECIMAL(5,2) = NULL,
+    @max_phase_imbalance DECIMAL(5,2) = NULL,
+    @critical_min_temp DECIMAL(5,2) = NULL,
+    @critical_max_temp DECIMAL(5,2) = NULL,
+    @critical_min_humidity DECIMAL(5,2) = NULL,
+    @critical_max_humidity DECIMAL(5,2) = NULL,
+    @critical_max_power_single_phase DECIMAL(5,2) = NULL,
+    @critical_max_power_three_phase DECIMAL(5,2) = NULL,
+    @critical_max_power_per_phase DECIMAL(5,2) = NULL,
+    @critical_max_phase_imbalance DECIMAL(5,2) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    -- Validate inputs
+    IF @min_temp IS NULL OR @max_temp IS NULL OR
+       @min_humidity IS NULL OR @max_humidity IS NULL OR
+       @max_power_single_phase IS NULL OR @max_power_three_phase IS NULL
+    BEGIN
+        RAISERROR('All threshold values are required', 16, 1);
+        RETURN;
+    END
+
+    -- Validate thresholds
+    IF @min_temp >= @max_temp
+    BEGIN
+        RAISERROR('Minimum temperature must be less than maximum temperature', 16, 1);
+        RETURN;
+    END
+
+    IF @min_humidity >= @max_humidity
+    BEGIN
+        RAISERROR('Minimum humidity must be less than maximum humidity', 16, 1);
+        RETURN;
+    END
+
+    -- Carry the optional limits over from the current version when omitted
+    SELECT TOP 1
+        @max_power_per_phase = ISNULL(@max_power_per_phase, [max_power_per_phase]),
+        @max_phase_imbalance = ISNULL(@max_phase_imbalance, [max_phase_imbalance]),
+        @critical_min_temp = ISNULL(@critical_min_temp, [critical_min_temp]),
+        @critical_max_temp = ISNULL(@critical_max_temp, [critical_max_temp]),
+        @critical_min_humidity = ISNULL(@critical_min_humidity, [critical_min_humidity]),
+        @critical_max_humidity = ISNULL(@critical_max_humidity, [critical_max_humidity]),
+        @critical_max_power_single_phase = ISNULL(@critical_max_power_single_phase, [critical_max_power_single_phase]),
+        @critical_max_power_three_phase = ISNULL(@critical_max_power_three_phase, [critical_max_power_three_phase]),
+        @critical_max_power_per_phase = ISNULL(@critical_max_power_per_phase, [critical_max_power_per_phase]),
+        @critical_max_phase_imbalance = ISNULL(@critical_max_phase_imbalance, [critical_max_phase_imbalance])
+    FROM [dbo].[thresholds]
+    WHERE [name] = 'global'
+    ORDER BY [created_at] DESC;
+
+    -- Critical limits must be at or beyond their warning limits
+    IF @critical_min_temp > @min_temp OR @critical_max_temp < @max_temp OR
+       @critical_min_humidity > @min_humidity OR @critical_max_humidity < @max_humidity OR
+       @critical_max_power_single_phase < @max_power_single_phase OR
+       @critical_max_power_three_phase < @max_power_three_phase OR
+       @critical_max_power_per_phase < @max_power_per_phase OR
+       @critical_max_phase_imbalance < @max_phase_imbalance
+    BEGIN
+        RAISERROR('Critical limits must be at or beyond their warning limits', 16, 1);
+        RETURN;
+    END
+
+    -- Insert new record for versioning
+    BEGIN TRY
+        INSERT INTO [dbo].[thresholds]
+            ([name], [min_temp], [max_temp], [min_humidity], [max_humidity],
+            [max_power_single_phase], [max_power_three_phase],
+            [max_power_per_phase], [max_phase_imbalance],
+            [critical_min_temp], [critical_max_temp], [critical_min_humidity], [critical_max_humidity],
+            [critical_max_power_single_phase], [critical_max_power_three_phase], [critical_max_power_per_phase], [critical_max_phase_imbalance])
+        VALUES
+            ('global', @min_temp, @max_temp, @min_humidity, @max_humidity,
+            @max_power_single_phase, @max_power_three_phase,
+            ISNULL(@max_power_per_phase, 16.0), ISNULL(@max_phase_imbalance, 20.0),
+            ISNULL(@critical_min_temp, 15.0), ISNULL(@critical_max_temp, 35.0), ISNULL(@critical_min_humidity, 35.0), ISNULL(@critical_max_humidity, 75.0),
+            ISNULL(@critical_max_power_single_phase, 20.0), ISNULL(@critical_max_power_three_phase, 60.0), ISNULL(@critical_max_power_per_phase, 20.0), ISNULL(@critical_max_phase_imbalance, 40.0));
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000);
+        DECLARE @ErrorSeverity INT;
+        DECLARE @ErrorState INT;
+
+        SELECT
+            @ErrorMessage = ERROR_MESSAGE(),
+            @ErrorSeverity = ERROR_SEVERITY(),
+            @ErrorState = ERROR_STATE();
+
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
+GO
+
+-- Problem procedures return the severity
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_active_problems')
+    DROP PROCEDURE [dbo].[sp_get_active_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_active_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[severity],
+    p.[phase],
+    p.[maintenance_window_id],
+    p.[rule_id],
+    ar.[name] AS rule_name,
+    p.[created_at] AS time,
+    p.[status],
+    p.[acknowledged_by],
+    p.[acknowledged_at]
+  FROM
+    [dbo].[problems] p
+  JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  LEFT JOIN
+    [dbo].[alert_rules] ar ON ar.id = p.rule_id
+  WHERE
+    p.[status] IN ('active', 'acknowledged')
+  ORDER BY
+    p.[created_at] DESC;
+END
+GO
+
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_historical_problems')
+    DROP PROCEDURE [dbo].[sp_get_historical_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_historical_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[severity],
+    p.[phase],
+    p.[maintenance_window_id],
+    p.[rule_id],
+    ar.[name] AS rule_name,
+    p.[created_at] AS time,
+    p.[resolved_at] AS resolved,
+    p.[resolved_value],
+    p.[status]
+  FROM
+    [dbo].[problems] p
+  JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  LEFT JOIN
+    [dbo].[alert_rules] ar ON ar.id = p.rule_id
+  WHERE
+    p.[status] = 'resolved'
+  ORDER BY
+    p.[resolved_at] DESC;
+END
+GO
+
+PRINT 'Threshold tier schema created';
+GO
@@ -0,0 +1,135 @@
+/*
+  # PDU Power-Fail and Device Status Problems
+
+  1. Schema Updates
+    - `racks`
+      - `power_fail`: power failure indicator last reported by the power feed
+        (1 while the PDU reports a failure, 0 otherwise)
+      - `device_status`: PDU status text last reported by the power feed
+      - Both are NULL when the feed does not report them
+      - `capacity_amps` (added earlier) is now filled from the feed as well
+    - `RackSnapshotRows` table type gains the three columns
+    - CK_problem_type accepts 'PowerFail' and 'DeviceStatus'
+    - CK_problems_alert_type accepts 'fail' (power failure) and 'status'
+      (non-OK device status)
+
+  2. Views
+    - vw_power_data returns the stored power failure and device status
+      instead of the fixed 0 and 'OK'
+
+  3. Notes
+    - The monitoring service opens a Critical PowerFail problem while a PDU
+      reports a power failure, and a DeviceStatus problem while it reports a
+      status other than OK; both resolve once the feed reports normal again
+    - Existing racks keep NULL until the next monitoring cycle
+*/
+
+USE QEIS1DAT;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.racks') AND name = 'power_fail')
+BEGIN
+    ALTER TABLE [dbo].[racks] ADD
+        [power_fail] BIT NULL,
+        [device_status] NVARCHAR(50) NULL;
+    PRINT 'Added power feed status columns to racks.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.racks') AND name = 'capacity_amps')
+BEGIN
+    ALTER TABLE [dbo].[racks] ADD [capacity_amps] DECIMAL(10,2) NULL;
+    PRINT 'Added capacity_amps column to racks.';
+END
+GO
+
+-- Racks of a cycle carry the feed status; table types can't be altered, so
+-- the type is recreated (the monitoring service is its only user)
+IF NOT EXISTS (
+    SELECT * FROM sys.table_types tt
+    JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+    WHERE tt.name = 'RackSnapshotRows' AND c.name = 'power_fail'
+)
+BEGIN
+    IF EXISTS (SELECT * FROM sys.types WHERE is_table_type = 1 AND name = 'RackSnapshotRows')
+        DROP TYPE [dbo].[RackSnapshotRows];
+
+    CREATE TYPE [dbo].[RackSnapshotRows] AS TABLE (
+        [name] NVARCHAR(50) NOT NULL PRIMARY KEY,
+        [site] NVARCHAR(50) NOT NULL,
+        [datacenter] NVARCHAR(50) NOT NULL,
+        [maintenance] BIT NOT NULL,
+        [max_power] DECIMAL(10,2) NOT NULL,
+        [max_units] INT NULL,
+        [free_units] INT NULL,
+        [phase] NVARCHAR(20) NULL,
+        [power_fail] BIT NULL,
+        [device_status] NVARCHAR(50) NULL,
+        [capacity_amps] DECIMAL(10,2) NULL
+    );
+    PRINT 'Recreated RackSnapshotRows table type with the feed status.';
+END
+GO
+
+-- Allow power-fail and device status problems
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_problem_type')
+BEGIN
+    ALTER TABLE [dbo].[problems] DROP CONSTRAINT [CK_problem_type];
+END
+GO
+
+ALTER TABLE [dbo].[problems]
+ADD CONSTRAINT [CK_problem_type]
+CHECK ([type] IN ('Temperature', 'Humidity', 'Power', 'PhaseImbalance', 'PowerFail', 'DeviceStatus'));
+GO
+
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE parent_object_id = OBJECT_ID('dbo.problems') AND name = 'CK_problems_alert_type')
+BEGIN
+    ALTER TABLE [dbo].[problems] DROP CONSTRAINT [CK_problems_alert_type];
+END
+GO
+
+ALTER TABLE [dbo].[problems]
+ADD CONSTRAINT [CK_problems_alert_type]
+CHECK ([alert_type] IN ('high', 'low', 'rise', 'fall', 'stale', 'fail', 'status'));
+GO
+
+-- The power view reports the stored feed status
+IF EXISTS (SELECT * FROM sys.views WHERE name = 'vw_power_data')
+    DROP VIEW [dbo].[vw_power_data];
+GO
+
+CREATE VIEW [dbo].[vw_power_data] AS
+SELECT
+  r.[id],
+  r.[id] AS rackId,
+  r.[name] AS rackName,
+  r.[site],
+  r.[datacenter] AS dc,
+  r.[maintenance],
+  r.[phase],
+  r.[capacity_amps] AS capacityAmps,
+  r.[max_power] AS capacityKw,
+  sr.[total_voltage] AS totalVolts,
+  sr.[avg_voltage] AS avgVolts,
+  sr.[total_current] AS totalAmps,
+  sr.[total_power] * 1000 AS totalWatts,
+  sr.[total_power] AS totalKw,
+  NULL AS totalKwh,
+  NULL AS totalVa,
+  NULL AS totalkVa,
+  NULL AS totalPf,
+  CAST(ISNULL(r.[power_fail], 0) AS INT) AS powerFail,
+  sr.[created_at] AS lastUpdate,
+  ISNULL(r.[device_status], 'OK') AS rstatus
+FROM [dbo].[racks] r
+LEFT JOIN [dbo].[sensor_readings] sr ON r.[id] = sr.[rack_id]
+WHERE sr.[id] IN (
+  SELECT MAX(id)
+  FROM [dbo].[sensor_readings]
+  GROUP BY rack_id
+);
+GO
+
+PRINT 'PDU status schema created';
+GO
@@ -0,0 +1,208 @@
+/*
+  # Communication Problems
+
+  1. Schema Updates
+    - `problems`
+      - `rack_id` becomes nullable: system problems belong to a data source,
+        not to a rack
+      - `source_id`, `source_name`: data source of a system problem (e.g.
+        'api1', 'API1 (racks)'), NULL for rack problems
+      - CK_problems_scope: every problem has a rack or a source
+    - `problems_archive` gets the same changes, so archived system problems
+      keep their source
+    - CK_problem_type accepts 'Communication'
+    - CK_problems_alert_type accepts 'offline'
+
+  2. Stored Procedures
+    - sp_get_active_problems and sp_get_historical_problems return
+      `source_id` and `source_name`, and include system problems (rack NULL)
+
+  3. Notes
+    - Communication problems on a rack use alert_type 'stale' (its readings
+      are older than the configured age) or 'status' (a sensor reports a
+      status other than OK)
+    - A data source that stays unreachable for the configured number of
+      consecutive cycles opens a Communication problem with alert_type
+      'offline' and no rack
+    - The rack foreign key and the indexes on rack_id are dropped and
+      recreated around the column change
+*/
+
+USE QEIS1DAT;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.problems') AND name = 'source_id')
+BEGIN
+    ALTER TABLE [dbo].[problems] ADD
+        [source_id] NVARCHAR(50) NULL,
+        [source_name] NVARCHAR(100) NULL;
+    PRINT 'Added source columns to problems.';
+END
+GO
+
+-- rack_id can't change while the foreign key and indexes depend on it
+IF EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.problems') AND name = 'rack_id' AND is_nullable = 0)
+BEGIN
+    IF EXISTS (SELECT * FROM sys.foreign_keys WHERE name = 'FK_problems_racks')
+        ALTER TABLE [dbo].[problems] DROP CONSTRAINT [FK_problems_racks];
+    IF EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_problems_rack_status' AND object_id = OBJECT_ID('dbo.problems'))
+        DROP INDEX [IX_problems_rack_status] ON [dbo].[problems];
+    IF EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_problems_open_key' AND object_id = OBJECT_ID('dbo.problems'))
+        DROP INDEX [IX_problems_open_key] ON [dbo].[problems];
+
+    ALTER TABLE [dbo].[problems] ALTER COLUMN [rack_id] UNIQUEIDENTIFIER NULL;
+    PRINT 'Made problems.rack_id nullable.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.foreign_keys WHERE name = 'FK_problems_racks')
+BEGIN
+    ALTER TABLE [dbo].[problems]
+    ADD CONSTRAINT [FK_problems_racks] FOREIGN KEY ([rack_id])
+        REFERENCES [dbo].[racks] ([id]) ON DELETE CASCADE;
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_problems_rack_status' AND object_id = OBJECT_ID('dbo.problems'))
+BEGIN
+    CREATE INDEX [IX_problems_rack_status] ON [dbo].[problems] ([rack_id], [status]);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_problems_open_key' AND object_id = OBJECT_ID('dbo.problems'))
+BEGIN
+    CREATE INDEX [IX_problems_open_key]
+    ON [dbo].[problems] ([rack_id], [type], [alert_type])
+    INCLUDE ([phase], [source_id])
+    WHERE [status] IN ('active', 'acknowledged');
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_problems_scope')
+BEGIN
+    ALTER TABLE [dbo].[problems]
+    ADD CONSTRAINT [CK_problems_scope] CHECK ([rack_id] IS NOT NULL OR [source_id] IS NOT NULL);
+    PRINT 'Added CK_problems_scope to problems.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.problems_archive') AND name = 'source_id')
+BEGIN
+    ALTER TABLE [dbo].[problems_archive] ADD
+        [source_id] NVARCHAR(50) NULL,
+        [source_name] NVARCHAR(100) NULL;
+    ALTER TABLE [dbo].[problems_archive] ALTER COLUMN [rack_id] UNIQUEIDENTIFIER NULL;
+    PRINT 'Added source columns to problems_archive.';
+END
+GO
+
+-- Allow communication problems
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_problem_type')
+BEGIN
+    ALTER TABLE [dbo].[problems] DROP CONSTRAINT [CK_problem_type];
+END
+GO
+
+ALTER TABLE [dbo].[problems]
+ADD CONSTRAINT [CK_problem_type]
+CHECK ([type] IN ('Temperature', 'Humidity', 'Power', 'PhaseImbalance', 'PowerFail', 'DeviceStatus', 'Communication'));
+GO
+
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE parent_object_id = OBJECT_ID('dbo.problems') AND name = 'CK_problems_alert_type')
+BEGIN
+    ALTER TABLE [dbo].[problems] DROP CONSTRAINT [CK_problems_alert_type];
+END
+GO
+
+ALTER TABLE [dbo].[problems]
+ADD CONSTRAINT [CK_problems_alert_type]
+CHECK ([alert_type] IN ('high', 'low', 'rise', 'fall', 'stale', 'fail', 'status', 'offline'));
+GO
+
+-- Problem procedures return the source and include system problems
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_active_problems')
+    DROP PROCEDURE [dbo].[sp_get_active_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_active_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[severity],
+    p.[phase],
+    p.[maintenance_window_id],
+    p.[rule_id],
+    ar.[name] AS rule_name,
+    p.[source_id],
+    p.[source_name],
+    p.[created_at] AS time,
+    p.[status],
+    p.[acknowledged_by],
+    p.[acknowledged_at]
+  FROM
+    [dbo].[problems] p
+  LEFT JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  LEFT JOIN
+    [dbo].[alert_rules] ar ON ar.id = p.rule_id
+  WHERE
+    p.[status] IN ('active', 'acknowledged')
+  ORDER BY
+    p.[created_at] DESC;
+END
+GO
+
+IF EXISTS (SELECT * FROM sys.objects WHERE type = 'P' AND name = 'sp_get_historical_problems')
+    DROP PROCEDURE [dbo].[sp_get_historical_problems];
+GO
+
+CREATE PROCEDURE [dbo].[sp_get_historical_problems]
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT
+    p.[id],
+    r.[name] AS rack,
+    r.[site],
+    r.[datacenter] AS dc,
+    p.[type],
+    p.[value],
+    p.[threshold],
+    p.[alert_type],
+    p.[severity],
+    p.[phase],
+    p.[maintenance_window_id],
+    p.[rule_id],
+    ar.[name] AS rule_name,
+    p.[source_id],
+    p.[source_name],
+    p.[created_at] AS time,
+    p.[resolved_at] AS resolved,
+    p.[resolved_value],
+    p.[status]
+  FROM
+    [dbo].[problems] p
+  LEFT JOIN
+    [dbo].[racks] r ON p.rack_id = r.id
+  LEFT JOIN
+    [dbo].[alert_rules] ar ON ar.id = p.rule_id
+  WHERE
+    p.[status] = 'resolved'
+  ORDER BY
+    p.[resolved_at] DESC;
+END
+GO
+
+PRINT 'Communication problem schema created';
+GO
@@ -0,0 +1,54 @@
+/*
+  # Rack Inventory Management
+
+  1. Schema Updates
+    - `racks`
+      - `origin`: 'source' for racks reported by the inventory source,
+        'manual' for racks created by hand
+      - `manual_fields`: comma-separated fields whose value was set by hand
+        (site, datacenter, max_power, max_units, free_units, phase,
+        capacity_amps); the monitoring cycle leaves them as they are
+      - `updated_by`: user who last edited the rack by hand
+      - `decommissioned_at` and `decommissioned_by`: set when the rack is
+        decommissioned, NULL while it is in service
+
+  2. Indexes
+    - IX_racks_decommissioned for the in-service rack lookups
+
+  3. Notes
+    - Decommissioned racks keep their readings and problems, but they are
+      left out of the dashboard and the monitoring cycle, and the inventory
+      source no longer updates them
+    - Existing racks are 'source' racks with no manual fields
+*/
+
+USE QEIS1DAT;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('dbo.racks') AND name = 'manual_fields')
+BEGIN
+    ALTER TABLE [dbo].[racks] ADD
+        [origin] NVARCHAR(20) NOT NULL CONSTRAINT [DF_racks_origin] DEFAULT 'source',
+        [manual_fields] NVARCHAR(200) NULL,
+        [updated_by] NVARCHAR(100) NULL,
+        [decommissioned_at] DATETIME2 NULL,
+        [decommissioned_by] NVARCHAR(100) NULL;
+    PRINT 'Added inventory management columns to racks.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.check_constraints WHERE parent_object_id = OBJECT_ID('dbo.racks') AND name = 'CK_racks_origin')
+BEGIN
+    ALTER TABLE [dbo].[racks]
+    ADD CONSTRAINT [CK_racks_origin] CHECK ([origin] IN ('source', 'manual'));
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_racks_decommissioned' AND object_id = OBJECT_ID('dbo.racks'))
+BEGIN
+    CREATE INDEX [IX_racks_decommissioned] ON [dbo].[racks] ([decommissioned_at]) INCLUDE ([name]);
+END
+GO
+
+PRINT 'Rack inventory management schema created';
+GO
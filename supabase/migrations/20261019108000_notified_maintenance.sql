@@ -0,0 +1,46 @@
+/*
+  # Notified Maintenance Problems
+
+  1. Schema Updates
+    - `maintenance_windows.suppress_alerts`: column description updated.
+      When 1 no problems are raised for the racks in the window; when 0
+      problems are still raised, tagged with the window, and notified by
+      email and webhook marked as in maintenance
+
+  2. Notes
+    - Until now problems tagged by a window (suppress_alerts = 0) were not
+      notified at all, which made tagging behave like suppressing for
+      notifications. Windows that should stay silent need suppress_alerts = 1.
+    - No data changes
+*/
+
+USE QEIS1DAT;
+GO
+
+IF EXISTS (
+    SELECT * FROM sys.extended_properties
+    WHERE major_id = OBJECT_ID('dbo.maintenance_windows')
+      AND minor_id = COLUMNPROPERTY(OBJECT_ID('dbo.maintenance_windows'), 'suppress_alerts', 'ColumnId')
+      AND name = 'MS_Description'
+)
+BEGIN
+    EXEC sp_updateextendedproperty
+        @name = N'MS_Description',
+        @value = N'1: no problems are raised during the window. 0: problems are raised, tagged with the window and notified as in maintenance.',
+        @level0type = N'SCHEMA', @level0name = N'dbo',
+        @level1type = N'TABLE', @level1name = N'maintenance_windows',
+        @level2type = N'COLUMN', @level2name = N'suppress_alerts';
+END
+ELSE
+BEGIN
+    EXEC sp_addextendedproperty
+        @name = N'MS_Description',
+        @value = N'1: no problems are raised during the window. 0: problems are raised, tagged with the window and notified as in maintenance.',
+        @level0type = N'SCHEMA', @level0name = N'dbo',
+        @level1type = N'TABLE', @level1name = N'maintenance_windows',
+        @level2type = N'COLUMN', @level2name = N'suppress_alerts';
+END
+GO
+
+PRINT 'Maintenance window notification behaviour documented';
+GO